@@ -0,0 +1,7 @@
+module.exports = {
+  require: ['test/setup.js'],
+  spec: ['test/**/*.test.js'],
+  // The first run downloads a MongoDB binary
+  timeout: 120000,
+  exit: true
+};
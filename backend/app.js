@@ -0,0 +1,41 @@
+/**
+ * Express app with the API routes. server.js initializes PQC, connects to MongoDB and
+ * listens; the route tests drive this app directly.
+ */
+const express = require('express');
+const cors = require('cors');
+const dotenv = require('dotenv');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const batchRoutes = require('./routes/batchRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const inspectionRoutes = require('./routes/inspectionRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+
+// Load environment variables
+dotenv.config();
+
+// Initialize express app
+const app = express();
+
+// Middleware
+app.use(cors());
+// Keep the raw JSON body: request signatures cover its exact bytes
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/inspections', inspectionRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok', message: 'Server is running' });
+});
+
+module.exports = app;
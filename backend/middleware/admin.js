@@ -0,0 +1,28 @@
+const { sameAddress } = require('../utils/blockchain');
+
+/**
+ * Check whether a wallet is listed in ADMIN_WALLETS (comma separated)
+ * @param {String} wallet - Wallet address
+ * @returns {Boolean} True for allow-listed wallets
+ */
+const isAdminWallet = (wallet) =>
+  (process.env.ADMIN_WALLETS || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .some(item => sameAddress(item, wallet));
+
+/**
+ * Allow the request only for users with the admin role or wallets listed in
+ * ADMIN_WALLETS; must run after the auth middleware
+ */
+const admin = function(req, res, next) {
+  if (!req.user || (req.user.role !== 'admin' && !isAdminWallet(req.user.walletAddress))) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+
+  next();
+};
+
+module.exports = admin;
+module.exports.isAdminWallet = isAdminWallet;
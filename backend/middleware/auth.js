@@ -1,10 +1,11 @@
 const jwt = require('jsonwebtoken');
-const pqcrypto = require('../utils/pqcrypto');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+const { verifySignedRequest, RequestSigningError } = require('../services/requestSigning');
 
 module.exports = async function(req, res, next) {
   // Get token from header
   const token = req.header('Authorization')?.replace('Bearer ', '');
-  const pqcSignature = req.header('X-PQC-Signature');
 
   // Check if no token
   if (!token) {
@@ -15,26 +16,27 @@ module.exports = async function(req, res, next) {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check for PQC signature if enabled
-    if (process.env.ENABLE_PQC_SIGNATURES === 'true' && pqcSignature) {
-      // Create signed package to verify
-      const signedPackage = {
-        data: token,
-        signature: pqcSignature
-      };
-      
-      // Verify the signature
-      const isValid = await pqcrypto.verifySignature(signedPackage);
-      
-      if (!isValid) {
-        return res.status(401).json({ message: 'PQC signature verification failed' });
-      }
+    // Revoked sessions (sign-out, "sign out everywhere") lose access immediately.
+    // Tokens from before sessions existed have no sid and are refused too.
+    if (!await isSessionActive(decoded.sid)) {
+      return res.status(401).json({ message: 'Session has been revoked' });
     }
     
+    // Suspension takes effect immediately, not when the token expires
+    if (await User.exists({ _id: decoded.id, suspended: true })) {
+      return res.status(403).json({ message: 'Account suspended' });
+    }
+    
+    // End-to-end request signature by the client's own key (see PQC_REQUEST_SIGNING)
+    await verifySignedRequest(req, decoded.id, decoded.pqcKeyId);
+    
     // Add user from payload
     req.user = decoded;
     next();
   } catch (error) {
+    if (error instanceof RequestSigningError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
@@ -0,0 +1,39 @@
+/**
+ * Limit how often a client may call an endpoint: at most `max` requests per `windowMs`
+ * for each key (the client IP unless `key` says otherwise). Counts are kept in memory,
+ * so a single API process is assumed.
+ * @param {Object} options - { windowMs, max, key(req), message }
+ * @returns {Function} Express middleware answering 429 with Retry-After once the limit is hit
+ */
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests; try again later' }) => {
+  // key -> { count, resetAt }
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  return function(req, res, next) {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      for (const [windowKey, window] of windows) {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    const windowKey = String(key(req) || req.ip);
+    let window = windows.get(windowKey);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(windowKey, window);
+    }
+
+    window.count += 1;
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({ message });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email; deleted when it is used, and by MongoDB once it expires
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: true
+  },
+  tokenHash: {
+    type: String,  // SHA-256 of the token in the emailed link
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// The TTL monitor only runs about once a minute, so lookups also check expiresAt
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
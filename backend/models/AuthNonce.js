@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Sign-in challenge issued to a wallet; deleted when it is used, and by MongoDB once it expires
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletAddress: {
+    type: String,  // Checksummed address the challenge was issued to
+    required: true
+  },
+  message: {
+    type: String,  // Exact SIWE message the wallet must sign
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The TTL monitor only runs about once a minute, so lookups also check expiresAt
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthNonce = mongoose.model('AuthNonce', authNonceSchema);
+
+module.exports = AuthNonce;
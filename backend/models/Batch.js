@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const encryptionPlugin = require('./plugins/encryptionPlugin');
+const { toOnchainBatchId } = require('../utils/blockchain');
+const { STATUSES, HISTORY_ACTIONS, RECALL_REASONS, lifecycle } = require('../utils/batchLifecycle');
 
 const batchHistorySchema = new mongoose.Schema({
   from: String,
@@ -10,16 +12,59 @@ const batchHistorySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['CREATED', 'CERTIFIED', 'REJECTED', 'PURCHASED']
-  }
+    enum: HISTORY_ACTIONS
+  },
+  // On-chain transaction that performed this step (verified server-side)
+  transactionHash: String,
+  blockNumber: Number
 });
 
+const escrowSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    enum: ['HELD', 'DISPUTED', 'RELEASED', 'REFUNDED']
+  },
+  amount: Number,     // ETH held for the farmer
+  retailer: String,   // Ethereum address that paid
+  payee: String,      // Ethereum address that receives the funds on release
+  releaseAfter: Date  // Undisputed funds can be released by anyone after this
+}, { _id: false });
+
+const recallSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: RECALL_REASONS
+  },
+  sourceBatchId: String,  // Recalled batch this one derives from (itself for the original recall)
+  recalledBy: String,     // Ethereum address of the certifier or contract owner
+  recalledAt: Date,
+  notes: String,          // Details given with the recall; only kept off-chain
+  notifiedAt: Date        // When retailers holding affected stock were emailed
+}, { _id: false });
+
+// Manual fix applied by an admin through /api/admin/batches
+const batchCorrectionSchema = new mongoose.Schema({
+  field: String,
+  previous: String,  // Omitted for encrypted fields
+  value: String,     // Omitted for encrypted fields
+  reason: String,
+  admin: String,     // Wallet address of the admin
+  correctedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const batchSchema = new mongoose.Schema({
   batchId: {
     type: String,
     required: true,
     unique: true
   },
+  onchainId: {
+    type: String,  // keccak256 of batchId, the key used by AgriChain
+    index: true
+  },
   cropName: {
     type: String,
     required: true
@@ -42,13 +87,17 @@ const batchSchema = new mongoose.Schema({
   },
   certifier: String,  // Ethereum address
   retailer: String,   // Ethereum address
+  custodian: String,  // Ethereum address of the current holder of the batch token
   status: {
     type: String,
-    enum: ['CREATED', 'CERTIFIED', 'REJECTED', 'PURCHASED'],
-    default: 'CREATED'
+    enum: STATUSES,
+    default: lifecycle.initial
   },
   cropHealth: String,
+  certificationStandard: String,  // Standard the certifier assessed against, e.g. organic or GAP
+  certificationNotes: String,     // Certifier's remarks; structured results live in Inspection documents
   expiry: Date,
+  expiryAlertedAt: Date,  // When the holder was warned that the batch is about to expire
   labResults: Boolean,
   createdAt: {
     type: Date,
@@ -57,15 +106,48 @@ const batchSchema = new mongoose.Schema({
   certifiedAt: Date,
   purchasedAt: Date,
   price: {
-    type: Number,
+    type: Number,  // In whole units of the payment currency (ETH or the ERC-20 token)
     required: true
   },
-  history: [batchHistorySchema]
+  paymentToken: String,  // ERC-20 token address; unset for the native currency
+  paymentSymbol: {
+    type: String,
+    default: 'ETH'
+  },
+  paymentDecimals: {
+    type: Number,
+    default: 18
+  },
+  // Whole units; reaches 0 once the batch has been fully split or merged
+  quantity: Number,
+  unit: String,
+  // Lineage by batchId: lots this batch was split or merged from, and lots made from it
+  parentBatches: [String],
+  childBatches: [String],
+  // Purchase payment held on-chain until delivery is confirmed
+  escrow: escrowSchema,
+  // Set once the batch, or a batch it was split or merged from, has been recalled
+  recall: recallSchema,
+  history: [batchHistorySchema],
+  corrections: [batchCorrectionSchema]
+});
+
+// Keep the on-chain key in sync with the human batch ID
+batchSchema.pre('validate', function(next) {
+  if (this.batchId && (this.isNew || this.isModified('batchId'))) {
+    this.onchainId = toOnchainBatchId(this.batchId);
+  }
+  next();
 });
 
 // Apply the encryption plugin with fields to encrypt
 batchSchema.plugin(encryptionPlugin, {
-  fields: ['cropName', 'cropVariety', 'location', 'cropHealth']
+  fields: ['cropName', 'cropVariety', 'location', 'cropHealth'],
+  blindIndex: {
+    cropName: ['exact', 'contains'],
+    cropVariety: ['exact', 'contains'],
+    location: ['contains']
+  }
 });
 
 // Add method to safely return batch data with decrypted fields
@@ -83,6 +165,8 @@ batchSchema.methods.toSafeJSON = async function() {
     delete batch._encrypted;
     delete batch._encryptedCiphers;
     delete batch._encryptedIVs;
+    delete batch._encryptedKeyIds;
+    delete batch._blindIndex;
     
     return batch;
   } catch (error) {
@@ -91,6 +175,8 @@ batchSchema.methods.toSafeJSON = async function() {
     delete batch._encrypted;
     delete batch._encryptedCiphers;
     delete batch._encryptedIVs;
+    delete batch._encryptedKeyIds;
+    delete batch._blindIndex;
     return batch;
   }
 };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Signed batch certificate; the payload is stored exactly as it was signed
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  batchId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // SHA-256 of the certified facts (without ID and issue time), so unchanged batches reuse their certificate
+  contentHash: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: String,  // Canonical JSON of the certificate
+    required: true
+  },
+  signature: {
+    type: String,  // Hex ML-DSA-65 signature of the payload
+    required: true
+  },
+  publicKey: {
+    type: String,  // Hex Dilithium public key the payload was signed with
+    required: true
+  },
+  keyId: String,  // Dilithium key generation that signed the payload
+  publicKeyFingerprint: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+certificateSchema.index({ batchId: 1, contentHash: 1 });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+module.exports = Certificate;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Outcome of one measurement against its threshold
+const inspectionCheckSchema = new mongoose.Schema({
+  name: String,
+  value: mongoose.Schema.Types.Mixed,
+  limit: mongoose.Schema.Types.Mixed,
+  passed: Boolean
+}, { _id: false });
+
+// Lab report file attached to an inspection, stored under its SHA-256
+const inspectionReportSchema = new mongoose.Schema({
+  hash: String,  // 0x-prefixed SHA-256 of the file, anchored in InspectionRegistry
+  filename: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+const inspectionSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  onchainIndex: Number,  // Position in InspectionRegistry.getInspections(batchId)
+  inspector: {
+    type: String,  // Ethereum address of the certifier
+    required: true
+  },
+  measurements: {
+    pesticideResidue: Number,  // mg/kg
+    moisture: Number,          // percent
+    grade: String              // A (best) to D
+  },
+  // Limits in force when the inspection was evaluated
+  thresholds: {
+    maxPesticideResidue: Number,
+    maxMoisture: Number,
+    minGrade: String
+  },
+  checks: [inspectionCheckSchema],
+  passed: {
+    type: Boolean,
+    required: true
+  },
+  notes: String,
+  reports: [inspectionReportSchema],
+  dataHash: {
+    type: String,  // keccak256 of the canonical record, anchored in InspectionRegistry
+    required: true
+  },
+  transactionHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  blockNumber: Number,
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
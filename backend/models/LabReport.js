@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Uploaded lab report; the file itself lives in LAB_REPORT_DIR named by its hash
+const labReportSchema = new mongoose.Schema({
+  hash: {
+    type: String,  // 0x-prefixed SHA-256 of the file contents
+    required: true,
+    unique: true
+  },
+  filename: String,  // Name the file was uploaded with
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  uploadedBy: String,  // Ethereum address of the certifier
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const LabReport = mongoose.model('LabReport', labReportSchema);
+
+module.exports = LabReport;
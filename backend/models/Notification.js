@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// In-app notice about a batch, shown in the navbar bell and on the notifications page.
+// Holds batch IDs and wallet addresses only; crop details stay encrypted on the Batch.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,  // Key of NOTIFICATION_TYPES in services/notifications.js, e.g. 'BATCH_CERTIFIED'
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  batchId: String,
+  link: String,             // App path the notification opens, e.g. /batch/42
+  actor: String,            // Wallet address whose action caused it
+  transactionHash: String,
+  // Set for events that happen once per batch and recipient (or per transaction), so the
+  // batch routes and the chain indexer can both report an event without duplicates
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token, never the token itself.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,  // SHA-256 of the current refresh token secret
+    required: true
+  },
+  // Token replaced by the last rotation, so a concurrent refresh from another tab is not mistaken for theft
+  previousTokenHash: String,
+  rotatedAt: Date,
+  // Request-signing key the device registered at sign-in; every request of the session must be signed with it
+  pqcKeyId: String,
+  userAgent: String,
+  ipAddress: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String  // 'logout', 'revoked', 'reuse', 'suspended', 'account', 'password-change' or 'password-reset'
+});
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then to detect refresh token reuse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
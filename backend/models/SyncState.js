@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Recently processed blocks, kept so the indexer can detect reorgs
+const processedBlockSchema = new mongoose.Schema({
+  number: Number,
+  hash: String,
+  batchIds: [String]  // on-chain batch IDs touched in this block
+}, { _id: false });
+
+const syncStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contractAddress: String,
+  chainId: Number,
+  lastBlock: {
+    type: Number,
+    default: -1
+  },
+  recentBlocks: [processedBlockSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const SyncState = mongoose.model('SyncState', syncStateSchema);
+
+module.exports = SyncState;
@@ -9,10 +9,10 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Unique through its blind index: the stored value is the encryption placeholder
   email: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     lowercase: true
   },
@@ -27,7 +27,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['farmer', 'certifier', 'retailer'],
+    enum: ['farmer', 'certifier', 'retailer', 'aggregator', 'processor', 'distributor', 'transporter', 'admin'],
     required: true
   },
   name: {
@@ -44,6 +44,47 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set once the user follows the link emailed at registration (or a password reset link)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
+  // Suspended users cannot log in and their existing tokens are refused
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspendedBy: String,  // Wallet address of the admin who suspended the account
+  suspensionReason: String,
+  // Mirrored from AgriChain.registerUser by the chain indexer
+  onchainRole: String,
+  onchainRegistered: {
+    type: Boolean,
+    default: false
+  },
+  // ML-DSA-65 public keys of the devices the user signed in on, for request signatures
+  pqcKeys: {
+    type: [{
+      _id: false,
+      keyId: String,  // SHA-256 fingerprint of the public key
+      publicKey: String,
+      createdAt: Date
+    }],
+    select: false
+  },
+  // Per notification type ('BATCH_CERTIFIED', ...): whether it is shown in the app and emailed.
+  // Types without an entry use the defaults (both on)
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({
+      inApp: Boolean,
+      email: Boolean
+    }, { _id: false }),
+    default: {}
+  },
   // Farmer specific fields
   lastHarvestDate: Date,
   registeredCrops: [String],
@@ -54,7 +95,10 @@ const userSchema = new mongoose.Schema({
   rejectedCrops: [String],
   
   // Retailer specific fields
-  purchasedCrops: [String]
+  purchasedCrops: [String],
+  
+  // Aggregator, processor, distributor and transporter specific fields
+  handledCrops: [String]
 });
 
 // Hash password before saving
@@ -80,12 +124,16 @@ userSchema.methods.isValidPassword = async function(password) {
 
 // Apply the encryption plugin with fields to encrypt
 userSchema.plugin(encryptionPlugin, {
-  fields: ['name', 'email', 'location', 'company']
+  fields: ['name', 'email', 'location', 'company'],
+  blindIndex: {
+    email: ['exact']
+  },
+  unique: ['email']
 });
 
 // Add method to safely return user data with decrypted fields
 userSchema.methods.toSafeJSON = async function() {
-  const user = this.toObject();
+  const user = this.toObject({ flattenMaps: true });
   
   try {
     // Decrypt sensitive fields
@@ -98,6 +146,8 @@ userSchema.methods.toSafeJSON = async function() {
     delete user._encrypted;
     delete user._encryptedCiphers;
     delete user._encryptedIVs;
+    delete user._encryptedKeyIds;
+    delete user._blindIndex;
     
     // Remove password
     delete user.password;
@@ -109,6 +159,8 @@ userSchema.methods.toSafeJSON = async function() {
     delete user._encrypted;
     delete user._encryptedCiphers;
     delete user._encryptedIVs;
+    delete user._encryptedKeyIds;
+    delete user._blindIndex;
     delete user.password;
     return user;
   }
@@ -2,18 +2,79 @@
  * Mongoose schema plugin for field encryption using PQC
  */
 const pqcrypto = require('../../utils/pqcrypto');
+const blindIndex = require('../../utils/blindIndex');
+
+// Stored in place of an encrypted field's value; the cleartext only ever lives in memory
+const PLACEHOLDER = '[encrypted]';
+
+// Encryption maps holding the ciphertext of each field
+const ENCRYPTION_MAPS = ['_encrypted', '_encryptedCiphers', '_encryptedIVs', '_encryptedKeyIds'];
+
+// Query middleware that writes fields directly, bypassing the save hooks
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+const mapGet = (map, field) => (map && typeof map.get === 'function' ? map.get(field) : undefined);
+
+/**
+ * Encrypted package stored for a field of a document
+ * @param {Document} doc - Mongoose document
+ * @param {String} field - Encrypted field
+ * @returns {Object|null} Package for pqcrypto.decryptData, or null if the field has no ciphertext
+ */
+const storedPackage = (doc, field) => {
+  const encryptedData = mapGet(doc._encrypted, field);
+  const ciphertext = mapGet(doc._encryptedCiphers, field);
+  const iv = mapGet(doc._encryptedIVs, field);
+  if (!encryptedData || !ciphertext || !iv) return null;
+  return { encryptedData, ciphertext, iv, keyId: mapGet(doc._encryptedKeyIds, field) };
+};
+
+/**
+ * Where a field's ciphertext is stored; bound to the ciphertext as associated data
+ * @param {Document} doc - Mongoose document
+ * @param {String} field - Encrypted field
+ * @returns {Object} { model, documentId, field }
+ */
+const fieldContext = (doc, field) => ({ model: doc.constructor.modelName, documentId: doc._id, field });
+
+// Put a cleartext value on a loaded document without marking it for the next save
+const setInMemory = (doc, field, value) => {
+  doc.set(field, value);
+  doc.unmarkModified(field);
+  if (!doc.$locals.decryptedFields) doc.$locals.decryptedFields = new Set();
+  doc.$locals.decryptedFields.add(field);
+};
 
 /**
- * Plugin to handle PQC encryption/decryption for mongoose schemas
+ * Plugin to handle PQC encryption/decryption for mongoose schemas. Encrypted fields are
+ * stored as a placeholder next to their ciphertext and decrypted when documents are loaded.
  * @param {Schema} schema - Mongoose schema
- * @param {Object} options - Options object with fields to encrypt
+ * @param {Object} options - Options object with fields to encrypt, and optionally
+ *   blindIndex: { field: ['exact' | 'prefix' | 'contains', ...] } for encrypted fields that must be searchable
+ *   unique: [field, ...] for encrypted fields that must be unique, enforced on their exact blind index
  */
-module.exports = function encryptionPlugin(schema, options = {}) {
+function encryptionPlugin(schema, options = {}) {
   const encryptedFields = options.fields || [];
+  const blindIndexModes = options.blindIndex || {};
+  const blindIndexedFields = Object.keys(blindIndexModes);
+  const uniqueFields = options.unique || [];
   
   // Skip if no fields to encrypt
   if (!encryptedFields.length) return;
 
+  for (const field of blindIndexedFields) {
+    const modes = blindIndexModes[field];
+    if (!encryptedFields.includes(field) || !modes.length || modes.some(mode => !blindIndex.SEARCH_MODES.includes(mode))) {
+      throw new Error(`Invalid blind index configuration for ${field}`);
+    }
+  }
+  for (const field of uniqueFields) {
+    // Only the exact token is one per value; prefix and n-gram tokens are shared between values
+    if (!(blindIndexModes[field] || []).includes('exact')) {
+      throw new Error(`Unique encrypted field ${field} needs an exact blind index`);
+    }
+  }
+
   // Add fields to store encrypted data
   schema.add({
     _encrypted: {
@@ -33,44 +94,201 @@ module.exports = function encryptionPlugin(schema, options = {}) {
       of: String,
       default: () => new Map(),
       select: false
+    },
+    // Kyber key generation each field was encrypted with; missing for data encrypted before the keyring
+    _encryptedKeyIds: {
+      type: Map,
+      of: String,
+      default: () => new Map(),
+      select: false
     }
   });
 
-  // Pre-save hook to encrypt fields
+  if (blindIndexedFields.length) {
+    schema.add({
+      // Blind index tokens per field; HMACs only, never the value
+      _blindIndex: {
+        type: Map,
+        of: [String],
+        default: () => new Map(),
+        select: false
+      }
+    });
+    for (const field of blindIndexedFields) {
+      const path = `_blindIndex.${field}`;
+      if (uniqueFields.includes(field)) {
+        // Documents not yet migrated have no tokens and are left out of the constraint
+        schema.index({ [path]: 1 }, { unique: true, partialFilterExpression: { [path]: { $exists: true } } });
+      } else {
+        schema.index({ [path]: 1 });
+      }
+    }
+  }
+
+  // Fields this schema encrypts, for the key rotation job
+  schema.statics.getEncryptedFields = () => [...encryptedFields];
+
+  // Fields with a blind index, for the reindex job
+  schema.statics.getBlindIndexedFields = () => [...blindIndexedFields];
+
+  /**
+   * Blind index tokens stored for a value of a field
+   * @param {String} field - Blind-indexed field
+   * @param {*} value - Field value
+   * @returns {Array} Tokens
+   */
+  schema.statics.buildBlindIndexTokens = function(field, value) {
+    return blindIndex.buildTokens(field, value, blindIndexModes[field]);
+  };
+
+  /**
+   * Query condition matching a blind-indexed field. Prefix and contains matches
+   * are candidates, to be confirmed with matchesBlindIndexQuery after decryption.
+   * @param {String} field - Blind-indexed field
+   * @param {String} query - Search text
+   * @param {String} mode - 'exact', 'prefix' or 'contains'
+   * @returns {Object|null} Mongo condition, or null when the query has no searchable text
+   */
+  schema.statics.blindIndexFilter = function(field, query, mode = 'exact') {
+    const modes = blindIndexModes[field] || [];
+    const supported = mode === 'prefix' ? modes.includes('prefix') || modes.includes('contains') : modes.includes(mode);
+    if (!supported) {
+      throw new Error(`Field ${field} has no ${mode} blind index`);
+    }
+    const tokens = blindIndex.buildQueryTokens(field, query, mode);
+    return tokens && { [`_blindIndex.${field}`]: { $all: tokens } };
+  };
+
+  schema.statics.matchesBlindIndexQuery = (value, query, mode = 'exact') => blindIndex.matchesQuery(value, query, mode);
+
+  // Pre-save hook to encrypt fields and replace their values with the placeholder
   schema.pre('save', async function(next) {
+    for (const field of blindIndexedFields) {
+      if (!this.isModified(field)) continue;
+      try {
+        if (!this._blindIndex) this._blindIndex = new Map();
+        if (this[field] === undefined || this[field] === null) {
+          this._blindIndex.delete(field);
+        } else {
+          this._blindIndex.set(field, this.constructor.buildBlindIndexTokens(field, this[field]));
+        }
+      } catch (error) {
+        console.error(`Error indexing field ${field}:`, error);
+        return next(error);
+      }
+    }
+
+    const plaintext = {};
     for (const field of encryptedFields) {
       // Skip if field hasn't been modified
       if (!this.isModified(field)) continue;
 
-      // Skip if field value is undefined or null
-      if (this[field] === undefined || this[field] === null) continue;
+      // Ensure maps exist (in case this doc was created without defaults loaded)
+      for (const map of ENCRYPTION_MAPS) {
+        if (!this[map]) this[map] = new Map();
+      }
+
+      // A cleared field must not keep its old ciphertext, or the value would come back on the next read
+      if (this[field] === undefined || this[field] === null) {
+        ENCRYPTION_MAPS.forEach(map => this[map].delete(field));
+        continue;
+      }
 
       try {
         // Encrypt the field value
-        const { ciphertext, encryptedData, iv } = await pqcrypto.encryptData(this[field]);
-        
-        // Store encrypted data
-        // Ensure maps exist (in case this doc was created without defaults loaded)
-        if (!this._encrypted) this._encrypted = new Map();
-        if (!this._encryptedCiphers) this._encryptedCiphers = new Map();
-        if (!this._encryptedIVs) this._encryptedIVs = new Map();
+        const { ciphertext, encryptedData, iv, keyId } = await pqcrypto.encryptData(this[field], fieldContext(this, field));
 
+        // Store encrypted data
         this._encrypted.set(field, encryptedData);
         this._encryptedCiphers.set(field, ciphertext);
         this._encryptedIVs.set(field, iv);
-        
+        this._encryptedKeyIds.set(field, keyId);
       } catch (error) {
         console.error(`Error encrypting field ${field}:`, error);
         return next(error);
       }
+      plaintext[field] = this[field];
+    }
+
+    // Only persist the placeholder; post-save puts the cleartext back on this document
+    for (const field of Object.keys(plaintext)) {
+      this.set(field, PLACEHOLDER);
+      // The stored value already is the placeholder, so set() alone would drop the field from the update
+      this.markModified(field);
     }
+    this.$locals.pendingPlaintext = plaintext;
     next();
   });
 
+  const restorePlaintext = (doc) => {
+    const plaintext = doc.$locals.pendingPlaintext || {};
+    delete doc.$locals.pendingPlaintext;
+    for (const [field, value] of Object.entries(plaintext)) {
+      setInMemory(doc, field, value);
+    }
+  };
+
+  schema.post('save', function(doc) {
+    restorePlaintext(doc);
+  });
+
+  // Also restore after a failed save (e.g. a duplicate key), so the caller can retry with the same document
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
   // Always include encryption metadata when querying so decrypt methods can work
   // (These fields are still stripped out in toSafeJSON before returning responses.)
   schema.pre(/^find/, function(next) {
-    this.select('+_encrypted +_encryptedCiphers +_encryptedIVs');
+    this.select('+_encrypted +_encryptedCiphers +_encryptedIVs +_encryptedKeyIds');
+    next();
+  });
+
+  // Decrypt loaded documents in place, so callers read cleartext as if it had been stored.
+  // Lean results are plain objects and keep the placeholder.
+  schema.post(/^find/, async function(result) {
+    const docs = (Array.isArray(result) ? result : [result])
+      .filter(doc => doc && typeof doc.decryptField === 'function');
+
+    for (const doc of docs) {
+      for (const field of encryptedFields) {
+        const encryptedPackage = storedPackage(doc, field);
+        if (!encryptedPackage) continue;
+        try {
+          setInMemory(doc, field, await pqcrypto.decryptData(encryptedPackage, fieldContext(doc, field)));
+        } catch (error) {
+          // Leave the placeholder; decryptField throws if the value is needed
+          console.error(`Error decrypting field ${field} of ${doc._id}:`, error.message);
+        }
+      }
+    }
+  });
+
+  // Updates bypass the save hooks, so they may clear encrypted fields but never write cleartext
+  schema.pre(UPDATE_QUERIES, function(next) {
+    const update = this.getUpdate();
+    if (!update) return next();
+
+    const cleared = [];
+    for (const field of encryptedFields) {
+      for (const values of [update, update.$set, update.$setOnInsert]) {
+        if (!values || !(field in values)) continue;
+        if (values[field] !== null && values[field] !== undefined) {
+          return next(new Error(`${field} is encrypted; change it with save() rather than an update`));
+        }
+        cleared.push(field);
+      }
+      if (update.$unset && field in update.$unset) cleared.push(field);
+    }
+    if (!cleared.length) return next();
+
+    const $unset = { ...update.$unset };
+    for (const field of cleared) {
+      ENCRYPTION_MAPS.forEach(map => { $unset[`${map}.${field}`] = ''; });
+      if (blindIndexedFields.includes(field)) $unset[`_blindIndex.${field}`] = '';
+    }
+    this.setUpdate({ ...update, $unset });
     next();
   });
 
@@ -79,28 +297,20 @@ module.exports = function encryptionPlugin(schema, options = {}) {
     if (!encryptedFields.includes(field)) {
       throw new Error(`Field ${field} is not configured for encryption`);
     }
-    
+
+    // Already decrypted on load, or changed since
+    if (this.isModified(field) || this.$locals.decryptedFields?.has(field)) {
+      return this[field];
+    }
+
     // Check if encrypted data exists for this field
-    if (
-      !this._encrypted || typeof this._encrypted.get !== 'function' ||
-      !this._encryptedCiphers || typeof this._encryptedCiphers.get !== 'function' ||
-      !this._encryptedIVs || typeof this._encryptedIVs.get !== 'function' ||
-      !this._encrypted.get(field) ||
-      !this._encryptedCiphers.get(field) ||
-      !this._encryptedIVs.get(field)
-    ) {
+    const encryptedPackage = storedPackage(this, field);
+    if (!encryptedPackage) {
       return this[field]; // Return original value if not encrypted
     }
     
     try {
-      // Decrypt the field
-      const encryptedPackage = {
-        encryptedData: this._encrypted.get(field),
-        ciphertext: this._encryptedCiphers.get(field),
-        iv: this._encryptedIVs.get(field)
-      };
-      
-      return await pqcrypto.decryptData(encryptedPackage);
+      return await pqcrypto.decryptData(encryptedPackage, fieldContext(this, field));
     } catch (error) {
       console.error(`Error decrypting field ${field}:`, error);
       throw error;
@@ -123,4 +333,8 @@ module.exports = function encryptionPlugin(schema, options = {}) {
     
     return decrypted;
   };
-};
\ No newline at end of file
+}
+
+encryptionPlugin.PLACEHOLDER = PLACEHOLDER;
+
+module.exports = encryptionPlugin;
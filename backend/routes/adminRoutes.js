@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const { reconcileBatches, reportToCsv } = require('../services/reconciliation');
+const { syncBatchFromChain } = require('../services/batchSync');
+const { correctBatch, BatchCorrectionError } = require('../services/batchCorrection');
+const { getSystemHealth } = require('../services/systemHealth');
+const { revokeAllSessions } = require('../services/sessions');
+const { sameAddress, toOnchainBatchId } = require('../utils/blockchain');
+const {
+  splitList,
+  getAccreditation,
+  listAccreditations,
+  accreditCertifier,
+  revokeCertifier
+} = require('../services/accreditation');
+
+// Send a reconciliation report as JSON or as a CSV download
+const sendReport = (req, res, report) => {
+  if (req.query.format === 'csv') {
+    const stamp = report.generatedAt.replace(/[:.]/g, '-');
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="reconciliation-${stamp}.csv"`);
+    return res.status(200).send(reportToCsv(report));
+  }
+  res.status(200).json(report);
+};
+
+// Compare every batch with the chain without changing anything
+router.get('/reconciliation', auth, admin, async (req, res) => {
+  try {
+    const report = await reconcileBatches({ repair: false });
+    sendReport(req, res, report);
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Compare every batch with the chain and repair MongoDB from it
+router.post('/reconciliation/repair', auth, admin, async (req, res) => {
+  try {
+    const report = await reconcileBatches({ repair: true });
+    sendReport(req, res, report);
+  } catch (error) {
+    console.error('Error repairing batches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Database, chain and indexer status
+router.get('/health', auth, admin, async (req, res) => {
+  try {
+    const health = await getSystemHealth();
+    res.status(200).json(health);
+  } catch (error) {
+    console.error('Error checking system health:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List users, optionally filtered by role or suspension
+router.get('/users', auth, admin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role) query.role = req.query.role;
+    if (req.query.suspended !== undefined) query.suspended = req.query.suspended === 'true';
+
+    const users = await User.find(query).sort({ registrationDate: -1 });
+    const safeUsers = await Promise.all(users.map(user => user.toSafeJSON()));
+
+    res.status(200).json(safeUsers);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user; their tokens stop working immediately
+router.put('/users/:id/suspend', auth, admin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(user._id) === String(req.user.id) || sameAddress(user.walletAddress, req.user.walletAddress)) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+    if (user.suspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedBy = req.user.walletAddress;
+    user.suspensionReason = req.body.reason;
+    await user.save();
+    await revokeAllSessions(user._id, { reason: 'suspended' });
+
+    res.status(200).json({ message: 'User suspended', user: await user.toSafeJSON() });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reinstate a suspended user
+router.put('/users/:id/reinstate', auth, admin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.suspended) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedBy = undefined;
+    user.suspensionReason = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'User reinstated', user: await user.toSafeJSON() });
+  } catch (error) {
+    console.error('Error reinstating user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Overwrite fields of a batch record; every change is kept in batch.corrections
+router.patch('/batches/:batchId', auth, admin, async (req, res) => {
+  try {
+    const { updates, reason } = req.body;
+    const { batch, corrected } = await correctBatch(req.params.batchId, updates, {
+      reason,
+      admin: req.user.walletAddress
+    });
+
+    res.status(200).json({
+      message: corrected.length ? `Corrected ${corrected.join(', ')}` : 'Nothing to correct',
+      corrected,
+      batch: await batch.toSafeJSON()
+    });
+  } catch (error) {
+    if (error instanceof BatchCorrectionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error correcting batch:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rebuild a batch record from the chain
+router.post('/batches/:batchId/resync', auth, admin, async (req, res) => {
+  try {
+    const { batch, changed, removed } = await syncBatchFromChain(toOnchainBatchId(req.params.batchId), {
+      batchIdString: req.params.batchId
+    });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found on-chain' });
+    }
+
+    res.status(200).json({
+      message: removed ? 'Batch no longer exists on-chain and was removed' : 'Batch synced from chain',
+      changed,
+      removed,
+      batch: removed ? null : await batch.toSafeJSON()
+    });
+  } catch (error) {
+    console.error('Error resyncing batch:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Registry calls revert with a readable reason for invalid requests
+const handleRegistryError = (res, error, logMessage) => {
+  if (error.code === 'CALL_EXCEPTION' && error.reason) {
+    return res.status(400).json({ message: error.reason });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+// List accredited certifiers, including expired and revoked ones
+router.get('/certifiers', auth, admin, async (req, res) => {
+  try {
+    const certifiers = await listAccreditations();
+    res.status(200).json(certifiers);
+  } catch (error) {
+    handleRegistryError(res, error, 'Error fetching accreditations:');
+  }
+});
+
+// Get a certifier's accreditation
+router.get('/certifiers/:walletAddress', auth, admin, async (req, res) => {
+  try {
+    if (!ethers.utils.isAddress(req.params.walletAddress)) {
+      return res.status(400).json({ message: 'Invalid wallet address' });
+    }
+    const accreditation = await getAccreditation(req.params.walletAddress);
+    res.status(200).json(accreditation);
+  } catch (error) {
+    handleRegistryError(res, error, 'Error fetching accreditation:');
+  }
+});
+
+// Accredit a certifier or replace their scope and expiry
+router.put('/certifiers/:walletAddress', auth, admin, async (req, res) => {
+  try {
+    const { cropTypes, regions, standards, validUntil } = req.body;
+
+    if (!ethers.utils.isAddress(req.params.walletAddress)) {
+      return res.status(400).json({ message: 'Invalid wallet address' });
+    }
+    if (!splitList(standards).length) {
+      return res.status(400).json({ message: 'At least one standard is required' });
+    }
+    const expiry = new Date(validUntil);
+    if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+      return res.status(400).json({ message: 'validUntil must be a future date' });
+    }
+
+    const result = await accreditCertifier(req.params.walletAddress, {
+      cropTypes,
+      regions,
+      standards,
+      validUntil: expiry
+    });
+    res.status(200).json({ message: 'Certifier accredited', ...result });
+  } catch (error) {
+    handleRegistryError(res, error, 'Error accrediting certifier:');
+  }
+});
+
+// Revoke a certifier's accreditation
+router.delete('/certifiers/:walletAddress', auth, admin, async (req, res) => {
+  try {
+    if (!ethers.utils.isAddress(req.params.walletAddress)) {
+      return res.status(400).json({ message: 'Invalid wallet address' });
+    }
+    const current = await getAccreditation(req.params.walletAddress);
+    if (current.status === 'NONE' || current.status === 'REVOKED') {
+      return res.status(400).json({ message: 'Certifier not accredited' });
+    }
+    const result = await revokeCertifier(req.params.walletAddress);
+    res.status(200).json({ message: 'Accreditation revoked', ...result });
+  } catch (error) {
+    handleRegistryError(res, error, 'Error revoking accreditation:');
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,72 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const pqcrypto = require('../utils/pqcrypto');
+const auth = require('../middleware/auth');
+const { isAdminWallet } = require('../middleware/admin');
+const { issueChallenge, verifyChallenge, WalletAuthError } = require('../services/walletAuth');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  SessionError
+} = require('../services/sessions');
+const { parsePublicKey, registerRequestKey, RequestSigningError } = require('../services/requestSigning');
+const {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  AccountRecoveryError
+} = require('../services/accountRecovery');
+const { actingWallet, AuthorizationError } = require('../services/authorization');
+const { isValidEmail } = require('../services/mail');
+const rateLimit = require('../middleware/rateLimit');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Email links are guessable only by brute force, and every email sent costs the recipient's attention
+const tokenLimit = rateLimit({ windowMs: FIFTEEN_MINUTES, max: 10 });
+const forgotPasswordLimit = rateLimit({ windowMs: FIFTEEN_MINUTES, max: 5 });
+const forgotPasswordPerEmailLimit = rateLimit({
+  windowMs: ONE_HOUR,
+  max: 3,
+  key: (req) => `email:${String(req.body.email || '').trim().toLowerCase()}`
+});
+const perUserLimit = (max, windowMs) => rateLimit({ windowMs, max, key: (req) => `user:${req.user.id}` });
+
+// Client request-signing key sent with a sign-in, checked before anything is written
+const readRequestKey = (req) => (req.body.pqcPublicKey ? parsePublicKey(req.body.pqcPublicKey) : null);
+
+// Register the client's request-signing key, then start a session:
+// a short-lived access token plus a rotating refresh token
+const startSession = async (user, req, requestKey) => {
+  const pqcKeyId = requestKey ? await registerRequestKey(user._id, requestKey) : undefined;
+  return { ...(await createSession(user, req, { pqcKeyId })), pqcKeyId };
+};
 
 // Register a new user
 router.post('/register', async (req, res) => {
   try {
     const { username, email, password, walletAddress, role, name, userId, location, company } = req.body;
+    const requestKey = readRequestKey(req);
     
-    // Check if user already exists
+    // The address ends up in mail headers, so only a single plain address is accepted
+    if (!isValidEmail(String(email || '').trim())) {
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
+    
+    // Admin accounts can only be bootstrapped from the configured wallets
+    if (role === 'admin' && !isAdminWallet(walletAddress)) {
+      return res.status(403).json({ message: 'Admin accounts can only be registered from a wallet listed in ADMIN_WALLETS' });
+    }
+    
+    // Check if user already exists; email is encrypted, so it is matched through its blind index
     const existingUser = await User.findOne({ 
-      $or: [{ email }, { walletAddress }, { username }, { userId }] 
+      $or: [User.blindIndexFilter('email', email), { walletAddress }, { username }, { userId }].filter(Boolean)
     });
     
     if (existingUser) {
@@ -39,27 +94,23 @@ router.post('/register', async (req, res) => {
     const newUser = new User(userData);
     await newUser.save();
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser._id, role: newUser.role, walletAddress: newUser.walletAddress },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-    
-    // Sign the token with PQC if enabled
-    let pqcSignature;
-    if (process.env.ENABLE_PQC_SIGNATURES === 'true') {
-      const signedPackage = await pqcrypto.signData(token);
-      pqcSignature = signedPackage.signature;
+    // The account works without verification, so a mail failure must not fail registration
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Could not send verification email:', mailError);
     }
     
+    const { token, refreshToken, pqcKeyId } = await startSession(newUser, req, requestKey);
+    
     // Get user data with decrypted fields
     const safeUser = await newUser.toSafeJSON();
     
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      pqcSignature,
+      refreshToken,
+      pqcKeyId,
       user: {
         id: safeUser._id,
         username: safeUser.username,
@@ -68,10 +119,20 @@ router.post('/register', async (req, res) => {
         role: safeUser.role,
         name: safeUser.name,
         location: safeUser.location,
-        company: safeUser.company
+        company: safeUser.company,
+        emailVerified: safeUser.emailVerified
       }
     });
   } catch (error) {
+    if (error instanceof RequestSigningError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // Lost a race with a concurrent registration on one of the unique fields
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        message: 'User already exists with that email, username, wallet address, or user ID' 
+      });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
   }
@@ -81,6 +142,7 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
+    const requestKey = readRequestKey(req);
     
     // Find user
     const user = await User.findOne({ username });
@@ -94,102 +156,237 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role, walletAddress: user.walletAddress },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-    
-    // Sign the token with PQC if enabled
-    let pqcSignature;
-    if (process.env.ENABLE_PQC_SIGNATURES === 'true') {
-      const signedPackage = await pqcrypto.signData(token);
-      pqcSignature = signedPackage.signature;
+    if (user.suspended) {
+      return res.status(403).json({ message: 'Account suspended' });
     }
     
+    const { token, refreshToken, pqcKeyId } = await startSession(user, req, requestKey);
+    
     // Get user data with decrypted fields
     const safeUser = await user.toSafeJSON();
     
     res.status(200).json({
       message: 'Login successful',
       token,
-      pqcSignature,
+      refreshToken,
+      pqcKeyId,
       user: {
         id: safeUser._id,
         username: safeUser.username,
         email: safeUser.email,
         walletAddress: user.walletAddress,
         role: user.role,
-        name: user.name
+        name: user.name,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
+    if (error instanceof RequestSigningError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
-// Verify wallet address
-router.post('/verify-wallet', async (req, res) => {
+// Issue a Sign-In-With-Ethereum challenge for a registered wallet
+router.post('/nonce', async (req, res) => {
+  try {
+    const { walletAddress, chainId } = req.body;
+    res.status(200).json(await issueChallenge({ walletAddress, chainId }));
+  } catch (error) {
+    if (error instanceof WalletAuthError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Sign-in challenge error:', error);
+    res.status(500).json({ message: 'Server error while creating the sign-in request' });
+  }
+});
+
+// Sign in with a wallet signature over a challenge from /nonce
+router.post('/wallet-login', async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, nonce, signature } = req.body;
+    const requestKey = readRequestKey(req);
     
-    const user = await User.findOne({ walletAddress });
-    if (!user) {
-      return res.status(404).json({ message: 'Wallet not registered' });
+    const user = await verifyChallenge({ walletAddress, nonce, signature });
+    
+    if (user.suspended) {
+      return res.status(403).json({ message: 'Account suspended' });
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role, walletAddress: user.walletAddress },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    const { token, refreshToken, pqcKeyId } = await startSession(user, req, requestKey);
     
     res.status(200).json({
       message: 'Wallet verified',
       token,
+      refreshToken,
+      pqcKeyId,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         walletAddress: user.walletAddress,
         role: user.role,
-        name: user.name
+        name: user.name,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
-    console.error('Wallet verification error:', error);
-    res.status(500).json({ message: 'Server error during wallet verification' });
+    if (error instanceof WalletAuthError || error instanceof RequestSigningError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Wallet sign-in error:', error);
+    res.status(500).json({ message: 'Server error during wallet sign-in' });
   }
 });
 
-// Delete user account
-router.delete('/delete', async (req, res) => {
+const handleSessionError = (res, error, logMessage) => {
+  if (error instanceof SessionError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Exchange a refresh token for a new access token; the refresh token is replaced too
+router.post('/refresh', async (req, res) => {
   try {
-    const { walletAddress } = req.body;
-    
-    if (!walletAddress) {
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken, req);
+    res.status(200).json({ token, refreshToken });
+  } catch (error) {
+    handleSessionError(res, error, 'Token refresh error:');
+  }
+});
+
+// Sign out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.user.sid, 'logout');
+    res.status(200).json({ message: 'Signed out' });
+  } catch (error) {
+    handleSessionError(res, error, 'Logout error:');
+  }
+});
+
+// List the signed-in devices of the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    res.status(200).json(await listSessions(req.user.id, req.user.sid));
+  } catch (error) {
+    handleSessionError(res, error, 'Error listing sessions:');
+  }
+});
+
+// Revoke every session, or every other session with ?keepCurrent=true
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await revokeAllSessions(req.user.id, { exceptSessionId: keepCurrent ? req.user.sid : undefined });
+    res.status(200).json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    handleSessionError(res, error, 'Error revoking sessions:');
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.params.sessionId);
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (error) {
+    handleSessionError(res, error, 'Error revoking session:');
+  }
+});
+
+const handleRecoveryError = (res, error, logMessage) => {
+  if (error instanceof AccountRecoveryError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', tokenLimit, async (req, res) => {
+  try {
+    await verifyEmail(req.body.token);
+    res.status(200).json({ message: 'Email address verified' });
+  } catch (error) {
+    handleRecoveryError(res, error, 'Email verification error:');
+  }
+});
+
+// Send the verification email again
+router.post('/verify-email/resend', auth, perUserLimit(3, ONE_HOUR), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const sent = await sendVerificationEmail(user);
+    res.status(200).json({ message: sent ? 'Verification email sent' : 'Email address is already verified' });
+  } catch (error) {
+    handleRecoveryError(res, error, 'Error resending verification email:');
+  }
+});
+
+// Email a password reset link; the answer is the same whether or not the address has an account
+router.post('/forgot-password', forgotPasswordLimit, forgotPasswordPerEmailLimit, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.status(200).json({ message: 'If an account uses that email address, a reset link is on its way' });
+  } catch (error) {
+    handleRecoveryError(res, error, 'Password reset request error:');
+  }
+});
+
+// Choose a new password with the token from the reset email; signs out every session
+router.post('/reset-password', tokenLimit, async (req, res) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+    res.status(200).json({ message: 'Password reset; sign in with your new password' });
+  } catch (error) {
+    handleRecoveryError(res, error, 'Password reset error:');
+  }
+});
+
+// Change the password of the signed-in user; signs out their other sessions
+router.put('/password', auth, perUserLimit(5, FIFTEEN_MINUTES), async (req, res) => {
+  try {
+    await changePassword(req.user.id, req.user.sid, req.body);
+    res.status(200).json({ message: 'Password changed; your other devices have been signed out' });
+  } catch (error) {
+    handleRecoveryError(res, error, 'Password change error:');
+  }
+});
+
+// Delete the caller's own account; the wallet address in the body confirms which one
+router.delete('/delete', auth, async (req, res) => {
+  try {
+    if (!req.body.walletAddress) {
       return res.status(400).json({ message: 'Wallet address is required' });
     }
+    const walletAddress = actingWallet(req, req.body.walletAddress);
     
-    const user = await User.findOne({ walletAddress });
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
     // Remove user
     await User.findByIdAndDelete(user._id);
-    // Optionally scrub batch ownerships when farmer is deleted
+    await revokeAllSessions(user._id, { reason: 'account' });
+    // Optionally scrub batch ownerships when farmer is deleted; statuses mirror the chain
+    // and only change through lifecycle transitions, so they are left as they are
     try {
       const Batch = require('../models/Batch');
       if (user.role === 'farmer') {
         await Batch.updateMany({ farmer: walletAddress }, { $set: { farmer: null } });
       } else if (user.role === 'certifier') {
-        await Batch.updateMany({ certifier: walletAddress }, { $set: { certifier: null, status: 'CREATED', certifiedAt: null, cropHealth: null, labResults: null, expiry: null } });
+        await Batch.updateMany({ certifier: walletAddress }, { $set: { certifier: null } });
       } else if (user.role === 'retailer') {
-        await Batch.updateMany({ retailer: walletAddress }, { $set: { retailer: null, status: 'CERTIFIED', purchasedAt: null } });
+        await Batch.updateMany({ retailer: walletAddress }, { $set: { retailer: null } });
       }
     } catch (cleanupErr) {
       console.error('Cleanup after account deletion failed:', cleanupErr);
@@ -199,6 +396,9 @@ router.delete('/delete', async (req, res) => {
       message: 'Account deleted successfully'
     });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Account deletion error:', error);
     res.status(500).json({ message: 'Server error during account deletion' });
   }
@@ -1,9 +1,56 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const router = express.Router();
 const Batch = require('../models/Batch');
-const User = require('../models/User');
+const Inspection = require('../models/Inspection');
 const auth = require('../middleware/auth');
 const pqcrypto = require('../utils/pqcrypto');
+const {
+  getInspectionRegistryContract,
+  isValidBatchId,
+  readChainEscrow,
+  readPaymentToken,
+  sameAddress,
+  toOnchainBatchId,
+  walletQuery
+} = require('../utils/blockchain');
+const { verifyBatchTransaction, TransactionVerificationError } = require('../utils/transactionVerifier');
+const { recordCropLists, syncBatchFromChain, syncBatchLineage } = require('../services/batchSync');
+const { prepareInspection, InspectionError } = require('../services/inspections');
+const { buildTrace } = require('../services/traceability');
+const { actingWallet, authorizeRole, authorizeBatch, AuthorizationError } = require('../services/authorization');
+const { RecallError, recordRecall, buildRecallReport, recallReportToCsv } = require('../services/recalls');
+const { notifyBatchEvent } = require('../services/notifications');
+const { RECALL_REASONS, getTransition, isExpired, nextStatus, statusesFor } = require('../utils/batchLifecycle');
+// How many generations of lineage to return
+const LINEAGE_DEPTH = 10;
+// Event each escrow action must emit on-chain
+const ESCROW_ACTION_EVENTS = {
+  confirm: 'EscrowReleased',
+  release: 'EscrowReleased',
+  dispute: 'EscrowDisputed',
+  refund: 'EscrowRefunded'
+};
+
+// Attach a verified transaction to the latest history entry for an action
+const recordTransaction = (batch, action, verified) => {
+  if (!verified) return;
+  const entry = [...batch.history].reverse().find(item => item.action === action);
+  if (entry && !entry.transactionHash) {
+    entry.transactionHash = verified.transactionHash;
+    entry.blockNumber = verified.blockNumber;
+  }
+};
+
+// Respond with the verifier's or policy's status code, or fall back to a generic server error
+const handleRouteError = (res, error, logMessage) => {
+  if (error instanceof TransactionVerificationError || error instanceof InspectionError ||
+      error instanceof AuthorizationError || error instanceof RecallError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({ message: 'Server error' });
+};
 
 // Get all batches
 router.get('/', async (req, res) => {
@@ -24,18 +71,50 @@ router.get('/', async (req, res) => {
 
 
 // Create new batch
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorizeRole('create'), async (req, res) => {
   try {
-    const { batchId, cropName, cropVariety, location, harvestDate, farmer, price, transactionHash } = req.body;
+    const {
+      batchId, cropName, cropVariety, location, harvestDate,
+      price, quantity, unit, paymentToken, transactionHash
+    } = req.body;
+    const farmer = actingWallet(req, req.body.farmer);
+    
+    // The on-chain key is the hash of the exact string, so " B1" and "B1" would be different batches
+    if (!isValidBatchId(batchId)) {
+      return res.status(400).json({ message: 'Batch ID is required and cannot start or end with whitespace' });
+    }
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0 || !unit) {
+      return res.status(400).json({ message: 'A positive whole quantity and a unit are required' });
+    }
+    
+    // Make sure the batch was really created on-chain by this farmer
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchCreated',
+      batchId,
+      sender: farmer
+    });
     
-    // Verify user is a farmer
-    if (req.user.role !== 'farmer') {
-      return res.status(403).json({ message: 'Not authorized' });
+    // Symbol and decimals come from the token contract itself
+    let payment;
+    try {
+      payment = await readPaymentToken(paymentToken);
+    } catch (error) {
+      return res.status(400).json({ message: 'Payment token is not a readable ERC-20 contract' });
     }
     
     // Check if batch already exists
     const existingBatch = await Batch.findOne({ batchId: String(batchId) });
     if (existingBatch) {
+      // The chain indexer may have recorded this batch before the browser called us
+      if (sameAddress(existingBatch.farmer, farmer)) {
+        recordTransaction(existingBatch, getTransition('create').history, verified);
+        await existingBatch.save();
+        return res.status(200).json({
+          message: 'Batch already recorded',
+          batch: await existingBatch.toSafeJSON()
+        });
+      }
       return res.status(400).json({ message: 'Batch already exists' });
     }
     
@@ -44,7 +123,9 @@ router.post('/', auth, async (req, res) => {
       from: '0x0000000000000000000000000000000000000000',
       to: farmer,
       timestamp: new Date(),
-      action: 'CREATED'
+      action: getTransition('create').history,
+      transactionHash: verified?.transactionHash,
+      blockNumber: verified?.blockNumber
     }];
     
     // Create new batch
@@ -55,19 +136,22 @@ router.post('/', auth, async (req, res) => {
       location,
       harvestDate: new Date(harvestDate),
       farmer,
+      custodian: farmer,
       price: Number(price),
+      ...payment,
+      quantity: Number(quantity),
+      unit,
       history,
-      status: 'CREATED'
+      status: nextStatus('create')
     });
     
     await newBatch.save();
     
     // Update farmer's registered crops
-    const farmer_user = await User.findOne({ walletAddress: farmer });
-    if (farmer_user) {
-      farmer_user.registeredCrops.push(String(batchId));
-      await farmer_user.save();
-    }
+    await recordCropLists('create', { farmer }, batchId);
+    
+    // Let certifiers know the batch is waiting for them
+    await notifyBatchEvent('BatchCreated', newBatch, { transactionHash: verified?.transactionHash });
     
     // Get safe batch data with decrypted fields
     const safeBatch = await newBatch.toSafeJSON();
@@ -77,82 +161,97 @@ router.post('/', auth, async (req, res) => {
       batch: safeBatch
     });
   } catch (error) {
-    console.error('Error creating batch:', error);
-    res.status(500).json({ message: 'Server error' });
+    handleRouteError(res, error, 'Error creating batch:');
   }
 });
 
 // Certify batch
-router.put('/:batchId/certify', auth, async (req, res) => {
+router.put('/:batchId/certify', auth, authorizeRole('certify'), async (req, res) => {
   try {
-    const { certifier, cropHealth, expiry, labResults, transactionHash } = req.body;
+    const { cropHealth, expiry, labResults, standard, notes, transactionHash } = req.body;
+    const certifier = actingWallet(req, req.body.certifier);
+    const action = labResults ? 'certify' : 'reject';
     
-    // Verify user is a certifier
-    if (req.user.role !== 'certifier') {
-      return res.status(403).json({ message: 'Not authorized' });
+    // AgriChain refuses to certify a batch that would already be expired
+    if (labResults && !(new Date(expiry).getTime() > Date.now())) {
+      return res.status(400).json({ message: 'Expiry must be a future date' });
     }
     
+    // Make sure the certification happened on-chain with the same outcome
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchCertified',
+      batchId: req.params.batchId,
+      sender: certifier,
+      expect: { passed: Boolean(labResults) }
+    });
+    
     // Find batch
     const batch = await Batch.findOne({ batchId: req.params.batchId });
     if (!batch) {
       return res.status(404).json({ message: 'Batch not found' });
     }
     
-    // Check if batch is in correct state
-    if (batch.status !== 'CREATED') {
-      return res.status(400).json({ message: 'Batch cannot be certified' });
+    // Already applied by the chain indexer
+    if (batch.status === getTransition(action).to && sameAddress(batch.certifier, certifier)) {
+      recordTransaction(batch, getTransition(action).history, verified);
+      await batch.save();
+      return res.status(200).json({ message: 'Certification already recorded', batch });
     }
+    authorizeBatch(req, action, batch);
     
     // Update batch
     batch.certifier = certifier;
     batch.cropHealth = cropHealth;
     batch.expiry = new Date(expiry);
     batch.labResults = labResults;
+    batch.certificationStandard = standard;
+    batch.certificationNotes = notes;
     batch.certifiedAt = new Date();
-    batch.status = labResults ? 'CERTIFIED' : 'REJECTED';
+    batch.status = nextStatus(action, batch.status);
     
     // Add to history
     batch.history.push({
       from: batch.farmer,
       to: certifier,
       timestamp: new Date(),
-      action: labResults ? 'CERTIFIED' : 'REJECTED'
+      action: getTransition(action).history,
+      transactionHash: verified?.transactionHash,
+      blockNumber: verified?.blockNumber
     });
     
     await batch.save();
     
     // Update certifier's certified/rejected crops
-      if (labResults) {
-      await User.findOneAndUpdate(
-        { walletAddress: certifier },
-          { $addToSet: { certifiedCrops: String(batch.batchId) } }
-      );
-    } else {
-      await User.findOneAndUpdate(
-        { walletAddress: certifier },
-          { $addToSet: { rejectedCrops: String(batch.batchId) } }
-      );
-    }
+    await recordCropLists(action, { certifier }, batch.batchId);
+    
+    await notifyBatchEvent('BatchCertified', batch, {
+      args: { certifier, passed: Boolean(labResults) },
+      transactionHash: verified?.transactionHash
+    });
     
     res.status(200).json({
       message: labResults ? 'Batch certified successfully' : 'Batch rejected',
       batch
     });
   } catch (error) {
-    console.error('Error certifying batch:', error);
-    res.status(500).json({ message: 'Server error' });
+    handleRouteError(res, error, 'Error certifying batch:');
   }
 });
 
 // Purchase batch
-router.put('/:batchId/purchase', auth, async (req, res) => {
+router.put('/:batchId/purchase', auth, authorizeRole('purchase'), async (req, res) => {
   try {
-    const { retailer, transactionHash } = req.body;
-    
-    // Verify user is a retailer
-    if (req.user.role !== 'retailer') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    const { transactionHash } = req.body;
+    const retailer = actingWallet(req, req.body.retailer);
+    
+    // Make sure the purchase was paid on-chain by this retailer
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchPurchased',
+      batchId: req.params.batchId,
+      sender: retailer
+    });
     
     // Find batch
     const batch = await Batch.findOne({ batchId: req.params.batchId });
@@ -160,64 +259,317 @@ router.put('/:batchId/purchase', auth, async (req, res) => {
       return res.status(404).json({ message: 'Batch not found' });
     }
     
-    // Check if batch is in correct state
-    if (batch.status !== 'CERTIFIED') {
-      return res.status(400).json({ message: 'Batch cannot be purchased' });
+    // Already applied by the chain indexer
+    if (batch.status === getTransition('purchase').to && sameAddress(batch.retailer, retailer)) {
+      recordTransaction(batch, getTransition('purchase').history, verified);
+      await batch.save();
+      return res.status(200).json({ message: 'Purchase already recorded', batch });
+    }
+    authorizeBatch(req, 'purchase', batch);
+    if (isExpired(batch)) {
+      return res.status(400).json({ message: 'Batch has expired' });
     }
     
     // Update batch
+    const seller = batch.custodian || batch.farmer;
     batch.retailer = retailer;
-    batch.status = 'PURCHASED';
+    batch.custodian = retailer;
+    batch.status = nextStatus('purchase', batch.status);
     batch.purchasedAt = new Date();
     
+    // The payment is held on-chain until delivery is confirmed
+    if (verified) {
+      batch.escrow = await readChainEscrow(toOnchainBatchId(batch.batchId), {
+        decimals: batch.paymentDecimals
+      });
+    }
+    
     // Add to history
     batch.history.push({
-      from: batch.farmer,
+      from: seller,
       to: retailer,
       timestamp: new Date(),
-      action: 'PURCHASED'
+      action: getTransition('purchase').history,
+      transactionHash: verified?.transactionHash,
+      blockNumber: verified?.blockNumber
     });
     
     await batch.save();
     
     // Update retailer's purchased crops
-    await User.findOneAndUpdate(
-      { walletAddress: retailer },
-      { $addToSet: { purchasedCrops: String(batch.batchId) } }
-    );
+    await recordCropLists('purchase', { retailer }, batch.batchId);
+    
+    await notifyBatchEvent('BatchPurchased', batch, { args: { retailer }, transactionHash: verified?.transactionHash });
     
     res.status(200).json({
       message: 'Batch purchased successfully',
       batch
     });
   } catch (error) {
-    console.error('Error purchasing batch:', error);
-    res.status(500).json({ message: 'Server error' });
+    handleRouteError(res, error, 'Error purchasing batch:');
   }
 });
 
-// Search batches
-router.get('/search/:query', async (req, res) => {
+// Confirm delivery, dispute, release or refund the escrowed payment of a batch
+router.put('/:batchId/escrow', auth, async (req, res) => {
   try {
-    const query = req.params.query;
+    const { action, transactionHash } = req.body;
+    const wallet = actingWallet(req, req.body.wallet);
     
-    // If query is a number, search by batchId
-    if (!isNaN(query)) {
-      const batch = await Batch.findOne({ batchId: String(query) });
-      if (batch) {
-        return res.status(200).json([batch]);
-      }
+    const event = ESCROW_ACTION_EVENTS[action];
+    if (!event) {
+      return res.status(400).json({ message: 'Unknown escrow action' });
     }
     
-    // Otherwise search by crop name or variety
-    const batches = await Batch.find({
-      $or: [
-        { cropName: { $regex: query, $options: 'i' } },
-        { cropVariety: { $regex: query, $options: 'i' } },
-        { location: { $regex: query, $options: 'i' } }
-      ]
-    }).sort({ createdAt: -1 });
+    // Only the buyer can confirm or dispute; the contract enforces the other parties
+    const current = await Batch.findOne({ batchId: req.params.batchId });
+    if (!current) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    authorizeBatch(req, `escrow:${action}`, current);
+    
+    // Make sure the escrow action happened on-chain from this wallet
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event,
+      batchId: req.params.batchId,
+      sender: wallet
+    });
+    
+    // Escrow state and amounts are copied from the chain
+    const { batch } = await syncBatchFromChain(toOnchainBatchId(req.params.batchId));
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    await notifyBatchEvent(event, batch, { actor: wallet, transactionHash: verified?.transactionHash });
+    
+    res.status(200).json({
+      message: 'Escrow updated successfully',
+      batch,
+      transactionHash: verified?.transactionHash
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating escrow:');
+  }
+});
+
+// Transfer custody to an aggregator, processor, distributor or transporter
+router.put('/:batchId/transfer', auth, authorizeRole('transfer'), async (req, res) => {
+  try {
+    const { to, transactionHash } = req.body;
+    const from = actingWallet(req, req.body.from);
+    
+    if (!to) {
+      return res.status(400).json({ message: 'Recipient wallet is required' });
+    }
+    if (!ethers.utils.isAddress(to)) {
+      return res.status(400).json({ message: 'Invalid wallet address' });
+    }
+    
+    // Make sure the token really moved on-chain between these wallets
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'CustodyTransferred',
+      batchId: req.params.batchId,
+      sender: from,
+      expect: { to }
+    });
+    
+    // Find batch
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    // Already applied by the chain indexer
+    const custodian = batch.custodian || batch.farmer;
+    if (!sameAddress(custodian, from) && sameAddress(custodian, to)) {
+      recordTransaction(batch, getTransition('transfer').history, verified);
+      await batch.save();
+      return res.status(200).json({ message: 'Transfer already recorded', batch });
+    }
+    authorizeBatch(req, 'transfer', batch);
+    
+    // Update batch
+    batch.custodian = to;
+    
+    // Add to history
+    batch.history.push({
+      from,
+      to,
+      timestamp: new Date(),
+      action: getTransition('transfer').history,
+      transactionHash: verified?.transactionHash,
+      blockNumber: verified?.blockNumber
+    });
+    
+    await batch.save();
+    
+    // Update the recipient's handled crops
+    await recordCropLists('transfer', { recipient: to }, batch.batchId);
+    
+    await notifyBatchEvent('CustodyTransferred', batch, { args: { from, to }, transactionHash: verified?.transactionHash });
+    
+    res.status(200).json({
+      message: 'Custody transferred successfully',
+      batch
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error transferring batch:');
+  }
+});
+
+// Split a batch into smaller lots
+router.post('/:batchId/split', auth, authorizeRole('split'), async (req, res) => {
+  try {
+    const { transactionHash } = req.body;
+    const holder = actingWallet(req, req.body.holder);
+    
+    // Splitting does not move the parent lot, so its holder is still the caller
+    const parent = await Batch.findOne({ batchId: req.params.batchId });
+    if (parent) {
+      authorizeBatch(req, 'split', parent);
+    }
     
+    // Make sure the split happened on-chain by this holder
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchSplit',
+      batchId: req.params.batchId,
+      sender: holder
+    });
+    
+    // Quantities, prices and child lots are copied from the chain
+    const batch = await syncBatchLineage(toOnchainBatchId(req.params.batchId));
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    recordTransaction(batch, getTransition('split').history, verified);
+    await batch.save();
+    
+    res.status(200).json({
+      message: 'Batch split successfully',
+      batch
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error splitting batch:');
+  }
+});
+
+// Merge several batches into a new lot
+router.post('/merge', auth, authorizeRole('merge'), async (req, res) => {
+  try {
+    const { batchId, transactionHash } = req.body;
+    const holder = actingWallet(req, req.body.holder);
+    
+    if (!isValidBatchId(batchId)) {
+      return res.status(400).json({ message: 'Merged batch ID is required and cannot start or end with whitespace' });
+    }
+    
+    // Make sure the merge happened on-chain by this holder
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchMerged',
+      batchId,
+      sender: holder
+    });
+    
+    // The merged lot and its consumed parents are copied from the chain
+    const batch = await syncBatchLineage(toOnchainBatchId(batchId));
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    // The merged lot's history starts with its own creation entry
+    recordTransaction(batch, getTransition('create').history, verified);
+    await batch.save();
+    
+    // A merged lot is certified afresh
+    await notifyBatchEvent('BatchCreated', batch, { actor: holder, transactionHash: verified?.transactionHash });
+    
+    res.status(201).json({
+      message: 'Batches merged successfully',
+      batch
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error merging batches:');
+  }
+});
+
+// Recall a batch and every lot derived from it, and email the retailers holding stock
+router.post('/:batchId/recall', auth, authorizeRole('recall'), async (req, res) => {
+  try {
+    const { reason, notes, transactionHash } = req.body;
+    if (!RECALL_REASONS.includes(reason)) {
+      return res.status(400).json({ message: 'A valid recall reason is required' });
+    }
+    
+    const current = await Batch.findOne({ batchId: req.params.batchId });
+    if (!current) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    // Already applied by the chain indexer; then only the wallet that recalled it may record it
+    const recorded = current.status === getTransition('recall').to;
+    authorizeBatch(req, recorded ? 'recall:record' : 'recall', current);
+    
+    // Make sure the recall happened on-chain from this wallet with the same reason
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'BatchRecalled',
+      batchId: req.params.batchId,
+      sender: req.user.walletAddress,
+      expect: { reason: RECALL_REASONS.indexOf(reason) }
+    });
+    
+    // The recall status spreads to derived lots on-chain, so all of them are copied from the chain
+    const { batch, report } = await recordRecall(req.params.batchId, { notes });
+    recordTransaction(batch, getTransition('recall').history, verified);
+    await batch.save();
+    
+    res.status(200).json({
+      message: recorded ? 'Recall already recorded' : 'Batch recalled',
+      batch,
+      report
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error recalling batch:');
+  }
+});
+
+// Fields the batch search matches, all encrypted and searched through their blind indexes
+const SEARCH_FIELDS = ['cropName', 'cropVariety', 'location'];
+
+// Search batches by ID prefix, or by crop name, variety or location without reading cleartext;
+// ?farmer= restricts the search to one farmer's batches
+router.get('/search/:query', async (req, res) => {
+  try {
+    const query = req.params.query.trim();
+    if (!query) {
+      return res.status(200).json([]);
+    }
+    const conditions = [
+      // Batch IDs are not encrypted and match by prefix
+      { batchId: { $regex: `^${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } },
+      ...SEARCH_FIELDS.map(field => Batch.blindIndexFilter(field, query, 'contains')).filter(Boolean)
+    ];
+    const filter = { $or: conditions };
+    if (req.query.farmer) {
+      if (!ethers.utils.isAddress(req.query.farmer)) {
+        return res.status(400).json({ message: 'Invalid wallet address' });
+      }
+      filter.farmer = walletQuery(req.query.farmer);
+    }
+
+    const candidates = await Batch.find(filter).sort({ createdAt: -1 });
+    const safeBatches = await Promise.all(candidates.map(batch => batch.toSafeJSON()));
+
+    // Blind index matches are candidates; confirm them on the decrypted values
+    const batches = safeBatches.filter(batch => batch.batchId.startsWith(query) || SEARCH_FIELDS.some(field =>
+      Batch.matchesBlindIndexQuery(batch[field], query, 'contains')
+    ));
+
     res.status(200).json(batches);
   } catch (error) {
     console.error('Error searching batches:', error);
@@ -228,8 +580,10 @@ router.get('/search/:query', async (req, res) => {
 // Get pending certification batches
 router.get('/pending-certification', async (req, res) => {
   try {
+    // Fully split or merged lots no longer exist as goods
     const batches = await Batch.find({ 
-      status: 'CREATED'
+      status: { $in: statusesFor('certify') },
+      quantity: { $ne: 0 }
     }).sort({ createdAt: -1 });
     
     res.status(200).json(batches);
@@ -243,7 +597,10 @@ router.get('/pending-certification', async (req, res) => {
 router.get('/available-purchase', async (req, res) => {
   try {
     const batches = await Batch.find({ 
-      status: 'CERTIFIED'
+      status: { $in: statusesFor('purchase') },
+      quantity: { $ne: 0 },
+      // Past expiry but not yet marked EXPIRED by the scheduler
+      expiry: { $gt: new Date() }
     }).sort({ certifiedAt: -1 });
     
     res.status(200).json(batches);
@@ -295,6 +652,213 @@ router.get('/retailer/:walletAddress', async (req, res) => {
   }
 });
 
+// Get batches currently held by a wallet
+router.get('/custodian/:walletAddress', async (req, res) => {
+  try {
+    const batches = await Batch.find({ 
+      custodian: req.params.walletAddress 
+    }).sort({ createdAt: -1 });
+    
+    res.status(200).json(batches);
+  } catch (error) {
+    console.error('Error fetching custodian batches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get batches that have passed through a wallet's custody
+router.get('/handler/:walletAddress', async (req, res) => {
+  try {
+    const batches = await Batch.find({ 
+      history: { $elemMatch: { action: 'TRANSFERRED', to: req.params.walletAddress } }
+    }).sort({ createdAt: -1 });
+    
+    res.status(200).json(batches);
+  } catch (error) {
+    console.error('Error fetching handled batches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Affected lots and the retailers holding them; ?format=csv for a spreadsheet
+router.get('/:batchId/recall-report', auth, authorizeRole('recall'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    const report = await buildRecallReport(batch);
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="recall-${batch.batchId.replace(/[^\w.-]/g, '_')}.csv"`);
+      return res.status(200).send(recallReportToCsv(report));
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    handleRouteError(res, error, 'Error building recall report:');
+  }
+});
+
+// Get the lineage graph of a batch (ancestors and descendants)
+router.get('/:batchId/lineage', async (req, res) => {
+  try {
+    const root = await Batch.findOne({ batchId: req.params.batchId });
+    if (!root) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    
+    const nodes = new Map([[root.batchId, root]]);
+    const edges = new Map();
+    
+    // Walk up through parents and down through children, one generation at a time
+    for (const [field, toEdge] of [
+      ['parentBatches', (batch, related) => [related, batch.batchId]],
+      ['childBatches', (batch, related) => [batch.batchId, related]]
+    ]) {
+      let frontier = [root];
+      for (let depth = 0; depth < LINEAGE_DEPTH && frontier.length; depth++) {
+        const next = [];
+        for (const batch of frontier) {
+          for (const related of batch[field] || []) {
+            const [from, to] = toEdge(batch, related);
+            edges.set(`${from}>${to}`, { from, to });
+            if (!nodes.has(related)) {
+              const found = await Batch.findOne({ batchId: related });
+              if (found) {
+                nodes.set(related, found);
+                next.push(found);
+              }
+            }
+          }
+        }
+        frontier = next;
+      }
+    }
+    
+    res.status(200).json({
+      root: root.batchId,
+      nodes: [...nodes.values()].map(batch => ({
+        batchId: batch.batchId,
+        cropName: batch.cropName,
+        cropVariety: batch.cropVariety,
+        farmer: batch.farmer,
+        status: batch.status,
+        quantity: batch.quantity,
+        unit: batch.unit,
+        parentBatches: batch.parentBatches,
+        childBatches: batch.childBatches
+      })),
+      edges: [...edges.values()]
+    });
+  } catch (error) {
+    console.error('Error fetching batch lineage:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public provenance behind the batch QR code, checked against the chain
+router.get('/:batchId/trace', async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    res.status(200).json(await buildTrace(batch));
+  } catch (error) {
+    console.error('Error building batch trace:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the inspections recorded for a batch, oldest first
+router.get('/:batchId/inspections', async (req, res) => {
+  try {
+    const inspections = await Inspection.find({ batchId: req.params.batchId }).sort({ inspectedAt: 1 });
+    res.status(200).json(inspections);
+  } catch (error) {
+    console.error('Error fetching inspections:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Evaluate an inspection and return the data hash to anchor on-chain, without saving it
+router.post('/:batchId/inspections/preview', auth, authorizeRole('inspect'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    res.status(200).json(await prepareInspection(batch, req.body));
+  } catch (error) {
+    handleRouteError(res, error, 'Error previewing inspection:');
+  }
+});
+
+// Record an inspection anchored by InspectionRegistry.recordInspection
+router.post('/:batchId/inspections', auth, authorizeRole('inspect'), async (req, res) => {
+  try {
+    const { transactionHash } = req.body;
+    const inspector = actingWallet(req, req.body.inspector);
+
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const existing = transactionHash && await Inspection.findOne({ transactionHash });
+    if (existing) {
+      return res.status(200).json({ message: 'Inspection already recorded', inspection: existing });
+    }
+
+    const prepared = await prepareInspection(batch, req.body);
+
+    // The anchored hash covers the measurements, outcome, notes and report hashes
+    const verified = await verifyBatchTransaction({
+      transactionHash,
+      event: 'InspectionRecorded',
+      batchId: batch.batchId,
+      sender: inspector,
+      contract: 'InspectionRegistry',
+      expect: { dataHash: prepared.dataHash, passed: prepared.passed }
+    });
+
+    let onchainIndex;
+    if (verified) {
+      onchainIndex = verified.args.index.toNumber();
+      const anchored = await getInspectionRegistryContract()
+        .getInspection(toOnchainBatchId(batch.batchId), onchainIndex);
+      const anchoredHashes = anchored.reportHashes.map(hash => hash.toLowerCase()).sort();
+      if (anchoredHashes.join() !== [...prepared.reportHashes].sort().join()) {
+        return res.status(400).json({ message: 'Lab reports anchored on-chain do not match the request' });
+      }
+    }
+
+    const inspection = await Inspection.create({
+      batchId: batch.batchId,
+      onchainIndex,
+      inspector,
+      measurements: prepared.measurements,
+      thresholds: prepared.thresholds,
+      checks: prepared.checks,
+      passed: prepared.passed,
+      notes: prepared.notes,
+      reports: prepared.reports,
+      dataHash: prepared.dataHash,
+      transactionHash: verified?.transactionHash,
+      blockNumber: verified?.blockNumber
+    });
+
+    res.status(201).json({
+      message: prepared.passed ? 'Inspection passed' : 'Inspection failed',
+      inspection
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error recording inspection:');
+  }
+});
+
 // Get batch by ID (keep this last to avoid shadowing the specific routes above)
 router.get('/:batchId', async (req, res) => {
   try {
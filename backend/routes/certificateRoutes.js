@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const Batch = require('../models/Batch');
+const Certificate = require('../models/Certificate');
+const pqcrypto = require('../utils/pqcrypto');
+const {
+  CertificateError,
+  toSignedDocument,
+  issueCertificate,
+  verifySignedCertificate,
+  renderCertificatePdf
+} = require('../services/certificates');
+
+// Send a certificate as signed JSON or as a PDF download
+const sendCertificate = async (req, res, record) => {
+  const document = toSignedDocument(record);
+  const filename = `certificate-${record.batchId}`.replace(/[^\w.-]/g, '_');
+  if (req.query.format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.status(200).send(await renderCertificatePdf(document));
+  }
+  if (req.query.download) {
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+  }
+  res.status(200).json(document);
+};
+
+// Public key new certificates are signed with, plus every retired key whose certificates remain valid
+router.get('/public-key', async (req, res) => {
+  try {
+    const keys = await pqcrypto.listSigningPublicKeys();
+    res.status(200).json({ ...keys.find(key => key.active), keys });
+  } catch (error) {
+    console.error('Error reading certificate signing key:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check a signed certificate uploaded as JSON
+router.post('/verify', async (req, res) => {
+  try {
+    res.status(200).json(await verifySignedCertificate(req.body));
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Certificate of a certified batch, issued on first request
+router.get('/batch/:batchId', async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+    await sendCertificate(req, res, await issueCertificate(batch));
+  } catch (error) {
+    if (error instanceof CertificateError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error issuing certificate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Previously issued certificate, as linked from its QR code
+router.get('/:certificateId', async (req, res) => {
+  try {
+    const record = await Certificate.findOne({ certificateId: req.params.certificateId });
+    if (!record) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+    await sendCertificate(req, res, record);
+  } catch (error) {
+    console.error('Error fetching certificate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { getInspectionRegistryContract, toOnchainBatchId } = require('../utils/blockchain');
+const { getThresholds } = require('../utils/inspectionThresholds');
+const {
+  LabReportError,
+  MAX_REPORT_BYTES,
+  normalizeReportHash,
+  storeLabReport,
+  readLabReport
+} = require('../services/labReports');
+
+// Original file name, sent URI-encoded because headers cannot carry arbitrary characters
+const uploadedFilename = (req) => {
+  const header = req.header('X-Filename');
+  try {
+    return header && decodeURIComponent(header);
+  } catch (error) {
+    return header;
+  }
+};
+
+// Thresholds an inspection of the given crop is evaluated against
+router.get('/thresholds', (req, res) => {
+  res.status(200).json(getThresholds(req.query.cropName));
+});
+
+// Upload a lab report as the raw request body; the original name goes in X-Filename.
+// The body is read before auth so that a request signature can cover the file bytes.
+router.post(
+  '/reports',
+  express.raw({ type: () => true, limit: MAX_REPORT_BYTES }),
+  auth,
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'certifier') {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const report = await storeLabReport(req.body, {
+        filename: uploadedFilename(req),
+        uploadedBy: req.user.walletAddress
+      });
+
+      res.status(201).json({
+        hash: report.hash,
+        filename: report.filename,
+        mimeType: report.mimeType,
+        size: report.size
+      });
+    } catch (error) {
+      if (error instanceof LabReportError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error storing lab report:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Download a lab report; anyone holding the hash can fetch and re-hash it
+router.get('/reports/:hash', async (req, res) => {
+  try {
+    const hash = normalizeReportHash(req.params.hash);
+    const stored = hash && await readLabReport(hash);
+    if (!stored || !stored.buffer) {
+      return res.status(404).json({ message: 'Lab report not found' });
+    }
+    if (!stored.intact) {
+      console.error(`Lab report ${hash} no longer matches its hash`);
+      return res.status(409).json({ message: 'Stored lab report does not match its hash' });
+    }
+
+    res.set('Content-Type', stored.report.mimeType);
+    res.set('Content-Disposition', `inline; filename="${stored.report.filename.replace(/"/g, '')}"`);
+    res.status(200).send(stored.buffer);
+  } catch (error) {
+    console.error('Error fetching lab report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check a stored lab report against its hash and, given a batchId, against the chain
+router.get('/reports/:hash/verify', async (req, res) => {
+  try {
+    const hash = normalizeReportHash(req.params.hash);
+    if (!hash) {
+      return res.status(400).json({ message: 'Invalid report hash' });
+    }
+
+    const stored = await readLabReport(hash);
+    let anchored = null;
+    if (req.query.batchId) {
+      try {
+        anchored = await getInspectionRegistryContract().reportAnchored(toOnchainBatchId(req.query.batchId), hash);
+      } catch (error) {
+        console.error('Error checking lab report anchor:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      hash,
+      stored: Boolean(stored && stored.buffer),
+      intact: Boolean(stored && stored.intact),
+      anchored
+    });
+  } catch (error) {
+    console.error('Error verifying lab report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const {
+  NOTIFICATION_TYPES,
+  NotificationError,
+  getPreferences,
+  updatePreferences,
+  countUnread,
+  listNotifications,
+  markRead,
+  markAllRead
+} = require('../services/notifications');
+
+const handleNotificationError = (res, error, logMessage) => {
+  if (error instanceof NotificationError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+// The signed-in user's notifications, newest first (?unread=true, ?before=<ISO date>, ?limit=)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { unread, before, limit } = req.query;
+    res.status(200).json(await listNotifications(req.user.id, { unread: unread === 'true', before, limit }));
+  } catch (error) {
+    handleNotificationError(res, error, 'Error listing notifications:');
+  }
+});
+
+// Number of unread notifications, for the navbar badge
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.status(200).json({ unread: await countUnread(req.user.id) });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error counting notifications:');
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id);
+    res.status(200).json({ message: 'Notifications marked as read', updated, unread: 0 });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error marking notifications as read:');
+  }
+});
+
+// Mark one notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    res.status(200).json(await markRead(req.user.id, req.params.id));
+  } catch (error) {
+    handleNotificationError(res, error, 'Error marking notification as read:');
+  }
+});
+
+// Notification types and which of them the user receives in the app and by email
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(200).json({ types: NOTIFICATION_TYPES, preferences: getPreferences(user) });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error reading notification preferences:');
+  }
+});
+
+// Switch notification types on or off, e.g. { BATCH_PURCHASED: { inApp: false } }
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const preferences = await updatePreferences(user, req.body.preferences);
+    res.status(200).json({ message: 'Notification preferences updated', types: NOTIFICATION_TYPES, preferences });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error updating notification preferences:');
+  }
+});
+
+module.exports = router;
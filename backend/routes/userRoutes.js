@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Batch = require('../models/Batch');
 const auth = require('../middleware/auth');
+const { authorizeCropListing, AuthorizationError } = require('../services/authorization');
 const pqcrypto = require('../utils/pqcrypto');
 
 // Get user profile
@@ -179,7 +181,7 @@ router.put('/farmer/harvest-date', auth, async (req, res) => {
   }
 });
 
-// Add crop to user profile based on role
+// Add one of the caller's batches to the crop list of their role
 router.put('/add-crop', auth, async (req, res) => {
   try {
     const { cropId, role, certified } = req.body;
@@ -188,32 +190,16 @@ router.put('/add-crop', auth, async (req, res) => {
       return res.status(400).json({ message: 'Crop ID is required' });
     }
     
-    let updateField;
-    
-    switch (role || req.user.role) {
-      case 'farmer':
-        updateField = { $addToSet: { registeredCrops: String(cropId) } };
-        break;
-      case 'certifier':
-        if (certified === true) {
-          updateField = { $addToSet: { certifiedCrops: String(cropId) } };
-        } else if (certified === false) {
-          updateField = { $addToSet: { rejectedCrops: String(cropId) } };
-        } else {
-          return res.status(400).json({ message: 'Certification status is required' });
-        }
-        break;
-      case 'retailer':
-        updateField = { $addToSet: { purchasedCrops: String(cropId) } };
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid role' });
-    }
+    const batch = await Batch.findOne({ batchId: String(cropId) });
+    const list = authorizeCropListing(req, { role, certified }, batch);
     
-    await User.findByIdAndUpdate(req.user.id, updateField);
+    await User.findByIdAndUpdate(req.user.id, { $addToSet: { [list]: String(cropId) } });
     
     res.status(200).json({ message: 'Crop added to user profile' });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error adding crop to profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,123 @@
+/**
+ * Manage the PQC keyring
+ *
+ * Usage: node scripts/keys.js init
+ *        node scripts/keys.js status
+ *        node scripts/keys.js rotate [--kyber | --dilithium] [--no-reencrypt] [--batch-size <n>]
+ *        node scripts/keys.js reencrypt [--batch-size <n>]
+ *        node scripts/keys.js reindex [--batch-size <n>]
+ *
+ * init creates the keyring, adopting key files written before the keyring existed.
+ * It only generates new keys while no document holds encrypted fields; otherwise
+ * the keyring has to be restored from backup. The API, indexer and scheduler never
+ * create keys themselves and refuse to start without a keyring.
+ * rotate adds a new key generation, makes it active and (for Kyber) re-encrypts
+ * every User and Batch document under it. reencrypt also migrates fields from the
+ * old AES-CBC envelope to AES-GCM. The API can keep running: it picks up
+ * the new keyring on its next key access, and retired keys stay readable.
+ * reindex rebuilds the blind indexes used to search encrypted fields.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const pqcrypto = require('../utils/pqcrypto');
+const { reencryptAll, rebuildBlindIndexes, countFieldsByKey } = require('../services/keyRotation');
+
+// Load environment variables
+dotenv.config();
+
+const args = process.argv.slice(2);
+const command = args[0];
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const batchSize = Number(option('--batch-size') || 100);
+
+if (!['init', 'status', 'rotate', 'reencrypt', 'reindex'].includes(command)) {
+  console.error('Usage: node scripts/keys.js <init|status|rotate|reencrypt|reindex> [--kyber | --dilithium] [--no-reencrypt] [--batch-size <n>]');
+  process.exit(1);
+}
+if (!Number.isInteger(batchSize) || batchSize < 1) {
+  console.error('--batch-size must be a positive whole number');
+  process.exit(1);
+}
+
+const logProgress = (modelName, summary) => console.log(`${modelName}: ${JSON.stringify(summary)}`);
+
+const countFailures = (report) => Object.values(report).reduce((total, summary) => total + summary.failed, 0);
+
+const reencrypt = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const failed = countFailures(await reencryptAll({ batchSize, onProgress: logProgress }));
+  if (failed) {
+    console.error(`${failed} document(s) could not be re-encrypted; keep the retired keys and run reencrypt again`);
+    process.exitCode = 1;
+  } else {
+    console.log('All documents are encrypted with the active key in AES-GCM envelopes');
+  }
+};
+
+const reindex = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const failed = countFailures(await rebuildBlindIndexes({ batchSize, onProgress: logProgress }));
+  if (failed) {
+    console.error(`${failed} document(s) could not be indexed`);
+    process.exitCode = 1;
+  } else {
+    console.log('Blind indexes rebuilt');
+  }
+};
+
+const init = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const report = await countFieldsByKey();
+  const encrypted = Object.values(report).reduce(
+    (total, { keys }) => total + Object.values(keys).reduce((sum, count) => sum + count, 0),
+    0
+  );
+  if (encrypted) {
+    console.log(`${encrypted} encrypted field(s) found; only existing key files will be adopted`);
+  }
+  await pqcrypto.createKeyring({ generate: encrypted === 0 });
+  await pqcrypto.initPQCrypto();
+};
+
+const run = async () => {
+  if (command === 'init') {
+    await init();
+    return;
+  }
+
+  await pqcrypto.initPQCrypto();
+
+  if (command === 'status') {
+    console.log(JSON.stringify(pqcrypto.getKeyringStatus(), null, 2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Encrypted fields per Kyber key and AES-CBC envelopes left:', JSON.stringify(await countFieldsByKey(), null, 2));
+    return;
+  }
+
+  if (command === 'rotate') {
+    const types = args.includes('--kyber') ? ['kyber'] : args.includes('--dilithium') ? ['dilithium'] : ['kyber', 'dilithium'];
+    for (const type of types) {
+      const { previous, active } = await pqcrypto.rotateKeys(type);
+      console.log(`Rotated ${type} key: ${previous} -> ${active}`);
+    }
+    if (!types.includes('kyber') || args.includes('--no-reencrypt')) return;
+  }
+
+  if (command === 'reindex') {
+    await reindex();
+    return;
+  }
+
+  await reencrypt();
+};
+
+run()
+  .catch(err => {
+    console.error('Key management failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+/**
+ * Reconcile MongoDB batches with AgriChain
+ *
+ * Usage: node scripts/reconcile.js [--repair] [--format json|csv] [--out <file>]
+ */
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { reconcileBatches, reportToCsv } = require('../services/reconciliation');
+
+// Load environment variables
+dotenv.config();
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const repair = args.includes('--repair');
+const format = option('--format') || 'json';
+const out = option('--out');
+
+if (!['json', 'csv'].includes(format)) {
+  console.error(`Unknown format "${format}", expected json or csv`);
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await reconcileBatches({ repair });
+  const output = format === 'csv' ? reportToCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.log(`Reconciliation report written to ${out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Keep stdout clean for the report itself
+  console.error('Summary:', JSON.stringify(report.summary));
+};
+
+run()
+  .catch(err => {
+    console.error('Reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,79 @@
+/**
+ * One-off migration: encrypt and scrub the cleartext copies of encrypted fields
+ *
+ * Usage: node scripts/scrubPlaintext.js [--dry-run] [--batch-size <n>]
+ *
+ * Older versions stored every encrypted User and Batch field twice: as ciphertext
+ * and as cleartext. This replaces the cleartext with the placeholder the models now
+ * store, encrypts values that were never encrypted, fills in their blind indexes and
+ * moves the unique constraint on email from the cleartext to its blind index.
+ * Safe to run while the API is serving, and to run again.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const pqcrypto = require('../utils/pqcrypto');
+const User = require('../models/User');
+const Batch = require('../models/Batch');
+const { scrubPlaintext } = require('../services/keyRotation');
+
+// Load environment variables
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const batchSizeIndex = args.indexOf('--batch-size');
+const batchSize = Number(batchSizeIndex === -1 ? 100 : args[batchSizeIndex + 1]);
+
+if (!Number.isInteger(batchSize) || batchSize < 1) {
+  console.error('--batch-size must be a positive whole number');
+  process.exit(1);
+}
+
+// Unique index on the cleartext email; every scrubbed user would collide on the placeholder
+const LEGACY_EMAIL_INDEX = 'email_1';
+// MongoDB error code for dropping an index that does not exist
+const INDEX_NOT_FOUND = 27;
+
+const dropLegacyEmailIndex = async () => {
+  try {
+    await User.collection.dropIndex(LEGACY_EMAIL_INDEX);
+    console.log(`Dropped index ${LEGACY_EMAIL_INDEX}`);
+  } catch (error) {
+    if (error.code !== INDEX_NOT_FOUND) throw error;
+  }
+};
+
+const run = async () => {
+  await pqcrypto.initPQCrypto();
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (!dryRun) await dropLegacyEmailIndex();
+
+  const report = await scrubPlaintext({
+    batchSize,
+    dryRun,
+    onProgress: (modelName, summary) => console.log(`${modelName}: ${JSON.stringify(summary)}`)
+  });
+
+  const failed = Object.values(report).reduce((total, summary) => total + summary.failed, 0);
+  if (failed) {
+    console.error(`${failed} document(s) still hold cleartext; fix the errors above and run the migration again`);
+    process.exitCode = 1;
+    return;
+  }
+  if (dryRun) {
+    console.log('Dry run: nothing was written');
+    return;
+  }
+
+  // Unique blind index on email, and any other index the scrub relies on
+  await Promise.all([User.createIndexes(), Batch.createIndexes()]);
+  console.log('No cleartext left in encrypted fields');
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
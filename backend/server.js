@@ -1,53 +1,49 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 const dotenv = require('dotenv');
-const authRoutes = require('./routes/authRoutes');
-const userRoutes = require('./routes/userRoutes');
-const batchRoutes = require('./routes/batchRoutes');
+const app = require('./app');
+const { attachNotificationSocket } = require('./services/notificationSocket');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize express app
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
 // Initialize PQC cryptography
 const pqcrypto = require('./utils/pqcrypto');
-// Use try-catch to handle any initialization errors gracefully
-try {
-  pqcrypto.initPQCrypto()
-    .then(() => console.log('Post-Quantum Cryptography initialized'))
-    .catch(err => console.error('Error initializing PQC:', err));
-} catch (error) {
-  console.error('Failed to initialize PQC system:', error.message);
-  console.log('The application will continue without PQC features');
-}
+// Fail closed: without its keys the API would write data it can never decrypt
+pqcrypto.initPQCrypto()
+  .then(() => console.log('Post-Quantum Cryptography initialized'))
+  .catch(err => {
+    console.error('Refusing to start without a valid PQC keyring:', err.message);
+    process.exit(1);
+  });
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connection established'))
+.then(() => {
+  console.log('MongoDB connection established');
+
+  // Keep Mongo in sync with AgriChain events if enabled
+  if (process.env.ENABLE_CHAIN_INDEXER === 'true') {
+    const { startIndexer } = require('./services/chainIndexer');
+    startIndexer().catch(err => console.error('Failed to start chain indexer:', err));
+  }
+
+  // Take expired batches off sale and warn holders before their batches expire
+  if (process.env.ENABLE_EXPIRY_SCHEDULER === 'true') {
+    const { startExpiryScheduler } = require('./services/expiryScheduler');
+    startExpiryScheduler().catch(err => console.error('Failed to start expiry scheduler:', err));
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/batches', batchRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running' });
-});
-
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Push notifications to signed-in browsers over the same port
+attachNotificationSocket(server);
\ No newline at end of file
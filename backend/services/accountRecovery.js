@@ -0,0 +1,195 @@
+/**
+ * Account Recovery Service
+ * Email verification, forgotten-password resets and password changes. Emailed links carry a
+ * random single-use token; only its SHA-256 is stored, and issuing a new link for the same
+ * purpose invalidates the previous one.
+ */
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { revokeAllSessions } = require('./sessions');
+
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const TOKEN_TTL_MS = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+// Must match the check in the Register page
+const MIN_PASSWORD_LENGTH = 8;
+
+class AccountRecoveryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountRecoveryError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const checkPasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountRecoveryError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+};
+
+/**
+ * Issue a single-use token, replacing any earlier token of the user for the same purpose
+ * @param {String} userId - User ID
+ * @param {String} purpose - 'verify-email' or 'reset-password'
+ * @returns {String} Token to put in the emailed link
+ */
+const issueToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.deleteMany({ userId, purpose });
+  await AccountToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return token;
+};
+
+/**
+ * Use up a token; it is deleted whether or not the action it authorizes succeeds
+ * @param {String} token - Token from the emailed link
+ * @param {String} purpose - Purpose the token must have been issued for
+ * @returns {Document} The deleted token
+ * @throws {AccountRecoveryError} For unknown, used or expired tokens
+ */
+const consumeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    throw new AccountRecoveryError('Link is invalid or has expired');
+  }
+  const record = await AccountToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!record) {
+    throw new AccountRecoveryError('Link is invalid or has expired');
+  }
+  return record;
+};
+
+/**
+ * Email a user a link to verify their address, unless it is already verified
+ * @param {Document} user - User with its email decrypted
+ * @returns {Boolean} True if an email was sent
+ */
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerified) return false;
+  const token = await issueToken(user._id, 'verify-email');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your AgriChain email address',
+    text: [
+      `Hello ${user.name || user.username},`,
+      '',
+      'Confirm that this is your email address by opening the link below:',
+      `${PUBLIC_APP_URL}/verify-email?token=${token}`,
+      '',
+      'The link expires in 24 hours. If you did not create an AgriChain account, ignore this email.'
+    ].join('\n')
+  });
+  return true;
+};
+
+/**
+ * Mark the email address of a token's user as verified
+ * @param {String} token - Token from the verification link
+ */
+const verifyEmail = async (token) => {
+  const { userId } = await consumeToken(token, 'verify-email');
+  await User.updateOne({ _id: userId }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+};
+
+/**
+ * Email a password reset link to the account with an email address. Unknown addresses
+ * and suspended accounts are ignored silently, so the response never reveals which
+ * addresses have accounts.
+ * @param {String} email - Email address entered on the forgot-password form
+ */
+const requestPasswordReset = async (email) => {
+  if (typeof email !== 'string' || !email.trim()) {
+    throw new AccountRecoveryError('Email is required');
+  }
+  const user = await User.findOne(User.blindIndexFilter('email', email));
+  if (!user || user.suspended) return;
+
+  const token = await issueToken(user._id, 'reset-password');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your AgriChain password',
+    text: [
+      `Hello ${user.name || user.username},`,
+      '',
+      'Someone asked to reset the password of your AgriChain account. To choose a new password, open the link below:',
+      `${PUBLIC_APP_URL}/reset-password?token=${token}`,
+      '',
+      'The link expires in 1 hour and works once. If you did not ask for it, ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Set a new password with a reset token and sign the account out everywhere
+ * @param {String} token - Token from the reset link
+ * @param {String} password - New password
+ */
+const resetPassword = async (token, password) => {
+  checkPasswordStrength(password);
+  const { userId } = await consumeToken(token, 'reset-password');
+
+  const user = await User.findById(userId);
+  if (!user || user.suspended) {
+    throw new AccountRecoveryError('Link is invalid or has expired');
+  }
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  // Receiving the link proves the user controls the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, { reason: 'password-reset' });
+};
+
+/**
+ * Change the password of a signed-in user and sign out their other sessions
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session of the request, which stays signed in
+ * @param {Object} passwords - { currentPassword, newPassword }
+ * @throws {AccountRecoveryError} 400 if the current password is wrong (not 401, which
+ *   clients take as an expired access token)
+ */
+const changePassword = async (userId, sessionId, { currentPassword, newPassword }) => {
+  checkPasswordStrength(newPassword);
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AccountRecoveryError('User not found', 404);
+  }
+  if (typeof currentPassword !== 'string' || !await user.isValidPassword(currentPassword)) {
+    throw new AccountRecoveryError('Current password is incorrect');
+  }
+  if (currentPassword === newPassword) {
+    throw new AccountRecoveryError('New password must be different from the current one');
+  }
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await AccountToken.deleteMany({ userId: user._id, purpose: 'reset-password' });
+  await revokeAllSessions(user._id, { exceptSessionId: sessionId, reason: 'password-change' });
+};
+
+module.exports = {
+  AccountRecoveryError,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+};
@@ -0,0 +1,108 @@
+/**
+ * Accreditation Service
+ * Reads and manages certifier accreditations in the CertifierRegistry contract
+ */
+const { ethers } = require('ethers');
+const {
+  getAdminSigner,
+  getCertifierRegistryContract
+} = require('../utils/blockchain');
+
+const splitList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * Describe a certifier's accreditation in API form
+ * @param {String} certifier - Certifier wallet address
+ * @param {Object} accreditation - Result of CertifierRegistry.getAccreditation
+ * @returns {Object} Accreditation with status ACTIVE, EXPIRED, REVOKED or NONE
+ */
+const formatAccreditation = (certifier, accreditation) => {
+  const accreditedAt = accreditation.accreditedAt.toNumber();
+  const validUntil = accreditation.validUntil.toNumber();
+
+  let status = 'NONE';
+  if (accreditedAt) {
+    if (!accreditation.active) status = 'REVOKED';
+    else if (validUntil * 1000 <= Date.now()) status = 'EXPIRED';
+    else status = 'ACTIVE';
+  }
+
+  return {
+    certifier,
+    status,
+    cropTypes: accreditation.cropTypes,
+    regions: accreditation.regions,
+    standards: accreditation.standards,
+    accreditedAt: accreditedAt ? new Date(accreditedAt * 1000) : null,
+    validUntil: validUntil ? new Date(validUntil * 1000) : null
+  };
+};
+
+/**
+ * Read a single certifier's accreditation
+ * @param {String} certifier - Certifier wallet address
+ * @returns {Object} Formatted accreditation
+ */
+const getAccreditation = async (certifier) => {
+  const registry = await getCertifierRegistryContract();
+  const address = ethers.utils.getAddress(certifier);
+  return formatAccreditation(address, await registry.getAccreditation(address));
+};
+
+/**
+ * List every certifier the registry has ever accredited
+ * @returns {Array} Formatted accreditations
+ */
+const listAccreditations = async () => {
+  const registry = await getCertifierRegistryContract();
+  const certifiers = await registry.getCertifiers();
+  return Promise.all(certifiers.map(getAccreditation));
+};
+
+/**
+ * Accredit a certifier, replacing any previous scope
+ * @param {String} certifier - Certifier wallet address
+ * @param {Object} scope - { cropTypes, regions, standards, validUntil }; empty crop types or regions mean any
+ * @returns {Object} { accreditation, transactionHash }
+ */
+const accreditCertifier = async (certifier, { cropTypes, regions, standards, validUntil }) => {
+  const registry = (await getCertifierRegistryContract()).connect(getAdminSigner());
+  const address = ethers.utils.getAddress(certifier);
+  const expiry = Math.floor(new Date(validUntil).getTime() / 1000);
+
+  const args = [address, splitList(cropTypes), splitList(regions), splitList(standards), expiry];
+
+  // Simulate first so a revert surfaces with its reason instead of a gas estimation error
+  await registry.callStatic.accredit(...args);
+  const tx = await registry.accredit(...args);
+  await tx.wait();
+
+  return { accreditation: await getAccreditation(address), transactionHash: tx.hash };
+};
+
+/**
+ * Revoke a certifier's accreditation
+ * @param {String} certifier - Certifier wallet address
+ * @returns {Object} { accreditation, transactionHash }
+ */
+const revokeCertifier = async (certifier) => {
+  const registry = (await getCertifierRegistryContract()).connect(getAdminSigner());
+  const address = ethers.utils.getAddress(certifier);
+
+  await registry.callStatic.revoke(address);
+  const tx = await registry.revoke(address);
+  await tx.wait();
+
+  return { accreditation: await getAccreditation(address), transactionHash: tx.hash };
+};
+
+module.exports = {
+  splitList,
+  getAccreditation,
+  listAccreditations,
+  accreditCertifier,
+  revokeCertifier
+};
@@ -0,0 +1,174 @@
+/**
+ * Authorization Policies
+ * One place that decides who may change what: the acting wallet always comes from the
+ * access token, never from the request body, and every batch mutation is checked for
+ * the caller's role, their relation to the batch and the batch's current status
+ */
+const { sameAddress } = require('../utils/blockchain');
+const { getTransition } = require('../utils/batchLifecycle');
+const { isAdminWallet } = require('../middleware/admin');
+
+class AuthorizationError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'AuthorizationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Batch mutation policies:
+ * - transition: lifecycle transition supplying the allowed roles and starting statuses
+ * - roles: roles allowed to attempt the action (omitted: any signed-in user)
+ * - owner: batch field that must hold the acting wallet (custodian falls back to the farmer,
+ *   recaller is the wallet that recalled the batch)
+ * - states: statuses the batch must be in for the action to apply
+ */
+const BATCH_POLICIES = {
+  create: { transition: 'create' },
+  certify: { transition: 'certify' },
+  reject: { transition: 'reject' },
+  inspect: { roles: ['certifier'] },
+  purchase: { transition: 'purchase' },
+  transfer: { transition: 'transfer', owner: 'custodian' },
+  split: { transition: 'split', owner: 'custodian' },
+  merge: { transition: 'merge' },
+  recall: { transition: 'recall' },
+  // Attaching notes to, or resending the notices of, a recall the chain indexer already applied
+  'recall:record': { transition: 'recall', owner: 'recaller', states: [getTransition('recall').to] },
+  'escrow:confirm': { roles: ['retailer'], owner: 'retailer' },
+  'escrow:dispute': { roles: ['retailer'], owner: 'retailer' },
+  // Who may release or refund is enforced by the contract
+  'escrow:release': {},
+  'escrow:refund': {}
+};
+
+// Batch field a user's crop list records, per role, and the status it implies
+const CROP_LISTS = {
+  farmer: { list: () => 'registeredCrops', owner: 'farmer' },
+  certifier: {
+    list: (certified) => (certified === true ? 'certifiedCrops' : certified === false ? 'rejectedCrops' : null),
+    owner: 'certifier',
+    states: (certified) => [getTransition(certified ? 'certify' : 'reject').to]
+  },
+  retailer: { list: () => 'purchasedCrops', owner: 'retailer' }
+};
+
+// Wallets in ADMIN_WALLETS act as admins whatever their account role
+const hasRole = (req, roles) =>
+  roles.includes(req.user.role) || (roles.includes('admin') && isAdminWallet(req.user.walletAddress));
+
+const batchOwner = (batch, field) => {
+  if (field === 'custodian') return batch.custodian || batch.farmer;
+  if (field === 'recaller') return batch.recall?.recalledBy;
+  return batch[field];
+};
+
+// Refusal when the acting wallet is not the batch's owner of that kind
+const OWNER_MESSAGES = {
+  custodian: 'Batch is not held by your wallet',
+  recaller: 'Only the wallet that recalled the batch can do this'
+};
+
+const getPolicy = (action) => {
+  const policy = BATCH_POLICIES[action];
+  if (!policy) {
+    throw new Error(`No authorization policy for batch action ${action}`);
+  }
+  if (!policy.transition) return policy;
+  const { roles, from } = getTransition(policy.transition);
+  return { roles, states: from, ...policy };
+};
+
+/**
+ * Wallet the request acts for. A wallet named in the body (e.g. `certifier`) is only
+ * accepted when it is the caller's own.
+ * @param {Request} req - Request that passed the auth middleware
+ * @param {String} [claimedWallet] - Wallet the body says the caller acts for
+ * @returns {String} The token's wallet address
+ * @throws {AuthorizationError} When the body names another wallet
+ */
+const actingWallet = (req, claimedWallet) => {
+  const wallet = req.user.walletAddress;
+  if (claimedWallet && !sameAddress(claimedWallet, wallet)) {
+    throw new AuthorizationError('You can only act for your own wallet');
+  }
+  return wallet;
+};
+
+/**
+ * Middleware allowing only the roles of a batch action's policy; must run after auth
+ * @param {String} action - Key of BATCH_POLICIES
+ * @returns {Function} Express middleware
+ */
+const authorizeRole = (action) => {
+  const { roles } = getPolicy(action);
+  return function(req, res, next) {
+    if (roles && !hasRole(req, roles)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    next();
+  };
+};
+
+/**
+ * Check that the caller may apply an action to a batch in its current state
+ * @param {Request} req - Request that passed the auth middleware
+ * @param {String} action - Key of BATCH_POLICIES
+ * @param {Document} batch - Batch as stored
+ * @throws {AuthorizationError} 403 when the caller's role or relation to the batch does not
+ *   allow it, 400 when the batch's status does not
+ */
+const authorizeBatch = (req, action, batch) => {
+  const { roles, owner, states } = getPolicy(action);
+  if (roles && !hasRole(req, roles)) {
+    throw new AuthorizationError('Not authorized');
+  }
+  if (owner && !sameAddress(batchOwner(batch, owner), req.user.walletAddress)) {
+    throw new AuthorizationError(OWNER_MESSAGES[owner] || `Only the batch's ${owner} can do this`);
+  }
+  if (states && !states.includes(batch.status)) {
+    throw new AuthorizationError(`Batch is ${batch.status} and cannot be changed this way`, 400);
+  }
+};
+
+/**
+ * Check that a user may add a batch to the crop list of their own role
+ * @param {Request} req - Request that passed the auth middleware
+ * @param {Object} request - { role, certified } from the body; role defaults to the caller's
+ * @param {Document} batch - The batch being added
+ * @returns {String} User field of the crop list to add the batch to
+ * @throws {AuthorizationError} For other roles, batches the caller had no part in or
+ *   certification outcomes that do not match the batch
+ */
+const authorizeCropListing = (req, { role, certified }, batch) => {
+  if (role && role !== req.user.role) {
+    throw new AuthorizationError('You can only update the crop list of your own role');
+  }
+  const rule = CROP_LISTS[req.user.role];
+  if (!rule) {
+    throw new AuthorizationError('Invalid role', 400);
+  }
+  const list = rule.list(certified);
+  if (!list) {
+    throw new AuthorizationError('Certification status is required', 400);
+  }
+  if (!batch) {
+    throw new AuthorizationError('Batch not found', 404);
+  }
+  if (!sameAddress(batch[rule.owner], req.user.walletAddress)) {
+    throw new AuthorizationError(`Only the batch's ${rule.owner} can list it`);
+  }
+  if (rule.states && !rule.states(certified).includes(batch.status)) {
+    throw new AuthorizationError(`Batch is ${batch.status}`, 400);
+  }
+  return list;
+};
+
+module.exports = {
+  AuthorizationError,
+  actingWallet,
+  authorizeRole,
+  authorizeBatch,
+  authorizeCropListing
+};
@@ -0,0 +1,124 @@
+/**
+ * Batch Correction Service
+ * Applies manual fixes from admins to Batch documents and records each one
+ */
+const Batch = require('../models/Batch');
+const { ethers } = require('ethers');
+
+// Fields an admin may overwrite, grouped by how the new value is parsed
+const TEXT_FIELDS = ['cropName', 'cropVariety', 'location', 'cropHealth', 'certificationStandard', 'unit'];
+const ADDRESS_FIELDS = ['farmer', 'certifier', 'retailer', 'custodian'];
+const DATE_FIELDS = ['harvestDate', 'expiry', 'certifiedAt', 'purchasedAt'];
+const NUMBER_FIELDS = ['price', 'quantity'];
+const STATUSES = Batch.schema.path('status').enumValues;
+
+// Encrypted at rest, so the correction log must not copy their values
+const ENCRYPTED_FIELDS = ['cropName', 'cropVariety', 'location', 'cropHealth'];
+
+const CORRECTABLE_FIELDS = ['status', ...TEXT_FIELDS, ...ADDRESS_FIELDS, ...DATE_FIELDS, ...NUMBER_FIELDS];
+
+class BatchCorrectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BatchCorrectionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate and convert a corrected value for its field
+ * @param {String} field - Batch field
+ * @param {*} value - Value from the request; null or '' clears optional fields
+ * @returns {*} Value to store
+ * @throws {BatchCorrectionError} When the value does not fit the field
+ */
+const parseValue = (field, value) => {
+  const empty = value === null || value === undefined || value === '';
+  const required = Batch.schema.path(field).isRequired;
+  if (empty) {
+    if (required) throw new BatchCorrectionError(`${field} cannot be cleared`);
+    return undefined;
+  }
+
+  if (field === 'status') {
+    if (!STATUSES.includes(value)) throw new BatchCorrectionError(`status must be one of ${STATUSES.join(', ')}`);
+    return value;
+  }
+  if (ADDRESS_FIELDS.includes(field)) {
+    if (!ethers.utils.isAddress(value)) throw new BatchCorrectionError(`${field} must be a wallet address`);
+    return value;
+  }
+  if (DATE_FIELDS.includes(field)) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new BatchCorrectionError(`${field} must be a date`);
+    return date;
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new BatchCorrectionError(`${field} must be a non-negative number`);
+    return number;
+  }
+  return String(value).trim();
+};
+
+const describe = (value) => {
+  if (value === undefined || value === null) return null;
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * Overwrite fields of a batch and append the change to its correction log
+ * @param {String} batchId - Human batch ID
+ * @param {Object} updates - Field -> new value
+ * @param {Object} options - { reason, admin } where admin is the acting wallet
+ * @returns {Object} { batch, corrected } with the list of fields that changed
+ * @throws {BatchCorrectionError} For unknown batches, fields or invalid values
+ */
+const correctBatch = async (batchId, updates, { reason, admin }) => {
+  if (!reason || !String(reason).trim()) {
+    throw new BatchCorrectionError('A reason is required');
+  }
+  const fields = Object.keys(updates || {});
+  if (!fields.length) {
+    throw new BatchCorrectionError('No fields to correct');
+  }
+  const unknown = fields.filter(field => !CORRECTABLE_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new BatchCorrectionError(`Fields cannot be corrected: ${unknown.join(', ')}`);
+  }
+
+  const batch = await Batch.findOne({ batchId });
+  if (!batch) {
+    throw new BatchCorrectionError('Batch not found', 404);
+  }
+  const current = await batch.decryptFields();
+
+  const corrected = [];
+  for (const field of fields) {
+    const value = parseValue(field, updates[field]);
+    const previous = ENCRYPTED_FIELDS.includes(field) ? current[field] : batch[field];
+    if (describe(previous) === describe(value)) continue;
+
+    batch[field] = value;
+    batch.corrections.push({
+      field,
+      previous: ENCRYPTED_FIELDS.includes(field) ? undefined : describe(previous),
+      value: ENCRYPTED_FIELDS.includes(field) ? undefined : describe(value),
+      reason: String(reason).trim(),
+      admin
+    });
+    corrected.push(field);
+  }
+
+  if (corrected.length) {
+    await batch.save();
+  }
+
+  return { batch, corrected };
+};
+
+module.exports = {
+  CORRECTABLE_FIELDS,
+  BatchCorrectionError,
+  correctBatch
+};
@@ -0,0 +1,279 @@
+/**
+ * Batch Sync Service
+ * Compares Batch documents with AgriChain state and applies the chain's view
+ */
+const Batch = require('../models/Batch');
+const User = require('../models/User');
+const {
+  readChainBatch,
+  resolveBatchIdStrings,
+  sameAddress,
+  toOnchainBatchId,
+  walletQuery
+} = require('../utils/blockchain');
+const { TRANSITIONS, userListUpdates } = require('../utils/batchLifecycle');
+
+// Fields mirrored from getBatchDetails, grouped by how they are compared
+const TEXT_FIELDS = [
+  'cropName', 'cropVariety', 'location', 'cropHealth', 'certificationStandard', 'status', 'unit', 'paymentSymbol'
+];
+const NUMBER_FIELDS = ['quantity', 'paymentDecimals'];
+const LINEAGE_FIELDS = ['parentBatches', 'childBatches'];
+const ADDRESS_FIELDS = ['farmer', 'certifier', 'retailer', 'custodian', 'paymentToken'];
+const DATE_FIELDS = ['harvestDate', 'expiry'];
+// Set by the API from the server clock, so only flag large drifts from the block time
+const EVENT_DATE_FIELDS = ['certifiedAt', 'purchasedAt'];
+const EVENT_DATE_TOLERANCE_MS = 10 * 60 * 1000;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const toTime = (value) => (isEmpty(value) ? null : new Date(value).getTime());
+
+const historySignature = (history = []) =>
+  history.map(item => `${item.action}:${(item.to || '').toLowerCase()}`).join('|');
+
+const escrowSignature = (escrow) => {
+  if (!escrow || !escrow.state) return null;
+  const releaseAfter = toTime(escrow.releaseAfter);
+  return [
+    escrow.state,
+    Number(escrow.amount),
+    (escrow.retailer || '').toLowerCase(),
+    (escrow.payee || '').toLowerCase(),
+    releaseAfter === null ? '' : Math.floor(releaseAfter / 1000)
+  ].join(':');
+};
+
+const recallSignature = (recall) => {
+  if (!recall || !recall.reason) return null;
+  const recalledAt = toTime(recall.recalledAt);
+  return [
+    recall.reason,
+    recall.sourceBatchId || '',
+    (recall.recalledBy || '').toLowerCase(),
+    recalledAt === null ? '' : Math.floor(recalledAt / 1000)
+  ].join(':');
+};
+
+/**
+ * List the fields where a Batch document disagrees with the chain
+ * @param {Object} batch - Batch document (or plain object with decrypted fields)
+ * @param {Object} chainBatch - Result of readChainBatch
+ * @returns {Array} Mismatches as { field, database, chain }
+ */
+const diffBatch = (batch, chainBatch) => {
+  const mismatches = [];
+  const push = (field, database, chain) => mismatches.push({ field, database, chain });
+
+  for (const field of TEXT_FIELDS) {
+    const database = isEmpty(batch[field]) ? null : String(batch[field]);
+    const chain = isEmpty(chainBatch[field]) ? null : String(chainBatch[field]);
+    if (database !== chain) push(field, database, chain);
+  }
+
+  for (const field of ADDRESS_FIELDS) {
+    const database = batch[field] || null;
+    const chain = chainBatch[field] || null;
+    if ((database || chain) && !sameAddress(database, chain)) push(field, database, chain);
+  }
+
+  for (const field of DATE_FIELDS) {
+    const database = toTime(batch[field]);
+    const chain = toTime(chainBatch[field]);
+    // The chain stores whole seconds
+    const same = database === null || chain === null
+      ? database === chain
+      : Math.floor(database / 1000) === Math.floor(chain / 1000);
+    if (!same) push(field, batch[field] || null, chainBatch[field]);
+  }
+
+  for (const field of EVENT_DATE_FIELDS) {
+    const database = toTime(batch[field]);
+    const chain = toTime(chainBatch[field]);
+    const same = database === null || chain === null
+      ? database === chain
+      : Math.abs(database - chain) <= EVENT_DATE_TOLERANCE_MS;
+    if (!same) push(field, batch[field] || null, chainBatch[field]);
+  }
+
+  const databaseLab = isEmpty(batch.labResults) ? null : Boolean(batch.labResults);
+  if (databaseLab !== chainBatch.labResults) push('labResults', databaseLab, chainBatch.labResults);
+
+  const databasePrice = isEmpty(batch.price) ? null : Number(batch.price);
+  if (databasePrice === null || Math.abs(databasePrice - chainBatch.price) > 1e-9) {
+    push('price', databasePrice, chainBatch.price);
+  }
+
+  for (const field of NUMBER_FIELDS) {
+    const database = isEmpty(batch[field]) ? null : Number(batch[field]);
+    if (database !== chainBatch[field]) push(field, database, chainBatch[field]);
+  }
+
+  for (const field of LINEAGE_FIELDS) {
+    const database = (batch[field] || []).join(',');
+    const chain = chainBatch[field].join(',');
+    if (database !== chain) push(field, database, chain);
+  }
+
+  if (escrowSignature(batch.escrow) !== escrowSignature(chainBatch.escrow)) {
+    push('escrow', escrowSignature(batch.escrow), escrowSignature(chainBatch.escrow));
+  }
+
+  if (recallSignature(batch.recall) !== recallSignature(chainBatch.recall)) {
+    push('recall', recallSignature(batch.recall), recallSignature(chainBatch.recall));
+  }
+
+  if (historySignature(batch.history) !== historySignature(chainBatch.history)) {
+    push('history', historySignature(batch.history), historySignature(chainBatch.history));
+  }
+
+  return mismatches;
+};
+
+/**
+ * Rebuild history from the chain while keeping details only known off-chain
+ * @param {Array} current - Existing history entries
+ * @param {Array} chainHistory - History entries read from the chain
+ * @returns {Array} Merged history entries
+ */
+const mergeHistory = (current = [], chainHistory) =>
+  chainHistory.map((entry, index) => {
+    const existing = current[index];
+    if (existing && existing.action === entry.action && sameAddress(existing.to, entry.to)) {
+      const previous = typeof existing.toObject === 'function' ? existing.toObject() : existing;
+      return { ...previous, ...entry, from: existing.from || entry.from };
+    }
+    return entry;
+  });
+
+/**
+ * Copy mismatched fields from the chain onto a Batch document (does not save)
+ * @param {Object} batch - Batch document
+ * @param {Object} chainBatch - Result of readChainBatch
+ * @returns {Array} Fields that were changed
+ */
+const applyChainBatch = (batch, chainBatch) => {
+  const mismatches = diffBatch(batch, chainBatch);
+
+  for (const { field } of mismatches) {
+    if (field === 'history') {
+      batch.history = mergeHistory(batch.history, chainBatch.history);
+    } else if (field === 'recall') {
+      // Notes and notifications only exist off-chain
+      batch.recall = chainBatch.recall && {
+        ...chainBatch.recall,
+        notes: batch.recall?.notes,
+        notifiedAt: batch.recall?.notifiedAt
+      };
+    } else {
+      batch[field] = chainBatch[field];
+    }
+  }
+  batch.onchainId = chainBatch.onchainId;
+
+  return mismatches.map(mismatch => mismatch.field);
+};
+
+/**
+ * Add a batch to the crop lists the lifecycle names for a transition
+ * @param {String} action - Transition name, e.g. 'certify'
+ * @param {Object} parties - Wallet of each party, e.g. { certifier }
+ * @param {String} batchId - Batch ID string
+ */
+const recordCropLists = async (action, parties, batchId) => {
+  for (const { wallet, list } of userListUpdates(action, parties)) {
+    await User.updateOne(
+      { walletAddress: walletQuery(wallet) },
+      { $addToSet: { [list]: String(batchId) } }
+    );
+  }
+};
+
+/**
+ * Record the batch against the farmer, certifier, retailer and handler profiles
+ * @param {Object} batch - Batch document
+ */
+const updateParticipantCrops = async (batch) => {
+  const cropId = String(batch.batchId);
+
+  await recordCropLists('create', { farmer: batch.farmer }, cropId);
+  // Told apart by the lab result: the status moves on once a batch is sold, expires or is recalled
+  const certification = batch.certifier && (batch.labResults ? 'certify' : 'reject');
+  if (certification) {
+    await recordCropLists(certification, { certifier: batch.certifier }, cropId);
+  }
+  await recordCropLists('purchase', { retailer: batch.retailer }, cropId);
+
+  const handlers = new Set(
+    (batch.history || [])
+      .filter(item => item.action === TRANSITIONS.transfer.history && item.to)
+      .map(item => item.to.toLowerCase())
+  );
+  for (const handler of handlers) {
+    await recordCropLists('transfer', { recipient: handler }, cropId);
+  }
+};
+
+/**
+ * Upsert the Batch document for an on-chain batch
+ * @param {String} onchainId - 32 byte hex batch ID
+ * @param {Object} options - batchIdString when already known (e.g. from BatchCreated)
+ * @returns {Object} { batch, changed, created, removed }
+ */
+const syncBatchFromChain = async (onchainId, { batchIdString } = {}) => {
+  const chainBatch = await readChainBatch(onchainId);
+  let batch = await Batch.findOne({ onchainId });
+
+  if (!chainBatch) {
+    // The batch was seen on-chain before but is gone now (reorg or chain reset)
+    if (batch) {
+      await Batch.deleteOne({ _id: batch._id });
+      return { batch, changed: [], created: false, removed: true };
+    }
+    return { batch: null, changed: [], created: false, removed: false };
+  }
+
+  let created = false;
+  if (!batch) {
+    const batchId = batchIdString || (await resolveBatchIdStrings([onchainId]))[0];
+    if (!batchId) {
+      throw new Error(`Unable to resolve batch ID string for ${onchainId}`);
+    }
+    batch = new Batch({ batchId, createdAt: chainBatch.createdAt, history: [] });
+    created = true;
+  }
+
+  const changed = applyChainBatch(batch, chainBatch);
+  if (created || changed.length) {
+    await batch.save();
+    await updateParticipantCrops(batch);
+  }
+
+  return { batch, changed, created, removed: false };
+};
+
+/**
+ * Sync a batch together with the lots it was split or merged from and into
+ * @param {String} onchainId - 32 byte hex batch ID
+ * @returns {Object|null} The synced Batch document, or null if it is not on-chain
+ */
+const syncBatchLineage = async (onchainId) => {
+  const { batch } = await syncBatchFromChain(onchainId);
+  if (!batch) return null;
+
+  // Lineage IDs were resolved from BatchCreated events, so they can be trusted as-is
+  for (const batchId of [...batch.parentBatches, ...batch.childBatches]) {
+    await syncBatchFromChain(toOnchainBatchId(batchId), { batchIdString: batchId });
+  }
+
+  return batch;
+};
+
+module.exports = {
+  diffBatch,
+  applyChainBatch,
+  recordCropLists,
+  updateParticipantCrops,
+  syncBatchFromChain,
+  syncBatchLineage
+};
@@ -0,0 +1,268 @@
+/**
+ * Certificate Service
+ * Issues batch certificates signed with the server's Dilithium (ML-DSA-65) key,
+ * verifies them and renders them as PDF
+ */
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Certificate = require('../models/Certificate');
+const Inspection = require('../models/Inspection');
+const pqcrypto = require('../utils/pqcrypto');
+
+// Load environment variables
+dotenv.config();
+
+const CERTIFICATE_TYPE = 'AgroTrustBatchCertificate';
+const CERTIFICATE_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'ML-DSA-65';
+// Where the frontend is served, for the verification link printed on certificates
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+class CertificateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CertificateError';
+    this.status = status;
+  }
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level, so the
+ * same certificate always produces the same bytes to sign
+ * (mirrored by frontend/src/utils/certificates.js)
+ * @param {*} value - JSON-compatible value
+ * @returns {String} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const getVerifyUrl = (certificateId) => `${PUBLIC_APP_URL}/verify?id=${encodeURIComponent(certificateId)}`;
+
+/**
+ * Collect the facts a certificate attests to
+ * @param {Object} batch - Batch document
+ * @returns {Object} Certificate content without ID or issue time
+ */
+const buildCertificateContent = async (batch) => {
+  const certification = [...(batch.history || [])].reverse().find(item => item.action === 'CERTIFIED');
+  const inspections = await Inspection.find({ batchId: batch.batchId }).sort({ inspectedAt: 1 });
+
+  return {
+    type: CERTIFICATE_TYPE,
+    version: CERTIFICATE_VERSION,
+    batch: {
+      batchId: batch.batchId,
+      onchainId: batch.onchainId,
+      cropName: batch.cropName,
+      cropVariety: batch.cropVariety,
+      location: batch.location,
+      harvestDate: toIso(batch.harvestDate),
+      quantity: batch.quantity ?? null,
+      unit: batch.unit || null
+    },
+    farmer: batch.farmer,
+    certifier: batch.certifier,
+    certification: {
+      passed: Boolean(batch.labResults),
+      standard: batch.certificationStandard || null,
+      certifiedAt: toIso(batch.certifiedAt),
+      expiry: toIso(batch.expiry),
+      transactionHash: certification?.transactionHash || null,
+      blockNumber: certification?.blockNumber ?? null
+    },
+    inspections: inspections.map(inspection => ({
+      passed: inspection.passed,
+      grade: inspection.measurements?.grade || null,
+      dataHash: inspection.dataHash,
+      transactionHash: inspection.transactionHash || null,
+      inspectedAt: toIso(inspection.inspectedAt)
+    })),
+    agriChainAddress: process.env.AGRI_CHAIN_ADDRESS || null
+  };
+};
+
+/**
+ * Shape a stored certificate as the signed JSON document handed to users
+ * @param {Object} record - Certificate document
+ * @returns {Object} { certificate, signature: { algorithm, keyId, publicKey, publicKeyFingerprint, value } }
+ */
+const toSignedDocument = (record) => ({
+  certificate: JSON.parse(record.payload),
+  signature: {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: record.keyId || null,
+    publicKey: record.publicKey,
+    publicKeyFingerprint: record.publicKeyFingerprint,
+    value: record.signature
+  }
+});
+
+/**
+ * Issue (or reuse) the signed certificate of a certified batch
+ * @param {Object} batch - Batch document
+ * @returns {Object} Certificate document
+ * @throws {CertificateError} When the batch has not passed certification
+ */
+const issueCertificate = async (batch) => {
+  if (!['CERTIFIED', 'PURCHASED', 'EXPIRED'].includes(batch.status) || !batch.labResults || !batch.certifiedAt) {
+    throw new CertificateError('Only batches that passed certification have a certificate');
+  }
+
+  const content = await buildCertificateContent(batch);
+  const contentHash = sha256(canonicalize(content));
+
+  // The certified facts are unchanged, so the earlier certificate still holds
+  const existing = await Certificate.findOne({ batchId: batch.batchId, contentHash }).sort({ issuedAt: -1 });
+  if (existing) {
+    return existing;
+  }
+
+  const certificateId = crypto.randomUUID();
+  const issuedAt = new Date();
+  const payload = canonicalize({
+    ...content,
+    certificateId,
+    issuedAt: issuedAt.toISOString(),
+    verifyUrl: getVerifyUrl(certificateId)
+  });
+
+  const { signature, keyId } = await pqcrypto.signData(payload);
+  const { publicKey, fingerprint } = await pqcrypto.getSigningPublicKey(keyId);
+
+  return Certificate.create({
+    certificateId,
+    batchId: batch.batchId,
+    contentHash,
+    payload,
+    signature,
+    keyId,
+    publicKey,
+    publicKeyFingerprint: fingerprint,
+    issuedAt
+  });
+};
+
+/**
+ * Check a signed certificate document
+ * @param {Object} document - { certificate, signature } as produced by toSignedDocument
+ * @returns {Object} { valid, signatureValid, fingerprintMatches, trusted, reason }; trusted means
+ *   the certificate was signed with a key in this server's keyring, active or retired
+ */
+const verifySignedCertificate = async (document) => {
+  const { certificate, signature } = document || {};
+  if (!certificate || typeof certificate !== 'object' || !signature?.value || !signature?.publicKey) {
+    return { valid: false, signatureValid: false, fingerprintMatches: false, trusted: false, reason: 'Not a signed certificate' };
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, signatureValid: false, fingerprintMatches: false, trusted: false, reason: 'Unsupported signature algorithm' };
+  }
+
+  const fingerprintMatches = pqcrypto.fingerprintPublicKey(signature.publicKey) === signature.publicKeyFingerprint;
+  const signatureValid = await pqcrypto.verifySignature(
+    { data: canonicalize(certificate), signature: signature.value },
+    signature.publicKey
+  );
+  const signingKeys = await pqcrypto.listSigningPublicKeys();
+  const trusted = signingKeys.some(key => key.fingerprint === signature.publicKeyFingerprint);
+
+  let reason = null;
+  if (!signatureValid) reason = 'Signature does not match the certificate contents';
+  else if (!fingerprintMatches) reason = 'Public key does not match its fingerprint';
+  else if (!trusted) reason = 'Signed with a key this server does not use';
+
+  return { valid: signatureValid && fingerprintMatches && trusted, signatureValid, fingerprintMatches, trusted, reason };
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+/**
+ * Render a signed certificate as a one-page PDF with a QR code linking to /verify
+ * @param {Object} document - Signed certificate document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderCertificatePdf = (document) => new Promise((resolve, reject) => {
+  const { certificate, signature } = document;
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Certificate ${certificate.batch.batchId}` } });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  pdf.fontSize(22).text('AgroTrust Batch Certificate', { align: 'center' });
+  pdf.moveDown(0.3).fontSize(10).fillColor('#555555')
+    .text(`Certificate ${certificate.certificateId}`, { align: 'center' })
+    .text(`Issued ${certificate.issuedAt}`, { align: 'center' });
+  pdf.fillColor('#000000').moveDown(1.5);
+
+  const row = (label, value) => {
+    pdf.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value === null || value === undefined || value === '' ? 'N/A' : String(value));
+  };
+
+  const { batch, certification } = certificate;
+  row('Batch', batch.batchId);
+  row('Crop', `${batch.cropName} (${batch.cropVariety})`);
+  row('Origin', batch.location);
+  row('Harvested', formatDate(batch.harvestDate));
+  if (batch.quantity !== null) row('Quantity', `${batch.quantity} ${batch.unit || ''}`.trim());
+  row('Farmer', certificate.farmer);
+  row('Certifier', certificate.certifier);
+  pdf.moveDown();
+  row('Result', certification.passed ? 'PASSED' : 'FAILED');
+  row('Standard', certification.standard);
+  row('Certified', formatDate(certification.certifiedAt));
+  row('Expires', formatDate(certification.expiry));
+  row('Transaction', certification.transactionHash);
+  row('Inspections', certificate.inspections.length
+    ? certificate.inspections.map(inspection => (inspection.passed ? 'pass' : 'fail')).join(', ')
+    : 'none recorded');
+
+  pdf.moveDown(1.5);
+  row('Signature', signature.algorithm);
+  row('Public key fingerprint (SHA-256)', signature.publicKeyFingerprint);
+  pdf.moveDown(0.5).fontSize(9).fillColor('#555555')
+    .text('The full signature is in the JSON certificate. Upload it at the address below, or scan the code, to verify it.');
+  pdf.fillColor('#000000');
+
+  // Draw the QR code as vector squares so it stays sharp when printed
+  const qr = QRCode.create(certificate.verifyUrl, { errorCorrectionLevel: 'M' });
+  const cell = 3;
+  const x0 = (pdf.page.width - qr.modules.size * cell) / 2;
+  const y0 = pdf.y + 15;
+  for (let row = 0; row < qr.modules.size; row++) {
+    for (let col = 0; col < qr.modules.size; col++) {
+      if (qr.modules.get(row, col)) pdf.rect(x0 + col * cell, y0 + row * cell, cell, cell);
+    }
+  }
+  pdf.fill('#000000');
+  pdf.y = y0 + qr.modules.size * cell + 10;
+  pdf.fontSize(9).text(certificate.verifyUrl, { align: 'center', link: certificate.verifyUrl });
+
+  pdf.end();
+});
+
+module.exports = {
+  CertificateError,
+  canonicalize,
+  toSignedDocument,
+  issueCertificate,
+  verifySignedCertificate,
+  renderCertificatePdf
+};
@@ -0,0 +1,303 @@
+/**
+ * Chain Indexer
+ * Follows AgriChain events and keeps the Batch and User collections in sync.
+ * Run inside the API (ENABLE_CHAIN_INDEXER=true) or standalone with `npm run indexer`.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const SyncState = require('../models/SyncState');
+const User = require('../models/User');
+const { syncBatchFromChain } = require('./batchSync');
+const { notifyBatchEvent } = require('./notifications');
+const {
+  USER_ROLES,
+  getAgriChainAddress,
+  getAgriChainInterface,
+  getProvider,
+  formatOnchainBatchId,
+  walletQuery
+} = require('../utils/blockchain');
+
+// Load environment variables
+dotenv.config();
+
+const STATE_KEY = 'agrichain-indexer';
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS || 4000);
+const BLOCK_RANGE = Number(process.env.INDEXER_BLOCK_RANGE || 2000);
+// Number of processed blocks remembered for reorg detection
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 64);
+// Events older than this are not news: replaying history must not flood users with notifications
+const NOTIFY_MAX_AGE_MS = Number(process.env.INDEXER_NOTIFY_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+
+const BATCH_EVENTS = [
+  'BatchCreated', 'BatchCertified', 'BatchPurchased', 'CustodyTransferred', 'BatchSplit', 'BatchMerged',
+  'EscrowFunded', 'EscrowDisputed', 'EscrowReleased', 'EscrowRefunded', 'BatchRecalled', 'BatchExpired'
+];
+
+let timer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * Load the persisted cursor, resetting it when the contract or network changed
+ * @returns {Object} SyncState document
+ */
+const loadState = async () => {
+  const contractAddress = getAgriChainAddress();
+  const { chainId } = await getProvider().getNetwork();
+
+  let state = await SyncState.findOne({ key: STATE_KEY });
+  if (!state) {
+    state = new SyncState({ key: STATE_KEY });
+  }
+
+  if (state.contractAddress !== contractAddress || state.chainId !== chainId) {
+    if (state.contractAddress) {
+      console.log(`Chain indexer: contract or network changed, replaying from block ${START_BLOCK}`);
+    }
+    state.contractAddress = contractAddress;
+    state.chainId = chainId;
+    state.lastBlock = START_BLOCK - 1;
+    state.recentBlocks = [];
+    await state.save();
+  }
+
+  return state;
+};
+
+/**
+ * Rewind the cursor to the last block still on the canonical chain
+ * @param {Object} state - SyncState document
+ * @returns {Array} On-chain batch IDs touched in orphaned blocks
+ */
+const rewindOnReorg = async (state) => {
+  const provider = getProvider();
+  const recent = state.recentBlocks;
+  if (!recent.length) return [];
+
+  // A shorter chain (evm_revert, restarted node) shows up as a missing block here
+  const latest = recent[recent.length - 1];
+  const current = await provider.getBlock(latest.number);
+  if (current && current.hash === latest.hash) return [];
+
+  // Walk back until a remembered block still matches the chain
+  let ancestorIndex = -1;
+  for (let i = recent.length - 2; i >= 0; i--) {
+    const block = await provider.getBlock(recent[i].number);
+    if (block && block.hash === recent[i].hash) {
+      ancestorIndex = i;
+      break;
+    }
+  }
+
+  const orphaned = recent.slice(ancestorIndex + 1);
+  const batchIds = [...new Set(orphaned.flatMap(block => block.batchIds))];
+
+  if (ancestorIndex === -1) {
+    console.warn('Chain indexer: reorg deeper than the tracked window, replaying from the start block');
+    state.lastBlock = START_BLOCK - 1;
+    state.recentBlocks = [];
+  } else {
+    state.lastBlock = recent[ancestorIndex].number;
+    state.recentBlocks = recent.slice(0, ancestorIndex + 1);
+  }
+  state.updatedAt = new Date();
+  await state.save();
+
+  console.log(`Chain indexer: reorg detected, rewound to block ${state.lastBlock}`);
+  return batchIds;
+};
+
+/**
+ * Mirror an on-chain registration onto the matching app account
+ * @param {Object} args - UserRegistered event arguments
+ */
+const handleUserRegistered = async ({ user, role }) => {
+  const result = await User.updateOne(
+    { walletAddress: walletQuery(user) },
+    { $set: { onchainRole: USER_ROLES[Number(role)], onchainRegistered: true } }
+  );
+  if (!result.matchedCount) {
+    // App accounts need credentials, so they can only be created through /api/auth/register
+    console.log(`Chain indexer: no app account for registered wallet ${user}`);
+  }
+};
+
+/**
+ * Process all AgriChain logs in a block range and advance the cursor
+ * @param {Object} state - SyncState document
+ * @param {Number} fromBlock - First block (inclusive)
+ * @param {Number} toBlock - Last block (inclusive)
+ */
+const processRange = async (state, fromBlock, toBlock) => {
+  const provider = getProvider();
+  const iface = getAgriChainInterface();
+
+  const logs = await provider.getLogs({
+    address: state.contractAddress,
+    fromBlock,
+    toBlock
+  });
+
+  const blocks = new Map();
+  const batchIdStrings = new Map();
+  const touched = new Set();
+  const batchEvents = [];
+
+  for (const log of logs) {
+    let event;
+    try {
+      event = iface.parseLog(log);
+    } catch (error) {
+      continue; // Not an event we know about
+    }
+
+    if (!blocks.has(log.blockNumber)) {
+      blocks.set(log.blockNumber, { number: log.blockNumber, hash: log.blockHash, batchIds: [] });
+    }
+
+    if (event.name === 'UserRegistered') {
+      await handleUserRegistered(event.args);
+    } else if (BATCH_EVENTS.includes(event.name)) {
+      const onchainId = formatOnchainBatchId(event.args.batchId);
+      if (event.name === 'BatchCreated') {
+        batchIdStrings.set(onchainId, event.args.batchIdString);
+      }
+      touched.add(onchainId);
+      blocks.get(log.blockNumber).batchIds.push(onchainId);
+      batchEvents.push({ event, log, onchainId });
+      // Split and merge also change the other side of the lineage link
+      const related = event.name === 'BatchSplit' ? [event.args.childId]
+        : event.name === 'BatchMerged' ? event.args.parentIds : [];
+      for (const value of related) {
+        const relatedId = formatOnchainBatchId(value);
+        touched.add(relatedId);
+        blocks.get(log.blockNumber).batchIds.push(relatedId);
+      }
+    }
+  }
+
+  // Batches are synced from their current on-chain state, so each one only needs one pass
+  const synced = new Map();
+  for (const onchainId of touched) {
+    const { batch, removed } = await syncBatchFromChain(onchainId, { batchIdString: batchIdStrings.get(onchainId) });
+    synced.set(onchainId, removed ? null : batch);
+  }
+
+  // Notify once the batches are synced, so recipients who open one see it in its new state
+  const notifyAfter = Date.now() - NOTIFY_MAX_AGE_MS;
+  const blockTimes = new Map();
+  for (const { event, log, onchainId } of batchEvents) {
+    if (!blockTimes.has(log.blockNumber)) {
+      blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp * 1000);
+    }
+    if (blockTimes.get(log.blockNumber) < notifyAfter) continue;
+    await notifyBatchEvent(event.name, synced.get(onchainId), {
+      args: event.args,
+      transactionHash: log.transactionHash
+    });
+  }
+
+  // Always remember the last block of the range so the next poll can detect reorgs
+  if (!blocks.has(toBlock)) {
+    const block = await provider.getBlock(toBlock);
+    blocks.set(toBlock, { number: toBlock, hash: block.hash, batchIds: [] });
+  }
+
+  state.recentBlocks = [...state.recentBlocks, ...blocks.values()]
+    .sort((a, b) => a.number - b.number)
+    .slice(-REORG_DEPTH);
+  state.lastBlock = toBlock;
+  state.updatedAt = new Date();
+  await state.save();
+
+  if (touched.size) {
+    console.log(`Chain indexer: synced ${touched.size} batch(es) from blocks ${fromBlock}-${toBlock}`);
+  }
+};
+
+/**
+ * Catch up from the stored cursor to the chain head
+ */
+const poll = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const state = await loadState();
+    const orphanedBatchIds = await rewindOnReorg(state);
+
+    const head = (await getProvider().getBlockNumber()) - CONFIRMATIONS;
+    if (head < state.lastBlock) {
+      // Chain is shorter than the cursor with no remembered block to compare against
+      console.warn('Chain indexer: chain head is behind the cursor, replaying from the start block');
+      state.lastBlock = START_BLOCK - 1;
+      state.recentBlocks = [];
+      await state.save();
+    }
+
+    while (state.lastBlock < head) {
+      const fromBlock = state.lastBlock + 1;
+      const toBlock = Math.min(head, fromBlock + BLOCK_RANGE - 1);
+      await processRange(state, fromBlock, toBlock);
+    }
+
+    // Re-read batches whose events were dropped by a reorg; removed ones are deleted
+    for (const onchainId of new Set(orphanedBatchIds)) {
+      await syncBatchFromChain(onchainId);
+    }
+  } catch (error) {
+    console.error('Chain indexer error:', error.message);
+  } finally {
+    running = false;
+    if (!stopped) {
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  }
+};
+
+/**
+ * Start following the chain (replays missed blocks first)
+ */
+const startIndexer = async () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`Chain indexer started for AgriChain at ${getAgriChainAddress()}`);
+  await poll();
+};
+
+/**
+ * Stop following the chain
+ */
+const stopIndexer = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  startIndexer,
+  stopIndexer,
+  poll
+};
+
+// Allow running the indexer as its own process
+if (require.main === module) {
+  require('../utils/pqcrypto').initPQCrypto()
+    .then(() => mongoose.connect(process.env.MONGODB_URI))
+    .then(() => {
+      console.log('MongoDB connection established');
+      return startIndexer();
+    })
+    .catch(err => {
+      console.error('Failed to start chain indexer:', err);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => {
+    stopIndexer();
+    mongoose.disconnect().then(() => process.exit(0));
+  });
+}
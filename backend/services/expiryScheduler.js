@@ -0,0 +1,215 @@
+/**
+ * Expiry Scheduler
+ * Takes unsold batches off sale on-chain once their certified shelf life is over and warns
+ * whoever holds a batch a few days before it expires.
+ * Run inside the API (ENABLE_EXPIRY_SCHEDULER=true) or standalone with `npm run expiry`.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Batch = require('../models/Batch');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { syncBatchFromChain } = require('./batchSync');
+const { notify, notifyBatchEvent, wantsNotification } = require('./notifications');
+const { getAdminSigner, getAgriChainContract, toOnchainBatchId, walletQuery } = require('../utils/blockchain');
+const { lifecycle, getTransition, statusesFor } = require('../utils/batchLifecycle');
+
+// Load environment variables
+dotenv.config();
+
+const CHECK_INTERVAL_MS = Number(process.env.EXPIRY_CHECK_INTERVAL_MS || 60 * 60 * 1000);
+const ALERT_DAYS = Number(process.env.EXPIRY_ALERT_DAYS || lifecycle.shelfLife.alertDays);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Batches still for sale, and sold stock the retailer may not have moved yet
+const ALERT_STATUSES = [...statusesFor('expire'), getTransition('purchase').to];
+
+let timer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * Call expireBatch for every certified batch past its expiry and mirror the result
+ * @param {Date} now - Reference time
+ * @returns {Array} Batch documents now marked EXPIRED
+ */
+const expireDueBatches = async (now = new Date()) => {
+  const due = await Batch.find({ status: { $in: statusesFor('expire') }, expiry: { $lte: now } });
+  if (!due.length) return [];
+
+  let agriChain;
+  try {
+    agriChain = getAgriChainContract().connect(getAdminSigner());
+  } catch (error) {
+    // Purchases of these batches are refused on-chain all the same
+    console.warn(`Expiry scheduler: ${error.message}, ${due.length} expired batch(es) left marked certified`);
+    return [];
+  }
+
+  const expired = [];
+  for (const batch of due) {
+    const onchainId = toOnchainBatchId(batch.batchId);
+    try {
+      // Someone else may already have expired, sold or recalled it
+      const { batch: current } = await syncBatchFromChain(onchainId, { batchIdString: batch.batchId });
+      if (current && statusesFor('expire').includes(current.status)) {
+        const tx = await agriChain.expireBatch(onchainId);
+        await tx.wait();
+        const { batch: synced } = await syncBatchFromChain(onchainId, { batchIdString: batch.batchId });
+        await notifyBatchEvent('BatchExpired', synced, { transactionHash: tx.hash });
+        expired.push(synced);
+      }
+    } catch (error) {
+      // Retried on the next run, e.g. when the chain clock is still behind the expiry
+      console.error(`Expiry scheduler: could not expire batch ${batch.batchId}:`, error.message);
+    }
+  }
+
+  if (expired.length) {
+    console.log(`Expiry scheduler: expired ${expired.length} batch(es)`);
+  }
+  return expired;
+};
+
+/**
+ * Warn each holder, in the app and by email, of the batches they hold that expire within
+ * EXPIRY_ALERT_DAYS, once per batch
+ * @param {Date} now - Reference time
+ * @returns {Array} Batch documents that were alerted
+ */
+const sendExpiryAlerts = async (now = new Date()) => {
+  const expiring = await Batch.find({
+    status: { $in: ALERT_STATUSES },
+    quantity: { $ne: 0 },
+    expiry: { $gt: now, $lte: new Date(now.getTime() + ALERT_DAYS * DAY_MS) },
+    expiryAlertedAt: null
+  }).sort({ expiry: 1 });
+
+  const byHolder = new Map();
+  for (const batch of expiring) {
+    const holder = (batch.custodian || batch.farmer).toLowerCase();
+    if (!byHolder.has(holder)) byHolder.set(holder, []);
+    byHolder.get(holder).push(batch);
+  }
+
+  const alerted = [];
+  for (const [holder, batches] of byHolder) {
+    try {
+      for (const batch of batches) {
+        await notify({
+          type: 'BATCH_EXPIRING',
+          recipients: [holder],
+          batchId: batch.batchId,
+          message: `Batch ${batch.batchId} expires on ${batch.expiry.toISOString().slice(0, 10)}`
+        });
+      }
+
+      const user = await User.findOne({ walletAddress: walletQuery(holder) });
+      const safeUser = user ? await user.toSafeJSON() : null;
+      // Holders without an email address are only warned in the app and on their dashboards
+      if (safeUser?.email && wantsNotification(user, 'BATCH_EXPIRING', 'email')) {
+        await sendMail({
+          to: safeUser.email,
+          subject: batches.length === 1
+            ? `Batch ${batches[0].batchId} expires soon`
+            : `${batches.length} batches expire soon`,
+          text: [
+            `Hello ${safeUser.name || holder},`,
+            '',
+            `The following batches you hold expire within ${ALERT_DAYS} day(s):`,
+            ...batches.map(batch =>
+              `- Batch ${batch.batchId} (${batch.cropName}): ${batch.quantity ?? 'unknown quantity'} ${batch.unit || ''}, ` +
+              `expires ${batch.expiry.toISOString().slice(0, 10)} ${PUBLIC_APP_URL}/batch/${encodeURIComponent(batch.batchId)}`
+            ),
+            '',
+            'Unsold batches can no longer be purchased once they expire.'
+          ].join('\n')
+        });
+      }
+
+      for (const batch of batches) {
+        batch.expiryAlertedAt = now;
+        await batch.save();
+        alerted.push(batch);
+      }
+    } catch (error) {
+      console.error(`Expiry scheduler: could not alert ${holder}:`, error.message);
+    }
+  }
+
+  return alerted;
+};
+
+/**
+ * Run both checks once
+ * @returns {Object} { expired, alerted }
+ */
+const runExpiryChecks = async () => {
+  const now = new Date();
+  const expired = await expireDueBatches(now);
+  const alerted = await sendExpiryAlerts(now);
+  return { expired, alerted };
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await runExpiryChecks();
+  } catch (error) {
+    console.error('Expiry scheduler error:', error.message);
+  } finally {
+    running = false;
+    if (!stopped) {
+      timer = setTimeout(tick, CHECK_INTERVAL_MS);
+    }
+  }
+};
+
+/**
+ * Start checking for expiring batches (runs once immediately)
+ */
+const startExpiryScheduler = async () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`Expiry scheduler started, alerting ${ALERT_DAYS} day(s) before expiry`);
+  await tick();
+};
+
+/**
+ * Stop checking for expiring batches
+ */
+const stopExpiryScheduler = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  expireDueBatches,
+  sendExpiryAlerts,
+  runExpiryChecks,
+  startExpiryScheduler,
+  stopExpiryScheduler
+};
+
+// Allow running the scheduler as its own process
+if (require.main === module) {
+  require('../utils/pqcrypto').initPQCrypto()
+    .then(() => mongoose.connect(process.env.MONGODB_URI))
+    .then(() => {
+      console.log('MongoDB connection established');
+      return startExpiryScheduler();
+    })
+    .catch(err => {
+      console.error('Failed to start expiry scheduler:', err);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => {
+    stopExpiryScheduler();
+    mongoose.disconnect().then(() => process.exit(0));
+  });
+}
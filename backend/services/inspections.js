@@ -0,0 +1,158 @@
+/**
+ * Inspection Service
+ * Evaluates inspection measurements against crop thresholds and builds the
+ * record whose hash is anchored in the InspectionRegistry contract
+ */
+const { ethers } = require('ethers');
+const LabReport = require('../models/LabReport');
+const { GRADES, getThresholds } = require('../utils/inspectionThresholds');
+const { normalizeReportHash } = require('./labReports');
+
+// Mirrors InspectionRegistry.MAX_REPORTS
+const MAX_REPORTS = 20;
+
+class InspectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InspectionError';
+    this.status = status;
+  }
+}
+
+const parseNonNegative = (value, name) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0) {
+    throw new InspectionError(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+/**
+ * Validate the measurements of an inspection
+ * @param {Object} input - { pesticideResidue (mg/kg), moisture (%), grade }
+ * @returns {Object} Parsed measurements
+ * @throws {InspectionError} When a measurement is missing or invalid
+ */
+const parseMeasurements = (input = {}) => {
+  const grade = String(input.grade || '').trim().toUpperCase();
+  if (!GRADES.includes(grade)) {
+    throw new InspectionError(`grade must be one of ${GRADES.join(', ')}`);
+  }
+  const moisture = parseNonNegative(input.moisture, 'moisture');
+  if (moisture > 100) {
+    throw new InspectionError('moisture is a percentage and cannot exceed 100');
+  }
+
+  return {
+    pesticideResidue: parseNonNegative(input.pesticideResidue, 'pesticideResidue'),
+    moisture,
+    grade
+  };
+};
+
+/**
+ * Check measurements against thresholds
+ * @param {Object} measurements - Result of parseMeasurements
+ * @param {Object} thresholds - { maxPesticideResidue, maxMoisture, minGrade }
+ * @returns {Object} { checks: [{ name, value, limit, passed }], passed }
+ */
+const evaluateInspection = (measurements, thresholds) => {
+  const checks = [
+    {
+      name: 'pesticideResidue',
+      value: measurements.pesticideResidue,
+      limit: thresholds.maxPesticideResidue,
+      passed: measurements.pesticideResidue <= thresholds.maxPesticideResidue
+    },
+    {
+      name: 'moisture',
+      value: measurements.moisture,
+      limit: thresholds.maxMoisture,
+      passed: measurements.moisture <= thresholds.maxMoisture
+    },
+    {
+      name: 'grade',
+      value: measurements.grade,
+      limit: thresholds.minGrade,
+      // Grades are ordered best first, so a lower index is better
+      passed: GRADES.indexOf(measurements.grade) <= GRADES.indexOf(thresholds.minGrade)
+    }
+  ];
+
+  return { checks, passed: checks.every(check => check.passed) };
+};
+
+/**
+ * Hash an inspection record the way it is anchored on-chain
+ * @param {Object} record - batchId, measurements, thresholds, passed, reportHashes and notes
+ * @returns {String} keccak256 of the record's canonical JSON
+ */
+const hashInspectionRecord = (record) => {
+  // Build the object explicitly so the key order, and therefore the hash, is stable
+  const canonical = {
+    batchId: record.batchId,
+    measurements: {
+      pesticideResidue: record.measurements.pesticideResidue,
+      moisture: record.measurements.moisture,
+      grade: record.measurements.grade
+    },
+    thresholds: {
+      maxPesticideResidue: record.thresholds.maxPesticideResidue,
+      maxMoisture: record.thresholds.maxMoisture,
+      minGrade: record.thresholds.minGrade
+    },
+    passed: record.passed,
+    reportHashes: [...record.reportHashes].sort(),
+    notes: record.notes || ''
+  };
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(canonical)));
+};
+
+/**
+ * Validate an inspection submitted for a batch and build its record
+ * @param {Object} batch - Batch document (with decrypted cropName)
+ * @param {Object} input - Measurements, reportHashes and notes from the request
+ * @returns {Object} { batchId, measurements, thresholds, checks, passed, notes, reports, reportHashes, dataHash }
+ * @throws {InspectionError} When the input is invalid or a report was not uploaded
+ */
+const prepareInspection = async (batch, input = {}) => {
+  const measurements = parseMeasurements(input.measurements);
+  const thresholds = getThresholds(batch.cropName);
+  const { checks, passed } = evaluateInspection(measurements, thresholds);
+  const notes = String(input.notes || '').trim();
+
+  const requested = Array.isArray(input.reportHashes) ? input.reportHashes : [];
+  const reportHashes = [...new Set(requested.map(normalizeReportHash))];
+  if (reportHashes.includes(null)) {
+    throw new InspectionError('Report hashes must be 32 byte hex SHA-256 digests');
+  }
+  if (reportHashes.length > MAX_REPORTS) {
+    throw new InspectionError(`An inspection can include at most ${MAX_REPORTS} lab reports`);
+  }
+
+  const reports = await LabReport.find({ hash: { $in: reportHashes } });
+  if (reports.length !== reportHashes.length) {
+    throw new InspectionError('Upload every lab report before recording the inspection');
+  }
+
+  const record = { batchId: batch.batchId, measurements, thresholds, passed, reportHashes, notes };
+
+  return {
+    ...record,
+    checks,
+    reports: reportHashes.map(hash => {
+      const report = reports.find(item => item.hash === hash);
+      return { hash, filename: report.filename, mimeType: report.mimeType, size: report.size };
+    }),
+    dataHash: hashInspectionRecord(record)
+  };
+};
+
+module.exports = {
+  MAX_REPORTS,
+  InspectionError,
+  parseMeasurements,
+  evaluateInspection,
+  hashInspectionRecord,
+  prepareInspection
+};
@@ -0,0 +1,255 @@
+/**
+ * Key Rotation Service
+ * Re-encrypts the encrypted fields of User and Batch documents under the active Kyber key
+ * and envelope format, rebuilds their blind indexes and scrubs cleartext left by older versions
+ */
+const Batch = require('../models/Batch');
+const User = require('../models/User');
+const { PLACEHOLDER } = require('../models/plugins/encryptionPlugin');
+const pqcrypto = require('../utils/pqcrypto');
+
+// Models using the encryption plugin
+const ENCRYPTED_MODELS = [User, Batch];
+
+const mapGet = (map, field) => (map && typeof map.get === 'function' ? map.get(field) : undefined);
+
+// Associated data the plugin binds each field's ciphertext to
+const fieldContext = (Model, documentId, field) => ({ model: Model.modelName, documentId, field });
+
+/**
+ * Re-encrypt the fields of one document that are not under the active key, or that
+ * still use the unauthenticated AES-CBC envelope.
+ * The update only applies if the ciphertexts are unchanged, so a concurrent
+ * save (which already uses the active key) is never overwritten.
+ * @param {Model} Model - Mongoose model
+ * @param {Document} doc - Document with its encryption maps selected
+ * @param {String} activeKeyId - Active Kyber key ID
+ * @returns {String} 'reencrypted', 'current' or 'changed'
+ */
+const reencryptDocument = async (Model, doc, activeKeyId) => {
+  const filter = { _id: doc._id };
+  const update = {};
+
+  for (const field of Model.getEncryptedFields()) {
+    const ciphertext = mapGet(doc._encryptedCiphers, field);
+    if (!ciphertext) continue;
+
+    const keyId = mapGet(doc._encryptedKeyIds, field) || pqcrypto.LEGACY_KEY_IDS.kyber;
+    const encryptedPackage = {
+      encryptedData: mapGet(doc._encrypted, field),
+      ciphertext,
+      iv: mapGet(doc._encryptedIVs, field),
+      keyId
+    };
+    if (keyId === activeKeyId && !pqcrypto.isLegacyEnvelope(encryptedPackage)) continue;
+
+    const context = fieldContext(Model, doc._id, field);
+    // AES-CBC is read even under PQC_REJECT_LEGACY_ENVELOPES: it is sealed with AES-GCM right away
+    const value = await pqcrypto.decryptData(encryptedPackage, context, { acceptLegacy: true });
+    const encrypted = await pqcrypto.encryptData(value, context);
+
+    filter[`_encryptedCiphers.${field}`] = ciphertext;
+    update[`_encrypted.${field}`] = encrypted.encryptedData;
+    update[`_encryptedCiphers.${field}`] = encrypted.ciphertext;
+    update[`_encryptedIVs.${field}`] = encrypted.iv;
+    update[`_encryptedKeyIds.${field}`] = encrypted.keyId;
+  }
+
+  if (!Object.keys(update).length) return 'current';
+
+  const result = await Model.updateOne(filter, { $set: update }, { timestamps: false });
+  return result.matchedCount ? 'reencrypted' : 'changed';
+};
+
+/**
+ * Re-encrypt every User and Batch document still under a retired Kyber key, and migrate
+ * AES-CBC envelopes to AES-GCM bound to their document and field.
+ * Safe to run while the API is serving: retired keys stay readable until this finishes.
+ * @param {Object} options - { batchSize, onProgress(modelName, summary) }
+ * @returns {Object} Per model: { scanned, reencrypted, current, changed, failed }
+ */
+const reencryptAll = async ({ batchSize = 100, onProgress } = {}) => {
+  const { keyId: activeKeyId } = await pqcrypto.loadKyberKeys();
+  const report = {};
+
+  for (const Model of ENCRYPTED_MODELS) {
+    const summary = { scanned: 0, reencrypted: 0, current: 0, changed: 0, failed: 0 };
+    report[Model.modelName] = summary;
+
+    const cursor = Model.find().sort({ _id: 1 }).batchSize(batchSize).cursor();
+    for await (const doc of cursor) {
+      summary.scanned += 1;
+      try {
+        summary[await reencryptDocument(Model, doc, activeKeyId)] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Failed to re-encrypt ${Model.modelName} ${doc._id}:`, error.message);
+      }
+      if (onProgress && summary.scanned % batchSize === 0) {
+        onProgress(Model.modelName, summary);
+      }
+    }
+    if (onProgress) onProgress(Model.modelName, summary);
+  }
+
+  return report;
+};
+
+/**
+ * Rebuild the blind index tokens of every User and Batch document from its
+ * decrypted fields, e.g. for documents written before blind indexes existed
+ * @param {Object} options - { batchSize, onProgress(modelName, summary) }
+ * @returns {Object} Per model: { scanned, indexed, failed }
+ */
+const rebuildBlindIndexes = async ({ batchSize = 100, onProgress } = {}) => {
+  const report = {};
+
+  for (const Model of ENCRYPTED_MODELS) {
+    const fields = Model.getBlindIndexedFields();
+    const summary = { scanned: 0, indexed: 0, failed: 0 };
+    report[Model.modelName] = summary;
+    if (!fields.length) continue;
+
+    const cursor = Model.find().sort({ _id: 1 }).batchSize(batchSize).cursor();
+    for await (const doc of cursor) {
+      summary.scanned += 1;
+      try {
+        const update = { $set: {}, $unset: {} };
+        for (const field of fields) {
+          // Throws rather than indexing a stale cleartext copy when decryption fails
+          const value = await doc.decryptField(field);
+          if (value === undefined || value === null || value === '') {
+            update.$unset[`_blindIndex.${field}`] = '';
+          } else {
+            update.$set[`_blindIndex.${field}`] = Model.buildBlindIndexTokens(field, value);
+          }
+        }
+        if (!Object.keys(update.$unset).length) delete update.$unset;
+        if (!Object.keys(update.$set).length) delete update.$set;
+        await Model.updateOne({ _id: doc._id }, update, { timestamps: false });
+        summary.indexed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Failed to index ${Model.modelName} ${doc._id}:`, error.message);
+      }
+      if (onProgress && summary.scanned % batchSize === 0) {
+        onProgress(Model.modelName, summary);
+      }
+    }
+    if (onProgress) onProgress(Model.modelName, summary);
+  }
+
+  return report;
+};
+
+/**
+ * Encrypt and scrub the cleartext fields of one raw document. Existing ciphertext is
+ * what reads already return, so it wins over the cleartext copy; it is decrypted first
+ * so the cleartext is never dropped in favour of a ciphertext that cannot be read.
+ * The update only applies if the cleartext is unchanged.
+ * @param {Model} Model - Mongoose model
+ * @param {Object} raw - Document as stored, read without the model's hooks
+ * @param {Boolean} dryRun - Report without writing
+ * @returns {String} 'scrubbed', 'clean' or 'changed'
+ */
+const scrubDocument = async (Model, raw, dryRun) => {
+  const filter = { _id: raw._id };
+  const update = {};
+  const stored = (map, field) => (raw[map] || {})[field];
+
+  for (const field of Model.getEncryptedFields()) {
+    const cleartext = raw[field];
+    if (cleartext === undefined || cleartext === null || cleartext === PLACEHOLDER) continue;
+
+    let value = cleartext;
+    if (stored('_encrypted', field) && stored('_encryptedCiphers', field) && stored('_encryptedIVs', field)) {
+      value = await pqcrypto.decryptData({
+        encryptedData: stored('_encrypted', field),
+        ciphertext: stored('_encryptedCiphers', field),
+        iv: stored('_encryptedIVs', field),
+        keyId: stored('_encryptedKeyIds', field)
+      }, fieldContext(Model, raw._id, field));
+    } else {
+      const encrypted = await pqcrypto.encryptData(cleartext, fieldContext(Model, raw._id, field));
+      update[`_encrypted.${field}`] = encrypted.encryptedData;
+      update[`_encryptedCiphers.${field}`] = encrypted.ciphertext;
+      update[`_encryptedIVs.${field}`] = encrypted.iv;
+      update[`_encryptedKeyIds.${field}`] = encrypted.keyId;
+    }
+
+    filter[field] = cleartext;
+    update[field] = PLACEHOLDER;
+    if (Model.getBlindIndexedFields().includes(field)) {
+      update[`_blindIndex.${field}`] = Model.buildBlindIndexTokens(field, value);
+    }
+  }
+
+  if (!Object.keys(update).length) return 'clean';
+  if (dryRun) return 'scrubbed';
+
+  // Raw driver update: the model's update hooks refuse to write encrypted fields
+  const result = await Model.collection.updateOne(filter, { $set: update });
+  return result.matchedCount ? 'scrubbed' : 'changed';
+};
+
+/**
+ * Replace the cleartext that User and Batch documents stored next to their ciphertext
+ * (before fields were saved as placeholders) with the placeholder, encrypting values
+ * that were never encrypted and indexing them
+ * @param {Object} options - { batchSize, dryRun, onProgress(modelName, summary) }
+ * @returns {Object} Per model: { scanned, scrubbed, clean, changed, failed }
+ */
+const scrubPlaintext = async ({ batchSize = 100, dryRun = false, onProgress } = {}) => {
+  const report = {};
+
+  for (const Model of ENCRYPTED_MODELS) {
+    const summary = { scanned: 0, scrubbed: 0, clean: 0, changed: 0, failed: 0 };
+    report[Model.modelName] = summary;
+
+    const cursor = Model.collection.find().sort({ _id: 1 }).batchSize(batchSize);
+    for await (const raw of cursor) {
+      summary.scanned += 1;
+      try {
+        summary[await scrubDocument(Model, raw, dryRun)] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Failed to scrub ${Model.modelName} ${raw._id}:`, error.message);
+      }
+      if (onProgress && summary.scanned % batchSize === 0) {
+        onProgress(Model.modelName, summary);
+      }
+    }
+    if (onProgress) onProgress(Model.modelName, summary);
+  }
+
+  return report;
+};
+
+/**
+ * Count encrypted fields per Kyber key ID, to tell when a retired key is no longer needed,
+ * and the fields still in AES-CBC envelopes
+ * @returns {Object} Per model: { keys: { <keyId>: fieldCount }, legacyEnvelopes }
+ */
+const countFieldsByKey = async () => {
+  const report = {};
+  for (const Model of ENCRYPTED_MODELS) {
+    const counts = { keys: {}, legacyEnvelopes: 0 };
+    for await (const doc of Model.find().cursor()) {
+      for (const field of Model.getEncryptedFields()) {
+        if (!mapGet(doc._encryptedCiphers, field)) continue;
+        const keyId = mapGet(doc._encryptedKeyIds, field) || pqcrypto.LEGACY_KEY_IDS.kyber;
+        counts.keys[keyId] = (counts.keys[keyId] || 0) + 1;
+        if (pqcrypto.isLegacyEnvelope({ iv: mapGet(doc._encryptedIVs, field) })) counts.legacyEnvelopes += 1;
+      }
+    }
+    report[Model.modelName] = counts;
+  }
+  return report;
+};
+
+module.exports = {
+  reencryptAll,
+  rebuildBlindIndexes,
+  scrubPlaintext,
+  countFieldsByKey
+};
@@ -0,0 +1,128 @@
+/**
+ * Lab Report Storage
+ * Stores uploaded lab reports on local disk, addressed by the SHA-256 of their contents
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const LabReport = require('../models/LabReport');
+
+// Load environment variables
+dotenv.config();
+
+const LAB_REPORT_DIR = process.env.LAB_REPORT_DIR || path.join(__dirname, '..', 'uploads', 'lab-reports');
+const MAX_REPORT_BYTES = Number(process.env.LAB_REPORT_MAX_BYTES) || 10 * 1024 * 1024;
+
+const REPORT_HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+
+// Accepted file types, recognised by their leading bytes rather than the client's claim
+const FILE_SIGNATURES = [
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  {
+    mimeType: 'image/webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+class LabReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LabReportError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a lab report the way it is anchored on-chain
+ * @param {Buffer} buffer - File contents
+ * @returns {String} 0x-prefixed SHA-256 hex digest
+ */
+const hashReport = (buffer) => '0x' + crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Normalize a report hash from a request
+ * @param {String} hash - Hash with or without the 0x prefix
+ * @returns {String|null} Lowercase 0x-prefixed hash, or null if malformed
+ */
+const normalizeReportHash = (hash) => {
+  const value = String(hash || '').trim().toLowerCase();
+  const prefixed = value.startsWith('0x') ? value : `0x${value}`;
+  return REPORT_HASH_PATTERN.test(prefixed) ? prefixed : null;
+};
+
+const reportPath = (hash) => path.join(LAB_REPORT_DIR, hash.slice(2));
+
+/**
+ * Store an uploaded lab report; uploading the same file twice returns the existing record
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Original filename and uploader wallet
+ * @returns {Object} LabReport document
+ * @throws {LabReportError} When the file is empty, too large or not an accepted type
+ */
+const storeLabReport = async (buffer, { filename, uploadedBy } = {}) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new LabReportError('Lab report file is empty');
+  }
+  if (buffer.length > MAX_REPORT_BYTES) {
+    throw new LabReportError(`Lab reports are limited to ${MAX_REPORT_BYTES} bytes`, 413);
+  }
+
+  const type = FILE_SIGNATURES.find(signature => signature.matches(buffer));
+  if (!type) {
+    throw new LabReportError('Lab reports must be PDF, PNG, JPEG or WebP files', 415);
+  }
+
+  const hash = hashReport(buffer);
+  const existing = await LabReport.findOne({ hash });
+  if (existing) {
+    return existing;
+  }
+
+  await fs.promises.mkdir(LAB_REPORT_DIR, { recursive: true });
+  // Content addressing makes rewriting an existing file harmless
+  await fs.promises.writeFile(reportPath(hash), buffer);
+
+  return LabReport.create({
+    hash,
+    filename: path.basename(String(filename || hash.slice(2))),
+    mimeType: type.mimeType,
+    size: buffer.length,
+    uploadedBy
+  });
+};
+
+/**
+ * Read a stored lab report and check it still matches its hash
+ * @param {String} hash - 0x-prefixed SHA-256 of the report
+ * @returns {Object|null} { report, buffer, intact }, or null if unknown
+ */
+const readLabReport = async (hash) => {
+  const report = await LabReport.findOne({ hash });
+  if (!report) {
+    return null;
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(reportPath(hash));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { report, buffer: null, intact: false };
+    }
+    throw error;
+  }
+
+  return { report, buffer, intact: hashReport(buffer) === hash };
+};
+
+module.exports = {
+  LabReportError,
+  MAX_REPORT_BYTES,
+  hashReport,
+  normalizeReportHash,
+  storeLabReport,
+  readLabReport
+};
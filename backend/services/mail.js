@@ -0,0 +1,118 @@
+/**
+ * Mail Service
+ * Sends account emails through a pluggable transport chosen with MAIL_TRANSPORT:
+ * 'file' (the default) writes each message as an .eml file to MAIL_OUTBOX_DIR so
+ * development works offline, 'console' logs it, and any other value is the path of a
+ * module exporting send(message) (e.g. an SMTP or provider API client)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'AgriChain <no-reply@agrichain.local>';
+
+// One plain address (local@domain.tld) without whitespace, so it can never break a header line
+const EMAIL_PATTERN = /^[^\s@<>()[\]",;:\\]+@[^\s@<>()[\]",;:\\.]+(\.[^\s@<>()[\]",;:\\.]+)+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Check that a value is a single plain email address
+ * @param {String} address - Address as entered
+ * @returns {Boolean} True for a valid address
+ */
+const isValidEmail = (address) =>
+  typeof address === 'string' && address.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(address);
+
+// A CR or LF in a header value would end the header and let the rest inject new ones
+const headerValue = (name, value) => {
+  if (/[\r\n]/.test(String(value))) {
+    throw new Error(`${name} header must not contain line breaks`);
+  }
+  return value;
+};
+
+// Header values with non-ASCII characters are sent as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Render a message in Internet Message Format, as written to .eml files
+ * @param {Object} message - { from, to, subject, text, date, messageId }
+ * @returns {String} Message source
+ */
+const formatEml = ({ from, to, subject, text, date, messageId }) => [
+  `From: ${headerValue('From', from)}`,
+  `To: ${headerValue('To', to)}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${date.toUTCString()}`,
+  `Message-ID: ${headerValue('Message-ID', messageId)}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n')
+].join('\r\n');
+
+const fileTransport = {
+  send: async (message) => {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${message.date.getTime()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(OUTBOX_DIR, fileName), formatEml(message));
+  }
+};
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'file';
+    if (name === 'file') {
+      transport = fileTransport;
+    } else if (name === 'console') {
+      transport = consoleTransport;
+    } else {
+      transport = require(path.resolve(name));
+      if (typeof transport.send !== 'function') {
+        throw new Error(`Mail transport ${name} does not export send(message)`);
+      }
+    }
+  }
+  return transport;
+};
+
+/**
+ * Send a plain-text email
+ * @param {Object} mail - { to, subject, text }
+ * @returns {Object} The message as handed to the transport
+ * @throws {Error} When the recipient is not a single valid address
+ */
+const sendMail = async ({ to, subject, text }) => {
+  // Checked here rather than per transport, since custom transports build their own headers
+  if (!isValidEmail(to)) {
+    throw new Error('Invalid recipient address');
+  }
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    date: new Date(),
+    messageId: `<${crypto.randomUUID()}@${MAIL_FROM.replace(/^.*@|>$/g, '')}>`
+  };
+  await getTransport().send(message);
+  return message;
+};
+
+module.exports = {
+  isValidEmail,
+  formatEml,
+  sendMail
+};
@@ -0,0 +1,160 @@
+/**
+ * Notification Socket
+ * WebSocket endpoint that pushes new notifications and unread counts to signed-in users.
+ * Browsers cannot set headers on a WebSocket, so the server opens with a challenge nonce and
+ * the client answers with its access token and, under PQC_REQUEST_SIGNING, a signature over
+ * the nonce by its device key; the connection is closed once the session is revoked or the
+ * user suspended.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer } = require('ws');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isSessionActive } = require('./sessions');
+const { verifySignedSocket, RequestSigningError } = require('./requestSigning');
+
+const SOCKET_PATH = '/api/notifications/socket';
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Close code the client treats as "sign in again" rather than "reconnect"
+const CLOSE_UNAUTHORIZED = 4001;
+
+// Open connections of each user, by user ID
+const connections = new Map();
+
+const send = (socket, payload) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+/**
+ * Send a message to every open connection of a user (a no-op when none is open, e.g. in
+ * the standalone chain indexer)
+ * @param {String} userId - User ID
+ * @param {Object} payload - Message, serialized as JSON
+ */
+const sendToUser = (userId, payload) => {
+  for (const socket of connections.get(String(userId)) || []) {
+    send(socket, payload);
+  }
+};
+
+// Same session and suspension checks as middleware/auth.js
+const checkAccess = async (decoded) => {
+  if (!await isSessionActive(decoded.sid)) {
+    throw new Error('Session has been revoked');
+  }
+  if (await User.exists({ _id: decoded.id, suspended: true })) {
+    throw new Error('Account suspended');
+  }
+};
+
+const authenticate = async ({ token, keyId, signature }, nonce) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  await checkAccess(decoded);
+  await verifySignedSocket({ keyId, signature }, nonce, decoded.id, decoded.pqcKeyId);
+  return decoded;
+};
+
+const register = (socket, decoded) => {
+  const userId = String(decoded.id);
+  socket.user = decoded;
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+};
+
+const unregister = (socket) => {
+  if (!socket.user) return;
+  const userId = String(socket.user.id);
+  const sockets = connections.get(userId);
+  sockets?.delete(socket);
+  if (sockets && !sockets.size) connections.delete(userId);
+};
+
+const handleConnection = (socket) => {
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+  socket.on('close', () => unregister(socket));
+
+  const authTimer = setTimeout(() => socket.close(CLOSE_UNAUTHORIZED, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+  socket.once('close', () => clearTimeout(authTimer));
+
+  // Signed by the client's device key in its auth message
+  const nonce = crypto.randomBytes(32).toString('hex');
+  send(socket, { type: 'challenge', nonce });
+  // Set before the first await, so a second auth message cannot overlap the first
+  let authReceived = false;
+
+  socket.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return; // Not a message we understand
+    }
+    if (message?.type !== 'auth') return;
+    if (authReceived) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Only one auth message is allowed');
+      return;
+    }
+    authReceived = true;
+
+    try {
+      const decoded = await authenticate(message, nonce);
+      clearTimeout(authTimer);
+      // Closed while the token was checked: registering it now would leave it in connections
+      if (socket.readyState !== socket.OPEN) return;
+      register(socket, decoded);
+      send(socket, { type: 'ready', unread: await Notification.countDocuments({ userId: decoded.id, readAt: null }) });
+    } catch (error) {
+      socket.close(CLOSE_UNAUTHORIZED, error instanceof RequestSigningError ? error.message : 'Token is not valid');
+    }
+  });
+};
+
+// Drop dead connections and the ones whose session ended since they authenticated. The
+// access token itself may expire meanwhile: the session is what keeps the socket open.
+const heartbeat = async (wss) => {
+  for (const socket of wss.clients) {
+    if (!socket.isAlive) {
+      socket.terminate();
+      continue;
+    }
+    socket.isAlive = false;
+    socket.ping();
+
+    if (socket.user) {
+      try {
+        await checkAccess(socket.user);
+      } catch (error) {
+        socket.close(CLOSE_UNAUTHORIZED, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Serve the notification socket on the API's HTTP server
+ * @param {Object} server - HTTP server returned by app.listen
+ * @returns {Object} WebSocketServer
+ */
+const attachNotificationSocket = (server) => {
+  const wss = new WebSocketServer({ server, path: SOCKET_PATH });
+  wss.on('connection', handleConnection);
+
+  const interval = setInterval(() => {
+    heartbeat(wss).catch(error => console.error('Notification socket heartbeat error:', error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(interval));
+
+  console.log(`Notification socket listening on ${SOCKET_PATH}`);
+  return wss;
+};
+
+module.exports = {
+  SOCKET_PATH,
+  attachNotificationSocket,
+  sendToUser
+};
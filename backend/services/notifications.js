@@ -0,0 +1,362 @@
+/**
+ * Notification Service
+ * Turns batch events into in-app notifications for the users they concern, stores them and
+ * pushes them to the recipients' open WebSocket connections. The batch routes and the chain
+ * indexer both report events; dedupe keys make sure each one is only shown once.
+ */
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendToUser } = require('./notificationSocket');
+const { lifecycle, getTransition } = require('../utils/batchLifecycle');
+const { sameAddress, walletQuery } = require('../utils/blockchain');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every notification users can receive; `email` marks the types that are also emailed
+const NOTIFICATION_TYPES = {
+  BATCH_CREATED: { label: 'Batch awaiting certification', description: 'A new batch or merged lot needs certifying' },
+  BATCH_CERTIFIED: { label: 'Batch certified', description: 'A batch you farmed passed certification' },
+  BATCH_REJECTED: { label: 'Batch rejected', description: 'A batch you farmed failed certification' },
+  BATCH_PURCHASED: { label: 'Batch sold', description: 'A retailer bought a batch you farmed or sold' },
+  CUSTODY_RECEIVED: { label: 'Batch handed over', description: 'Custody of a batch was transferred to you' },
+  ESCROW_DISPUTED: { label: 'Payment disputed', description: 'The escrowed payment for a batch was disputed or held back by a recall' },
+  ESCROW_RELEASED: { label: 'Payment released', description: 'The escrowed payment for a batch was paid to you' },
+  ESCROW_REFUNDED: { label: 'Payment refunded', description: 'A disputed payment was refunded to you' },
+  BATCH_RECALLED: { label: 'Batch recalled', description: 'A batch you farmed or hold was recalled', email: true },
+  BATCH_EXPIRING: { label: 'Batch expiring soon', description: 'A batch you hold is about to expire', email: true },
+  BATCH_EXPIRED: { label: 'Batch expired', description: 'A batch you hold expired before it was sold' }
+};
+
+class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+  }
+}
+
+// Channels a user switched on or off for a type, as a plain object
+const savedPreference = (user, type) => {
+  const preferences = user.notificationPreferences;
+  const saved = preferences instanceof Map ? preferences.get(type) : preferences?.[type];
+  return saved?.toObject ? saved.toObject() : saved || {};
+};
+
+/**
+ * Whether a user wants a type of notification on a channel (on unless switched off)
+ * @param {Object} user - User document
+ * @param {String} type - Key of NOTIFICATION_TYPES
+ * @param {String} channel - 'inApp' or 'email'
+ * @returns {Boolean}
+ */
+const wantsNotification = (user, type, channel) => savedPreference(user, type)[channel] !== false;
+
+/**
+ * Effective preferences of a user for every notification type
+ * @param {Object} user - User document
+ * @returns {Object} { [type]: { inApp, email? } }
+ */
+const getPreferences = (user) => Object.fromEntries(
+  Object.entries(NOTIFICATION_TYPES).map(([type, definition]) => [type, {
+    inApp: wantsNotification(user, type, 'inApp'),
+    ...(definition.email ? { email: wantsNotification(user, type, 'email') } : {})
+  }])
+);
+
+/**
+ * Switch notification types on or off
+ * @param {Object} user - User document
+ * @param {Object} updates - { [type]: { inApp?, email? } }
+ * @returns {Object} The user's preferences after the update
+ * @throws {NotificationError} On unknown types, channels or non-boolean values
+ */
+const updatePreferences = async (user, updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new NotificationError('Preferences must be an object keyed by notification type');
+  }
+
+  for (const [type, channels] of Object.entries(updates)) {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) {
+      throw new NotificationError(`Unknown notification type ${type}`);
+    }
+    if (!channels || typeof channels !== 'object') {
+      throw new NotificationError(`Preferences for ${type} must be an object`);
+    }
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (channel !== 'inApp' && !(channel === 'email' && definition.email)) {
+        throw new NotificationError(`${type} cannot be sent by ${channel}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new NotificationError(`${type}.${channel} must be true or false`);
+      }
+    }
+    user.notificationPreferences.set(type, { ...savedPreference(user, type), ...channels });
+  }
+
+  await user.save();
+  return getPreferences(user);
+};
+
+/**
+ * Number of unread notifications of a user
+ * @param {String} userId - User ID
+ * @returns {Number}
+ */
+const countUnread = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Store a notification for every recipient who wants it and push it to their open connections
+ * @param {Object} params - type, recipients (wallet addresses), batchId, message, actor (never
+ *   notified about their own action), transactionHash, and repeatable for events that can
+ *   happen more than once to the same batch and recipient
+ * @returns {Array} Notification documents created
+ */
+const notify = async ({ type, recipients, batchId, message, actor, transactionHash, repeatable = false }) => {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition) {
+    throw new NotificationError(`Unknown notification type ${type}`);
+  }
+
+  const wallets = [...new Set(recipients.filter(Boolean).map(wallet => wallet.toLowerCase()))]
+    .filter(wallet => !actor || !sameAddress(wallet, actor));
+
+  const created = [];
+  for (const wallet of wallets) {
+    const user = await User.findOne({ walletAddress: walletQuery(wallet) });
+    // Wallets without an app account only see events on-chain
+    if (!user || !wantsNotification(user, type, 'inApp')) continue;
+
+    let dedupeKey = `${type}:${batchId}:${user._id}`;
+    if (repeatable) {
+      dedupeKey = transactionHash ? `${dedupeKey}:${transactionHash}` : undefined;
+    }
+
+    let notification;
+    try {
+      notification = await Notification.create({
+        userId: user._id,
+        type,
+        title: definition.label,
+        message,
+        batchId,
+        link: batchId ? `/batch/${encodeURIComponent(batchId)}` : undefined,
+        actor,
+        transactionHash,
+        dedupeKey
+      });
+    } catch (error) {
+      // Already reported by the batch route or the chain indexer
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    created.push(notification);
+    sendToUser(user._id, { type: 'notification', notification, unread: await countUnread(user._id) });
+  }
+
+  return created;
+};
+
+// Wallet that sold a batch to its retailer: the holder at the time of purchase
+const sellerOf = (batch) => {
+  const purchase = [...(batch.history || [])].reverse()
+    .find(entry => entry.action === getTransition('purchase').history);
+  return purchase?.from;
+};
+
+/**
+ * Describe the notification an AgriChain batch event causes
+ * @param {String} eventName - AgriChain event name
+ * @param {Object} batch - Batch document after the event was applied
+ * @param {Object} args - Event arguments, when known
+ * @returns {Object|null} Parameters for notify, or null when nobody needs to hear about it
+ */
+const describeBatchEvent = (eventName, batch, args = {}) => {
+  const { batchId } = batch;
+
+  switch (eventName) {
+    case 'BatchCreated':
+      // Only news while the batch is still waiting for a certifier
+      if (batch.status !== lifecycle.initial) return null;
+      return {
+        type: 'BATCH_CREATED',
+        recipients: { role: 'certifier' },
+        actor: args.farmer || batch.farmer,
+        message: `Batch ${batchId} is waiting for certification`
+      };
+    case 'BatchCertified': {
+      const passed = args.passed ?? batch.labResults;
+      return {
+        type: passed ? 'BATCH_CERTIFIED' : 'BATCH_REJECTED',
+        recipients: [batch.farmer],
+        actor: args.certifier || batch.certifier,
+        message: passed ? `Batch ${batchId} passed certification` : `Batch ${batchId} failed certification`
+      };
+    }
+    case 'BatchPurchased':
+      return {
+        type: 'BATCH_PURCHASED',
+        recipients: [batch.farmer, sellerOf(batch)],
+        actor: args.retailer || batch.retailer,
+        message: `Batch ${batchId} was bought by ${args.retailer || batch.retailer}`
+      };
+    case 'CustodyTransferred':
+      return {
+        type: 'CUSTODY_RECEIVED',
+        recipients: [args.to || batch.custodian],
+        actor: args.from,
+        repeatable: true,
+        message: args.from ? `Batch ${batchId} was handed to you by ${args.from}` : `Batch ${batchId} was handed to you`
+      };
+    case 'EscrowDisputed':
+      return {
+        type: 'ESCROW_DISPUTED',
+        recipients: [batch.escrow?.payee || batch.farmer],
+        actor: args.retailer || batch.escrow?.retailer,
+        // A recall hands the held payment to the arbiter in the same transaction
+        message: batch.status === getTransition('recall').to
+          ? `The payment for recalled batch ${batchId} is held for the arbiter`
+          : `The buyer of batch ${batchId} disputed the payment`
+      };
+    case 'EscrowReleased':
+      return {
+        type: 'ESCROW_RELEASED',
+        recipients: [args.payee || batch.escrow?.payee],
+        message: `The payment for batch ${batchId} was released to you`
+      };
+    case 'EscrowRefunded':
+      return {
+        type: 'ESCROW_REFUNDED',
+        recipients: [args.retailer || batch.escrow?.retailer],
+        message: `The payment for batch ${batchId} was refunded to you`
+      };
+    case 'BatchRecalled': {
+      if (!batch.recall) return null;
+      const reason = lifecycle.recallReasons[batch.recall.reason]?.label || batch.recall.reason;
+      const source = batch.recall.sourceBatchId;
+      return {
+        type: 'BATCH_RECALLED',
+        recipients: [batch.farmer, batch.custodian],
+        actor: args.recalledBy || batch.recall.recalledBy,
+        message: source && source !== batchId
+          ? `Batch ${batchId} was recalled with batch ${source} (${reason})`
+          : `Batch ${batchId} was recalled (${reason})`
+      };
+    }
+    case 'BatchExpired':
+      return {
+        type: 'BATCH_EXPIRED',
+        recipients: [batch.custodian || batch.farmer],
+        message: `Batch ${batchId} expired before it was sold and can no longer be purchased`
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Notify the users concerned by an AgriChain batch event. Never throws: the event already
+ * happened on-chain, and a lost notice must not fail the request that reported it.
+ * @param {String} eventName - AgriChain event name
+ * @param {Object} batch - Batch document after the event was applied
+ * @param {Object} options - args (event arguments), transactionHash, and actor when the
+ *   wallet that sent the transaction is known and not among the event arguments
+ * @returns {Array} Notification documents created
+ */
+const notifyBatchEvent = async (eventName, batch, { args, transactionHash, actor } = {}) => {
+  try {
+    const notice = batch && describeBatchEvent(eventName, batch, args);
+    if (!notice) return [];
+
+    let { recipients } = notice;
+    if (!Array.isArray(recipients)) {
+      const users = await User.find({ role: recipients.role, suspended: { $ne: true } }).select('walletAddress');
+      recipients = users.map(user => user.walletAddress);
+    }
+
+    return await notify({ ...notice, recipients, actor: actor || notice.actor, batchId: batch.batchId, transactionHash });
+  } catch (error) {
+    console.error(`Error notifying ${eventName} for batch ${batch?.batchId}:`, error);
+    return [];
+  }
+};
+
+/**
+ * A page of a user's notifications, newest first
+ * @param {String} userId - User ID
+ * @param {Object} options - unread (only unread ones), before (ISO date of the last one seen), limit
+ * @returns {Object} { notifications, unread, hasMore }
+ */
+const listNotifications = async (userId, { unread, before, limit } = {}) => {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { userId };
+  if (unread) filter.readAt = null;
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) {
+      throw new NotificationError('Invalid date for before');
+    }
+    filter.createdAt = { $lt: date };
+  }
+
+  const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(pageSize + 1);
+  return {
+    notifications: notifications.slice(0, pageSize),
+    unread: await countUnread(userId),
+    hasMore: notifications.length > pageSize
+  };
+};
+
+/**
+ * Mark one notification as read
+ * @param {String} userId - User ID
+ * @param {String} notificationId - Notification ID
+ * @returns {Object} { notification, unread }
+ * @throws {NotificationError} When the user has no such notification
+ */
+const markRead = async (userId, notificationId) => {
+  const notification = mongoose.isValidObjectId(notificationId)
+    ? await Notification.findOne({ _id: notificationId, userId })
+    : null;
+  if (!notification) {
+    throw new NotificationError('Notification not found', 404);
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  const unread = await countUnread(userId);
+  // Other tabs and devices update their badge too
+  sendToUser(userId, { type: 'unread', unread });
+  return { notification, unread };
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {String} userId - User ID
+ * @returns {Number} Number of notifications marked
+ */
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  sendToUser(userId, { type: 'unread', unread: 0 });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NotificationError,
+  wantsNotification,
+  getPreferences,
+  updatePreferences,
+  countUnread,
+  notify,
+  notifyBatchEvent,
+  listNotifications,
+  markRead,
+  markAllRead
+};
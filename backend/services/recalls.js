@@ -0,0 +1,247 @@
+/**
+ * Recall Service
+ * Mirrors an on-chain recall onto the recalled batch and every lot derived from it, lists
+ * the retailers still holding affected stock and emails them the notice
+ */
+const Batch = require('../models/Batch');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { syncBatchFromChain } = require('./batchSync');
+const { notifyBatchEvent, wantsNotification } = require('./notifications');
+const { lifecycle } = require('../utils/batchLifecycle');
+const { sameAddress, toOnchainBatchId, walletQuery } = require('../utils/blockchain');
+
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const CSV_COLUMNS = ['retailer', 'name', 'email', 'batchId', 'quantity', 'unit', 'purchasedAt'];
+
+class RecallError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecallError';
+    this.status = status;
+  }
+}
+
+const reasonLabel = (reason) => lifecycle.recallReasons[reason]?.label || reason;
+
+/**
+ * Sync a recalled batch and every lot split or merged from it, generation by generation
+ * @param {String} batchId - Batch ID string of the recalled batch
+ * @returns {Array} Synced Batch documents, the recalled batch first
+ * @throws {RecallError} When the batch is not on-chain
+ */
+const syncRecalledLineage = async (batchId) => {
+  const batches = [];
+  const seen = new Set();
+  let generation = [batchId];
+
+  while (generation.length) {
+    const next = [];
+    for (const id of generation) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const { batch } = await syncBatchFromChain(toOnchainBatchId(id), { batchIdString: id });
+      if (!batch) continue;
+      batches.push(batch);
+      next.push(...batch.childBatches);
+    }
+    generation = next;
+  }
+
+  if (!batches.length) {
+    throw new RecallError('Batch not found', 404);
+  }
+  return batches;
+};
+
+/**
+ * Load a recalled batch and the lots derived from it from MongoDB
+ * @param {Document} batch - Recalled batch
+ * @returns {Array} Batch documents, the recalled batch first
+ */
+const loadAffectedBatches = async (batch) => {
+  const batches = [batch];
+  const seen = new Set([batch.batchId]);
+  let generation = [...batch.childBatches];
+
+  while (generation.length) {
+    const children = await Batch.find({ batchId: { $in: generation.filter(id => !seen.has(id)) } });
+    generation = [];
+    for (const child of children) {
+      seen.add(child.batchId);
+      batches.push(child);
+      generation.push(...child.childBatches);
+    }
+  }
+
+  return batches;
+};
+
+/**
+ * Build the recall report of a batch: every affected lot and each retailer wallet that
+ * bought one of them and still has stock of it
+ * @param {Document} batch - Recalled batch
+ * @returns {Object} { batchId, reason, recalledBy, recalledAt, notes, batches, retailers, generatedAt }
+ * @throws {RecallError} When the batch has not been recalled
+ */
+const buildRecallReport = async (batch) => {
+  if (!batch.recall || !batch.recall.reason) {
+    throw new RecallError('Batch has not been recalled');
+  }
+
+  const affected = await loadAffectedBatches(batch);
+  const held = affected.filter(item =>
+    item.retailer && sameAddress(item.custodian, item.retailer) && item.quantity !== 0
+  );
+
+  const retailers = new Map();
+  for (const item of held) {
+    const wallet = item.retailer.toLowerCase();
+    if (!retailers.has(wallet)) {
+      const user = await User.findOne({ walletAddress: walletQuery(wallet) });
+      const safeUser = user ? await user.toSafeJSON() : null;
+      retailers.set(wallet, {
+        walletAddress: wallet,
+        name: safeUser?.name || null,
+        email: safeUser?.email || null,
+        batches: []
+      });
+    }
+    retailers.get(wallet).batches.push({
+      batchId: item.batchId,
+      quantity: item.quantity,
+      unit: item.unit,
+      purchasedAt: item.purchasedAt
+    });
+  }
+
+  return {
+    batchId: batch.batchId,
+    reason: batch.recall.reason,
+    reasonLabel: reasonLabel(batch.recall.reason),
+    recalledBy: batch.recall.recalledBy,
+    recalledAt: batch.recall.recalledAt,
+    notes: batch.recall.notes || null,
+    batches: affected.map(item => ({
+      batchId: item.batchId,
+      sourceBatchId: item.recall?.sourceBatchId || null,
+      status: item.status,
+      quantity: item.quantity,
+      unit: item.unit,
+      custodian: item.custodian || item.farmer,
+      retailer: item.retailer || null
+    })),
+    retailers: [...retailers.values()],
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Email each retailer in a recall report the batches they hold, unless they switched recall
+ * emails off
+ * @param {Object} report - Result of buildRecallReport
+ * @returns {Number} Number of retailers emailed
+ */
+const notifyRetailers = async (report) => {
+  let sent = 0;
+  for (const retailer of report.retailers) {
+    if (!retailer.email) continue;
+    const user = await User.findOne({ walletAddress: walletQuery(retailer.walletAddress) });
+    if (user && !wantsNotification(user, 'BATCH_RECALLED', 'email')) continue;
+    await sendMail({
+      to: retailer.email,
+      subject: `Recall notice: batch ${report.batchId}`,
+      text: [
+        `Hello ${retailer.name || retailer.walletAddress},`,
+        '',
+        `Batch ${report.batchId} has been recalled (${report.reasonLabel}).`,
+        report.notes ? `Details: ${report.notes}` : null,
+        '',
+        'Remove the following stock from sale:',
+        ...retailer.batches.map(item =>
+          `- Batch ${item.batchId}: ${item.quantity ?? 'unknown quantity'} ${item.unit || ''} ${PUBLIC_APP_URL}/batch/${encodeURIComponent(item.batchId)}`.trim()
+        )
+      ].filter(line => line !== null).join('\n')
+    });
+    sent++;
+  }
+  return sent;
+};
+
+/**
+ * Record a recall made on-chain: sync the affected lots, attach the notes, notify the farmer
+ * and holder of each lot and email the retailers holding stock. Recording it again only
+ * resends notices that failed, and notes are kept from the first call that gave them.
+ * @param {String} batchId - Batch ID string of the recalled batch
+ * @param {Object} options - notes given with the recall
+ * @returns {Object} { batch, report }
+ */
+const recordRecall = async (batchId, { notes } = {}) => {
+  const [batch, ...derived] = await syncRecalledLineage(batchId);
+  if (!batch.recall) {
+    throw new RecallError('Batch has not been recalled on-chain');
+  }
+
+  if (notes && !batch.recall.notes) {
+    for (const item of [batch, ...derived]) {
+      if (item.recall && item.recall.sourceBatchId === batch.recall.sourceBatchId) {
+        item.recall.notes = notes;
+        await item.save();
+      }
+    }
+  }
+
+  const report = await buildRecallReport(batch);
+  // Claimed before sending, so overlapping calls cannot both send the notices
+  const claimed = await Batch.updateOne(
+    { _id: batch._id, 'recall.notifiedAt': null },
+    { $set: { 'recall.notifiedAt': new Date() } }
+  );
+  if (claimed.modifiedCount) {
+    for (const item of [batch, ...derived]) {
+      await notifyBatchEvent('BatchRecalled', item);
+    }
+    try {
+      await notifyRetailers(report);
+    } catch (error) {
+      // The recall stands on-chain; notices can be resent by recording it again
+      console.error('Error emailing recall notices:', error);
+      await Batch.updateOne({ _id: batch._id }, { $unset: { 'recall.notifiedAt': '' } });
+    }
+  }
+
+  return { batch, report };
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flatten a recall report to CSV (one row per batch a retailer holds)
+ * @param {Object} report - Result of buildRecallReport
+ * @returns {String} CSV text
+ */
+const recallReportToCsv = (report) => {
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const retailer of report.retailers) {
+    for (const item of retailer.batches) {
+      const line = { retailer: retailer.walletAddress, name: retailer.name, email: retailer.email, ...item };
+      rows.push(CSV_COLUMNS.map(column => csvValue(line[column])).join(','));
+    }
+  }
+
+  return `${rows.join('\n')}\n`;
+};
+
+module.exports = {
+  RecallError,
+  syncRecalledLineage,
+  buildRecallReport,
+  notifyRetailers,
+  recordRecall,
+  recallReportToCsv
+};
@@ -0,0 +1,192 @@
+/**
+ * Reconciliation Service
+ * Walks every Batch document, compares it with AgriChain and optionally
+ * repairs the database from the chain
+ */
+const Batch = require('../models/Batch');
+const {
+  getAgriChainAddress,
+  getAgriChainContract,
+  readChainBatch,
+  formatOnchainBatchId,
+  toOnchainBatchId
+} = require('../utils/blockchain');
+const {
+  diffBatch,
+  applyChainBatch,
+  updateParticipantCrops,
+  syncBatchFromChain
+} = require('./batchSync');
+
+const CSV_COLUMNS = ['batchId', 'onchainId', 'result', 'field', 'database', 'chain', 'repaired', 'error'];
+
+/**
+ * List batches created on-chain, keyed by on-chain ID
+ * @returns {Map} onchainId -> batchId string
+ */
+const loadChainBatchIds = async () => {
+  const contract = getAgriChainContract();
+  const fromBlock = Number(process.env.INDEXER_START_BLOCK || 0);
+  const events = await contract.queryFilter(contract.filters.BatchCreated(), fromBlock);
+  const ids = new Map();
+  for (const event of events) {
+    ids.set(formatOnchainBatchId(event.args.batchId), event.args.batchIdString);
+  }
+  return ids;
+};
+
+/**
+ * Compare a single Batch document with the chain
+ * @param {Object} batch - Batch document
+ * @param {Boolean} repair - Copy the chain's values onto the document
+ * @returns {Object} Report entry
+ */
+const reconcileBatch = async (batch, repair) => {
+  const onchainId = toOnchainBatchId(batch.batchId);
+  const entry = { batchId: batch.batchId, onchainId, result: 'in_sync', mismatches: [], repaired: false };
+
+  const chainBatch = await readChainBatch(onchainId);
+  if (!chainBatch) {
+    // Never deleted automatically; the record may still be waiting on a transaction
+    entry.result = 'missing_on_chain';
+    return entry;
+  }
+
+  entry.mismatches = diffBatch(batch, chainBatch);
+  if (entry.mismatches.length) {
+    entry.result = 'mismatch';
+    if (repair) {
+      applyChainBatch(batch, chainBatch);
+      await batch.save();
+      await updateParticipantCrops(batch);
+      entry.repaired = true;
+    }
+  } else if (batch.onchainId !== onchainId && repair) {
+    batch.onchainId = onchainId;
+    await batch.save();
+  }
+
+  return entry;
+};
+
+/**
+ * Reconcile every Batch document against AgriChain
+ * @param {Object} options - repair: update MongoDB from the chain
+ * @returns {Object} Report with a summary and one entry per batch
+ */
+const reconcileBatches = async ({ repair = false } = {}) => {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    contractAddress: getAgriChainAddress(),
+    repair,
+    summary: {
+      total: 0,
+      inSync: 0,
+      mismatched: 0,
+      missingOnChain: 0,
+      missingInDatabase: 0,
+      errors: 0,
+      repaired: 0
+    },
+    batches: []
+  };
+
+  const chainIds = await loadChainBatchIds();
+  const seen = new Set();
+
+  for await (const batch of Batch.find().sort({ createdAt: 1 }).cursor()) {
+    let entry;
+    try {
+      entry = await reconcileBatch(batch, repair);
+    } catch (error) {
+      console.error(`Error reconciling batch ${batch.batchId}:`, error.message);
+      entry = {
+        batchId: batch.batchId,
+        onchainId: batch.onchainId || null,
+        result: 'error',
+        mismatches: [],
+        repaired: false,
+        error: error.message
+      };
+    }
+    seen.add(entry.onchainId);
+    report.batches.push(entry);
+  }
+
+  // Batches that reached the chain but never made it into MongoDB
+  for (const [onchainId, batchId] of chainIds) {
+    if (seen.has(onchainId)) continue;
+    const entry = { batchId, onchainId, result: 'missing_in_database', mismatches: [], repaired: false };
+    if (repair) {
+      try {
+        const { created } = await syncBatchFromChain(onchainId, { batchIdString: batchId });
+        entry.repaired = created;
+      } catch (error) {
+        console.error(`Error restoring batch ${batchId}:`, error.message);
+        entry.error = error.message;
+      }
+    }
+    report.batches.push(entry);
+  }
+
+  for (const entry of report.batches) {
+    report.summary.total += 1;
+    if (entry.repaired) report.summary.repaired += 1;
+    switch (entry.result) {
+      case 'in_sync':
+        report.summary.inSync += 1;
+        break;
+      case 'mismatch':
+        report.summary.mismatched += 1;
+        break;
+      case 'missing_on_chain':
+        report.summary.missingOnChain += 1;
+        break;
+      case 'missing_in_database':
+        report.summary.missingInDatabase += 1;
+        break;
+      default:
+        report.summary.errors += 1;
+    }
+  }
+
+  return report;
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flatten a reconciliation report to CSV (one row per mismatched field)
+ * @param {Object} report - Result of reconcileBatches
+ * @returns {String} CSV text
+ */
+const reportToCsv = (report) => {
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const entry of report.batches) {
+    const base = {
+      batchId: entry.batchId,
+      onchainId: entry.onchainId,
+      result: entry.result,
+      repaired: entry.repaired,
+      error: entry.error
+    };
+    const lines = entry.mismatches.length
+      ? entry.mismatches.map(mismatch => ({ ...base, ...mismatch }))
+      : [base];
+    for (const line of lines) {
+      rows.push(CSV_COLUMNS.map(column => csvValue(line[column])).join(','));
+    }
+  }
+
+  return `${rows.join('\n')}\n`;
+};
+
+module.exports = {
+  reconcileBatches,
+  reportToCsv
+};
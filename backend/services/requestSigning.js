@@ -0,0 +1,211 @@
+/**
+ * Request Signing Service
+ * End-to-end PQC request signatures: each client holds its own ML-DSA-65 keypair, registers
+ * the public key on its User when it signs in, and signs every API request with it
+ */
+const crypto = require('crypto');
+const User = require('../models/User');
+const pqcrypto = require('../utils/pqcrypto');
+
+// Prefix of the signed string, so a request signature cannot be mistaken for any other signature
+const SIGNING_SCHEME = 'AGRICHAIN-PQC-REQUEST-V1';
+// Prefix of the string signed to authenticate the notification socket
+const SOCKET_SIGNING_SCHEME = 'AGRICHAIN-PQC-SOCKET-V1';
+const SIGNING_MODES = ['off', 'optional', 'required'];
+// ML-DSA-65 public key length in bytes
+const PUBLIC_KEY_BYTES = 1952;
+// Devices per user whose keys are kept; signing in on another one drops the oldest key
+const MAX_KEYS_PER_USER = 10;
+
+class RequestSigningError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'RequestSigningError';
+    this.status = status;
+  }
+}
+
+/**
+ * Configured signing mode: 'off' ignores request signatures, 'optional' (the default) checks
+ * them when present and requires them from sessions that registered a key at sign-in,
+ * 'required' refuses authenticated requests without one. An unknown value fails closed
+ * to 'required'.
+ * @returns {String} Signing mode
+ */
+const getSigningMode = () => {
+  const mode = (process.env.PQC_REQUEST_SIGNING || 'optional').toLowerCase();
+  return SIGNING_MODES.includes(mode) ? mode : 'required';
+};
+
+// How far a request timestamp may be from the server clock
+const maxAgeMs = () => Number(process.env.PQC_REQUEST_MAX_AGE_SECONDS || 300) * 1000;
+
+/**
+ * String a client signs for a request
+ * @param {Object} request - { method, path, timestamp, bodyHash } where path includes the query
+ *   string as normalised by signingPath and bodyHash is the hex SHA-256 of the raw body
+ *   (of no bytes when there is none)
+ * @returns {String} Signing string
+ */
+const buildSigningString = ({ method, path, timestamp, bodyHash }) =>
+  [SIGNING_SCHEME, String(method).toUpperCase(), path, String(timestamp), bodyHash].join('\n');
+
+/**
+ * String a client signs to authenticate a notification socket
+ * @param {String} nonce - Challenge the server sent on that connection
+ * @returns {String} Signing string
+ */
+const buildSocketSigningString = (nonce) => [SOCKET_SIGNING_SCHEME, nonce].join('\n');
+
+/**
+ * Path and query of a request in the form clients sign: serialized as a WHATWG URL, the way
+ * browsers send it, so characters a client sent unencoded compare equal to their percent-encoding
+ * @param {String} url - Request target starting with '/', such as req.originalUrl
+ * @returns {String} Path and query string
+ */
+const signingPath = (url) => {
+  const { pathname, search } = new URL(`http://localhost${url}`);
+  return pathname + search;
+};
+
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+// Signatures seen within the freshness window; a single API process is assumed
+const seenSignatures = new Map();
+
+const rememberSignature = (signature, timestamp) => {
+  const now = Date.now();
+  for (const [digest, seenAt] of seenSignatures) {
+    if (now - seenAt > 2 * maxAgeMs()) seenSignatures.delete(digest);
+  }
+  const digest = sha256(signature);
+  if (seenSignatures.has(digest)) {
+    throw new RequestSigningError('Request signature already used');
+  }
+  seenSignatures.set(digest, Math.max(now, timestamp));
+};
+
+/**
+ * Check a client public key sent at sign-in
+ * @param {String} publicKeyHex - Hex ML-DSA-65 public key
+ * @returns {Object} { keyId, publicKey } with the key's SHA-256 fingerprint as its ID
+ * @throws {RequestSigningError} 400 for malformed keys
+ */
+const parsePublicKey = (publicKeyHex) => {
+  const publicKey = String(publicKeyHex || '').toLowerCase();
+  if (!/^[0-9a-f]+$/.test(publicKey) || publicKey.length !== PUBLIC_KEY_BYTES * 2) {
+    throw new RequestSigningError('pqcPublicKey must be a hex ML-DSA-65 public key', 400);
+  }
+  return { keyId: pqcrypto.fingerprintPublicKey(publicKey), publicKey };
+};
+
+/**
+ * Register a client public key on a user, unless it is already registered
+ * @param {String} userId - User ID
+ * @param {Object} key - { keyId, publicKey } from parsePublicKey
+ * @returns {String} Key ID the client sends with its signatures
+ */
+const registerRequestKey = async (userId, { keyId, publicKey }) => {
+  await User.updateOne(
+    { _id: userId, 'pqcKeys.keyId': { $ne: keyId } },
+    { $push: { pqcKeys: { $each: [{ keyId, publicKey, createdAt: new Date() }], $slice: -MAX_KEYS_PER_USER } } }
+  );
+  return keyId;
+};
+
+/**
+ * Whether a request of a session must carry a signature. A session that registered a key at
+ * sign-in always must, so a copied access token cannot be used by leaving the signature out.
+ * @param {String} mode - Signing mode
+ * @param {String} [sessionKeyId] - pqcKeyId claim of the access token
+ * @returns {Boolean} True if an unsigned request is refused
+ */
+const signatureRequired = (mode, sessionKeyId) => mode === 'required' || Boolean(sessionKeyId);
+
+// A key the user registered at sign-in, which must be the session's own key if it has one
+const findRequestKey = async (userId, keyId, sessionKeyId) => {
+  if (sessionKeyId && keyId !== sessionKeyId) {
+    throw new RequestSigningError('Request must be signed with the key registered at sign-in');
+  }
+  const user = await User.findById(userId).select('+pqcKeys').lean();
+  const key = user?.pqcKeys?.find(entry => entry.keyId === keyId);
+  if (!key) {
+    throw new RequestSigningError('Unknown request signing key; sign in again');
+  }
+  return key;
+};
+
+/**
+ * Verify the request signature of an authenticated request, as the signing mode demands
+ * @param {Request} req - Express request, with rawBody set by the JSON parser or a Buffer body
+ * @param {String} userId - Authenticated user
+ * @param {String} [sessionKeyId] - Key the session registered at sign-in (pqcKeyId claim)
+ * @throws {RequestSigningError} For missing (when required), stale, replayed or invalid signatures
+ */
+const verifySignedRequest = async (req, userId, sessionKeyId) => {
+  const mode = getSigningMode();
+  if (mode === 'off') return;
+
+  const signature = req.header('X-PQC-Request-Signature');
+  if (!signature) {
+    if (signatureRequired(mode, sessionKeyId)) throw new RequestSigningError('Signed request required');
+    return;
+  }
+
+  const timestamp = Number(req.header('X-PQC-Timestamp'));
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > maxAgeMs()) {
+    throw new RequestSigningError('Request signature expired; check the device clock');
+  }
+
+  const key = await findRequestKey(userId, req.header('X-PQC-Key-Id'), sessionKeyId);
+
+  const body = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+  const signingString = buildSigningString({
+    method: req.method,
+    path: signingPath(req.originalUrl),
+    timestamp,
+    bodyHash: sha256(body)
+  });
+  if (!await pqcrypto.verifySignature({ data: signingString, signature }, key.publicKey)) {
+    throw new RequestSigningError('Request signature verification failed');
+  }
+
+  rememberSignature(signature, timestamp);
+};
+
+/**
+ * Verify the signature in a notification socket's auth message, as the signing mode demands.
+ * The nonce is fresh for every connection, so a signature cannot be replayed on another one.
+ * @param {Object} auth - { keyId, signature } from the auth message
+ * @param {String} nonce - Challenge the server sent on the connection
+ * @param {String} userId - User the access token belongs to
+ * @param {String} [sessionKeyId] - Key the session registered at sign-in (pqcKeyId claim)
+ * @throws {RequestSigningError} For missing (when required), unknown or invalid signatures
+ */
+const verifySignedSocket = async ({ keyId, signature }, nonce, userId, sessionKeyId) => {
+  const mode = getSigningMode();
+  if (mode === 'off') return;
+
+  if (!signature) {
+    if (signatureRequired(mode, sessionKeyId)) throw new RequestSigningError('Signed request required');
+    return;
+  }
+
+  const key = await findRequestKey(userId, keyId, sessionKeyId);
+  const signed = { data: buildSocketSigningString(nonce), signature: String(signature) };
+  if (!await pqcrypto.verifySignature(signed, key.publicKey)) {
+    throw new RequestSigningError('Request signature verification failed');
+  }
+};
+
+module.exports = {
+  RequestSigningError,
+  getSigningMode,
+  buildSigningString,
+  buildSocketSigningString,
+  signingPath,
+  parsePublicKey,
+  registerRequestKey,
+  verifySignedRequest,
+  verifySignedSocket
+};
@@ -0,0 +1,218 @@
+/**
+ * Session Service
+ * Short-lived access tokens (JWT) backed by server-side sessions with rotating refresh tokens.
+ * A refresh token is "<sessionId>.<secret>"; only the SHA-256 of the secret is stored, and
+ * every refresh replaces it. Presenting a replaced token again revokes the session.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Lifetime of access tokens, in jsonwebtoken's format
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Sessions end this long after sign-in, however often they are refreshed
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// A token replaced this recently was probably sent by a second tab refreshing at the same time
+const ROTATION_GRACE_MS = 30 * 1000;
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new SessionError('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+const clientInfo = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 256),
+  ipAddress: req.ip
+});
+
+/**
+ * Sign an access token for a session. It names the session's request-signing key, if any,
+ * so the auth middleware can insist on signatures by that key.
+ * @param {Document} user - Signed-in user
+ * @param {Document} session - Session the token belongs to
+ * @returns {String} Access token
+ */
+const issueAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    role: user.role,
+    walletAddress: user.walletAddress,
+    sid: String(session._id),
+    ...(session.pqcKeyId && { pqcKeyId: session.pqcKeyId })
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Document} user - Signed-in user
+ * @param {Request} req - Express request, for the device details
+ * @param {Object} [options] - { pqcKeyId } of the request-signing key the device registered
+ * @returns {Object} { token, refreshToken, sessionId }
+ */
+const createSession = async (user, req, { pqcKeyId } = {}) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    pqcKeyId,
+    ...clientInfo(req)
+  });
+
+  return {
+    token: issueAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    sessionId: String(session._id)
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {String} refreshToken - Current refresh token of the session
+ * @param {Request} req - Express request, for the device details
+ * @returns {Object} { token, refreshToken, user }
+ * @throws {SessionError} 401 for unknown, expired, revoked or reused tokens, 409 if another
+ *   request rotated the token moments ago, 403 for suspended accounts
+ */
+const refreshSession = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.expiresAt <= now) {
+    throw new SessionError('Session expired; sign in again');
+  }
+  if (session.revokedAt) {
+    throw new SessionError('Session has been revoked; sign in again');
+  }
+
+  const tokenHash = hashSecret(secret);
+  if (tokenHash !== session.tokenHash) {
+    if (tokenHash === session.previousTokenHash && now - session.rotatedAt < ROTATION_GRACE_MS) {
+      throw new SessionError('Refresh token was already rotated', 409);
+    }
+    // A replaced token came back: someone else holds a copy, so end the session for both
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: 'reuse' } });
+    throw new SessionError('Refresh token was reused; sign in again');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: 'account' } });
+    throw new SessionError('Account no longer exists');
+  }
+  if (user.suspended) {
+    throw new SessionError('Account suspended', 403);
+  }
+
+  const nextSecret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(nextSecret),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ...clientInfo(req)
+      }
+    }
+  );
+  if (!rotated) {
+    throw new SessionError('Refresh token was already rotated', 409);
+  }
+
+  return {
+    token: issueAccessToken(user, session),
+    refreshToken: `${session._id}.${nextSecret}`,
+    user
+  };
+};
+
+/**
+ * Whether an access token's session may still be used
+ * @param {String} sessionId - sid claim of the access token
+ * @returns {Boolean} True if the session exists, has not expired and was not revoked
+ */
+const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Session of the request, flagged as current
+ * @returns {Array} [{ id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt, current }]
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+  return sessions.map(session => ({
+    id: String(session._id),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+};
+
+/**
+ * Revoke one session of a user; its access tokens stop working on their next request
+ * @param {String} userId - Owner of the session
+ * @param {String} sessionId - Session to revoke
+ * @param {String} reason - Stored with the session
+ * @throws {SessionError} 404 if the user has no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = mongoose.isValidObjectId(sessionId)
+    ? await Session.updateOne({ _id: sessionId, userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+    : { matchedCount: 0 };
+  if (!result.matchedCount) {
+    throw new SessionError('Session not found', 404);
+  }
+};
+
+/**
+ * Revoke every session of a user
+ * @param {String} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {Number} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'revoked' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
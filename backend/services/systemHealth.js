@@ -0,0 +1,128 @@
+/**
+ * System Health Service
+ * Collects the state of MongoDB, the chain connection and the chain indexer
+ * for the admin console
+ */
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const SyncState = require('../models/SyncState');
+const User = require('../models/User');
+const {
+  getAgriChainAddress,
+  getAgriChainContract,
+  getProvider
+} = require('../utils/blockchain');
+const { getKeyringStatus } = require('../utils/pqcrypto');
+const { getSigningMode } = require('./requestSigning');
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Summarise the database connection and collection sizes
+ * @returns {Object} { ok, state, users, suspendedUsers, batches, batchesByStatus }
+ */
+const getDatabaseHealth = async () => {
+  const state = DB_STATES[mongoose.connection.readyState] || 'unknown';
+  if (state !== 'connected') {
+    return { ok: false, state };
+  }
+
+  const [users, suspendedUsers, batches, statusCounts] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ suspended: true }),
+    Batch.countDocuments(),
+    Batch.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const batchesByStatus = {};
+  for (const { _id, count } of statusCounts) {
+    batchesByStatus[_id] = count;
+  }
+
+  return { ok: true, state, users, suspendedUsers, batches, batchesByStatus };
+};
+
+/**
+ * Read the chain head and the AgriChain owner settings
+ * @returns {Object} { ok, chainId, blockNumber, agriChainAddress, owner, arbiter, certifierRegistry } or { ok, error }
+ */
+const getChainHealth = async () => {
+  try {
+    const provider = getProvider();
+    const contract = getAgriChainContract();
+    const [network, blockNumber, owner, arbiter, certifierRegistry] = await Promise.all([
+      provider.getNetwork(),
+      provider.getBlockNumber(),
+      contract.owner(),
+      contract.arbiter(),
+      contract.certifierRegistry()
+    ]);
+
+    return {
+      ok: true,
+      chainId: network.chainId,
+      blockNumber,
+      agriChainAddress: getAgriChainAddress(),
+      owner,
+      arbiter,
+      certifierRegistry
+    };
+  } catch (error) {
+    return { ok: false, error: error.reason || error.message };
+  }
+};
+
+/**
+ * Compare the indexer cursor with the chain head
+ * @param {Number} blockNumber - Current chain head, if known
+ * @returns {Object} { enabled, lastBlock, lag, updatedAt }
+ */
+const getIndexerHealth = async (blockNumber) => {
+  const state = await SyncState.findOne({ key: 'agrichain-indexer' }).select('-recentBlocks');
+  const enabled = process.env.ENABLE_CHAIN_INDEXER === 'true';
+
+  if (!state) {
+    return { enabled, lastBlock: null, lag: null, updatedAt: null };
+  }
+  return {
+    enabled,
+    lastBlock: state.lastBlock,
+    lag: blockNumber === undefined ? null : Math.max(blockNumber - state.lastBlock, 0),
+    updatedAt: state.updatedAt
+  };
+};
+
+// Active and retired key IDs; never the key material
+const getPqcKeyring = () => {
+  try {
+    return getKeyringStatus();
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Build the health report shown in the admin console
+ * @returns {Object} { status, checkedAt, uptime, database, chain, indexer, pqc }
+ */
+const getSystemHealth = async () => {
+  const [database, chain] = await Promise.all([getDatabaseHealth(), getChainHealth()]);
+  const indexer = database.ok ? await getIndexerHealth(chain.blockNumber) : null;
+
+  return {
+    status: database.ok && chain.ok ? 'ok' : 'degraded',
+    checkedAt: new Date().toISOString(),
+    uptime: Math.round(process.uptime()),
+    database,
+    chain,
+    indexer,
+    pqc: {
+      requestSigning: getSigningMode(),
+      keyring: getPqcKeyring()
+    }
+  };
+};
+
+module.exports = {
+  getSystemHealth
+};
@@ -0,0 +1,103 @@
+/**
+ * Traceability Service
+ * Builds the public provenance view of a batch shown to shoppers behind its QR code
+ */
+const User = require('../models/User');
+const { readChainBatch, toOnchainBatchId, walletQuery } = require('../utils/blockchain');
+const { diffBatch } = require('./batchSync');
+
+// Fields the public page shows, so the only ones its on-chain badge vouches for
+const TRACE_FIELDS = [
+  'cropName', 'cropVariety', 'location', 'harvestDate', 'farmer', 'certifier', 'custodian',
+  'status', 'expiry', 'labResults', 'recall', 'history'
+];
+
+/**
+ * Compare the displayed fields of a batch with the chain
+ * @param {Object} batch - Batch document
+ * @returns {Object} { checked, verified, mismatches, checkedAt }; checked is false when the chain is unreachable
+ */
+const checkTraceOnChain = async (batch) => {
+  const checkedAt = new Date();
+  try {
+    const chainBatch = await readChainBatch(toOnchainBatchId(batch.batchId));
+    if (!chainBatch) {
+      return { checked: true, verified: false, mismatches: ['batch'], checkedAt };
+    }
+
+    const mismatches = diffBatch(batch, chainBatch)
+      .map(mismatch => mismatch.field)
+      .filter(field => TRACE_FIELDS.includes(field));
+    return { checked: true, verified: mismatches.length === 0, mismatches, checkedAt };
+  } catch (error) {
+    console.error('Error checking batch on-chain for trace:', error.message);
+    return { checked: false, verified: false, mismatches: [], checkedAt };
+  }
+};
+
+/**
+ * Look up the platform role of each wallet in a batch's custody timeline
+ * @param {Array} addresses - Wallet addresses
+ * @returns {Object} Lowercase address to role
+ */
+const resolveRoles = async (addresses) => {
+  const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  if (!unique.length) return {};
+
+  const users = await User.find({ $or: unique.map(address => ({ walletAddress: walletQuery(address) })) })
+    .select('walletAddress role');
+  return Object.fromEntries(users.map(user => [user.walletAddress.toLowerCase(), user.role]));
+};
+
+/**
+ * Build the public provenance of a batch; no personal details of participants are included
+ * @param {Object} batch - Batch document
+ * @returns {Object} Provenance, custody timeline and on-chain check
+ */
+const buildTrace = async (batch) => {
+  const history = batch.history || [];
+  const roles = await resolveRoles([batch.farmer, batch.certifier, ...history.flatMap(item => [item.from, item.to])]);
+  const participant = (address) => address ? { address, role: roles[address.toLowerCase()] || null } : null;
+
+  return {
+    batchId: batch.batchId,
+    onchainId: batch.onchainId,
+    cropName: batch.cropName,
+    cropVariety: batch.cropVariety,
+    location: batch.location,
+    harvestDate: batch.harvestDate,
+    quantity: batch.quantity,
+    unit: batch.unit,
+    status: batch.status,
+    farmer: participant(batch.farmer),
+    certifier: participant(batch.certifier),
+    custodian: participant(batch.custodian || batch.farmer),
+    certification: batch.certifiedAt ? {
+      passed: Boolean(batch.labResults),
+      standard: batch.certificationStandard || null,
+      certifiedAt: batch.certifiedAt,
+      expiry: batch.expiry || null
+    } : null,
+    // Shoppers see why and when, but not who recalled the batch
+    recall: batch.recall?.reason ? {
+      reason: batch.recall.reason,
+      sourceBatchId: batch.recall.sourceBatchId,
+      recalledAt: batch.recall.recalledAt,
+      notes: batch.recall.notes || null
+    } : null,
+    timeline: history.map(item => ({
+      action: item.action,
+      from: participant(item.from),
+      to: participant(item.to),
+      timestamp: item.timestamp,
+      transactionHash: item.transactionHash || null
+    })),
+    chain: await checkTraceOnChain(batch)
+  };
+};
+
+module.exports = {
+  TRACE_FIELDS,
+  checkTraceOnChain,
+  buildTrace
+};
@@ -0,0 +1,128 @@
+/**
+ * Wallet Authentication Service
+ * Sign-In-With-Ethereum (EIP-4361) challenges: the backend issues a single-use nonce
+ * inside a message, the wallet signs it with personal_sign, and the signer is recovered
+ * from the signature before any token is issued
+ */
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const User = require('../models/User');
+
+// Origin the frontend is served from; wallets show it and warn when it differs from the page
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+// How long a wallet has to sign a challenge
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const SIGN_IN_STATEMENT = 'Sign in to AgroTrust. This request does not send a transaction or cost gas.';
+
+class WalletAuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WalletAuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Build the EIP-4361 message for a challenge
+ * @param {Object} fields - { address, chainId, nonce, issuedAt, expiresAt }
+ * @returns {String} Message the wallet signs
+ */
+const buildMessage = ({ address, chainId, nonce, issuedAt, expiresAt }) => [
+  `${new URL(PUBLIC_APP_URL).host} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  SIGN_IN_STATEMENT,
+  '',
+  `URI: ${PUBLIC_APP_URL}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt.toISOString()}`,
+  `Expiration Time: ${expiresAt.toISOString()}`
+].join('\n');
+
+const toChecksumAddress = (walletAddress) => {
+  if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+    throw new WalletAuthError('A valid wallet address is required');
+  }
+  return ethers.utils.getAddress(walletAddress);
+};
+
+// Users are stored with the address as their wallet reported it, which may not be checksummed
+const findUserByWallet = (address) => User.findOne({
+  walletAddress: { $in: [...new Set([address, address.toLowerCase()])] }
+});
+
+/**
+ * Issue a sign-in challenge for a registered wallet
+ * @param {Object} params - { walletAddress, chainId }
+ * @returns {Object} { message, nonce, expiresAt }
+ * @throws {WalletAuthError} For invalid input or an unregistered wallet
+ */
+const issueChallenge = async ({ walletAddress, chainId }) => {
+  const address = toChecksumAddress(walletAddress);
+  const chain = Number(chainId ?? 1);
+  if (!Number.isInteger(chain) || chain < 1) {
+    throw new WalletAuthError('chainId must be a positive whole number');
+  }
+
+  if (!await findUserByWallet(address)) {
+    throw new WalletAuthError('Wallet not registered', 404);
+  }
+
+  // Alphanumeric, as EIP-4361 requires
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const message = buildMessage({ address, chainId: chain, nonce, issuedAt, expiresAt });
+
+  await AuthNonce.create({ nonce, walletAddress: address, message, expiresAt });
+  return { message, nonce, expiresAt };
+};
+
+/**
+ * Check a signed challenge and return the wallet's user. The nonce is consumed
+ * whether or not the signature is valid, so every attempt needs a fresh challenge.
+ * @param {Object} params - { walletAddress, nonce, signature }
+ * @returns {Document} User owning the wallet
+ * @throws {WalletAuthError} For unknown, expired or reused nonces and signatures by another key
+ */
+const verifyChallenge = async ({ walletAddress, nonce, signature }) => {
+  const address = toChecksumAddress(walletAddress);
+  if (!nonce || !signature) {
+    throw new WalletAuthError('nonce and signature are required');
+  }
+
+  const challenge = await AuthNonce.findOneAndDelete({
+    nonce: String(nonce),
+    walletAddress: address,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!challenge) {
+    throw new WalletAuthError('Sign-in request expired or already used; request a new one', 401);
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(challenge.message, String(signature));
+  } catch (error) {
+    throw new WalletAuthError('Malformed signature', 401);
+  }
+  if (signer !== address) {
+    throw new WalletAuthError('Signature does not match the wallet address', 401);
+  }
+
+  const user = await findUserByWallet(address);
+  if (!user) {
+    throw new WalletAuthError('Wallet not registered', 404);
+  }
+  return user;
+};
+
+module.exports = {
+  WalletAuthError,
+  buildMessage,
+  issueChallenge,
+  verifyChallenge
+};
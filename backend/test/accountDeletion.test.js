@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const User = require('../models/User');
+const { request, app, randomWallet, registerUser, as } = require('./helpers');
+
+describe('DELETE /api/auth/delete', function () {
+  let farmer;
+
+  beforeEach(async function () {
+    farmer = await registerUser('farmer');
+  });
+
+  it('requires an access token', async function () {
+    await request(app).delete('/api/auth/delete').send({ walletAddress: farmer.walletAddress }).expect(401);
+
+    expect(await User.exists({ _id: farmer.id })).to.not.equal(null);
+  });
+
+  it('refuses another wallet', async function () {
+    const other = await registerUser('retailer');
+
+    const res = await as(farmer).delete('/api/auth/delete').send({ walletAddress: other.walletAddress }).expect(403);
+
+    expect(res.body.message).to.equal('You can only act for your own wallet');
+    expect(await User.exists({ _id: other.id })).to.not.equal(null);
+    expect(await User.exists({ _id: farmer.id })).to.not.equal(null);
+  });
+
+  it('refuses a wallet that belongs to no account', async function () {
+    await as(farmer).delete('/api/auth/delete').send({ walletAddress: randomWallet() }).expect(403);
+  });
+
+  it('deletes the caller\'s own account', async function () {
+    await as(farmer).delete('/api/auth/delete').send({ walletAddress: farmer.walletAddress }).expect(200);
+
+    expect(await User.exists({ _id: farmer.id })).to.equal(null);
+    // The session went with the account
+    await as(farmer).get('/api/users/profile').expect(401);
+  });
+});
@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+const Batch = require('../models/Batch');
+const { randomWallet, registerUser, createBatch } = require('./helpers');
+
+describe('Acting wallet', function () {
+  it('records the batch for the wallet in the access token', async function () {
+    const farmer = await registerUser('farmer');
+
+    const res = await createBatch(farmer, 'WALLET-1').expect(201);
+
+    expect(res.body.batch.farmer).to.equal(farmer.walletAddress);
+    expect((await Batch.findOne({ batchId: 'WALLET-1' })).custodian).to.equal(farmer.walletAddress);
+  });
+
+  it('refuses a body naming another wallet', async function () {
+    const farmer = await registerUser('farmer');
+
+    const res = await createBatch(farmer, 'WALLET-1', { farmer: randomWallet() }).expect(403);
+
+    expect(res.body.message).to.equal('You can only act for your own wallet');
+    expect(await Batch.exists({ batchId: 'WALLET-1' })).to.equal(null);
+  });
+
+  it('accepts a body naming the caller\'s own wallet in another case', async function () {
+    const farmer = await registerUser('farmer');
+
+    await createBatch(farmer, 'WALLET-1', { farmer: farmer.walletAddress.toLowerCase() }).expect(201);
+  });
+});
@@ -0,0 +1,31 @@
+const { expect } = require('chai');
+const Batch = require('../models/Batch');
+const { randomWallet, registerUser, as, createBatch, certification } = require('./helpers');
+
+describe('Certification', function () {
+  let farmer;
+  let certifier;
+
+  beforeEach(async function () {
+    farmer = await registerUser('farmer');
+    certifier = await registerUser('certifier');
+    await createBatch(farmer, 'CERT-1').expect(201);
+  });
+
+  it('certifies as the caller', async function () {
+    const res = await as(certifier).put('/api/batches/CERT-1/certify').send(certification()).expect(200);
+
+    expect(res.body.batch.status).to.equal('CERTIFIED');
+    expect(res.body.batch.certifier).to.equal(certifier.walletAddress);
+  });
+
+  it('returns 403 when the body names another certifier', async function () {
+    const res = await as(certifier)
+      .put('/api/batches/CERT-1/certify')
+      .send(certification({ certifier: randomWallet() }))
+      .expect(403);
+
+    expect(res.body.message).to.equal('You can only act for your own wallet');
+    expect((await Batch.findOne({ batchId: 'CERT-1' })).status).to.equal('CREATED');
+  });
+});
@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const User = require('../models/User');
+const { registerUser, as, createBatch } = require('./helpers');
+
+describe('Crop lists', function () {
+  let farmer;
+  let retailer;
+
+  beforeEach(async function () {
+    farmer = await registerUser('farmer');
+    retailer = await registerUser('retailer');
+    await createBatch(farmer, 'CROP-1').expect(201);
+  });
+
+  it('only lets farmers create batches', async function () {
+    const res = await createBatch(retailer, 'CROP-2').expect(403);
+
+    expect(res.body.message).to.equal('Not authorized');
+  });
+
+  it('adds the caller\'s own batch to their role\'s list', async function () {
+    await as(farmer).put('/api/users/add-crop').send({ cropId: 'CROP-1', role: 'farmer' }).expect(200);
+
+    expect((await User.findById(farmer.id)).registeredCrops).to.include('CROP-1');
+  });
+
+  it('refuses the crop list of another role', async function () {
+    const res = await as(retailer).put('/api/users/add-crop').send({ cropId: 'CROP-1', role: 'farmer' }).expect(403);
+
+    expect(res.body.message).to.equal('You can only update the crop list of your own role');
+  });
+
+  it('refuses a batch the caller had no part in', async function () {
+    const otherFarmer = await registerUser('farmer');
+
+    const res = await as(otherFarmer).put('/api/users/add-crop').send({ cropId: 'CROP-1' }).expect(403);
+
+    expect(res.body.message).to.equal('Only the batch\'s farmer can list it');
+    expect((await User.findById(otherFarmer.id)).registeredCrops).to.not.include('CROP-1');
+  });
+});
@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const Batch = require('../models/Batch');
+const { registerUser, as, createBatch } = require('./helpers');
+
+describe('Batch custody', function () {
+  let farmer;
+  let aggregator;
+
+  beforeEach(async function () {
+    farmer = await registerUser('farmer');
+    aggregator = await registerUser('aggregator');
+    await createBatch(farmer, 'CUSTODY-1').expect(201);
+  });
+
+  it('refuses a transfer by a wallet that does not hold the batch', async function () {
+    const other = await registerUser('farmer');
+
+    const res = await as(other)
+      .put('/api/batches/CUSTODY-1/transfer')
+      .send({ to: other.walletAddress })
+      .expect(403);
+
+    expect(res.body.message).to.equal('Batch is not held by your wallet');
+    expect((await Batch.findOne({ batchId: 'CUSTODY-1' })).custodian).to.equal(farmer.walletAddress);
+  });
+
+  it('refuses a transfer by the farmer once custody has moved on', async function () {
+    await as(farmer).put('/api/batches/CUSTODY-1/transfer').send({ to: aggregator.walletAddress }).expect(200);
+
+    const res = await as(farmer)
+      .put('/api/batches/CUSTODY-1/transfer')
+      .send({ to: farmer.walletAddress })
+      .expect(403);
+
+    expect(res.body.message).to.equal('Batch is not held by your wallet');
+    expect((await Batch.findOne({ batchId: 'CUSTODY-1' })).custodian).to.equal(aggregator.walletAddress);
+  });
+
+  it('refuses a split by a wallet that does not hold the batch', async function () {
+    const res = await as(aggregator)
+      .post('/api/batches/CUSTODY-1/split')
+      .send({ quantities: [4, 6] })
+      .expect(403);
+
+    expect(res.body.message).to.equal('Batch is not held by your wallet');
+    expect(await Batch.countDocuments({ parentBatches: 'CUSTODY-1' })).to.equal(0);
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const app = require('../app');
+
+let count = 0;
+
+// A fresh checksummed wallet address
+const randomWallet = () => ethers.Wallet.createRandom().address;
+
+/**
+ * Register a user through the API
+ * @param {String} role - Account role
+ * @param {Object} [fields] - Extra registration fields, e.g. pqcPublicKey
+ * @returns {Object} The registered user with its access token and request key ID
+ */
+const registerUser = async (role, fields = {}) => {
+  count += 1;
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: `${role}${count}`,
+      email: `${role}${count}@example.com`,
+      password: 'correct-horse-battery',
+      walletAddress: randomWallet(),
+      role,
+      name: `Test ${role} ${count}`,
+      userId: `${role.toUpperCase()}-${count}`,
+      location: 'Punjab',
+      ...fields
+    })
+    .expect(201);
+  return { ...res.body.user, token: res.body.token, pqcKeyId: res.body.pqcKeyId };
+};
+
+// Request builder sending the user's access token
+const as = (user) => ({
+  get: (url) => request(app).get(url).set('Authorization', `Bearer ${user.token}`),
+  post: (url) => request(app).post(url).set('Authorization', `Bearer ${user.token}`),
+  put: (url) => request(app).put(url).set('Authorization', `Bearer ${user.token}`),
+  delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${user.token}`)
+});
+
+// Create a batch as a farmer through the API
+const createBatch = (farmer, batchId, fields = {}) =>
+  as(farmer)
+    .post('/api/batches')
+    .send({
+      batchId,
+      cropName: 'Wheat',
+      cropVariety: 'Durum',
+      location: 'Punjab',
+      harvestDate: new Date().toISOString(),
+      price: 100,
+      quantity: 10,
+      unit: 'kg',
+      ...fields
+    });
+
+// A certification body valid for 30 days
+const certification = (fields = {}) => ({
+  cropHealth: 'Good',
+  labResults: true,
+  expiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  standard: 'organic',
+  ...fields
+});
+
+module.exports = {
+  app,
+  request,
+  randomWallet,
+  registerUser,
+  as,
+  createBatch,
+  certification
+};
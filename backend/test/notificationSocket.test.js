@@ -0,0 +1,114 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { expect } = require('chai');
+const { ml_dsa65 } = require('@noble/post-quantum/ml-dsa.js');
+const { app, registerUser } = require('./helpers');
+const { SOCKET_PATH, attachNotificationSocket } = require('../services/notificationSocket');
+const { buildSocketSigningString } = require('../services/requestSigning');
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('Notification socket authentication', function () {
+  let server;
+  let wss;
+  let url;
+  let user;
+  let secretKey;
+
+  before(function (done) {
+    server = http.createServer(app).listen(0, () => {
+      wss = attachNotificationSocket(server);
+      url = `ws://127.0.0.1:${server.address().port}${SOCKET_PATH}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    wss.close();
+    server.close(done);
+  });
+
+  beforeEach(async function () {
+    process.env.PQC_REQUEST_SIGNING = 'required';
+    const keys = ml_dsa65.keygen();
+    secretKey = keys.secretKey;
+    user = await registerUser('farmer', { pqcPublicKey: toHex(keys.publicKey) });
+  });
+
+  afterEach(function () {
+    process.env.PQC_REQUEST_SIGNING = 'off';
+  });
+
+  const sign = (nonce) => toHex(ml_dsa65.sign(new TextEncoder().encode(buildSocketSigningString(nonce)), secretKey));
+
+  // Answer the server's challenge, with as many auth messages as given; resolves with the first
+  // message after it, or how the socket closed
+  const connect = (answer, { times = 1 } = {}) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.type === 'challenge') {
+        for (let i = 0; i < times; i++) {
+          socket.send(JSON.stringify({ type: 'auth', token: user.token, ...answer(message.nonce) }));
+        }
+        return;
+      }
+      resolve({ message });
+      socket.close();
+    });
+    socket.on('close', (code, reason) => resolve({ code, reason: String(reason) }));
+    socket.on('error', reject);
+  });
+
+  it('accepts a challenge signed by the registered device key', async function () {
+    const { message } = await connect((nonce) => ({ keyId: user.pqcKeyId, signature: sign(nonce) }));
+
+    expect(message.type).to.equal('ready');
+  });
+
+  it('closes the socket on a second auth message sent before the first was checked', async function () {
+    const { code, reason } = await connect((nonce) => ({ keyId: user.pqcKeyId, signature: sign(nonce) }), { times: 2 });
+
+    expect(code).to.equal(4001);
+    expect(reason).to.equal('Only one auth message is allowed');
+  });
+
+  it('refuses an unsigned auth message when signing is required', async function () {
+    const { code, reason } = await connect(() => ({}));
+
+    expect(code).to.equal(4001);
+    expect(reason).to.equal('Signed request required');
+  });
+
+  it('accepts an unsigned auth message when signing is optional and the session has no key', async function () {
+    process.env.PQC_REQUEST_SIGNING = 'optional';
+    user = await registerUser('farmer');
+
+    const { message } = await connect(() => ({}));
+
+    expect(message.type).to.equal('ready');
+  });
+
+  it('refuses an unsigned auth message from a session that registered a key, even when optional', async function () {
+    process.env.PQC_REQUEST_SIGNING = 'optional';
+
+    const { code, reason } = await connect(() => ({}));
+
+    expect(code).to.equal(4001);
+    expect(reason).to.equal('Signed request required');
+  });
+
+  it('refuses a signature over another nonce', async function () {
+    const { code, reason } = await connect(() => ({ keyId: user.pqcKeyId, signature: sign('0'.repeat(64)) }));
+
+    expect(code).to.equal(4001);
+    expect(reason).to.equal('Request signature verification failed');
+  });
+
+  it('refuses a key the user did not register', async function () {
+    const { code, reason } = await connect((nonce) => ({ keyId: 'f'.repeat(64), signature: sign(nonce) }));
+
+    expect(code).to.equal(4001);
+    expect(reason).to.equal('Unknown request signing key; sign in again');
+  });
+});
@@ -0,0 +1,37 @@
+const { expect } = require('chai');
+const Batch = require('../models/Batch');
+const { registerUser, as, createBatch } = require('./helpers');
+
+describe('Batch recall', function () {
+  let certifier;
+
+  beforeEach(async function () {
+    const farmer = await registerUser('farmer');
+    certifier = await registerUser('certifier');
+    await createBatch(farmer, 'RECALL-1').expect(201);
+    // As the chain indexer leaves a recall it picked up before the route was called
+    await Batch.updateOne({ batchId: 'RECALL-1' }, {
+      status: 'RECALLED',
+      recall: {
+        reason: 'CONTAMINATION',
+        sourceBatchId: 'RECALL-1',
+        recalledBy: certifier.walletAddress,
+        recalledAt: new Date()
+      }
+    });
+  });
+
+  it('refuses to record an applied recall for a wallet that did not make it', async function () {
+    const other = await registerUser('certifier');
+
+    const res = await as(other)
+      .post('/api/batches/RECALL-1/recall')
+      .send({ reason: 'CONTAMINATION', notes: 'Forged notice' })
+      .expect(403);
+
+    expect(res.body.message).to.equal('Only the wallet that recalled the batch can do this');
+    const { recall } = await Batch.findOne({ batchId: 'RECALL-1' });
+    expect(recall.notes).to.equal(undefined);
+    expect(recall.notifiedAt).to.equal(undefined);
+  });
+});
@@ -0,0 +1,125 @@
+const http = require('http');
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { ml_dsa65 } = require('@noble/post-quantum/ml-dsa.js');
+const { app, request, registerUser } = require('./helpers');
+const { buildSigningString } = require('../services/requestSigning');
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('Request signing', function () {
+  let certifier;
+  let secretKey;
+
+  beforeEach(async function () {
+    process.env.PQC_REQUEST_SIGNING = 'required';
+    const keys = ml_dsa65.keygen();
+    secretKey = keys.secretKey;
+    certifier = await registerUser('certifier', { pqcPublicKey: toHex(keys.publicKey) });
+  });
+
+  afterEach(function () {
+    process.env.PQC_REQUEST_SIGNING = 'off';
+  });
+
+  // Headers signing a bodiless request for the given path, as the browser client does
+  const signedHeaders = (method, path, { keyId = certifier.pqcKeyId, key = secretKey } = {}) => {
+    const timestamp = Date.now();
+    const signingString = buildSigningString({
+      method,
+      path,
+      timestamp,
+      bodyHash: crypto.createHash('sha256').update(Buffer.alloc(0)).digest('hex')
+    });
+    return {
+      Authorization: `Bearer ${certifier.token}`,
+      'X-PQC-Request-Signature': toHex(ml_dsa65.sign(new TextEncoder().encode(signingString), key)),
+      'X-PQC-Timestamp': String(timestamp),
+      'X-PQC-Key-Id': keyId
+    };
+  };
+
+  // The path and query a browser sends for a URL
+  const serialized = (url) => {
+    const { pathname, search } = new URL(url, 'http://localhost');
+    return pathname + search;
+  };
+
+  it('verifies a path whose batch ID needs encoding', async function () {
+    const path = serialized(`/api/batches/${encodeURIComponent('Lot é 7#2')}/recall-report?note=a b`);
+
+    const res = await request(app).get(path).set(signedHeaders('GET', path));
+
+    // Past the signature check; there is no such batch
+    expect(res.status).to.equal(404);
+  });
+
+  it('verifies a path a client sent with characters left unencoded', async function () {
+    const raw = '/api/batches/Lot{7}"a"/recall-report';
+    const headers = signedHeaders('GET', serialized(raw));
+    const server = http.createServer(app).listen(0);
+    try {
+      const status = await new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path: raw, headers }, (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        }).on('error', reject);
+      });
+
+      expect(status).to.equal(404);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('refuses a signature over another path', async function () {
+    const res = await request(app)
+      .get('/api/batches/LOT-2/recall-report')
+      .set(signedHeaders('GET', '/api/batches/LOT-1/recall-report'));
+
+    expect(res.status).to.equal(401);
+    expect(res.body.message).to.equal('Request signature verification failed');
+  });
+
+  describe('when signing is optional', function () {
+    beforeEach(function () {
+      process.env.PQC_REQUEST_SIGNING = 'optional';
+    });
+
+    it('refuses an unsigned request from a session that registered a key', async function () {
+      const res = await request(app)
+        .get('/api/batches/LOT-1/recall-report')
+        .set('Authorization', `Bearer ${certifier.token}`);
+
+      expect(res.status).to.equal(401);
+      expect(res.body.message).to.equal('Signed request required');
+    });
+
+    it('accepts an unsigned request from a session without a key', async function () {
+      const unkeyed = await registerUser('certifier');
+
+      const res = await request(app)
+        .get('/api/batches/LOT-1/recall-report')
+        .set('Authorization', `Bearer ${unkeyed.token}`);
+
+      expect(res.status).to.equal(404);
+    });
+
+    it('refuses a signature by another device key of the same user', async function () {
+      // Signing in on a second device registers its key on the same account
+      const other = ml_dsa65.keygen();
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: certifier.username, password: 'correct-horse-battery', pqcPublicKey: toHex(other.publicKey) })
+        .expect(200);
+      const path = '/api/batches/LOT-1/recall-report';
+
+      const res = await request(app)
+        .get(path)
+        .set(signedHeaders('GET', path, { keyId: login.body.pqcKeyId, key: other.secretKey }));
+
+      expect(res.status).to.equal(401);
+      expect(res.body.message).to.equal('Request must be signed with the key registered at sign-in');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Route test environment: a throwaway keyring, mail outbox and in-memory MongoDB,
+ * with on-chain transaction checks turned off. The environment is set before the
+ * app is required, since several modules read it when they load.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agrichain-test-'));
+
+Object.assign(process.env, {
+  JWT_SECRET: 'route-test-secret',
+  PQC_KEY_STORAGE_DIR: path.join(tmpDir, 'keys'),
+  MAIL_TRANSPORT: 'file',
+  MAIL_OUTBOX_DIR: path.join(tmpDir, 'mail-outbox'),
+  VERIFY_CHAIN_TRANSACTIONS: 'false',
+  PQC_REQUEST_SIGNING: 'off',
+  ADMIN_WALLETS: ''
+});
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const pqcrypto = require('../utils/pqcrypto');
+
+let mongo;
+
+exports.mochaHooks = {
+  async beforeAll() {
+    await pqcrypto.createKeyring({ generate: true });
+    await pqcrypto.initPQCrypto();
+    try {
+      mongo = await MongoMemoryServer.create();
+    } catch (error) {
+      throw new Error(
+        `Could not start MongoDB for the route tests: ${error.message}. ` +
+        'Without access to the MongoDB download server, set MONGOMS_SYSTEM_BINARY to a local mongod 7.0 binary.'
+      );
+    }
+    await mongoose.connect(mongo.getUri());
+  },
+
+  async afterEach() {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  },
+
+  async afterAll() {
+    await mongoose.disconnect();
+    if (mongo) await mongo.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+};
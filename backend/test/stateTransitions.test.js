@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const Batch = require('../models/Batch');
+const { registerUser, as, createBatch, certification } = require('./helpers');
+
+describe('Batch state transitions', function () {
+  let farmer;
+  let certifier;
+  let retailer;
+
+  beforeEach(async function () {
+    farmer = await registerUser('farmer');
+    certifier = await registerUser('certifier');
+    retailer = await registerUser('retailer');
+    await createBatch(farmer, 'STATE-1').expect(201);
+  });
+
+  it('refuses to purchase a batch that is not certified', async function () {
+    const res = await as(retailer).put('/api/batches/STATE-1/purchase').send({}).expect(400);
+
+    expect(res.body.message).to.equal('Batch is CREATED and cannot be changed this way');
+  });
+
+  it('refuses to certify a batch that was already purchased', async function () {
+    await Batch.updateOne({ batchId: 'STATE-1' }, { status: 'PURCHASED', retailer: retailer.walletAddress });
+
+    const res = await as(certifier).put('/api/batches/STATE-1/certify').send(certification()).expect(400);
+
+    expect(res.body.message).to.equal('Batch is PURCHASED and cannot be changed this way');
+    expect((await Batch.findOne({ batchId: 'STATE-1' })).status).to.equal('PURCHASED');
+  });
+
+  it('refuses to reject a batch that was already certified', async function () {
+    await as(certifier).put('/api/batches/STATE-1/certify').send(certification()).expect(200);
+    const other = await registerUser('certifier');
+
+    const res = await as(other)
+      .put('/api/batches/STATE-1/certify')
+      .send(certification({ labResults: false, cropHealth: 'Blight' }))
+      .expect(400);
+
+    expect(res.body.message).to.equal('Batch is CERTIFIED and cannot be changed this way');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Batch lifecycle: statuses, the transitions between them, who may make them and what
+ * they record. Declared once in shared/contracts/batchLifecycle.json, next to the
+ * contract ABIs, so the routes, the dashboards and AgriChain.sol cannot drift apart;
+ * test/lifecycle.test.js checks it against the deployed contract.
+ */
+const path = require('path');
+
+const LIFECYCLE_PATH = process.env.BATCH_LIFECYCLE_PATH ||
+  path.join(__dirname, '..', '..', 'shared', 'contracts', 'batchLifecycle.json');
+
+const lifecycle = require(LIFECYCLE_PATH);
+
+const STATUSES = Object.keys(lifecycle.statuses);
+const TRANSITIONS = lifecycle.transitions;
+
+// History entry actions, one per transition
+const HISTORY_ACTIONS = [...new Set(Object.values(TRANSITIONS).map(transition => transition.history))];
+
+// The JSON lists statuses in the order of the BatchStatus enum in AgriChain.sol
+const CONTRACT_STATUSES = STATUSES;
+
+// Recall reason codes, in the order of the RecallReason enum
+const RECALL_REASONS = Object.keys(lifecycle.recallReasons);
+
+const getTransition = (action) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown batch transition ${action}`);
+  }
+  return transition;
+};
+
+/**
+ * Whether a transition applies to a batch in a status
+ * @param {String} action - Transition name, e.g. 'certify'
+ * @param {String} status - Current batch status
+ * @returns {Boolean} True if the transition starts from that status
+ */
+const canTransition = (action, status) => getTransition(action).from.includes(status);
+
+/**
+ * Status a batch has after a transition
+ * @param {String} action - Transition name
+ * @param {String} status - Current batch status
+ * @returns {String} New status; transitions that only move custody or quantity keep the current one
+ */
+const nextStatus = (action, status) => getTransition(action).to || status;
+
+/**
+ * Statuses a transition starts from, e.g. to query the batches waiting for it
+ * @param {String} action - Transition name
+ * @returns {Array<String>} Statuses
+ */
+const statusesFor = (action) => [...getTransition(action).from];
+
+/**
+ * User crop lists a transition adds the batch to
+ * @param {String} action - Transition name
+ * @param {Object} parties - Wallet of each party the lifecycle names, e.g. { certifier, recipient }
+ * @returns {Array<Object>} [{ wallet, list }] for the parties that are known
+ */
+const userListUpdates = (action, parties) => getTransition(action).userLists
+  .filter(({ party }) => parties[party])
+  .map(({ party, list }) => ({ wallet: parties[party], list }));
+
+/**
+ * Whether a batch's certified shelf life is over (AgriChain refuses to sell it from then on)
+ * @param {Object} batch - Batch with an expiry date
+ * @param {Date} now - Reference time
+ * @returns {Boolean} True once the expiry has passed; batches without one never expire
+ */
+const isExpired = (batch, now = new Date()) => Boolean(batch.expiry) && new Date(batch.expiry) <= now;
+
+module.exports = {
+  lifecycle,
+  STATUSES,
+  CONTRACT_STATUSES,
+  RECALL_REASONS,
+  TRANSITIONS,
+  HISTORY_ACTIONS,
+  getTransition,
+  canTransition,
+  nextStatus,
+  statusesFor,
+  userListUpdates,
+  isExpired
+};
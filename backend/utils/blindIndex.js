@@ -0,0 +1,125 @@
+/**
+ * Blind Index Utility
+ * Keyed HMAC tokens that make encrypted fields searchable without storing cleartext
+ */
+const crypto = require('crypto');
+const { loadBlindIndexKey } = require('./pqcrypto');
+
+// Search modes a field can be indexed for
+const SEARCH_MODES = ['exact', 'prefix', 'contains'];
+// Length of the n-grams indexed for contains search; shorter queries fall back to word prefixes
+const NGRAM_SIZE = 3;
+// Prefixes are indexed up to this length; longer prefix queries are narrowed after decryption
+const MAX_PREFIX_LENGTH = 12;
+// Truncated HMAC length in hex; 128 bits keeps collisions negligible
+const TOKEN_HEX_LENGTH = 32;
+
+/**
+ * Normalize a value so that search is case- and whitespace-insensitive
+ * @param {*} value - Field value or query
+ * @returns {String} Normalized text
+ */
+const normalize = (value) => String(value ?? '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .trim()
+  .replace(/\s+/g, ' ');
+
+// The field name is part of the HMAC input, so equal values in different fields give unrelated tokens
+const hmacToken = (field, kind, text) => crypto
+  .createHmac('sha256', loadBlindIndexKey())
+  .update(`${field}\u0000${kind}\u0000${text}`)
+  .digest('hex')
+  .slice(0, TOKEN_HEX_LENGTH);
+
+const prefixes = (text) => {
+  const result = [];
+  for (let length = 1; length <= Math.min(text.length, MAX_PREFIX_LENGTH); length++) {
+    result.push(text.slice(0, length));
+  }
+  return result;
+};
+
+const ngrams = (text) => {
+  const grams = new Set();
+  for (let i = 0; i + NGRAM_SIZE <= text.length; i++) {
+    grams.add(text.slice(i, i + NGRAM_SIZE));
+  }
+  return [...grams];
+};
+
+/**
+ * Build the tokens stored for a field value
+ * @param {String} field - Field name
+ * @param {*} value - Field value
+ * @param {Array} modes - Search modes the field supports
+ * @returns {Array} Tokens, empty for an empty value
+ */
+const buildTokens = (field, value, modes) => {
+  const text = normalize(value);
+  if (!text) return [];
+
+  const tokens = new Set();
+  if (modes.includes('exact')) {
+    tokens.add(hmacToken(field, 'eq', text));
+  }
+  if (modes.includes('prefix') || modes.includes('contains')) {
+    // Prefixes of the whole value and of each word, so "ka" finds "North Kansas"
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    for (const part of [text, ...words]) {
+      prefixes(part).forEach(prefix => tokens.add(hmacToken(field, 'pre', prefix)));
+    }
+  }
+  if (modes.includes('contains')) {
+    ngrams(text).forEach(gram => tokens.add(hmacToken(field, 'ng', gram)));
+  }
+  return [...tokens];
+};
+
+/**
+ * Build the tokens a stored value must all contain to match a query. Matches are
+ * candidates: prefix and contains searches must be confirmed on the decrypted value.
+ * @param {String} field - Field name
+ * @param {String} query - Search text
+ * @param {String} mode - 'exact', 'prefix' or 'contains'
+ * @returns {Array|null} Tokens, or null when the query has no searchable text
+ */
+const buildQueryTokens = (field, query, mode) => {
+  const text = normalize(query);
+  if (!text) return null;
+
+  if (mode === 'exact') {
+    return [hmacToken(field, 'eq', text)];
+  }
+  if (mode === 'prefix' || text.length < NGRAM_SIZE) {
+    return [hmacToken(field, 'pre', text.slice(0, MAX_PREFIX_LENGTH))];
+  }
+  return ngrams(text).map(gram => hmacToken(field, 'ng', gram));
+};
+
+/**
+ * Check a decrypted value against a query, to drop blind index false positives
+ * @param {*} value - Decrypted field value
+ * @param {String} query - Search text
+ * @param {String} mode - 'exact', 'prefix' or 'contains'
+ * @returns {Boolean} True if the value matches
+ */
+const matchesQuery = (value, query, mode) => {
+  const text = normalize(value);
+  const needle = normalize(query);
+  if (mode === 'exact') return text === needle;
+  if (mode === 'prefix') {
+    return text.startsWith(needle) || text.split(/[^\p{L}\p{N}]+/u).some(word => word.startsWith(needle));
+  }
+  return needle.length < NGRAM_SIZE
+    ? matchesQuery(value, query, 'prefix')
+    : text.includes(needle);
+};
+
+module.exports = {
+  SEARCH_MODES,
+  normalize,
+  buildTokens,
+  buildQueryTokens,
+  matchesQuery
+};
@@ -0,0 +1,407 @@
+/**
+ * Blockchain Utility
+ * Shared access to the AgriChain contract for backend services
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { ethers } = require('ethers');
+const { CONTRACT_STATUSES, RECALL_REASONS } = require('./batchLifecycle');
+
+// Load environment variables
+dotenv.config();
+
+const RPC_URL = process.env.BLOCKCHAIN_RPC_URL || 'http://127.0.0.1:8545';
+// ABIs kept in version control, shared with the frontend
+const CONTRACTS_DIR = path.join(__dirname, '..', '..', 'shared', 'contracts');
+const AGRI_CHAIN_ABI_PATH = process.env.AGRI_CHAIN_ABI_PATH || path.join(CONTRACTS_DIR, 'AgriChain.json');
+const CERTIFIER_REGISTRY_ABI_PATH = path.join(CONTRACTS_DIR, 'CertifierRegistry.json');
+const INSPECTION_REGISTRY_ABI_PATH = path.join(CONTRACTS_DIR, 'InspectionRegistry.json');
+
+// Order must match the enums declared in AgriChain.sol
+const BATCH_STATUSES = CONTRACT_STATUSES;
+const ESCROW_STATES = ['NONE', 'HELD', 'DISPUTED', 'RELEASED', 'REFUNDED'];
+const USER_ROLES = [
+  'farmer', 'certifier', 'retailer', null,
+  'aggregator', 'processor', 'distributor', 'transporter'
+];
+// Roles that can take custody of a batch between the farmer and the retailer
+const CUSTODY_ROLES = ['aggregator', 'processor', 'distributor', 'transporter'];
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+// Batches without a payment token are priced in the native currency
+const NATIVE_PAYMENT = { paymentToken: null, paymentSymbol: 'ETH', paymentDecimals: 18 };
+const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+let provider;
+let agriChain;
+let agriChainInterface;
+let certifierRegistry;
+let inspectionRegistry;
+let inspectionRegistryInterface;
+let adminSigner;
+// Batch ID strings never change once created, so lookups are cached
+const batchIdStrings = new Map();
+// Token symbols and decimals are immutable in practice, so they are cached too
+const paymentTokens = new Map();
+
+/**
+ * Get the contract address configured for AgriChain
+ * @returns {String} Contract address
+ */
+const getAgriChainAddress = () => {
+  const address = (process.env.AGRI_CHAIN_ADDRESS || '').trim();
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error('AGRI_CHAIN_ADDRESS is not set to a valid contract address');
+  }
+  return ethers.utils.getAddress(address);
+};
+
+/**
+ * Get a shared JSON-RPC provider
+ * @returns {ethers.providers.JsonRpcProvider} Provider
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  }
+  return provider;
+};
+
+/**
+ * Get the AgriChain ABI interface
+ * @returns {ethers.utils.Interface} Contract interface
+ */
+const getAgriChainInterface = () => {
+  if (!agriChainInterface) {
+    const artifact = JSON.parse(fs.readFileSync(AGRI_CHAIN_ABI_PATH, 'utf8'));
+    agriChainInterface = new ethers.utils.Interface(artifact.abi);
+  }
+  return agriChainInterface;
+};
+
+/**
+ * Get a read-only AgriChain contract instance
+ * @returns {ethers.Contract} Contract instance
+ */
+const getAgriChainContract = () => {
+  if (!agriChain) {
+    agriChain = new ethers.Contract(getAgriChainAddress(), getAgriChainInterface(), getProvider());
+  }
+  return agriChain;
+};
+
+/**
+ * Get the wallet the backend uses for owner-only contract calls
+ * @returns {ethers.Wallet} Wallet connected to the shared provider
+ * @throws {Error} When CHAIN_ADMIN_PRIVATE_KEY is not configured
+ */
+const getAdminSigner = () => {
+  if (!adminSigner) {
+    const privateKey = (process.env.CHAIN_ADMIN_PRIVATE_KEY || '').trim();
+    if (!privateKey) {
+      throw new Error('CHAIN_ADMIN_PRIVATE_KEY is not set');
+    }
+    adminSigner = new ethers.Wallet(privateKey, getProvider());
+  }
+  return adminSigner;
+};
+
+/**
+ * Get the CertifierRegistry contract AgriChain checks accreditations against
+ * @returns {ethers.Contract} Read-only contract instance
+ * @throws {Error} When AgriChain has no registry configured
+ */
+const getCertifierRegistryContract = async () => {
+  if (!certifierRegistry) {
+    const address = await getAgriChainContract().certifierRegistry();
+    if (address === ZERO_ADDRESS) {
+      throw new Error('AgriChain has no certifier registry configured');
+    }
+    const artifact = JSON.parse(fs.readFileSync(CERTIFIER_REGISTRY_ABI_PATH, 'utf8'));
+    certifierRegistry = new ethers.Contract(address, artifact.abi, getProvider());
+  }
+  return certifierRegistry;
+};
+
+/**
+ * Get the contract address configured for InspectionRegistry
+ * @returns {String} Contract address
+ */
+const getInspectionRegistryAddress = () => {
+  const address = (process.env.INSPECTION_REGISTRY_ADDRESS || '').trim();
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error('INSPECTION_REGISTRY_ADDRESS is not set to a valid contract address');
+  }
+  return ethers.utils.getAddress(address);
+};
+
+/**
+ * Get the InspectionRegistry ABI interface
+ * @returns {ethers.utils.Interface} Contract interface
+ */
+const getInspectionRegistryInterface = () => {
+  if (!inspectionRegistryInterface) {
+    const artifact = JSON.parse(fs.readFileSync(INSPECTION_REGISTRY_ABI_PATH, 'utf8'));
+    inspectionRegistryInterface = new ethers.utils.Interface(artifact.abi);
+  }
+  return inspectionRegistryInterface;
+};
+
+/**
+ * Get a read-only InspectionRegistry contract instance
+ * @returns {ethers.Contract} Contract instance
+ */
+const getInspectionRegistryContract = () => {
+  if (!inspectionRegistry) {
+    inspectionRegistry = new ethers.Contract(
+      getInspectionRegistryAddress(),
+      getInspectionRegistryInterface(),
+      getProvider()
+    );
+  }
+  return inspectionRegistry;
+};
+
+/**
+ * Convert a human batch ID to the uint256 key used on-chain
+ * (mirrors keccak256(abi.encodePacked(_batchId)) in createBatch). The ID is hashed exactly
+ * as given, so it must be the same string the contract was called with.
+ * @param {String} batchId - Batch ID entered by the farmer
+ * @returns {String} 0x-prefixed 32 byte hex string
+ */
+const toOnchainBatchId = (batchId) => ethers.utils.id(String(batchId));
+
+/**
+ * Check that a new batch ID is usable: not empty and without leading or trailing whitespace,
+ * which would make it look like another batch's ID while hashing to a different on-chain key
+ * @param {String} batchId - Batch ID to create
+ * @returns {Boolean}
+ */
+const isValidBatchId = (batchId) =>
+  (typeof batchId === 'string' || typeof batchId === 'number') &&
+  String(batchId).length > 0 && String(batchId) === String(batchId).trim();
+
+/**
+ * Format an on-chain uint256 batch ID as a 32 byte hex string
+ * @param {ethers.BigNumber|String} value - On-chain batch ID
+ * @returns {String} 0x-prefixed 32 byte hex string
+ */
+const formatOnchainBatchId = (value) =>
+  ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+
+/**
+ * Normalize an address the same way the frontend stores it (lowercase)
+ * @param {String} address - Ethereum address
+ * @returns {String|null} Lowercase address, or null for the zero address
+ */
+const normalizeAddress = (address) => {
+  if (!address || address === ZERO_ADDRESS) return null;
+  return address.toLowerCase();
+};
+
+/**
+ * Build a Mongo query that matches a wallet address regardless of casing
+ * @param {String} address - Ethereum address
+ * @returns {Object} Query fragment
+ */
+const walletQuery = (address) => {
+  const lower = address.toLowerCase();
+  return { $in: [lower, ethers.utils.getAddress(lower)] };
+};
+
+/**
+ * Check whether two addresses refer to the same account
+ * @param {String} a - Ethereum address
+ * @param {String} b - Ethereum address
+ * @returns {Boolean} True if equal ignoring case
+ */
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+/**
+ * Look up human batch IDs from their BatchCreated events
+ * @param {Array} onchainIds - On-chain batch IDs (BigNumber or hex)
+ * @returns {Array} Batch ID strings, null where no event was found
+ */
+const resolveBatchIdStrings = async (onchainIds) => {
+  const contract = getAgriChainContract();
+  const result = [];
+
+  for (const value of onchainIds) {
+    const onchainId = formatOnchainBatchId(value);
+    if (!batchIdStrings.has(onchainId)) {
+      const events = await contract.queryFilter(contract.filters.BatchCreated(onchainId), 0);
+      if (!events.length) {
+        result.push(null);
+        continue;
+      }
+      batchIdStrings.set(onchainId, events[0].args.batchIdString);
+    }
+    result.push(batchIdStrings.get(onchainId));
+  }
+
+  return result;
+};
+
+/**
+ * Describe the currency a batch is priced in
+ * @param {String} address - ERC-20 token address, or the zero address for the native currency
+ * @returns {Object} { paymentToken, paymentSymbol, paymentDecimals }
+ */
+const readPaymentToken = async (address) => {
+  const paymentToken = normalizeAddress(address);
+  if (!paymentToken) {
+    return NATIVE_PAYMENT;
+  }
+
+  if (!paymentTokens.has(paymentToken)) {
+    const token = new ethers.Contract(paymentToken, ERC20_METADATA_ABI, getProvider());
+    const [paymentSymbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    paymentTokens.set(paymentToken, { paymentToken, paymentSymbol, paymentDecimals: Number(decimals) });
+  }
+  return paymentTokens.get(paymentToken);
+};
+
+const toDate = (seconds) => {
+  const value = Number(seconds);
+  return value ? new Date(value * 1000) : null;
+};
+
+/**
+ * Read the escrowed purchase payment of a batch
+ * @param {String} onchainId - 32 byte hex batch ID
+ * @param {Object} options - Optional blockTag to read at and decimals of the payment token
+ * @returns {Object|null} Escrow fields, or null if the batch was never paid for
+ */
+const readChainEscrow = async (onchainId, { blockTag, decimals = 18 } = {}) => {
+  const contract = getAgriChainContract();
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+
+  const escrow = await contract.escrows(onchainId, overrides);
+  if (escrow.state === 0) {
+    return null;
+  }
+
+  return {
+    state: ESCROW_STATES[escrow.state],
+    amount: Number(ethers.utils.formatUnits(escrow.amount, decimals)),
+    retailer: normalizeAddress(escrow.retailer),
+    payee: normalizeAddress(escrow.payee),
+    releaseAfter: toDate(escrow.releaseAfter)
+  };
+};
+
+/**
+ * Read the recall of a batch
+ * @param {String} onchainId - 32 byte hex batch ID
+ * @param {Object} options - Optional blockTag to read at
+ * @returns {Object|null} Recall fields, or null if the batch was never recalled
+ */
+const readChainRecall = async (onchainId, { blockTag } = {}) => {
+  const contract = getAgriChainContract();
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+
+  const recall = await contract.recalls(onchainId, overrides);
+  if (recall.recalledAt.isZero()) {
+    return null;
+  }
+
+  const [sourceBatchId] = await resolveBatchIdStrings([recall.sourceBatchId]);
+  return {
+    reason: RECALL_REASONS[recall.reason],
+    sourceBatchId,
+    recalledBy: normalizeAddress(recall.recalledBy),
+    recalledAt: toDate(recall.recalledAt)
+  };
+};
+
+/**
+ * Read a batch and its history from the chain in the shape of the Batch model
+ * @param {String} onchainId - 32 byte hex batch ID
+ * @param {Object} options - Optional blockTag to read at
+ * @returns {Object|null} Batch fields, or null if the batch does not exist on-chain
+ */
+const readChainBatch = async (onchainId, { blockTag } = {}) => {
+  const contract = getAgriChainContract();
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+
+  // The public mapping getter returns an empty struct instead of reverting
+  const stored = await contract.batches(onchainId, overrides);
+  if (stored.batchId.isZero()) {
+    return null;
+  }
+
+  const details = await contract.getBatchDetails(onchainId, overrides);
+  const history = await contract.getBatchHistory(onchainId, overrides);
+  const parents = await contract.getBatchParents(onchainId, overrides);
+  const children = await contract.getBatchChildren(onchainId, overrides);
+  const payment = await readPaymentToken(details.paymentToken);
+  const certificationStandard = await contract.certificationStandards(onchainId, overrides);
+
+  return {
+    onchainId: formatOnchainBatchId(details.batchId),
+    cropName: details.cropName,
+    cropVariety: details.cropVariety,
+    location: details.location,
+    harvestDate: toDate(details.harvestDate),
+    farmer: normalizeAddress(details.farmer),
+    certifier: normalizeAddress(details.certifier),
+    retailer: normalizeAddress(details.retailer),
+    status: BATCH_STATUSES[details.status],
+    cropHealth: details.cropHealth || null,
+    expiry: toDate(details.expiry),
+    labResults: details.certifiedAt.isZero() ? null : details.labResults,
+    certificationStandard: certificationStandard || null,
+    createdAt: toDate(details.createdAt),
+    certifiedAt: toDate(details.certifiedAt),
+    purchasedAt: toDate(details.purchasedAt),
+    // Prices are kept in whole tokens (or ETH) off-chain and in base units on-chain
+    price: Number(ethers.utils.formatUnits(details.price, payment.paymentDecimals)),
+    ...payment,
+    custodian: normalizeAddress(details.custodian),
+    quantity: Number(details.quantity.toString()),
+    unit: details.unit || null,
+    parentBatches: (await resolveBatchIdStrings(parents)).filter(Boolean),
+    childBatches: (await resolveBatchIdStrings(children)).filter(Boolean),
+    escrow: await readChainEscrow(onchainId, { blockTag, decimals: payment.paymentDecimals }),
+    recall: await readChainRecall(onchainId, { blockTag }),
+    history: history.map(item => ({
+      from: item.from.toLowerCase(),
+      to: normalizeAddress(item.to),
+      timestamp: toDate(item.timestamp),
+      action: item.action
+    }))
+  };
+};
+
+module.exports = {
+  BATCH_STATUSES,
+  ESCROW_STATES,
+  USER_ROLES,
+  CUSTODY_ROLES,
+  ZERO_ADDRESS,
+  NATIVE_PAYMENT,
+  getAgriChainAddress,
+  getProvider,
+  getAgriChainInterface,
+  getAgriChainContract,
+  getAdminSigner,
+  getCertifierRegistryContract,
+  getInspectionRegistryAddress,
+  getInspectionRegistryInterface,
+  getInspectionRegistryContract,
+  toOnchainBatchId,
+  isValidBatchId,
+  formatOnchainBatchId,
+  normalizeAddress,
+  walletQuery,
+  sameAddress,
+  resolveBatchIdStrings,
+  readPaymentToken,
+  readChainEscrow,
+  readChainRecall,
+  readChainBatch
+};
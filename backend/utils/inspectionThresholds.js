@@ -0,0 +1,56 @@
+/**
+ * Inspection Thresholds
+ * Pass/fail limits applied to inspection measurements, configurable per crop
+ */
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Best grade first
+const GRADES = ['A', 'B', 'C', 'D'];
+
+const DEFAULT_THRESHOLDS = {
+  maxPesticideResidue: 0.01,  // mg/kg, the EU default maximum residue level
+  maxMoisture: 14,            // percent
+  minGrade: 'B'
+};
+
+let configured;
+
+/**
+ * Load the thresholds file named by INSPECTION_THRESHOLDS_FILE
+ * ({ "default": {...}, "crops": { "<crop name>": {...} } }), once per process
+ * @returns {Object} { default, crops } with crop names lowercased
+ */
+const loadThresholds = () => {
+  if (!configured) {
+    const file = (process.env.INSPECTION_THRESHOLDS_FILE || '').trim();
+    const parsed = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    configured = {
+      default: { ...DEFAULT_THRESHOLDS, ...(parsed.default || {}) },
+      crops: Object.fromEntries(
+        Object.entries(parsed.crops || {}).map(([crop, limits]) => [crop.trim().toLowerCase(), limits])
+      )
+    };
+  }
+  return configured;
+};
+
+/**
+ * Get the thresholds that apply to a crop
+ * @param {String} cropName - Crop name of the inspected batch
+ * @returns {Object} { maxPesticideResidue, maxMoisture, minGrade }
+ */
+const getThresholds = (cropName) => {
+  const { default: defaults, crops } = loadThresholds();
+  const crop = String(cropName || '').trim().toLowerCase();
+  return { ...defaults, ...(crops[crop] || {}) };
+};
+
+module.exports = {
+  GRADES,
+  DEFAULT_THRESHOLDS,
+  getThresholds
+};
@@ -3,6 +3,7 @@
  * Implements data encryption/decryption using Kyber and signatures using Dilithium
  */
 const CryptoJS = require('crypto-js');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
@@ -30,150 +31,404 @@ dotenv.config();
 
 // Default key storage paths - should be set in .env
 const KEY_STORAGE_DIR = process.env.PQC_KEY_STORAGE_DIR || path.join(__dirname, '..', 'keys');
-const KYBER_PRIVATE_KEY_PATH = path.join(KEY_STORAGE_DIR, 'kyber_private.key');
-const KYBER_PUBLIC_KEY_PATH = path.join(KEY_STORAGE_DIR, 'kyber_public.key');
-const DILITHIUM_PRIVATE_KEY_PATH = path.join(KEY_STORAGE_DIR, 'dilithium_private.key');
-const DILITHIUM_PUBLIC_KEY_PATH = path.join(KEY_STORAGE_DIR, 'dilithium_public.key');
+// Lists every key generation and which one is active; key files are only ever added, never overwritten
+const KEYRING_PATH = path.join(KEY_STORAGE_DIR, 'keyring.json');
+// Key files written before the keyring existed; adopted as generation 1
+const LEGACY_KEY_FILES = {
+  kyber: { privateKeyFile: 'kyber_private.key', publicKeyFile: 'kyber_public.key' },
+  dilithium: { privateKeyFile: 'dilithium_private.key', publicKeyFile: 'dilithium_public.key' }
+};
+// Key ID assumed for ciphertexts and signatures stored without one
+const LEGACY_KEY_IDS = { kyber: 'kyber-1', dilithium: 'dilithium-1' };
+// Byte lengths of ML-KEM-768 and ML-DSA-65 keys, to reject truncated or corrupted files
+const KEY_LENGTHS = {
+  kyber: { privateKey: 2400, publicKey: 1184 },
+  dilithium: { privateKey: 4032, publicKey: 1952 }
+};
+const KEY_TYPES = Object.keys(KEY_LENGTHS);
+// HMAC key for the blind indexes that make encrypted fields searchable; it is not rotated,
+// since every token would have to be rebuilt from decrypted data
+const BLIND_INDEX_KEY_FILE = 'blind_index.key';
+const BLIND_INDEX_KEY_BYTES = 32;
+// Envelope written by encryptData: a version byte, the AES-256-GCM tag, then the ciphertext.
+// Version 1 is the original AES-CBC envelope, which has no version byte and is recognised by its 16-byte IV.
+const ENVELOPE_VERSION = 2;
+const GCM_IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+const LEGACY_CBC_IV_BYTES = 16;
 
 // Ensure key directory exists
 if (!fs.existsSync(KEY_STORAGE_DIR)) {
   fs.mkdirSync(KEY_STORAGE_DIR, { recursive: true });
 }
 
+class KeyringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyringError';
+  }
+}
+
+// Keyring as last read from disk, reloaded when another process (e.g. the keys CLI) changes it
+let keyringCache = null;
+const keyCache = new Map();
+
+const keyFilePath = (file) => path.join(KEY_STORAGE_DIR, file);
+
 /**
- * Generate Kyber key pair for encryption/decryption
+ * Generate a key pair of the given type
+ * @param {String} type - 'kyber' or 'dilithium'
  * @returns {Object} Object containing public and private keys
  */
-const generateKyberKeys = async () => {
-  try {
-  const mlKEM = await getMlKEM();
-  const kyber = mlKEM.ml_kem768;
-  const { publicKey, secretKey } = kyber.keygen();
-    
-  // Save keys to files for persistence
-  fs.writeFileSync(KYBER_PRIVATE_KEY_PATH, Buffer.from(secretKey).toString('hex'));
-  fs.writeFileSync(KYBER_PUBLIC_KEY_PATH, Buffer.from(publicKey).toString('hex'));
-    
+const generateKeyPair = async (type) => {
+  const { publicKey, secretKey } = type === 'kyber'
+    ? (await getMlKEM()).ml_kem768.keygen()
+    : (await getMlDSA()).ml_dsa65.keygen();
   return { publicKey, privateKey: secretKey };
-  } catch (error) {
-    console.error('Error generating Kyber keys:', error);
-    throw new Error('Failed to generate Kyber keys');
+};
+
+/**
+ * Write a new key generation to disk without touching existing files
+ * @param {String} type - 'kyber' or 'dilithium'
+ * @param {String} keyId - ID of the new generation
+ * @returns {Object} Keyring entry for the new key
+ */
+const writeKeyGeneration = async (type, keyId) => {
+  const { publicKey, privateKey } = await generateKeyPair(type);
+  const entry = {
+    id: keyId,
+    privateKeyFile: `${keyId}_private.key`,
+    publicKeyFile: `${keyId}_public.key`,
+    createdAt: new Date().toISOString()
+  };
+  // 'wx' fails if the file exists, so a key can never be replaced
+  fs.writeFileSync(keyFilePath(entry.privateKeyFile), Buffer.from(privateKey).toString('hex'), { flag: 'wx', mode: 0o600 });
+  fs.writeFileSync(keyFilePath(entry.publicKeyFile), Buffer.from(publicKey).toString('hex'), { flag: 'wx' });
+  return entry;
+};
+
+/**
+ * Write a new blind index key without touching an existing one
+ * @returns {Object} Keyring entry for the key
+ */
+const writeBlindIndexKey = () => {
+  fs.writeFileSync(keyFilePath(BLIND_INDEX_KEY_FILE), crypto.randomBytes(BLIND_INDEX_KEY_BYTES).toString('hex'), { flag: 'wx', mode: 0o600 });
+  return { file: BLIND_INDEX_KEY_FILE, createdAt: new Date().toISOString() };
+};
+
+const writeKeyring = (keyring, { create = false } = {}) => {
+  const json = `${JSON.stringify(keyring, null, 2)}\n`;
+  if (create) {
+    fs.writeFileSync(KEYRING_PATH, json, { flag: 'wx', mode: 0o600 });
+  } else {
+    // Replace atomically so a concurrent reader never sees a partial keyring
+    const tmpPath = `${KEYRING_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, json, { mode: 0o600 });
+    fs.renameSync(tmpPath, KEYRING_PATH);
   }
+  keyringCache = null;
 };
 
 /**
- * Generate Dilithium key pair for signing/verification
- * @returns {Object} Object containing public and private keys
+ * Create the keyring, adopting pre-keyring key files as generation 1. Only the
+ * keys CLI calls this; the API and workers refuse to start without a keyring.
+ * @param {Object} [options]
+ * @param {Boolean} [options.generate=false] - Generate key pairs that have no pre-keyring files to adopt;
+ *   must stay false while any data is encrypted, since new keys could never decrypt it
+ * @returns {Object} The new keyring
+ * @throws {KeyringError} When key material is incomplete or keys would have to be generated without `generate`
  */
-const generateDilithiumKeys = async () => {
-  try {
-  const mlDSA = await getMlDSA();
-  const dilithium = mlDSA.ml_dsa65;
-  const { publicKey, secretKey } = dilithium.keygen();
+const createKeyring = async ({ generate = false } = {}) => {
+  if (fs.existsSync(KEYRING_PATH)) {
+    throw new KeyringError(`PQC keyring already exists at ${KEYRING_PATH}`);
+  }
+  const orphans = fs.readdirSync(KEY_STORAGE_DIR).filter(file => /^(kyber|dilithium)-\d+_(private|public)\.key$/.test(file) || file === BLIND_INDEX_KEY_FILE);
+  if (orphans.length) {
+    throw new KeyringError(`Key files exist in ${KEY_STORAGE_DIR} but keyring.json is missing; restore it from backup`);
+  }
 
-  // Save keys to files for persistence
-  fs.writeFileSync(DILITHIUM_PRIVATE_KEY_PATH, Buffer.from(secretKey).toString('hex'));
-  fs.writeFileSync(DILITHIUM_PUBLIC_KEY_PATH, Buffer.from(publicKey).toString('hex'));
+  // Check every legacy pair before writing anything, so a failure leaves no new files behind
+  const hasLegacy = {};
+  for (const type of KEY_TYPES) {
+    const legacy = LEGACY_KEY_FILES[type];
+    const hasPrivate = fs.existsSync(keyFilePath(legacy.privateKeyFile));
+    if (hasPrivate !== fs.existsSync(keyFilePath(legacy.publicKeyFile))) {
+      throw new KeyringError(`Only one half of the ${type} key pair exists in ${KEY_STORAGE_DIR}; restore the missing file`);
+    }
+    hasLegacy[type] = hasPrivate;
+    if (!hasPrivate && !generate) {
+      throw new KeyringError(`No ${type} key to adopt in ${KEY_STORAGE_DIR}; restore the keyring from backup`);
+    }
+  }
 
-  return { publicKey, privateKey: secretKey };
-  } catch (error) {
-    console.error('Error generating Dilithium keys:', error);
-    throw new Error('Failed to generate Dilithium keys');
+  const keyring = { version: 1 };
+  for (const type of KEY_TYPES) {
+    const legacy = LEGACY_KEY_FILES[type];
+    const entry = hasLegacy[type]
+      ? { id: LEGACY_KEY_IDS[type], ...legacy, createdAt: fs.statSync(keyFilePath(legacy.privateKeyFile)).mtime.toISOString() }
+      : await writeKeyGeneration(type, LEGACY_KEY_IDS[type]);
+    keyring[type] = { active: entry.id, keys: [entry] };
   }
+  keyring.blindIndex = writeBlindIndexKey();
+  writeKeyring(keyring, { create: true });
+  console.log(`Created PQC keyring at ${KEYRING_PATH}`);
+  return keyring;
 };
 
 /**
- * Load existing Kyber keys or generate new ones
- * @returns {Object} Object containing public and private keys
+ * Read the keyring, re-reading it when the file changed
+ * @returns {Object} Keyring
+ * @throws {KeyringError} When the keyring is missing or malformed
  */
-const loadOrGenerateKyberKeys = async () => {
+const readKeyring = () => {
+  if (!fs.existsSync(KEYRING_PATH)) {
+    throw new KeyringError(`PQC keyring not found at ${KEYRING_PATH}`);
+  }
+  const { mtimeMs } = fs.statSync(KEYRING_PATH);
+  if (keyringCache && keyringCache.mtimeMs === mtimeMs) {
+    return keyringCache.keyring;
+  }
+
+  let keyring;
   try {
-    if (fs.existsSync(KYBER_PRIVATE_KEY_PATH) && fs.existsSync(KYBER_PUBLIC_KEY_PATH)) {
-  const privateKey = Buffer.from(fs.readFileSync(KYBER_PRIVATE_KEY_PATH, 'utf8'), 'hex');
-  const publicKey = Buffer.from(fs.readFileSync(KYBER_PUBLIC_KEY_PATH, 'utf8'), 'hex');
-  return { privateKey, publicKey };
+    keyring = JSON.parse(fs.readFileSync(KEYRING_PATH, 'utf8'));
+  } catch (error) {
+    throw new KeyringError(`PQC keyring at ${KEYRING_PATH} is unreadable: ${error.message}`);
+  }
+  for (const type of KEY_TYPES) {
+    const ring = keyring[type];
+    if (!ring || !Array.isArray(ring.keys) || !ring.keys.some(entry => entry.id === ring.active)) {
+      throw new KeyringError(`PQC keyring has no active ${type} key`);
     }
-    return await generateKyberKeys();
+  }
+  keyringCache = { mtimeMs, keyring };
+  return keyring;
+};
+
+const readKeyFile = (type, entry, part) => {
+  const file = keyFilePath(entry[`${part}File`]);
+  let hex;
+  try {
+    hex = fs.readFileSync(file, 'utf8').trim();
   } catch (error) {
-    console.error('Error loading Kyber keys:', error);
-    return await generateKyberKeys();
+    throw new KeyringError(`Cannot read ${type} key ${entry.id} (${file}): ${error.message}`);
   }
+  const bytes = Buffer.from(hex, 'hex');
+  if (!/^[0-9a-f]+$/i.test(hex) || bytes.length !== KEY_LENGTHS[type][part]) {
+    throw new KeyringError(`${type} key ${entry.id} (${file}) is corrupted`);
+  }
+  return bytes;
 };
 
 /**
- * Load existing Dilithium keys or generate new ones
- * @returns {Object} Object containing public and private keys
+ * Load one key generation; fails instead of generating replacement keys
+ * @param {String} type - 'kyber' or 'dilithium'
+ * @param {String} keyId - Key ID, or omit for the active key
+ * @returns {Object} { keyId, publicKey, privateKey }
+ * @throws {KeyringError} When the key is unknown or its files are missing or corrupted
  */
-const loadOrGenerateDilithiumKeys = async () => {
-  try {
-    if (fs.existsSync(DILITHIUM_PRIVATE_KEY_PATH) && fs.existsSync(DILITHIUM_PUBLIC_KEY_PATH)) {
-      const privateKey = Buffer.from(fs.readFileSync(DILITHIUM_PRIVATE_KEY_PATH, 'utf8'), 'hex');
-      const publicKey = Buffer.from(fs.readFileSync(DILITHIUM_PUBLIC_KEY_PATH, 'utf8'), 'hex');
-      return { privateKey, publicKey };
+const loadKey = async (type, keyId) => {
+  const ring = readKeyring()[type];
+  const id = keyId || ring.active;
+  const entry = ring.keys.find(item => item.id === id);
+  if (!entry) {
+    throw new KeyringError(`Unknown ${type} key ${id}`);
+  }
+
+  const cacheKey = `${type}:${id}`;
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, {
+      keyId: id,
+      privateKey: readKeyFile(type, entry, 'privateKey'),
+      publicKey: readKeyFile(type, entry, 'publicKey')
+    });
+  }
+  return keyCache.get(cacheKey);
+};
+
+/**
+ * Load a Kyber key generation
+ * @param {String} keyId - Key ID, or omit for the active key
+ * @returns {Object} { keyId, publicKey, privateKey }
+ */
+const loadKyberKeys = (keyId) => loadKey('kyber', keyId);
+
+/**
+ * Load a Dilithium key generation
+ * @param {String} keyId - Key ID, or omit for the active key
+ * @returns {Object} { keyId, publicKey, privateKey }
+ */
+const loadDilithiumKeys = (keyId) => loadKey('dilithium', keyId);
+
+/**
+ * Load the HMAC key for blind index tokens
+ * @returns {Buffer} Key bytes
+ * @throws {KeyringError} When the key is missing or corrupted
+ */
+const loadBlindIndexKey = () => {
+  const { blindIndex } = readKeyring();
+  if (!blindIndex) {
+    throw new KeyringError('PQC keyring has no blind index key');
+  }
+  if (!keyCache.has('blindIndex')) {
+    const file = keyFilePath(blindIndex.file);
+    let hex;
+    try {
+      hex = fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new KeyringError(`Cannot read blind index key (${file}): ${error.message}`);
     }
-    return await generateDilithiumKeys();
-  } catch (error) {
-    console.error('Error loading Dilithium keys:', error);
-    return await generateDilithiumKeys();
+    if (!/^[0-9a-f]+$/i.test(hex) || hex.length !== BLIND_INDEX_KEY_BYTES * 2) {
+      throw new KeyringError(`Blind index key (${file}) is corrupted`);
+    }
+    keyCache.set('blindIndex', Buffer.from(hex, 'hex'));
+  }
+  return keyCache.get('blindIndex');
+};
+
+/**
+ * Add a new key generation and make it active; older generations stay
+ * available for decryption and signature checks
+ * @param {String} type - 'kyber' or 'dilithium'
+ * @returns {Object} { type, previous, active }
+ */
+const rotateKeys = async (type) => {
+  if (!KEY_TYPES.includes(type)) {
+    throw new KeyringError(`Unknown key type ${type}`);
+  }
+  const keyring = readKeyring();
+  const ring = keyring[type];
+  const generation = Math.max(...ring.keys.map(entry => Number(entry.id.split('-').pop()) || 0)) + 1;
+  const entry = await writeKeyGeneration(type, `${type}-${generation}`);
+
+  const previous = ring.active;
+  const keys = ring.keys.map(item => (item.id === previous ? { ...item, retiredAt: entry.createdAt } : item));
+  writeKeyring({ ...keyring, [type]: { active: entry.id, keys: [...keys, entry] } });
+  return { type, previous, active: entry.id };
+};
+
+/**
+ * Summarize the keyring without exposing key material
+ * @returns {Object} Per key type: { active, keys: [{ id, createdAt, retiredAt }] }
+ */
+const getKeyringStatus = () => {
+  const keyring = readKeyring();
+  return Object.fromEntries(KEY_TYPES.map(type => [type, {
+    active: keyring[type].active,
+    keys: keyring[type].keys.map(({ id, createdAt, retiredAt }) => ({ id, createdAt, retiredAt: retiredAt || null }))
+  }]));
+};
+
+/**
+ * Associated data binding a ciphertext to the place it is stored, so that a
+ * ciphertext copied to another document or field fails to decrypt
+ * @param {Object} [context] - { model, documentId, field }
+ * @returns {Buffer} AAD, empty without a context
+ */
+const associatedData = (context) => {
+  if (!context) return Buffer.alloc(0);
+  const { model, documentId, field } = context;
+  if (!model || !documentId || !field) {
+    throw new Error('Encryption context needs a model, documentId and field');
   }
+  return Buffer.from(['agrichain', ENVELOPE_VERSION, model, String(documentId), field].join('\u0000'), 'utf8');
 };
 
 /**
- * Encrypt data using Kyber
+ * Whether an encrypted package uses the original AES-CBC envelope, which is not authenticated
+ * @param {Object} encryptedPackage - Object containing encrypted data, ciphertext and IV
+ * @returns {Boolean} True for AES-CBC envelopes
+ */
+const isLegacyEnvelope = (encryptedPackage) =>
+  Buffer.from(encryptedPackage.iv || '', 'hex').length === LEGACY_CBC_IV_BYTES;
+
+const decryptLegacyEnvelope = (sharedSecret, encryptedData, iv, acceptLegacy) => {
+  if (!acceptLegacy) {
+    throw new Error('AES-CBC envelopes are disabled by PQC_REJECT_LEGACY_ENVELOPES');
+  }
+  const aesKey = CryptoJS.enc.Hex.parse(Buffer.from(sharedSecret).toString('hex'));
+  const decrypted = CryptoJS.AES.decrypt(encryptedData, aesKey, {
+    iv: CryptoJS.enc.Hex.parse(iv),
+    mode: CryptoJS.mode.CBC,
+    padding: CryptoJS.pad.Pkcs7
+  });
+  return decrypted.toString(CryptoJS.enc.Utf8);
+};
+
+const decryptEnvelope = (sharedSecret, encryptedData, iv, context) => {
+  const envelope = Buffer.from(encryptedData, 'base64');
+  if (envelope[0] !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version ${envelope[0]}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(sharedSecret), Buffer.from(iv, 'hex'), {
+    authTagLength: GCM_TAG_BYTES
+  });
+  decipher.setAAD(associatedData(context));
+  decipher.setAuthTag(envelope.subarray(1, 1 + GCM_TAG_BYTES));
+  // final() throws if the ciphertext, tag or associated data were changed
+  return Buffer.concat([decipher.update(envelope.subarray(1 + GCM_TAG_BYTES)), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Encrypt data using Kyber and AES-256-GCM
  * @param {Object|String} data - Data to encrypt
- * @returns {Object} Object containing encrypted data and ciphertext
+ * @param {Object} [context] - { model, documentId, field } the ciphertext is bound to; decryption needs the same context
+ * @returns {Object} Object containing encrypted data, ciphertext, IV and the Kyber key ID
  */
-const encryptData = async (data) => {
+const encryptData = async (data, context) => {
   try {
     // Convert data to JSON string if it's an object
     const dataString = typeof data === 'object' ? JSON.stringify(data) : data;
     
     // Get Kyber keys
-  const mlKEM = await getMlKEM();
-  const kyber = mlKEM.ml_kem768;
-    const keys = await loadOrGenerateKyberKeys();
+    const mlKEM = await getMlKEM();
+    const kyber = mlKEM.ml_kem768;
+    const keys = await loadKyberKeys();
     
-    // Generate a shared secret and encapsulation
-  const { cipherText, sharedSecret } = kyber.encapsulate(keys.publicKey);
-    
-    // Use the shared secret as AES key
-    const aesKey = CryptoJS.enc.Hex.parse(Buffer.from(sharedSecret).toString('hex'));
+    // Generate a shared secret and encapsulation; the shared secret is the AES key
+    const { cipherText, sharedSecret } = kyber.encapsulate(keys.publicKey);
     
     // Generate a random IV
-    const iv = CryptoJS.lib.WordArray.random(16);
+    const iv = crypto.randomBytes(GCM_IV_BYTES);
     
-    // Encrypt data with AES using the shared secret
-    const encrypted = CryptoJS.AES.encrypt(dataString, aesKey, {
-      iv,
-      mode: CryptoJS.mode.CBC,
-      padding: CryptoJS.pad.Pkcs7
-    });
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(sharedSecret), iv, { authTagLength: GCM_TAG_BYTES });
+    cipher.setAAD(associatedData(context));
+    const encrypted = Buffer.concat([cipher.update(String(dataString), 'utf8'), cipher.final()]);
+    const envelope = Buffer.concat([Buffer.from([ENVELOPE_VERSION]), cipher.getAuthTag(), encrypted]);
     
     // Return the encrypted data along with ciphertext and IV
     return {
-  ciphertext: Buffer.from(cipherText).toString('hex'),
-      encryptedData: encrypted.toString(),
-      iv: iv.toString(CryptoJS.enc.Hex)
+      ciphertext: Buffer.from(cipherText).toString('hex'),
+      encryptedData: envelope.toString('base64'),
+      iv: iv.toString('hex'),
+      keyId: keys.keyId
     };
   } catch (error) {
     console.error('Error encrypting data:', error);
+    if (error instanceof KeyringError) throw error;
     throw new Error('Failed to encrypt data');
   }
 };
 
 /**
  * Decrypt data using Kyber
- * @param {Object} encryptedPackage - Object containing encrypted data, ciphertext, and IV
+ * @param {Object} encryptedPackage - Object containing encrypted data, ciphertext, IV and the Kyber key ID
+ *   (packages without one predate the keyring and use generation 1)
+ * @param {Object} [context] - { model, documentId, field } given when the data was encrypted;
+ *   AES-CBC envelopes are not bound to a context and ignore it
+ * @param {Object} [options]
+ * @param {Boolean} [options.acceptLegacy] - Read an unauthenticated AES-CBC envelope; defaults to true
+ *   unless PQC_REJECT_LEGACY_ENVELOPES is 'true', and is always set when migrating them
  * @returns {Object|String} Decrypted data
  */
-const decryptData = async (encryptedPackage) => {
+const decryptData = async (encryptedPackage, context, { acceptLegacy = process.env.PQC_REJECT_LEGACY_ENVELOPES !== 'true' } = {}) => {
   try {
-    const { ciphertext, encryptedData, iv } = encryptedPackage;
+    const { ciphertext, encryptedData, iv, keyId } = encryptedPackage;
     
     // Get Kyber keys
-  const mlKEM = await getMlKEM();
-  const kyber = mlKEM.ml_kem768;
-    const keys = await loadOrGenerateKyberKeys();
+    const mlKEM = await getMlKEM();
+    const kyber = mlKEM.ml_kem768;
+    const keys = await loadKyberKeys(keyId || LEGACY_KEY_IDS.kyber);
     
     // Decapsulate the shared secret using the ciphertext and private key
     const sharedSecret = kyber.decapsulate(
@@ -181,18 +436,9 @@ const decryptData = async (encryptedPackage) => {
       keys.privateKey
     );
     
-    // Use the shared secret as AES key
-    const aesKey = CryptoJS.enc.Hex.parse(Buffer.from(sharedSecret).toString('hex'));
-    const ivValue = CryptoJS.enc.Hex.parse(iv);
-    
-    // Decrypt the data using AES
-    const decrypted = CryptoJS.AES.decrypt(encryptedData, aesKey, {
-      iv: ivValue,
-      mode: CryptoJS.mode.CBC,
-      padding: CryptoJS.pad.Pkcs7
-    });
-    
-    const decryptedText = decrypted.toString(CryptoJS.enc.Utf8);
+    const decryptedText = isLegacyEnvelope(encryptedPackage)
+      ? decryptLegacyEnvelope(sharedSecret, encryptedData, iv, acceptLegacy)
+      : decryptEnvelope(sharedSecret, encryptedData, iv, context);
     
     // Try to parse as JSON if possible
     try {
@@ -202,6 +448,7 @@ const decryptData = async (encryptedPackage) => {
     }
   } catch (error) {
     console.error('Error decrypting data:', error);
+    if (error instanceof KeyringError) throw error;
     throw new Error('Failed to decrypt data');
   }
 };
@@ -209,7 +456,7 @@ const decryptData = async (encryptedPackage) => {
 /**
  * Sign data using Dilithium
  * @param {Object|String} data - Data to sign
- * @returns {Object} Object containing the data and signature
+ * @returns {Object} Object containing the data, signature and the Dilithium key ID
  */
 const signData = async (data) => {
   try {
@@ -219,7 +466,7 @@ const signData = async (data) => {
     // Get Dilithium keys
   const mlDSA = await getMlDSA();
   const dilithium = mlDSA.ml_dsa65;
-    const keys = await loadOrGenerateDilithiumKeys();
+    const keys = await loadDilithiumKeys();
     
     // Sign the data
     const signature = await dilithium.sign(
@@ -229,22 +476,26 @@ const signData = async (data) => {
     
     return {
       data,
-      signature: Buffer.from(signature).toString('hex')
+      signature: Buffer.from(signature).toString('hex'),
+      keyId: keys.keyId
     };
   } catch (error) {
     console.error('Error signing data:', error);
+    if (error instanceof KeyringError) throw error;
     throw new Error('Failed to sign data');
   }
 };
 
 /**
  * Verify signed data using Dilithium
- * @param {Object} signedPackage - Object containing data and signature
+ * @param {Object} signedPackage - Object containing data, signature and optionally the signing key ID;
+ *   without a key ID every key generation in the keyring is tried
+ * @param {String} publicKeyHex - Optional hex public key to verify against instead of the server keys
  * @returns {Boolean} True if signature is valid
  */
-const verifySignature = async (signedPackage) => {
+const verifySignature = async (signedPackage, publicKeyHex) => {
   try {
-    const { data, signature } = signedPackage;
+    const { data, signature, keyId } = signedPackage;
     
     // Convert data to string if it's an object
     const dataString = typeof data === 'object' ? JSON.stringify(data) : data;
@@ -252,14 +503,24 @@ const verifySignature = async (signedPackage) => {
     // Get Dilithium keys
   const mlDSA = await getMlDSA();
   const dilithium = mlDSA.ml_dsa65;
-    const keys = await loadOrGenerateDilithiumKeys();
+    let publicKeys;
+    if (publicKeyHex) {
+      publicKeys = [Buffer.from(publicKeyHex, 'hex')];
+    } else if (keyId) {
+      publicKeys = [(await loadDilithiumKeys(keyId)).publicKey];
+    } else {
+      // Signatures made before a rotation still verify against retired keys
+      const { active, keys } = readKeyring().dilithium;
+      const ids = [active, ...keys.map(entry => entry.id).filter(id => id !== active)];
+      publicKeys = await Promise.all(ids.map(async id => (await loadDilithiumKeys(id)).publicKey));
+    }
     
-    // Verify the signature
-    return await dilithium.verify(
-      Buffer.from(dataString, 'utf8'),
+    // Verify the signature (noble takes the signature first)
+    return publicKeys.some(publicKey => dilithium.verify(
       Buffer.from(signature, 'hex'),
-      keys.publicKey
-    );
+      Buffer.from(dataString, 'utf8'),
+      publicKey
+    ));
   } catch (error) {
     console.error('Error verifying signature:', error);
     return false;
@@ -267,28 +528,115 @@ const verifySignature = async (signedPackage) => {
 };
 
 /**
- * Initialize PQC system by generating or loading keys
+ * Fingerprint a Dilithium public key
+ * @param {Buffer|Uint8Array|String} publicKey - Public key bytes or hex
+ * @returns {String} Hex SHA-256 of the public key bytes
+ */
+const fingerprintPublicKey = (publicKey) => {
+  const bytes = typeof publicKey === 'string' ? Buffer.from(publicKey, 'hex') : Buffer.from(publicKey);
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+};
+
+const describeSigningKey = ({ keyId, publicKey }) => ({
+  algorithm: 'ML-DSA-65',
+  keyId,
+  publicKey: Buffer.from(publicKey).toString('hex'),
+  fingerprint: fingerprintPublicKey(publicKey)
+});
+
+/**
+ * Get a Dilithium public key for offline signature checks
+ * @param {String} keyId - Key ID, or omit for the active key
+ * @returns {Object} { algorithm, keyId, publicKey (hex), fingerprint }
+ */
+const getSigningPublicKey = async (keyId) => describeSigningKey(await loadDilithiumKeys(keyId));
+
+/**
+ * Get every Dilithium public key in the keyring, active first; signatures by
+ * retired keys remain valid
+ * @returns {Array} [{ algorithm, keyId, publicKey (hex), fingerprint, active }]
+ */
+const listSigningPublicKeys = async () => {
+  const { active, keys } = readKeyring().dilithium;
+  const ids = [active, ...keys.map(entry => entry.id).filter(id => id !== active)];
+  return Promise.all(ids.map(async id => ({ ...describeSigningKey(await loadDilithiumKeys(id)), active: id === active })));
+};
+
+/**
+ * Check that a key generation loads and that its two halves belong together
+ * @param {String} type - 'kyber' or 'dilithium'
+ * @param {String} keyId - Key ID
+ * @throws {KeyringError} When the key is missing, corrupted or mismatched
+ */
+const checkKeyPair = async (type, keyId) => {
+  const { publicKey, privateKey } = await loadKey(type, keyId);
+  let matches;
+  if (type === 'kyber') {
+    const kyber = (await getMlKEM()).ml_kem768;
+    const { cipherText, sharedSecret } = kyber.encapsulate(publicKey);
+    matches = Buffer.from(kyber.decapsulate(cipherText, privateKey)).equals(Buffer.from(sharedSecret));
+  } else {
+    const dilithium = (await getMlDSA()).ml_dsa65;
+    const probe = Buffer.from(`keyring check ${keyId}`, 'utf8');
+    matches = dilithium.verify(dilithium.sign(probe, privateKey), probe, publicKey);
+  }
+  if (!matches) {
+    throw new KeyringError(`The ${type} key pair ${keyId} does not match`);
+  }
+};
+
+/**
+ * Initialize PQC system: check every key generation in the keyring. Fails closed;
+ * a missing keyring is never replaced by new keys, create it with `npm run keys -- init`.
+ * @returns {Object} Keyring status
  */
 const initPQCrypto = async () => {
   try {
-    await loadOrGenerateKyberKeys();
-    await loadOrGenerateDilithiumKeys();
+    if (!fs.existsSync(KEYRING_PATH)) {
+      throw new KeyringError(`PQC keyring not found at ${KEYRING_PATH}; restore it from backup, or create it with "npm run keys -- init"`);
+    }
+
+    const keyring = readKeyring();
+    for (const type of KEY_TYPES) {
+      for (const entry of keyring[type].keys) {
+        await checkKeyPair(type, entry.id);
+      }
+    }
+
+    // Keyrings created before blind indexes existed get their key now; nothing can be indexed with another one yet
+    if (!keyring.blindIndex) {
+      if (fs.existsSync(keyFilePath(BLIND_INDEX_KEY_FILE))) {
+        throw new KeyringError(`${BLIND_INDEX_KEY_FILE} exists but is not in the keyring; add it back to keyring.json`);
+      }
+      writeKeyring({ ...keyring, blindIndex: writeBlindIndexKey() });
+    }
+    loadBlindIndexKey();
     console.log('PQCrypto initialized successfully');
+    return getKeyringStatus();
   } catch (error) {
     console.error('Error initializing PQCrypto:', error);
+    if (error instanceof KeyringError) throw error;
     throw new Error('Failed to initialize PQCrypto');
   }
 };
 
 // Export the utility functions
 module.exports = {
+  KeyringError,
+  LEGACY_KEY_IDS,
   initPQCrypto,
+  createKeyring,
   encryptData,
   decryptData,
+  isLegacyEnvelope,
   signData,
   verifySignature,
-  generateKyberKeys,
-  generateDilithiumKeys,
-  loadOrGenerateKyberKeys,
-  loadOrGenerateDilithiumKeys
-};
\ No newline at end of file
+  fingerprintPublicKey,
+  getSigningPublicKey,
+  listSigningPublicKeys,
+  loadKyberKeys,
+  loadDilithiumKeys,
+  loadBlindIndexKey,
+  rotateKeys,
+  getKeyringStatus
+};
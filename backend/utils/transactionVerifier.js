@@ -0,0 +1,150 @@
+/**
+ * Transaction Verifier
+ * Confirms that a transaction hash submitted by the browser really performed
+ * the AgriChain action the request claims before Mongo is updated
+ */
+const dotenv = require('dotenv');
+const {
+  getAgriChainAddress,
+  getAgriChainInterface,
+  getInspectionRegistryAddress,
+  getInspectionRegistryInterface,
+  getProvider,
+  formatOnchainBatchId,
+  toOnchainBatchId,
+  sameAddress
+} = require('./blockchain');
+
+// Load environment variables
+dotenv.config();
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Event argument that holds the acting wallet for each batch event
+const SENDER_ARGS = {
+  BatchCreated: 'farmer',
+  BatchCertified: 'certifier',
+  BatchPurchased: 'retailer',
+  CustodyTransferred: 'from',
+  BatchSplit: 'holder',
+  BatchMerged: 'holder',
+  EscrowDisputed: 'retailer',
+  BatchRecalled: 'recalledBy',
+  InspectionRecorded: 'inspector'
+};
+
+// Contracts whose batch events can be verified
+const CONTRACTS = {
+  AgriChain: { getAddress: getAgriChainAddress, getInterface: getAgriChainInterface },
+  InspectionRegistry: { getAddress: getInspectionRegistryAddress, getInterface: getInspectionRegistryInterface }
+};
+
+class TransactionVerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransactionVerificationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check whether submitted transactions should be verified against the chain
+ * @returns {Boolean} True unless explicitly disabled
+ */
+const isVerificationEnabled = () => process.env.VERIFY_CHAIN_TRANSACTIONS !== 'false';
+
+/**
+ * Verify that a transaction emitted the expected contract event for a batch
+ * @param {Object} params - transactionHash, event name, batchId string, sender wallet,
+ *   optional expected event arguments (e.g. { passed: true }) and the contract name
+ *   (AgriChain unless given)
+ * @returns {Object|null} { transactionHash, blockNumber, args }, or null if verification is disabled
+ * @throws {TransactionVerificationError} When the transaction does not match the request
+ */
+const verifyBatchTransaction = async ({
+  transactionHash,
+  event,
+  batchId,
+  sender,
+  expect = {},
+  contract = 'AgriChain'
+}) => {
+  if (!isVerificationEnabled()) return null;
+
+  if (!transactionHash || !TX_HASH_PATTERN.test(transactionHash)) {
+    throw new TransactionVerificationError('A valid transactionHash is required');
+  }
+
+  let contractAddress;
+  try {
+    contractAddress = CONTRACTS[contract].getAddress();
+  } catch (error) {
+    throw new TransactionVerificationError('Blockchain verification is not configured', 503);
+  }
+
+  let receipt;
+  let transaction;
+  try {
+    const provider = getProvider();
+    [receipt, transaction] = await Promise.all([
+      provider.getTransactionReceipt(transactionHash),
+      provider.getTransaction(transactionHash)
+    ]);
+  } catch (error) {
+    console.error('Error fetching transaction receipt:', error.message);
+    throw new TransactionVerificationError('Unable to reach the blockchain to verify the transaction', 503);
+  }
+
+  if (!receipt || !transaction) {
+    throw new TransactionVerificationError('Transaction not found or not yet mined');
+  }
+  if (receipt.status !== 1) {
+    throw new TransactionVerificationError('Transaction reverted on-chain');
+  }
+  if (!sameAddress(receipt.to, contractAddress)) {
+    throw new TransactionVerificationError(`Transaction was not sent to the ${contract} contract`);
+  }
+  if (!sameAddress(transaction.from, sender)) {
+    throw new TransactionVerificationError('Transaction was not sent by the wallet in this request', 403);
+  }
+
+  const iface = CONTRACTS[contract].getInterface();
+  const onchainId = toOnchainBatchId(batchId);
+  const match = receipt.logs
+    .filter(log => sameAddress(log.address, contractAddress))
+    .map(log => {
+      try {
+        return iface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find(parsed => parsed && parsed.name === event &&
+      formatOnchainBatchId(parsed.args.batchId) === onchainId);
+
+  if (!match) {
+    throw new TransactionVerificationError(`Transaction did not emit ${event} for batch ${batchId}`);
+  }
+  // Escrow releases and refunds name the payee, so only the transaction sender is checked
+  if (SENDER_ARGS[event] && !sameAddress(match.args[SENDER_ARGS[event]], sender)) {
+    throw new TransactionVerificationError(`${event} was emitted for a different wallet`, 403);
+  }
+
+  for (const [arg, expected] of Object.entries(expect)) {
+    // String expectations are wallet addresses or hashes, which may differ in casing
+    const same = typeof expected === 'string'
+      ? sameAddress(match.args[arg], expected)
+      : match.args[arg] === expected;
+    if (!same) {
+      throw new TransactionVerificationError(`Transaction outcome does not match the request (${arg})`);
+    }
+  }
+
+  return { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, args: match.args };
+};
+
+module.exports = {
+  TransactionVerificationError,
+  isVerificationEnabled,
+  verifyBatchTransaction
+};
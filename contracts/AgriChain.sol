@@ -3,13 +3,26 @@ pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./BatchToken.sol";
+import "./CertifierRegistry.sol";
+import "./BatchRecalls.sol";
 
 contract AgriChain is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     BatchToken public batchToken;
     
-    enum BatchStatus { Created, Certified, Rejected, Purchased }
-    enum UserRole { Farmer, Certifier, Retailer, None }
+    // Only certifiers accredited here may certify or reject batches
+    CertifierRegistry public certifierRegistry;
+    
+    // Recalled and Expired are appended so stored statuses keep their values
+    enum BatchStatus { Created, Certified, Rejected, Purchased, Recalled, Expired }
+    // New roles are appended after None so existing role IDs keep their values
+    enum UserRole { Farmer, Certifier, Retailer, None, Aggregator, Processor, Distributor, Transporter }
+    enum EscrowState { None, Held, Disputed, Released, Refunded }
+    enum RecallReason { Contamination, Allergen, ForeignMatter, Mislabeling, Spoilage, Other }
     
     struct Batch {
         uint256 batchId;
@@ -28,6 +41,27 @@ contract AgriChain is Ownable, ReentrancyGuard {
         uint256 certifiedAt;
         uint256 purchasedAt;
         uint256 price;
+        address custodian;
+        uint256 quantity;
+        string unit;
+        address paymentToken; // ERC-20 the price is quoted in; address(0) for the native currency
+    }
+    
+    // Payment held between purchase and delivery
+    struct Escrow {
+        uint256 amount;
+        address retailer;
+        address payee;
+        uint256 releaseAfter;
+        EscrowState state;
+    }
+    
+    // Why and by whom a batch was pulled; sourceBatchId is the recalled batch it derives from
+    struct Recall {
+        RecallReason reason;
+        uint256 sourceBatchId;
+        address recalledBy;
+        uint256 recalledAt;
     }
     
     struct User {
@@ -51,6 +85,9 @@ contract AgriChain is Ownable, ReentrancyGuard {
     // Retailer address to batches they've purchased
     mapping(address => uint256[]) public retailerBatches;
     
+    // Intermediary address to batches that passed through their custody
+    mapping(address => uint256[]) public custodianBatches;
+    
     // Batch history records all transfers/status changes
     struct BatchHistory {
         address from;
@@ -62,6 +99,29 @@ contract AgriChain is Ownable, ReentrancyGuard {
     // Batch ID to its history
     mapping(uint256 => BatchHistory[]) public batchHistory;
     
+    // Lineage links created by splitBatch and mergeBatches
+    mapping(uint256 => uint256[]) public batchParents;
+    mapping(uint256 => uint256[]) public batchChildren;
+    
+    // Batch ID to the escrowed purchase payment
+    mapping(uint256 => Escrow) public escrows;
+    
+    // Batch ID to its recall, if any
+    mapping(uint256 => Recall) public recalls;
+    
+    // Standard each batch was certified against
+    mapping(uint256 => string) public certificationStandards;
+    
+    // ERC-20 tokens farmers may price batches in
+    mapping(address => bool) public paymentTokens;
+    address[] private paymentTokenList;
+    
+    // Decides disputed escrows; defaults to the deployer
+    address public arbiter;
+    
+    // Time a retailer has to confirm delivery or dispute before funds can be released
+    uint256 public escrowPeriod = 7 days;
+    
     uint256 public nextBatchId = 1;
     
     // Events
@@ -69,9 +129,21 @@ contract AgriChain is Ownable, ReentrancyGuard {
     event BatchCreated(uint256 indexed batchId, string batchIdString, address indexed farmer);
     event BatchCertified(uint256 indexed batchId, address indexed certifier, bool passed);
     event BatchPurchased(uint256 indexed batchId, address indexed retailer);
+    event CustodyTransferred(uint256 indexed batchId, address indexed from, address indexed to);
+    event BatchSplit(uint256 indexed batchId, uint256 indexed childId, address indexed holder, uint256 quantity);
+    event BatchMerged(uint256 indexed batchId, address indexed holder, uint256[] parentIds);
+    event EscrowFunded(uint256 indexed batchId, address indexed retailer, uint256 amount, uint256 releaseAfter);
+    event EscrowDisputed(uint256 indexed batchId, address indexed retailer);
+    event EscrowReleased(uint256 indexed batchId, address indexed payee, uint256 amount);
+    event EscrowRefunded(uint256 indexed batchId, address indexed retailer, uint256 amount);
+    event BatchRecalled(uint256 indexed batchId, uint256 indexed sourceBatchId, address indexed recalledBy, RecallReason reason);
+    event BatchExpired(uint256 indexed batchId, uint256 expiry);
+    event ArbiterUpdated(address indexed arbiter);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
     
     constructor(address _batchTokenAddress) {
         batchToken = BatchToken(_batchTokenAddress);
+        arbiter = msg.sender;
     }
     
     modifier onlyRole(UserRole _role) {
@@ -99,13 +171,18 @@ contract AgriChain is Ownable, ReentrancyGuard {
         string memory _cropVariety,
         string memory _location,
         uint256 _harvestDate,
-        uint256 _price
+        uint256 _price,
+        uint256 _quantity,
+        string memory _unit,
+        address _paymentToken
     ) external onlyRole(UserRole.Farmer) {
         // Convert string batchId to uint256 for storage
         uint256 batchId = uint256(keccak256(abi.encodePacked(_batchId)));
         
         // Ensure batch ID is unique
         require(batches[batchId].farmer == address(0), "Batch ID already exists");
+        require(_quantity > 0, "Quantity must be positive");
+        require(_paymentToken == address(0) || paymentTokens[_paymentToken], "Payment token not allowed");
         
         Batch memory newBatch = Batch({
             batchId: batchId,
@@ -123,7 +200,11 @@ contract AgriChain is Ownable, ReentrancyGuard {
             createdAt: block.timestamp,
             certifiedAt: 0,
             purchasedAt: 0,
-            price: _price
+            price: _price,
+            custodian: msg.sender,
+            quantity: _quantity,
+            unit: _unit,
+            paymentToken: _paymentToken
         });
         
         batches[batchId] = newBatch;
@@ -147,12 +228,22 @@ contract AgriChain is Ownable, ReentrancyGuard {
         uint256 _batchId,
         bool _passed,
         string memory _cropHealth,
-        uint256 _expiry
+        uint256 _expiry,
+        string memory _standard
     ) external onlyRole(UserRole.Certifier) {
         Batch storage batch = batches[_batchId];
         
         require(batch.batchId != 0, "Batch does not exist");
         require(batch.status == BatchStatus.Created, "Batch not in correct state");
+        require(batch.quantity > 0, "Batch already consumed");
+        require(!_passed || _expiry > block.timestamp, "Expiry must be in the future");
+        require(
+            address(certifierRegistry) != address(0) &&
+                certifierRegistry.isAccreditedFor(msg.sender, batch.cropName, batch.location, _standard),
+            "Certifier not accredited for this batch"
+        );
+        
+        certificationStandards[_batchId] = _standard;
         
         batch.certifier = msg.sender;
         batch.cropHealth = _cropHealth;
@@ -184,34 +275,334 @@ contract AgriChain is Ownable, ReentrancyGuard {
         
         require(batch.batchId != 0, "Batch does not exist");
         require(batch.status == BatchStatus.Certified, "Batch not certified");
-        require(msg.value >= batch.price, "Insufficient payment");
+        require(block.timestamp < batch.expiry, "Batch expired");
+        require(batch.quantity > 0, "Batch already consumed");
+        if (batch.paymentToken == address(0)) {
+            require(msg.value >= batch.price, "Insufficient payment");
+        } else {
+            // Token purchases are pulled with transferFrom after the retailer's approve
+            require(msg.value == 0, "Batch is priced in tokens");
+            IERC20(batch.paymentToken).safeTransferFrom(msg.sender, address(this), batch.price);
+        }
         
-        // Transfer the ownership of batch token
+        // Buy from whoever currently holds the batch (the farmer or the last intermediary)
         address currentOwner = batchToken.ownerOf(_batchId);
-        require(currentOwner == batch.farmer, "Token not owned by farmer");
+        require(currentOwner == batch.custodian, "Token not held by custodian");
         
         // Transfer batch token
         batchToken.transferFrom(currentOwner, msg.sender, _batchId);
         
         // Update batch info
         batch.retailer = msg.sender;
+        batch.custodian = msg.sender;
         batch.status = BatchStatus.Purchased;
         batch.purchasedAt = block.timestamp;
         
         retailerBatches[msg.sender].push(_batchId);
         
-        // Transfer payment to farmer
-        payable(batch.farmer).transfer(msg.value);
+        // Hold the price until delivery is confirmed and refund any overpayment
+        uint256 releaseAfter = block.timestamp + escrowPeriod;
+        escrows[_batchId] = Escrow({
+            amount: batch.price,
+            retailer: msg.sender,
+            payee: batch.farmer,
+            releaseAfter: releaseAfter,
+            state: EscrowState.Held
+        });
+        if (msg.value > batch.price) {
+            _pay(address(0), msg.sender, msg.value - batch.price);
+        }
         
         // Record in history
         batchHistory[_batchId].push(BatchHistory({
-            from: batch.farmer,
+            from: currentOwner,
             to: msg.sender,
             timestamp: block.timestamp,
             action: "PURCHASED"
         }));
         
         emit BatchPurchased(_batchId, msg.sender);
+        emit EscrowFunded(_batchId, msg.sender, batch.price, releaseAfter);
+    }
+    
+    function confirmDelivery(uint256 _batchId) external nonReentrant {
+        Escrow storage escrow = escrows[_batchId];
+        
+        require(escrow.state == EscrowState.Held, "Escrow not held");
+        require(escrow.retailer == msg.sender, "Caller is not the buyer");
+        
+        _releaseEscrow(_batchId, escrow);
+    }
+    
+    // Anyone may release an undisputed escrow once the retailer's window has passed
+    function releaseEscrow(uint256 _batchId) external nonReentrant {
+        Escrow storage escrow = escrows[_batchId];
+        
+        require(batches[_batchId].status != BatchStatus.Recalled, "Batch recalled");
+        require(escrow.state == EscrowState.Held, "Escrow not held");
+        require(block.timestamp >= escrow.releaseAfter, "Escrow period not over");
+        
+        _releaseEscrow(_batchId, escrow);
+    }
+    
+    function openDispute(uint256 _batchId) external {
+        Escrow storage escrow = escrows[_batchId];
+        
+        require(escrow.state == EscrowState.Held, "Escrow not held");
+        require(escrow.retailer == msg.sender, "Caller is not the buyer");
+        require(block.timestamp < escrow.releaseAfter, "Escrow period over");
+        
+        escrow.state = EscrowState.Disputed;
+        
+        emit EscrowDisputed(_batchId, msg.sender);
+    }
+    
+    function resolveDispute(uint256 _batchId, bool _refund) external nonReentrant {
+        Escrow storage escrow = escrows[_batchId];
+        
+        require(msg.sender == arbiter, "Caller is not the arbiter");
+        require(escrow.state == EscrowState.Disputed, "Escrow not disputed");
+        
+        if (_refund) {
+            escrow.state = EscrowState.Refunded;
+            _pay(batches[_batchId].paymentToken, escrow.retailer, escrow.amount);
+            emit EscrowRefunded(_batchId, escrow.retailer, escrow.amount);
+        } else {
+            _releaseEscrow(_batchId, escrow);
+        }
+    }
+    
+    function setArbiter(address _arbiter) external onlyOwner {
+        require(_arbiter != address(0), "Invalid arbiter");
+        arbiter = _arbiter;
+        emit ArbiterUpdated(_arbiter);
+    }
+    
+    function setCertifierRegistry(address _registry) external onlyOwner {
+        certifierRegistry = CertifierRegistry(_registry);
+    }
+    
+    function setEscrowPeriod(uint256 _period) external onlyOwner {
+        escrowPeriod = _period;
+    }
+    
+    function setPaymentToken(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "Invalid token");
+        if (!_isListed(_token)) {
+            paymentTokenList.push(_token);
+        }
+        paymentTokens[_token] = _allowed;
+        emit PaymentTokenUpdated(_token, _allowed);
+    }
+    
+    // Currently allowed payment tokens
+    function getPaymentTokens() external view returns (address[] memory allowed) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < paymentTokenList.length; i++) {
+            if (paymentTokens[paymentTokenList[i]]) count++;
+        }
+        allowed = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < paymentTokenList.length; i++) {
+            if (paymentTokens[paymentTokenList[i]]) allowed[count++] = paymentTokenList[i];
+        }
+    }
+    
+    function _isListed(address _token) private view returns (bool) {
+        for (uint256 i = 0; i < paymentTokenList.length; i++) {
+            if (paymentTokenList[i] == _token) return true;
+        }
+        return false;
+    }
+    
+    function _releaseEscrow(uint256 _batchId, Escrow storage _escrow) private {
+        _escrow.state = EscrowState.Released;
+        _pay(batches[_batchId].paymentToken, _escrow.payee, _escrow.amount);
+        emit EscrowReleased(_batchId, _escrow.payee, _escrow.amount);
+    }
+    
+    function _pay(address _token, address _to, uint256 _amount) private {
+        if (_token != address(0)) {
+            IERC20(_token).safeTransfer(_to, _amount);
+            return;
+        }
+        (bool sent, ) = payable(_to).call{value: _amount}("");
+        require(sent, "Payment failed");
+    }
+    
+    function transferCustody(uint256 _batchId, address _to) external {
+        Batch storage batch = batches[_batchId];
+        
+        require(batch.batchId != 0, "Batch does not exist");
+        require(
+            batch.status == BatchStatus.Created || batch.status == BatchStatus.Certified,
+            "Batch not in correct state"
+        );
+        require(batch.quantity > 0, "Batch already consumed");
+        require(batchToken.ownerOf(_batchId) == msg.sender, "Caller is not the custodian");
+        require(_to != msg.sender, "Already the custodian");
+        require(users[_to].isRegistered && isIntermediary(users[_to].role), "Recipient cannot take custody");
+        
+        // Move the batch token to the next handler
+        batchToken.transferFrom(msg.sender, _to, _batchId);
+        batch.custodian = _to;
+        custodianBatches[_to].push(_batchId);
+        
+        // Record in history
+        batchHistory[_batchId].push(BatchHistory({
+            from: msg.sender,
+            to: _to,
+            timestamp: block.timestamp,
+            action: "TRANSFERRED"
+        }));
+        
+        emit CustodyTransferred(_batchId, msg.sender, _to);
+    }
+    
+    function splitBatch(
+        uint256 _batchId,
+        string[] memory _childIds,
+        uint256[] memory _quantities
+    ) external {
+        Batch storage parent = batches[_batchId];
+        
+        require(parent.batchId != 0, "Batch does not exist");
+        require(
+            parent.status == BatchStatus.Created || parent.status == BatchStatus.Certified,
+            "Batch not in correct state"
+        );
+        require(batchToken.ownerOf(_batchId) == msg.sender, "Caller is not the custodian");
+        require(_childIds.length > 0 && _childIds.length == _quantities.length, "Invalid split");
+        
+        for (uint256 i = 0; i < _childIds.length; i++) {
+            require(_quantities[i] > 0 && _quantities[i] <= parent.quantity, "Invalid quantity");
+            
+            uint256 childId = uint256(keccak256(abi.encodePacked(_childIds[i])));
+            require(batches[childId].farmer == address(0), "Batch ID already exists");
+            
+            // Children keep the parent's crop details, certification and price per unit
+            Batch memory child = parent;
+            child.batchId = childId;
+            child.quantity = _quantities[i];
+            child.price = parent.price * _quantities[i] / parent.quantity;
+            child.createdAt = block.timestamp;
+            child.custodian = msg.sender;
+            batches[childId] = child;
+            
+            // Whatever is left stays in the parent; a parent at zero is fully consumed
+            parent.price -= child.price;
+            parent.quantity -= _quantities[i];
+            
+            batchParents[childId].push(_batchId);
+            batchChildren[_batchId].push(childId);
+            _mintChild(childId, _childIds[i], child.farmer);
+            
+            emit BatchSplit(_batchId, childId, msg.sender, _quantities[i]);
+        }
+        
+        _addHistory(_batchId, msg.sender, msg.sender, "SPLIT");
+    }
+    
+    function mergeBatches(
+        uint256[] memory _parentIds,
+        string memory _childId,
+        uint256 _price
+    ) external {
+        require(_parentIds.length > 1, "Need at least two batches");
+        
+        uint256 childId = uint256(keccak256(abi.encodePacked(_childId)));
+        require(batches[childId].farmer == address(0), "Batch ID already exists");
+        
+        // Every parent must exist before the first one is copied as the template for the merged lot
+        for (uint256 i = 0; i < _parentIds.length; i++) {
+            require(batches[_parentIds[i]].batchId != 0, "Batch does not exist");
+        }
+        
+        // The merged lot is a new product from the caller and needs its own certification
+        Batch memory child = batches[_parentIds[0]];
+        child.batchId = childId;
+        child.farmer = msg.sender;
+        child.certifier = address(0);
+        child.retailer = address(0);
+        child.status = BatchStatus.Created;
+        child.cropHealth = "";
+        child.expiry = 0;
+        child.labResults = false;
+        child.createdAt = block.timestamp;
+        child.certifiedAt = 0;
+        child.purchasedAt = 0;
+        child.price = _price;
+        child.custodian = msg.sender;
+        child.quantity = 0;
+        
+        for (uint256 i = 0; i < _parentIds.length; i++) {
+            Batch storage parent = batches[_parentIds[i]];
+            
+            require(
+                parent.status == BatchStatus.Created || parent.status == BatchStatus.Certified,
+                "Batch not in correct state"
+            );
+            require(parent.quantity > 0, "Batch already consumed");
+            require(batchToken.ownerOf(_parentIds[i]) == msg.sender, "Caller is not the custodian");
+            require(keccak256(bytes(parent.unit)) == keccak256(bytes(child.unit)), "Units do not match");
+            require(parent.paymentToken == child.paymentToken, "Payment tokens do not match");
+            
+            // Use the oldest harvest so freshness is never overstated
+            if (parent.harvestDate < child.harvestDate) {
+                child.harvestDate = parent.harvestDate;
+            }
+            child.quantity += parent.quantity;
+            parent.quantity = 0;
+            
+            batchParents[childId].push(_parentIds[i]);
+            batchChildren[_parentIds[i]].push(childId);
+            _addHistory(_parentIds[i], msg.sender, msg.sender, "MERGED");
+        }
+        
+        batches[childId] = child;
+        _mintChild(childId, _childId, msg.sender);
+        
+        emit BatchMerged(childId, msg.sender, _parentIds);
+    }
+    
+    // Certifiers and the contract owner can pull a batch, e.g. when contamination is found after sale
+    function recallBatch(uint256 _batchId, RecallReason _reason) external {
+        require(
+            msg.sender == owner() ||
+                (users[msg.sender].isRegistered && users[msg.sender].role == UserRole.Certifier),
+            "Not authorized to recall"
+        );
+        
+        BatchRecalls.recallBatch(batches, recalls, escrows, batchChildren, batchHistory, _batchId, _reason);
+    }
+    
+    // Anyone can take an unsold batch off sale once its certified shelf life is over
+    function expireBatch(uint256 _batchId) external {
+        BatchRecalls.expireBatch(batches, batchHistory, _batchId);
+    }
+    
+    // Split and merged lots are listed under their farmer like the batches they came from
+    function _mintChild(uint256 _childId, string memory _childIdString, address _farmer) private {
+        batchToken.mint(msg.sender, _childId);
+        farmerBatches[_farmer].push(_childId);
+        _addHistory(_childId, address(0), msg.sender, "CREATED");
+        emit BatchCreated(_childId, _childIdString, _farmer);
+    }
+    
+    function _addHistory(uint256 _batchId, address _from, address _to, string memory _action) private {
+        batchHistory[_batchId].push(BatchHistory({
+            from: _from,
+            to: _to,
+            timestamp: block.timestamp,
+            action: _action
+        }));
+    }
+    
+    function isIntermediary(UserRole _role) public pure returns (bool) {
+        return _role == UserRole.Aggregator ||
+            _role == UserRole.Processor ||
+            _role == UserRole.Distributor ||
+            _role == UserRole.Transporter;
     }
     
     function getBatchDetails(uint256 _batchId) external view returns (Batch memory) {
@@ -224,6 +615,14 @@ contract AgriChain is Ownable, ReentrancyGuard {
         return batchHistory[_batchId];
     }
     
+    function getBatchParents(uint256 _batchId) external view returns (uint256[] memory) {
+        return batchParents[_batchId];
+    }
+    
+    function getBatchChildren(uint256 _batchId) external view returns (uint256[] memory) {
+        return batchChildren[_batchId];
+    }
+    
     function getFarmerBatches(address _farmer) external view returns (uint256[] memory) {
         return farmerBatches[_farmer];
     }
@@ -236,6 +635,10 @@ contract AgriChain is Ownable, ReentrancyGuard {
         return retailerBatches[_retailer];
     }
     
+    function getCustodianBatches(address _custodian) external view returns (uint256[] memory) {
+        return custodianBatches[_custodian];
+    }
+    
     function estimateGasForBatchCreation() external pure returns (uint256) {
         // More accurate gas estimate for batch creation
         return 300000;
@@ -243,7 +646,7 @@ contract AgriChain is Ownable, ReentrancyGuard {
     
     function estimateGasForCertification() external pure returns (uint256) {
         // Rough gas estimate for certification
-        return 120000;
+        return 400000;
     }
     
     function estimateGasForPurchase() external pure returns (uint256) {
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./AgriChain.sol";
+
+// Recall and expiry of AgriChain batches. Deployed once as a linked library and run in
+// AgriChain's storage through delegatecall, so msg.sender and the emitted events are
+// AgriChain's; keeping this code out of AgriChain keeps it under the EIP-170 size limit
+library BatchRecalls {
+    // Same signatures as AgriChain's events, so the logs decode with AgriChain's ABI
+    event BatchRecalled(uint256 indexed batchId, uint256 indexed sourceBatchId, address indexed recalledBy, AgriChain.RecallReason reason);
+    event BatchExpired(uint256 indexed batchId, uint256 expiry);
+    event EscrowDisputed(uint256 indexed batchId, address indexed retailer);
+    
+    function recallBatch(
+        mapping(uint256 => AgriChain.Batch) storage batches,
+        mapping(uint256 => AgriChain.Recall) storage recalls,
+        mapping(uint256 => AgriChain.Escrow) storage escrows,
+        mapping(uint256 => uint256[]) storage batchChildren,
+        mapping(uint256 => AgriChain.BatchHistory[]) storage batchHistory,
+        uint256 _batchId,
+        AgriChain.RecallReason _reason
+    ) external {
+        AgriChain.Batch storage batch = batches[_batchId];
+        
+        require(batch.batchId != 0, "Batch does not exist");
+        require(
+            batch.status == AgriChain.BatchStatus.Created ||
+                batch.status == AgriChain.BatchStatus.Certified ||
+                batch.status == AgriChain.BatchStatus.Purchased ||
+                batch.status == AgriChain.BatchStatus.Expired,
+            "Batch cannot be recalled"
+        );
+        
+        _recall(batches, recalls, escrows, batchChildren, batchHistory, _batchId, _batchId, _reason);
+    }
+    
+    function expireBatch(
+        mapping(uint256 => AgriChain.Batch) storage batches,
+        mapping(uint256 => AgriChain.BatchHistory[]) storage batchHistory,
+        uint256 _batchId
+    ) external {
+        AgriChain.Batch storage batch = batches[_batchId];
+        
+        require(batch.batchId != 0, "Batch does not exist");
+        require(batch.status == AgriChain.BatchStatus.Certified, "Batch not certified");
+        require(block.timestamp >= batch.expiry, "Batch not expired yet");
+        
+        batch.status = AgriChain.BatchStatus.Expired;
+        _addHistory(batchHistory, _batchId, batch.custodian, "EXPIRED");
+        
+        emit BatchExpired(_batchId, batch.expiry);
+    }
+    
+    // Recall a batch and every lot split or merged from it; lots reached twice are only recalled once
+    function _recall(
+        mapping(uint256 => AgriChain.Batch) storage batches,
+        mapping(uint256 => AgriChain.Recall) storage recalls,
+        mapping(uint256 => AgriChain.Escrow) storage escrows,
+        mapping(uint256 => uint256[]) storage batchChildren,
+        mapping(uint256 => AgriChain.BatchHistory[]) storage batchHistory,
+        uint256 _batchId,
+        uint256 _sourceId,
+        AgriChain.RecallReason _reason
+    ) private {
+        AgriChain.Batch storage batch = batches[_batchId];
+        if (batch.status != AgriChain.BatchStatus.Recalled) {
+            batch.status = AgriChain.BatchStatus.Recalled;
+            recalls[_batchId] = AgriChain.Recall({
+                reason: _reason,
+                sourceBatchId: _sourceId,
+                recalledBy: msg.sender,
+                recalledAt: block.timestamp
+            });
+            _addHistory(batchHistory, _batchId, batch.custodian, "RECALLED");
+            
+            emit BatchRecalled(_batchId, _sourceId, msg.sender, _reason);
+            
+            // A payment still held for the batch is left to the arbiter instead of paying out after the window
+            AgriChain.Escrow storage escrow = escrows[_batchId];
+            if (escrow.state == AgriChain.EscrowState.Held) {
+                escrow.state = AgriChain.EscrowState.Disputed;
+                emit EscrowDisputed(_batchId, escrow.retailer);
+            }
+            
+            uint256[] storage children = batchChildren[_batchId];
+            for (uint256 i = 0; i < children.length; i++) {
+                _recall(batches, recalls, escrows, batchChildren, batchHistory, children[i], _sourceId, _reason);
+            }
+        }
+    }
+    
+    function _addHistory(
+        mapping(uint256 => AgriChain.BatchHistory[]) storage batchHistory,
+        uint256 _batchId,
+        address _to,
+        string memory _action
+    ) private {
+        batchHistory[_batchId].push(AgriChain.BatchHistory({
+            from: msg.sender,
+            to: _to,
+            timestamp: block.timestamp,
+            action: _action
+        }));
+    }
+}
@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+// Accredited certifiers and what they may certify; the owner can be a multisig or governor
+contract CertifierRegistry is Ownable {
+    struct Accreditation {
+        string[] cropTypes;  // Crop names the certifier may assess; empty means any crop
+        string[] regions;    // Batch locations the certifier may assess; empty means any region
+        string[] standards;  // Standards the certifier may certify against, e.g. "organic", "GAP"
+        uint256 validUntil;
+        uint256 accreditedAt;
+        bool active;
+    }
+
+    mapping(address => Accreditation) private accreditations;
+    address[] private certifierList;
+
+    event CertifierAccredited(address indexed certifier, uint256 validUntil);
+    event AccreditationRevoked(address indexed certifier);
+
+    function accredit(
+        address _certifier,
+        string[] memory _cropTypes,
+        string[] memory _regions,
+        string[] memory _standards,
+        uint256 _validUntil
+    ) external onlyOwner {
+        require(_certifier != address(0), "Invalid certifier");
+        require(_standards.length > 0, "At least one standard required");
+        require(_validUntil > block.timestamp, "Expiry must be in the future");
+
+        if (accreditations[_certifier].accreditedAt == 0) {
+            certifierList.push(_certifier);
+        }
+
+        accreditations[_certifier] = Accreditation({
+            cropTypes: _cropTypes,
+            regions: _regions,
+            standards: _standards,
+            validUntil: _validUntil,
+            accreditedAt: block.timestamp,
+            active: true
+        });
+
+        emit CertifierAccredited(_certifier, _validUntil);
+    }
+
+    function revoke(address _certifier) external onlyOwner {
+        require(accreditations[_certifier].active, "Certifier not accredited");
+        accreditations[_certifier].active = false;
+        emit AccreditationRevoked(_certifier);
+    }
+
+    function getAccreditation(address _certifier) external view returns (Accreditation memory) {
+        return accreditations[_certifier];
+    }
+
+    // Every certifier ever accredited, including revoked and expired ones
+    function getCertifiers() external view returns (address[] memory) {
+        return certifierList;
+    }
+
+    function isAccredited(address _certifier) public view returns (bool) {
+        Accreditation storage accreditation = accreditations[_certifier];
+        return accreditation.active && accreditation.validUntil > block.timestamp;
+    }
+
+    function isAccreditedFor(
+        address _certifier,
+        string memory _cropType,
+        string memory _region,
+        string memory _standard
+    ) external view returns (bool) {
+        Accreditation storage accreditation = accreditations[_certifier];
+
+        return isAccredited(_certifier) &&
+            _inScope(accreditation.cropTypes, _cropType, true) &&
+            _inScope(accreditation.regions, _region, true) &&
+            _inScope(accreditation.standards, _standard, false);
+    }
+
+    function _inScope(
+        string[] storage _scope,
+        string memory _value,
+        bool _emptyMeansAny
+    ) private view returns (bool) {
+        if (_scope.length == 0) {
+            return _emptyMeansAny;
+        }
+
+        bytes32 valueHash = keccak256(bytes(_value));
+        for (uint256 i = 0; i < _scope.length; i++) {
+            if (keccak256(bytes(_scope[i])) == valueHash) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
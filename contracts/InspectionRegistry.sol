@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./AgriChain.sol";
+import "./CertifierRegistry.sol";
+
+// Quality inspections of AgriChain batches; the measurements and lab reports
+// stay off-chain and only their hashes are anchored here
+contract InspectionRegistry {
+    struct Inspection {
+        address inspector;
+        bytes32 dataHash;        // keccak256 of the canonical inspection record kept by the backend
+        bytes32[] reportHashes;  // SHA-256 of each lab report file
+        bool passed;
+        uint256 recordedAt;
+    }
+
+    uint256 public constant MAX_REPORTS = 20;
+
+    AgriChain public immutable agriChain;
+
+    mapping(uint256 => Inspection[]) private inspections;
+
+    // Batch ID to lab report hash to whether an inspection of that batch anchored it
+    mapping(uint256 => mapping(bytes32 => bool)) public reportAnchored;
+
+    event InspectionRecorded(
+        uint256 indexed batchId,
+        uint256 index,
+        address indexed inspector,
+        bytes32 dataHash,
+        bool passed
+    );
+    event LabReportAnchored(uint256 indexed batchId, uint256 index, bytes32 reportHash);
+
+    constructor(address _agriChain) {
+        require(_agriChain != address(0), "Invalid AgriChain address");
+        agriChain = AgriChain(_agriChain);
+    }
+
+    function recordInspection(
+        uint256 _batchId,
+        bytes32 _dataHash,
+        bytes32[] calldata _reportHashes,
+        bool _passed
+    ) external returns (uint256) {
+        (, AgriChain.UserRole role, bool isRegistered) = agriChain.users(msg.sender);
+        require(isRegistered && role == AgriChain.UserRole.Certifier, "Only certifiers can record inspections");
+
+        CertifierRegistry registry = agriChain.certifierRegistry();
+        require(
+            address(registry) != address(0) && registry.isAccredited(msg.sender),
+            "Certifier not accredited"
+        );
+
+        // Reverts for unknown batches
+        agriChain.getBatchDetails(_batchId);
+
+        require(_dataHash != bytes32(0), "Inspection data hash required");
+        require(_reportHashes.length <= MAX_REPORTS, "Too many lab reports");
+
+        uint256 index = inspections[_batchId].length;
+        inspections[_batchId].push(Inspection({
+            inspector: msg.sender,
+            dataHash: _dataHash,
+            reportHashes: _reportHashes,
+            passed: _passed,
+            recordedAt: block.timestamp
+        }));
+
+        for (uint256 i = 0; i < _reportHashes.length; i++) {
+            require(_reportHashes[i] != bytes32(0), "Invalid lab report hash");
+            reportAnchored[_batchId][_reportHashes[i]] = true;
+            emit LabReportAnchored(_batchId, index, _reportHashes[i]);
+        }
+
+        emit InspectionRecorded(_batchId, index, msg.sender, _dataHash, _passed);
+        return index;
+    }
+
+    function getInspectionCount(uint256 _batchId) external view returns (uint256) {
+        return inspections[_batchId].length;
+    }
+
+    function getInspection(uint256 _batchId, uint256 _index) external view returns (Inspection memory) {
+        require(_index < inspections[_batchId].length, "Inspection does not exist");
+        return inspections[_batchId][_index];
+    }
+
+    function getInspections(uint256 _batchId) external view returns (Inspection[] memory) {
+        return inspections[_batchId];
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Test-only dollar stablecoin for local networks; anyone can mint
+contract MockStablecoin is ERC20 {
+    constructor() ERC20("Mock USD", "mUSD") {}
+    
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+    
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Copy the contract ABIs and batchLifecycle.json from shared/contracts into src/contracts.
+ * The backend reads them from shared/contracts too; Create React App only bundles files
+ * under src, so the frontend gets a copy before it starts, builds or runs its tests.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', '..', 'shared', 'contracts');
+const TARGET_DIR = path.join(__dirname, '..', 'src', 'contracts');
+
+fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+fs.mkdirSync(TARGET_DIR, { recursive: true });
+for (const file of fs.readdirSync(SOURCE_DIR).filter(name => name.endsWith('.json'))) {
+  fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(TARGET_DIR, file));
+}
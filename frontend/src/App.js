@@ -4,6 +4,7 @@ import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { Web3Provider } from './contexts/Web3Context';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 
 // Components
 import Navbar from './components/common/Navbar';
@@ -14,16 +15,27 @@ import ConnectWallet from './components/auth/ConnectWallet';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import FarmerDashboard from './pages/farmer/FarmerDashboard';
 import CreateBatch from './pages/farmer/CreateBatch';
 import CertifierDashboard from './pages/certifier/CertifierDashboard';
 import CertifyBatch from './pages/certifier/CertifyBatch';
 import RetailerDashboard from './pages/retailer/RetailerDashboard';
+import AggregatorDashboard from './pages/aggregator/AggregatorDashboard';
+import ProcessorDashboard from './pages/processor/ProcessorDashboard';
+import DistributorDashboard from './pages/distributor/DistributorDashboard';
+import TransporterDashboard from './pages/transporter/TransporterDashboard';
 import BatchDetail from './pages/BatchDetail';
 import BatchSearch from './pages/BatchSearch';
+import TraceBatch from './pages/TraceBatch';
+import VerifyCertificate from './pages/VerifyCertificate';
 import Profile from './pages/Profile';
+import Notifications from './pages/Notifications';
 import ContractDebug from './pages/ContractDebug';
+import AdminConsole from './pages/admin/AdminConsole';
 
 // Protected route component
 const ProtectedRoute = ({ children, allowedRoles }) => {
@@ -72,59 +84,101 @@ function App() {
       <CssBaseline />
       <Web3Provider>
         <AuthProvider>
-          <Router>
-            <div className="app">
-              <Navbar darkMode={darkMode} toggleDarkMode={toggleDarkMode} />
-              <div className="content">
-                <Routes>
-                  <Route path="/" element={<Home />} />
-                  <Route path="/login" element={<Login />} />
-                  <Route path="/register" element={<Register />} />
-                  <Route path="/connect-wallet" element={<ConnectWallet />} />
-                  <Route path="/dashboard" element={
-                    <ProtectedRoute>
-                      <Dashboard />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/farmer/dashboard" element={
-                    <ProtectedRoute allowedRoles={['farmer']}>
-                      <FarmerDashboard />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/farmer/create-batch" element={
-                    <ProtectedRoute allowedRoles={['farmer']}>
-                      <CreateBatch />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/certifier/dashboard" element={
-                    <ProtectedRoute allowedRoles={['certifier']}>
-                      <CertifierDashboard />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/certifier/certify/:batchId" element={
-                    <ProtectedRoute allowedRoles={['certifier']}>
-                      <CertifyBatch />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/retailer/dashboard" element={
-                    <ProtectedRoute allowedRoles={['retailer']}>
-                      <RetailerDashboard />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/batch/:batchId" element={<BatchDetail />} />
-                   {/* Public search and QR scan access */}
-                   <Route path="/search" element={<BatchSearch />} />
-                  <Route path="/profile" element={
-                    <ProtectedRoute>
-                      <Profile />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="/debug" element={<ContractDebug />} />
-                </Routes>
+          <NotificationProvider>
+            <Router>
+              <div className="app">
+                <Navbar darkMode={darkMode} toggleDarkMode={toggleDarkMode} />
+                <div className="content">
+                  <Routes>
+                    <Route path="/" element={<Home />} />
+                    <Route path="/login" element={<Login />} />
+                    <Route path="/register" element={<Register />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    <Route path="/connect-wallet" element={<ConnectWallet />} />
+                    <Route path="/dashboard" element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/farmer/dashboard" element={
+                      <ProtectedRoute allowedRoles={['farmer']}>
+                        <FarmerDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/farmer/create-batch" element={
+                      <ProtectedRoute allowedRoles={['farmer']}>
+                        <CreateBatch />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/certifier/dashboard" element={
+                      <ProtectedRoute allowedRoles={['certifier']}>
+                        <CertifierDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/certifier/certify/:batchId" element={
+                      <ProtectedRoute allowedRoles={['certifier']}>
+                        <CertifyBatch />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/retailer/dashboard" element={
+                      <ProtectedRoute allowedRoles={['retailer']}>
+                        <RetailerDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/aggregator/dashboard" element={
+                      <ProtectedRoute allowedRoles={['aggregator']}>
+                        <AggregatorDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/processor/dashboard" element={
+                      <ProtectedRoute allowedRoles={['processor']}>
+                        <ProcessorDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/distributor/dashboard" element={
+                      <ProtectedRoute allowedRoles={['distributor']}>
+                        <DistributorDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/transporter/dashboard" element={
+                      <ProtectedRoute allowedRoles={['transporter']}>
+                        <TransporterDashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/batch/:batchId" element={<BatchDetail />} />
+                     {/* Public search and QR scan access */}
+                     <Route path="/search" element={<BatchSearch />} />
+                    {/* Public provenance page encoded in batch QR codes */}
+                    <Route path="/trace/:batchId" element={<TraceBatch />} />
+                    <Route path="/verify" element={<VerifyCertificate />} />
+                    <Route path="/profile" element={
+                      <ProtectedRoute>
+                        <Profile />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/notifications" element={
+                      <ProtectedRoute>
+                        <Notifications />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/admin" element={
+                      <ProtectedRoute allowedRoles={['admin']}>
+                        <AdminConsole />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/debug" element={
+                      <ProtectedRoute allowedRoles={['admin']}>
+                        <ContractDebug />
+                      </ProtectedRoute>
+                    } />
+                  </Routes>
+                </div>
+                <Footer />
               </div>
-              <Footer />
-            </div>
-          </Router>
+            </Router>
+          </NotificationProvider>
         </AuthProvider>
       </Web3Provider>
     </ThemeProvider>
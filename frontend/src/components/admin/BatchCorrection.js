@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  Typography,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+} from '@mui/material';
+import { Search, Save, Sync } from '@mui/icons-material';
+
+import { adminAPI, batchAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+import { STATUSES } from '../../utils/batchLifecycle';
+
+// Must match CORRECTABLE_FIELDS in backend/services/batchCorrection.js
+const FIELDS = [
+  { name: 'status', label: 'Status', options: STATUSES },
+  { name: 'cropName', label: 'Crop name' },
+  { name: 'cropVariety', label: 'Crop variety' },
+  { name: 'location', label: 'Location' },
+  { name: 'cropHealth', label: 'Crop health' },
+  { name: 'certificationStandard', label: 'Certification standard' },
+  { name: 'quantity', label: 'Quantity', type: 'number' },
+  { name: 'unit', label: 'Unit' },
+  { name: 'price', label: 'Price (whole tokens)', type: 'number' },
+  { name: 'farmer', label: 'Farmer' },
+  { name: 'certifier', label: 'Certifier' },
+  { name: 'retailer', label: 'Retailer' },
+  { name: 'custodian', label: 'Custodian' },
+  { name: 'harvestDate', label: 'Harvest date', type: 'date' },
+  { name: 'expiry', label: 'Expiry', type: 'date' },
+  { name: 'certifiedAt', label: 'Certified at', type: 'date' },
+  { name: 'purchasedAt', label: 'Purchased at', type: 'date' },
+];
+
+const toFormValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'date') return new Date(value).toISOString().slice(0, 10);
+  return String(value);
+};
+
+const toFormValues = (batch) =>
+  Object.fromEntries(FIELDS.map(field => [field.name, toFormValue(field, batch[field.name])]));
+
+// Force-correct a batch record in MongoDB or rebuild it from the chain
+const BatchCorrection = () => {
+  const [batchId, setBatchId] = useState('');
+  const [batch, setBatch] = useState(null);
+  const [values, setValues] = useState({});
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const loadBatch = async () => {
+    try {
+      setBusy('load');
+      setResult(null);
+      const response = await batchAPI.getBatchById(batchId.trim());
+      setBatch(response.data);
+      setValues(toFormValues(response.data));
+    } catch (err) {
+      setBatch(null);
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Batch not found' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const original = batch ? toFormValues(batch) : {};
+  const changed = FIELDS.filter(field => values[field.name] !== original[field.name]);
+
+  const handleCorrect = async () => {
+    try {
+      setBusy('correct');
+      setResult(null);
+      const updates = Object.fromEntries(changed.map(field => [field.name, values[field.name]]));
+      const response = await adminAPI.correctBatch(batch.batchId, updates, reason);
+      setBatch(response.data.batch);
+      setValues(toFormValues(response.data.batch));
+      setReason('');
+      setResult({ severity: 'success', message: response.data.message });
+    } catch (err) {
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to correct batch' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleResync = async () => {
+    try {
+      setBusy('resync');
+      setResult(null);
+      const response = await adminAPI.resyncBatch(batch.batchId);
+      const { changed: synced, batch: updated } = response.data;
+      setResult({
+        severity: 'success',
+        message: synced.length ? `Synced from chain: ${synced.join(', ')}` : 'Already in sync with the chain',
+      });
+      if (updated) {
+        setBatch(updated);
+        setValues(toFormValues(updated));
+      } else {
+        setBatch(null);
+      }
+    } catch (err) {
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to resync batch' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Box
+        component="form"
+        onSubmit={(e) => { e.preventDefault(); loadBatch(); }}
+        sx={{ display: 'flex', gap: 2, mb: 3 }}
+      >
+        <TextField
+          size="small"
+          label="Batch ID"
+          value={batchId}
+          onChange={(e) => setBatchId(e.target.value)}
+        />
+        <Button
+          type="submit"
+          variant="outlined"
+          startIcon={busy === 'load' ? <CircularProgress size={16} /> : <Search />}
+          disabled={!batchId.trim() || Boolean(busy)}
+        >
+          Load
+        </Button>
+      </Box>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 2 }}>
+          {result.message}
+        </Alert>
+      )}
+
+      {batch && (
+        <>
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Corrections only change MongoDB. Fields mirrored from AgriChain are overwritten again by the chain
+            indexer or a reconciliation repair, so prefer "Resync from chain" when the chain is right.
+          </Alert>
+          <Grid container spacing={2}>
+            {FIELDS.map(field => (
+              <Grid item xs={12} sm={6} md={4} key={field.name}>
+                <TextField
+                  select={Boolean(field.options)}
+                  fullWidth
+                  size="small"
+                  label={field.label}
+                  type={field.type || 'text'}
+                  value={values[field.name]}
+                  onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+                  InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+                  helperText={values[field.name] !== original[field.name] ? 'Changed' : ' '}
+                >
+                  {(field.options || []).map(option => (
+                    <MenuItem key={option} value={option}>{option}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            ))}
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Reason for correction"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                required
+              />
+            </Grid>
+          </Grid>
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button
+              variant="contained"
+              startIcon={busy === 'correct' ? <CircularProgress size={16} /> : <Save />}
+              disabled={!changed.length || !reason.trim() || Boolean(busy)}
+              onClick={handleCorrect}
+            >
+              Apply {changed.length || ''} correction{changed.length === 1 ? '' : 's'}
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={busy === 'resync' ? <CircularProgress size={16} /> : <Sync />}
+              disabled={Boolean(busy)}
+              onClick={handleResync}
+            >
+              Resync from chain
+            </Button>
+          </Box>
+
+          {batch.corrections?.length > 0 && (
+            <Box sx={{ mt: 4 }}>
+              <Typography variant="h6">Correction log</Typography>
+              <List dense>
+                {[...batch.corrections].reverse().map((correction, index) => (
+                  <ListItem key={index} divider>
+                    <ListItemText
+                      primary={correction.previous !== undefined || correction.value !== undefined
+                        ? `${correction.field}: ${correction.previous ?? '(empty)'} → ${correction.value ?? '(empty)'}`
+                        : `${correction.field} (encrypted value)`}
+                      secondary={`${new Date(correction.correctedAt).toLocaleString()} by ${shortenAddress(correction.admin)} · ${correction.reason}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Box>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default BatchCorrection;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { WorkspacePremium, Block, Edit } from '@mui/icons-material';
+
+import { adminAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+
+const STATUS_COLORS = { ACTIVE: 'success', EXPIRED: 'warning', REVOKED: 'error', NONE: 'default' };
+
+const EMPTY_FORM = { walletAddress: '', standards: '', cropTypes: '', regions: '', validUntil: '' };
+
+// Accredit, renew and revoke certifiers in the CertifierRegistry through the backend owner key
+const CertifierAccreditations = () => {
+  const [certifiers, setCertifiers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const fetchCertifiers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getCertifiers();
+      setCertifiers(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Error fetching accreditations:', err);
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to load accreditations.' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCertifiers();
+  }, [fetchCertifiers]);
+
+  const runAction = async (request, successMessage) => {
+    try {
+      setSubmitting(true);
+      setResult(null);
+      await request();
+      setResult({ severity: 'success', message: successMessage });
+      await fetchCertifiers();
+      return true;
+    } catch (err) {
+      console.error('Error updating accreditation:', err);
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to update accreditation.' });
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAccredit = async () => {
+    const saved = await runAction(() => adminAPI.accreditCertifier(form.walletAddress.trim(), {
+      standards: form.standards,
+      cropTypes: form.cropTypes,
+      regions: form.regions,
+      validUntil: form.validUntil,
+    }), 'Certifier accredited');
+    if (saved) setForm(EMPTY_FORM);
+  };
+
+  const handleEdit = (certifier) => {
+    setForm({
+      walletAddress: certifier.certifier,
+      standards: certifier.standards.join(', '),
+      cropTypes: certifier.cropTypes.join(', '),
+      regions: certifier.regions.join(', '),
+      validUntil: '',
+    });
+  };
+
+  const field = (name, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      label={label}
+      value={form[name]}
+      onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+      disabled={submitting}
+      {...props}
+    />
+  );
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Accredit or renew</Typography>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={12} md={6}>{field('walletAddress', 'Certifier wallet')}</Grid>
+        <Grid item xs={12} md={6}>
+          {field('validUntil', 'Valid until', { type: 'date', InputLabelProps: { shrink: true } })}
+        </Grid>
+        <Grid item xs={12} md={4}>
+          {field('standards', 'Standards', { helperText: 'Comma separated, e.g. organic, GAP' })}
+        </Grid>
+        <Grid item xs={12} md={4}>
+          {field('cropTypes', 'Crop types', { helperText: 'Comma separated; empty for any crop' })}
+        </Grid>
+        <Grid item xs={12} md={4}>
+          {field('regions', 'Regions', { helperText: 'Comma separated; empty for any region' })}
+        </Grid>
+      </Grid>
+      <Button
+        variant="contained"
+        startIcon={submitting ? <CircularProgress size={16} /> : <WorkspacePremium />}
+        disabled={submitting || !form.walletAddress.trim() || !form.standards.trim() || !form.validUntil}
+        onClick={handleAccredit}
+        sx={{ mb: 3 }}
+      >
+        Accredit
+      </Button>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 2 }}>
+          {result.message}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Certifier</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Standards</TableCell>
+                <TableCell>Crops</TableCell>
+                <TableCell>Regions</TableCell>
+                <TableCell>Valid until</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {certifiers.map(certifier => (
+                <TableRow key={certifier.certifier}>
+                  <TableCell>{shortenAddress(certifier.certifier)}</TableCell>
+                  <TableCell>
+                    <Chip size="small" color={STATUS_COLORS[certifier.status]} label={certifier.status} />
+                  </TableCell>
+                  <TableCell>{certifier.standards.join(', ')}</TableCell>
+                  <TableCell>{certifier.cropTypes.join(', ') || 'Any'}</TableCell>
+                  <TableCell>{certifier.regions.join(', ') || 'Any'}</TableCell>
+                  <TableCell>
+                    {certifier.validUntil ? new Date(certifier.validUntil).toLocaleDateString() : 'N/A'}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<Edit />} disabled={submitting} onClick={() => handleEdit(certifier)}>
+                      Renew
+                    </Button>
+                    {certifier.status !== 'REVOKED' && (
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<Block />}
+                        disabled={submitting}
+                        onClick={() => runAction(() => adminAPI.revokeCertifier(certifier.certifier), 'Accreditation revoked')}
+                      >
+                        Revoke
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {certifiers.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No certifiers accredited yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default CertifierAccreditations;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  MenuItem,
+  CircularProgress,
+} from '@mui/material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { shortenAddress } from '../../utils/web3Utils';
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Owner-only functions of AgriChain and Authentication, sent from the connected wallet
+const ACTIONS = [
+  {
+    id: 'setArbiter',
+    contract: 'agriChain',
+    title: 'Escrow arbiter',
+    description: 'Wallet that decides disputed escrows.',
+    fields: [{ name: 'arbiter', label: 'Arbiter address' }],
+    send: (methods, values) => methods.setArbiter(values.arbiter.trim()),
+  },
+  {
+    id: 'setEscrowPeriod',
+    contract: 'agriChain',
+    title: 'Escrow period',
+    description: 'Days a retailer has to confirm delivery or open a dispute.',
+    fields: [{ name: 'days', label: 'Days', type: 'number' }],
+    send: (methods, values) => methods.setEscrowPeriod(Math.round(Number(values.days) * 24 * 60 * 60)),
+  },
+  {
+    id: 'setPaymentToken',
+    contract: 'agriChain',
+    title: 'Payment token',
+    description: 'Allow or remove an ERC-20 token batches can be priced in.',
+    fields: [
+      { name: 'token', label: 'Token address' },
+      { name: 'allowed', label: 'Allowed', options: ['true', 'false'], initial: 'true' },
+    ],
+    send: (methods, values) => methods.setPaymentToken(values.token.trim(), values.allowed === 'true'),
+  },
+  {
+    id: 'setCertifierRegistry',
+    contract: 'agriChain',
+    title: 'Certifier registry',
+    description: 'CertifierRegistry contract checked by certifyBatch.',
+    fields: [{ name: 'registry', label: 'Registry address' }],
+    send: (methods, values) => methods.setCertifierRegistry(values.registry.trim()),
+  },
+  {
+    id: 'addCropToFarmer',
+    contract: 'authentication',
+    title: 'Add crop to farmer',
+    description: 'Record a batch on a farmer\'s Authentication profile.',
+    fields: [
+      { name: 'wallet', label: 'Farmer address' },
+      { name: 'batchId', label: 'Batch ID' },
+    ],
+    send: (methods, values, web3) =>
+      methods.addCropToFarmer(values.wallet.trim(), web3.utils.keccak256(values.batchId.trim())),
+  },
+  {
+    id: 'addCropToCertifier',
+    contract: 'authentication',
+    title: 'Add crop to certifier',
+    description: 'Record a certified or rejected batch on a certifier\'s profile.',
+    fields: [
+      { name: 'wallet', label: 'Certifier address' },
+      { name: 'batchId', label: 'Batch ID' },
+      { name: 'certified', label: 'Outcome', options: ['true', 'false'], initial: 'true' },
+    ],
+    send: (methods, values, web3) => methods.addCropToCertifier(
+      values.wallet.trim(),
+      web3.utils.keccak256(values.batchId.trim()),
+      values.certified === 'true'
+    ),
+  },
+  {
+    id: 'addCropToRetailer',
+    contract: 'authentication',
+    title: 'Add crop to retailer',
+    description: 'Record a purchased batch on a retailer\'s profile.',
+    fields: [
+      { name: 'wallet', label: 'Retailer address' },
+      { name: 'batchId', label: 'Batch ID' },
+    ],
+    send: (methods, values, web3) =>
+      methods.addCropToRetailer(values.wallet.trim(), web3.utils.keccak256(values.batchId.trim())),
+  },
+];
+
+const initialValues = (action) =>
+  Object.fromEntries(action.fields.map(field => [field.name, field.initial || '']));
+
+const OwnerAction = ({ action, disabled, onSend }) => {
+  const [values, setValues] = useState(initialValues(action));
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setResult(null);
+    try {
+      const tx = await onSend(action, values);
+      setResult({ severity: 'success', message: `Transaction ${shortenAddress(tx.transactionHash)} confirmed` });
+      setValues(initialValues(action));
+    } catch (err) {
+      console.error(`Error calling ${action.id}:`, err);
+      const detailed = err?.data?.message || err?.error?.message || err?.message;
+      setResult({ severity: 'error', message: detailed || 'Transaction failed' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const incomplete = action.fields.some(field => String(values[field.name]).trim() === '');
+
+  return (
+    <Card variant="outlined" sx={{ height: '100%' }}>
+      <CardContent>
+        <Typography variant="subtitle1">{action.title}</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {action.description}
+        </Typography>
+        {action.fields.map(field => (
+          <TextField
+            key={field.name}
+            select={Boolean(field.options)}
+            fullWidth
+            size="small"
+            label={field.label}
+            type={field.type || 'text'}
+            value={values[field.name]}
+            onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+            disabled={disabled || submitting}
+            sx={{ mb: 2 }}
+          >
+            {(field.options || []).map(option => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </TextField>
+        ))}
+        {result && (
+          <Alert severity={result.severity} sx={{ mb: 2 }}>
+            {result.message}
+          </Alert>
+        )}
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handleSubmit}
+          disabled={disabled || submitting || incomplete}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Send
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Owner-only contract calls, available when the connected wallet owns the contract
+const ContractAdmin = () => {
+  const { web3, account, contracts } = useWeb3();
+  const [owners, setOwners] = useState({});
+  const [error, setError] = useState(null);
+
+  const fetchOwners = useCallback(async () => {
+    try {
+      if (!contracts.agriChain || !contracts.authentication) return;
+      const [agriChain, authentication] = await Promise.all([
+        contracts.agriChain.methods.owner().call(),
+        contracts.authentication.methods.owner().call(),
+      ]);
+      setOwners({ agriChain, authentication });
+    } catch (err) {
+      console.error('Error reading contract owners:', err);
+      setError('Failed to read contract owners. Check the contract addresses.');
+    }
+  }, [contracts.agriChain, contracts.authentication]);
+
+  useEffect(() => {
+    fetchOwners();
+  }, [fetchOwners]);
+
+  const handleSend = async (action, values) => {
+    if (!web3 || !account || !contracts[action.contract]) {
+      throw new Error('Wallet not connected or contract not initialized');
+    }
+    return action.send(contracts[action.contract].methods, values, web3).send({ from: account });
+  };
+
+  const sections = [
+    { contract: 'agriChain', title: 'AgriChain' },
+    { contract: 'authentication', title: 'Authentication' },
+  ];
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {sections.map(section => {
+        const isOwner = sameAddress(account, owners[section.contract]);
+        return (
+          <Box key={section.contract} sx={{ mb: 4 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <Typography variant="h6">{section.title}</Typography>
+              {owners[section.contract] && (
+                <Chip
+                  size="small"
+                  color={isOwner ? 'success' : 'default'}
+                  label={`Owner ${shortenAddress(owners[section.contract])}${isOwner ? ' (you)' : ''}`}
+                />
+              )}
+            </Box>
+            {owners[section.contract] && !isOwner && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Connect the owner wallet to send these transactions.
+              </Alert>
+            )}
+            <Grid container spacing={2}>
+              {ACTIONS.filter(action => action.contract === section.contract).map(action => (
+                <Grid item xs={12} md={6} lg={4} key={action.id}>
+                  <OwnerAction action={action} disabled={!isOwner} onSend={handleSend} />
+                </Grid>
+              ))}
+            </Grid>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default ContractAdmin;
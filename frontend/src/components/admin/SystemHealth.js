@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Refresh, Storage, Link as LinkIcon, Sync, Security } from '@mui/icons-material';
+
+import { adminAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+
+// PQC_REQUEST_SIGNING modes as shown on the request signing card
+const REQUEST_SIGNING_LABELS = { off: 'Off', optional: 'Optional', required: 'Required' };
+
+const StatusChip = ({ ok, label }) => (
+  <Chip size="small" color={ok ? 'success' : 'error'} label={label || (ok ? 'OK' : 'Down')} />
+);
+
+const Row = ({ label, value }) => (
+  <Typography variant="body2" gutterBottom>
+    <strong>{label}:</strong> {value ?? 'N/A'}
+  </Typography>
+);
+
+const HealthCard = ({ icon, title, status, children }) => (
+  <Card variant="outlined" sx={{ height: '100%' }}>
+    <CardContent>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {icon}
+          <Typography variant="h6">{title}</Typography>
+        </Box>
+        {status}
+      </Box>
+      {children}
+    </CardContent>
+  </Card>
+);
+
+// Database, chain, indexer and PQC status reported by /api/admin/health
+const SystemHealth = () => {
+  const [health, setHealth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHealth = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminAPI.getHealth();
+      setHealth(response.data);
+    } catch (err) {
+      console.error('Error fetching system health:', err);
+      setError(err?.response?.data?.message || 'Failed to load system health.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  if (loading && !health) {
+    return <CircularProgress />;
+  }
+
+  const { database, chain, indexer, pqc } = health || {};
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        {health && <StatusChip ok={health.status === 'ok'} label={health.status === 'ok' ? 'All systems OK' : 'Degraded'} />}
+        {health && (
+          <Typography variant="body2" color="text.secondary">
+            Checked {new Date(health.checkedAt).toLocaleTimeString()} · up {Math.round(health.uptime / 60)} min
+          </Typography>
+        )}
+        <Button size="small" startIcon={<Refresh />} onClick={fetchHealth} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {health && (
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <HealthCard icon={<Storage />} title="Database" status={<StatusChip ok={database.ok} label={database.state} />}>
+              {database.ok && (
+                <>
+                  <Row label="Users" value={`${database.users} (${database.suspendedUsers} suspended)`} />
+                  <Row label="Batches" value={database.batches} />
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                    {Object.entries(database.batchesByStatus).map(([status, count]) => (
+                      <Chip key={status} size="small" variant="outlined" label={`${status}: ${count}`} />
+                    ))}
+                  </Box>
+                </>
+              )}
+            </HealthCard>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <HealthCard icon={<LinkIcon />} title="Chain" status={<StatusChip ok={chain.ok} />}>
+              {chain.ok ? (
+                <>
+                  <Row label="Chain ID" value={chain.chainId} />
+                  <Row label="Block" value={chain.blockNumber} />
+                  <Row label="AgriChain" value={shortenAddress(chain.agriChainAddress)} />
+                  <Row label="Owner" value={shortenAddress(chain.owner)} />
+                  <Row label="Arbiter" value={shortenAddress(chain.arbiter)} />
+                  <Row label="Certifier registry" value={shortenAddress(chain.certifierRegistry)} />
+                </>
+              ) : (
+                <Typography variant="body2" color="error">{chain.error}</Typography>
+              )}
+            </HealthCard>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <HealthCard
+              icon={<Sync />}
+              title="Chain indexer"
+              status={<Chip size="small" color={indexer?.enabled ? 'success' : 'default'} label={indexer?.enabled ? 'Enabled' : 'Disabled in API'} />}
+            >
+              <Row label="Last indexed block" value={indexer?.lastBlock} />
+              <Row label="Blocks behind" value={indexer?.lag} />
+              <Row label="Last run" value={indexer?.updatedAt && new Date(indexer.updatedAt).toLocaleString()} />
+            </HealthCard>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <HealthCard icon={<Security />} title="Post-quantum request signing" status={<StatusChip ok={pqc.requestSigning !== 'off'} label={REQUEST_SIGNING_LABELS[pqc.requestSigning] || pqc.requestSigning} />}>
+              <Typography variant="body2" color="text.secondary">
+                Controlled by PQC_REQUEST_SIGNING on the backend. Sessions that registered a device key must sign unless it is off.
+              </Typography>
+              {pqc.keyring?.error ? (
+                <Typography variant="body2" color="error">Keyring: {pqc.keyring.error}</Typography>
+              ) : (
+                <>
+                  <Row label="Active Kyber key" value={pqc.keyring?.kyber?.active} />
+                  <Row label="Active Dilithium key" value={pqc.keyring?.dilithium?.active} />
+                </>
+              )}
+            </HealthCard>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default SystemHealth;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { Block, CheckCircle } from '@mui/icons-material';
+
+import { adminAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+import { ROLE_LABELS } from '../../utils/roles';
+
+const ROLE_FILTERS = { ...ROLE_LABELS, admin: 'Admin' };
+
+// Lists accounts and lets an admin suspend or reinstate them
+const UserManagement = () => {
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({ role: '', suspended: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [suspending, setSuspending] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await adminAPI.getUsers(params);
+      setUsers(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      setError(err?.response?.data?.message || 'Failed to load users.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const runAction = async (request) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      await request();
+      setSuspending(null);
+      setReason('');
+      await fetchUsers();
+    } catch (err) {
+      console.error('Error updating user:', err);
+      setError(err?.response?.data?.message || 'Failed to update user.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Role"
+          value={filters.role}
+          onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All roles</MenuItem>
+          {Object.entries(ROLE_FILTERS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={filters.suspended}
+          onChange={(e) => setFilters({ ...filters, suspended: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          <MenuItem value="false">Active</MenuItem>
+          <MenuItem value="true">Suspended</MenuItem>
+        </TextField>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Username</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Wallet</TableCell>
+                <TableCell>Registered</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map(user => (
+                <TableRow key={user._id}>
+                  <TableCell>{user.username}</TableCell>
+                  <TableCell>{user.name}</TableCell>
+                  <TableCell>{ROLE_FILTERS[user.role] || user.role}</TableCell>
+                  <TableCell>{shortenAddress(user.walletAddress)}</TableCell>
+                  <TableCell>{new Date(user.registrationDate).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    {user.suspended ? (
+                      <Chip size="small" color="error" label="Suspended" title={user.suspensionReason || ''} />
+                    ) : (
+                      <Chip size="small" color="success" label="Active" />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {user.suspended ? (
+                      <Button
+                        size="small"
+                        startIcon={<CheckCircle />}
+                        disabled={submitting}
+                        onClick={() => runAction(() => adminAPI.reinstateUser(user._id))}
+                      >
+                        Reinstate
+                      </Button>
+                    ) : (
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<Block />}
+                        disabled={submitting}
+                        onClick={() => setSuspending(user)}
+                      >
+                        Suspend
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {users.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No users found</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(suspending)} onClose={() => !submitting && setSuspending(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Suspend {suspending?.username}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            The user is logged out immediately and cannot log in until reinstated. On-chain roles are not affected.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            rows={2}
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            disabled={submitting}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSuspending(null)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            disabled={submitting}
+            onClick={() => runAction(() => adminAPI.suspendUser(suspending._id, reason))}
+          >
+            Suspend
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default UserManagement;
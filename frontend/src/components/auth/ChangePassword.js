@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Password } from '@mui/icons-material';
+
+import { authAPI } from '../../services/api';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Change the password of the signed-in user; the server signs out their other devices
+const ChangePassword = () => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setResult(null);
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setResult({ severity: 'error', message: 'New passwords do not match' });
+      return;
+    }
+    if (formData.newPassword.length < 8) {
+      setResult({ severity: 'error', message: 'Password must be at least 8 characters long' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await authAPI.changePassword(formData.currentPassword, formData.newPassword);
+      setFormData(EMPTY_FORM);
+      setResult({ severity: 'success', message: response.data.message });
+    } catch (err) {
+      console.error('Error changing password:', err);
+      setResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to change the password.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Password sx={{ mr: 1 }} />
+          <Typography variant="h6">Change Password</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Your other devices are signed out when the password changes.
+        </Typography>
+
+        {result && (
+          <Alert severity={result.severity} sx={{ mb: 2 }}>
+            {result.message}
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            name="currentPassword"
+            label="Current Password"
+            type="password"
+            autoComplete="current-password"
+            fullWidth
+            margin="dense"
+            required
+            value={formData.currentPassword}
+            onChange={handleChange}
+            disabled={loading}
+          />
+          <TextField
+            name="newPassword"
+            label="New Password"
+            type="password"
+            autoComplete="new-password"
+            fullWidth
+            margin="dense"
+            required
+            value={formData.newPassword}
+            onChange={handleChange}
+            disabled={loading}
+            helperText="At least 8 characters"
+          />
+          <TextField
+            name="confirmPassword"
+            label="Confirm New Password"
+            type="password"
+            autoComplete="new-password"
+            fullWidth
+            margin="dense"
+            required
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            disabled={loading}
+          />
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={loading}
+              startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
+            >
+              {loading ? 'Saving...' : 'Change Password'}
+            </Button>
+          </Box>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChangePassword;
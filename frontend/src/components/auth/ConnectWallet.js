@@ -31,6 +31,7 @@ const ConnectWallet = () => {
   
   const [activeStep, setActiveStep] = useState(0);
   const [verificationAttempted, setVerificationAttempted] = useState(false);
+  const [notRegistered, setNotRegistered] = useState(false);
 
   // Auto-advance steps when conditions are met
   useEffect(() => {
@@ -48,8 +49,8 @@ const ConnectWallet = () => {
           await verifyWallet(account);
           setActiveStep(2);
         } catch (error) {
-          console.log('Wallet not registered');
           // Stay on step 1 if verification fails
+          setNotRegistered(error.response?.status === 404);
         }
       }
     };
@@ -75,8 +76,10 @@ const ConnectWallet = () => {
     if (!account) return;
     
     try {
+      setNotRegistered(false);
       await verifyWallet(account);
     } catch (error) {
+      setNotRegistered(error.response?.status === 404);
       console.error('Failed to verify wallet:', error);
     }
   };
@@ -143,7 +146,7 @@ const ConnectWallet = () => {
             </StepLabel>
             <StepContent>
               <Typography variant="body2" color="text.secondary" paragraph>
-                Verify your wallet to access your account.
+                Sign a one-time message in your wallet to prove that you own this address. Signing is free and does not send a transaction.
               </Typography>
               <Box sx={{ mb: 2 }}>
                 <Button
@@ -153,13 +156,13 @@ const ConnectWallet = () => {
                   sx={{ mr: 2 }}
                   startIcon={authLoading ? <CircularProgress size={20} color="inherit" /> : null}
                 >
-                  {authLoading ? 'Verifying...' : 'Verify Wallet'}
+                  {authLoading ? 'Waiting for signature...' : 'Sign In with Wallet'}
                 </Button>
                 <Button onClick={handleRegister} disabled={!account}>
                   Register New Account
                 </Button>
               </Box>
-              {verificationAttempted && !isAuthenticated && !authLoading && (
+              {notRegistered && !isAuthenticated && !authLoading && (
                 <Box sx={{ mt: 2 }}>
                   <Alert severity="warning" icon={<ErrorOutline />}>
                     This wallet is not registered. Please register a new account.
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Devices, Smartphone, Computer, Logout } from '@mui/icons-material';
+
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// Short device label from a user agent string, e.g. "Firefox on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker))?.[1];
+  if (!browser && !system) return userAgent || 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+// Signed-in devices of the current user, each of which can be signed out
+const SessionList = () => {
+  const { endSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await authAPI.getSessions();
+      setSessions(response.data);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError(err?.response?.data?.message || 'Failed to load sessions.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    try {
+      setBusy(session.id);
+      setError(null);
+      await authAPI.revokeSession(session.id);
+      if (session.current) {
+        endSession();
+        return;
+      }
+      await fetchSessions();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err?.response?.data?.message || 'Failed to sign out the session.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevokeAll = async (keepCurrent) => {
+    try {
+      setBusy(keepCurrent ? 'others' : 'all');
+      setError(null);
+      await authAPI.revokeAllSessions(keepCurrent);
+      if (!keepCurrent) {
+        endSession();
+        return;
+      }
+      await fetchSessions();
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      setError(err?.response?.data?.message || 'Failed to sign out the sessions.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Devices sx={{ mr: 1 }} />
+          <Typography variant="h6">Sessions</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Devices signed in to your account. Sign out any you do not recognise.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ textAlign: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List dense>
+            {sessions.map((session) => (
+              <ListItem
+                key={session.id}
+                secondaryAction={
+                  <Button
+                    size="small"
+                    color={session.current ? 'inherit' : 'error'}
+                    onClick={() => handleRevoke(session)}
+                    disabled={!!busy}
+                    startIcon={busy === session.id ? <CircularProgress size={16} color="inherit" /> : <Logout />}
+                  >
+                    Sign out
+                  </Button>
+                }
+              >
+                <ListItemIcon>
+                  {isMobile(session.userAgent) ? <Smartphone fontSize="small" /> : <Computer fontSize="small" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {describeDevice(session.userAgent)}
+                      {session.current && <Chip size="small" color="primary" label="This device" />}
+                    </Box>
+                  }
+                  secondary={`${session.ipAddress || 'Unknown IP'} · signed in ${new Date(session.createdAt).toLocaleString()} · last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+          <Button
+            variant="outlined"
+            onClick={() => handleRevokeAll(true)}
+            disabled={!!busy || loading || !hasOthers}
+          >
+            Sign out other devices
+          </Button>
+          <Button
+            variant="outlined"
+            color="error"
+            onClick={() => handleRevokeAll(false)}
+            disabled={!!busy || loading}
+          >
+            Sign out everywhere
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SessionList;
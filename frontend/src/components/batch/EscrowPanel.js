@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Lock, LockOpen, Gavel, ReportProblem, Undo } from '@mui/icons-material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+import { fromBaseUnits } from '../../utils/paymentTokens';
+
+// Order must match the EscrowState enum in AgriChain.sol
+const ESCROW_STATES = ['NONE', 'HELD', 'DISPUTED', 'RELEASED', 'REFUNDED'];
+
+const STATE_DETAILS = {
+  HELD: { label: 'Held in escrow', color: 'warning', icon: <Lock /> },
+  DISPUTED: { label: 'Disputed', color: 'error', icon: <ReportProblem /> },
+  RELEASED: { label: 'Released to farmer', color: 'success', icon: <LockOpen /> },
+  REFUNDED: { label: 'Refunded to retailer', color: 'default', icon: <Undo /> },
+};
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Escrowed purchase payment of a batch and the actions open to the connected wallet
+const EscrowPanel = ({ batch, onUpdated }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [escrow, setEscrow] = useState(null);
+  const [arbiter, setArbiter] = useState(null);
+  const [submitting, setSubmitting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchEscrow = useCallback(async () => {
+    try {
+      if (!web3 || !contracts.agriChain || !batch?.batchId) return;
+      const onchainBatchId = web3.utils.keccak256(String(batch.batchId));
+      const stored = await contracts.agriChain.methods.escrows(onchainBatchId).call();
+      const state = ESCROW_STATES[Number(stored.state ?? stored[4])];
+      setEscrow(state === 'NONE' ? null : {
+        state,
+        amount: fromBaseUnits(web3, stored.amount ?? stored[0], batch.paymentDecimals),
+        retailer: stored.retailer ?? stored[1],
+        payee: stored.payee ?? stored[2],
+        releaseAfter: new Date(Number(stored.releaseAfter ?? stored[3]) * 1000),
+      });
+      setArbiter(await contracts.agriChain.methods.arbiter().call());
+    } catch (err) {
+      // Fall back to the copy kept by the backend
+      console.warn('Unable to read escrow from chain:', err);
+      if (batch?.escrow?.state) {
+        setEscrow({ ...batch.escrow, releaseAfter: new Date(batch.escrow.releaseAfter) });
+      }
+    }
+  }, [web3, contracts.agriChain, batch]);
+
+  useEffect(() => {
+    fetchEscrow();
+  }, [fetchEscrow]);
+
+  const runAction = async (action, sendTransaction) => {
+    try {
+      setSubmitting(action);
+      setError(null);
+
+      if (!web3 || !account || !contracts.agriChain) {
+        throw new Error('Wallet not connected or contract not initialized');
+      }
+
+      const onchainBatchId = web3.utils.keccak256(String(batch.batchId));
+      const tx = await sendTransaction(contracts.agriChain.methods, onchainBatchId);
+
+      // Update backend with the new escrow state
+      await batchAPI.updateEscrow(batch.batchId, {
+        action,
+        wallet: account,
+        transactionHash: tx.transactionHash,
+      });
+
+      await fetchEscrow();
+      onUpdated && onUpdated();
+    } catch (err) {
+      console.error('Error updating escrow:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.message;
+      setError(detailed || 'Escrow action failed. Please try again.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  if (!escrow) {
+    return null;
+  }
+
+  const details = STATE_DETAILS[escrow.state];
+  const windowOpen = Date.now() < escrow.releaseAfter.getTime();
+  const isBuyer = sameAddress(account, escrow.retailer);
+  const isArbiter = sameAddress(account, arbiter);
+
+  const actionButton = (action, label, icon, sendTransaction, props = {}) => (
+    <Button
+      key={action}
+      variant="outlined"
+      size="small"
+      startIcon={submitting === action ? <CircularProgress size={16} /> : icon}
+      disabled={Boolean(submitting)}
+      onClick={() => runAction(action, sendTransaction)}
+      {...props}
+    >
+      {label}
+    </Button>
+  );
+
+  const actions = [];
+  if (escrow.state === 'HELD' && isBuyer && windowOpen) {
+    actions.push(actionButton('confirm', 'Confirm Delivery', <LockOpen />,
+      (methods, id) => methods.confirmDelivery(id).send({ from: account, gas: 200000 }), { color: 'success' }));
+    actions.push(actionButton('dispute', 'Open Dispute', <ReportProblem />,
+      (methods, id) => methods.openDispute(id).send({ from: account, gas: 100000 }), { color: 'error' }));
+  }
+  if (escrow.state === 'HELD' && !windowOpen && account) {
+    actions.push(actionButton('release', 'Release Funds', <LockOpen />,
+      (methods, id) => methods.releaseEscrow(id).send({ from: account, gas: 200000 })));
+  }
+  if (escrow.state === 'DISPUTED' && isArbiter) {
+    actions.push(actionButton('release', 'Release to Farmer', <Gavel />,
+      (methods, id) => methods.resolveDispute(id, false).send({ from: account, gas: 200000 })));
+    actions.push(actionButton('refund', 'Refund Retailer', <Undo />,
+      (methods, id) => methods.resolveDispute(id, true).send({ from: account, gas: 200000 })));
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="body2" color="text.secondary">
+        Payment
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+        <Chip icon={details.icon} label={details.label} color={details.color} size="small" />
+        <Typography variant="body1">{escrow.amount} {batch.paymentSymbol || 'ETH'}</Typography>
+      </Box>
+      {escrow.state === 'HELD' && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {windowOpen
+            ? `The retailer can confirm delivery or open a dispute until ${escrow.releaseAfter.toLocaleString()}; after that anyone can release the funds to the farmer.`
+            : 'The delivery window has passed, so the funds can be released to the farmer.'}
+        </Typography>
+      )}
+      {escrow.state === 'DISPUTED' && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Funds are frozen until the arbiter releases them to the farmer or refunds the retailer.
+        </Typography>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+      {actions.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+          {actions}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default EscrowPanel;
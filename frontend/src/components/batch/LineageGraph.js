@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Chip,
+  Paper,
+  Link,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { ArrowDownward } from '@mui/icons-material';
+
+import { batchAPI } from '../../services/api';
+
+/**
+ * Place every node of the lineage graph in a generation relative to the root
+ * (parents at -1, children at +1, ...)
+ * @param {Object} lineage - Response of the lineage endpoint
+ * @returns {Array<Array<Object>>} - Nodes grouped by generation, oldest first
+ */
+const groupByGeneration = ({ root, nodes, edges }) => {
+  const byId = new Map(nodes.map(node => [node.batchId, node]));
+  const generation = new Map([[root, 0]]);
+
+  // Ancestors only follow edges upwards and descendants only downwards
+  for (const [step, link] of [[-1, 'from'], [1, 'to']]) {
+    const other = link === 'from' ? 'to' : 'from';
+    let frontier = [root];
+    while (frontier.length) {
+      const next = [];
+      for (const id of frontier) {
+        for (const edge of edges) {
+          if (edge[other] !== id || generation.has(edge[link]) || !byId.has(edge[link])) continue;
+          generation.set(edge[link], generation.get(id) + step);
+          next.push(edge[link]);
+        }
+      }
+      frontier = next;
+    }
+  }
+
+  const levels = [...new Set(generation.values())].sort((a, b) => a - b);
+  return levels.map(level => (
+    [...generation.entries()]
+      .filter(([, value]) => value === level)
+      .map(([id]) => byId.get(id))
+  ));
+};
+
+// Lineage of a batch: the lots it was split or merged from, and the lots made from it
+const LineageGraph = ({ batchId }) => {
+  const [lineage, setLineage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchLineage = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await batchAPI.getBatchLineage(batchId);
+        setLineage(response.data);
+      } catch (err) {
+        console.error('Error fetching batch lineage:', err);
+        setError('Failed to load batch lineage.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (batchId) fetchLineage();
+  }, [batchId]);
+
+  if (loading) {
+    return <CircularProgress size={24} />;
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!lineage || lineage.edges.length === 0) {
+    return (
+      <Alert severity="info">
+        This batch has not been split or merged
+      </Alert>
+    );
+  }
+
+  const generations = groupByGeneration(lineage);
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+      {generations.map((nodes, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && <ArrowDownward color="action" sx={{ my: 1 }} />}
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 2 }}>
+            {nodes.map(node => {
+              const isRoot = node.batchId === lineage.root;
+              return (
+                <Paper
+                  key={node.batchId}
+                  variant="outlined"
+                  sx={{
+                    p: 1.5,
+                    minWidth: 160,
+                    textAlign: 'center',
+                    borderColor: isRoot ? 'primary.main' : undefined,
+                    borderWidth: isRoot ? 2 : 1,
+                    opacity: node.quantity === 0 ? 0.6 : 1,
+                  }}
+                >
+                  {isRoot ? (
+                    <Typography variant="subtitle2">#{node.batchId}</Typography>
+                  ) : (
+                    <Link component={RouterLink} to={`/batch/${node.batchId}`} variant="subtitle2">
+                      #{node.batchId}
+                    </Link>
+                  )}
+                  <Typography variant="body2" color="text.secondary">
+                    {node.cropName}
+                  </Typography>
+                  <Typography variant="body2">
+                    {node.quantity === 0 ? 'Consumed' : `${node.quantity ?? 'N/A'} ${node.unit || ''}`}
+                  </Typography>
+                  <Chip label={node.status} size="small" sx={{ mt: 0.5 }} />
+                </Paper>
+              );
+            })}
+          </Box>
+        </React.Fragment>
+      ))}
+    </Box>
+  );
+};
+
+export default LineageGraph;
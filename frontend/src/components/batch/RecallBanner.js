@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Alert, AlertTitle, Link } from '@mui/material';
+import { ReportProblem } from '@mui/icons-material';
+
+import { getRecallReasonLabel } from '../../utils/batchLifecycle';
+
+// Warning shown wherever a recalled batch appears; compact for dashboard cards
+const RecallBanner = ({ batch, recall = batch?.recall, compact = false, linkSource = true, sx }) => {
+  if (batch?.status !== 'RECALLED') {
+    return null;
+  }
+
+  const reason = recall?.reason ? getRecallReasonLabel(recall.reason) : 'Recalled';
+  const derived = recall?.sourceBatchId && recall.sourceBatchId !== batch.batchId;
+  const source = derived && (linkSource ? (
+    <Link component={RouterLink} to={`/batch/${encodeURIComponent(recall.sourceBatchId)}`} color="inherit">
+      #{recall.sourceBatchId}
+    </Link>
+  ) : `#${recall.sourceBatchId}`);
+
+  if (compact) {
+    return (
+      <Alert severity="error" variant="filled" icon={<ReportProblem fontSize="small" />} sx={{ py: 0, mb: 1, ...sx }}>
+        Recalled: {reason}
+      </Alert>
+    );
+  }
+
+  return (
+    <Alert severity="error" variant="filled" icon={<ReportProblem />} sx={{ mb: 3, ...sx }}>
+      <AlertTitle>This batch has been recalled</AlertTitle>
+      Reason: {reason}
+      {recall?.recalledAt && ` · ${new Date(recall.recalledAt).toLocaleDateString()}`}
+      {derived && <> · made from recalled batch {source}</>}
+      {recall?.notes && <><br />{recall.notes}</>}
+      <br />
+      Do not sell or consume products from this batch.
+    </Alert>
+  );
+};
+
+export default RecallBanner;
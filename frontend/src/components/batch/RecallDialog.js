@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+import { RECALL_REASONS, getRecallReasonLabel } from '../../utils/batchLifecycle';
+
+// Recall a batch on-chain; the contract also recalls every lot split or merged from it
+const RecallDialog = ({ open, batch, onClose, onRecalled }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setReason('');
+    setNotes('');
+    setError(null);
+    onClose();
+  };
+
+  const handleRecall = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      if (!web3 || !account || !contracts.agriChain) {
+        throw new Error('Wallet not connected or contract not initialized');
+      }
+      if (!reason) {
+        throw new Error('Choose a recall reason');
+      }
+
+      const onchainBatchId = web3.utils.keccak256(String(batch.batchId));
+      const recallTx = await contracts.agriChain.methods
+        .recallBatch(onchainBatchId, RECALL_REASONS.indexOf(reason))
+        .send({ from: account, gas: 1500000 });
+
+      // Update backend, which emails the retailers holding affected stock
+      const response = await batchAPI.recallBatch(batch.batchId, {
+        reason,
+        notes: notes.trim() || undefined,
+        transactionHash: recallTx.transactionHash,
+      });
+
+      setReason('');
+      setNotes('');
+      onRecalled && onRecalled(response.data);
+      onClose();
+    } catch (err) {
+      console.error('Error recalling batch:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.message;
+      setError(detailed || 'Failed to recall batch. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Recall Batch #{batch?.batchId}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Recalling cannot be undone. Every lot split or merged from this batch is recalled too,
+          and retailers holding affected stock are emailed a notice.
+        </DialogContentText>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          select
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={submitting}
+          fullWidth
+          margin="dense"
+          required
+        >
+          {RECALL_REASONS.map(code => (
+            <MenuItem key={code} value={code}>{getRecallReasonLabel(code)}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Details"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          disabled={submitting}
+          fullWidth
+          margin="dense"
+          multiline
+          minRows={3}
+          helperText="Shown on the batch pages and in the notice to retailers; kept off-chain"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={handleRecall}
+          disabled={submitting || !reason}
+          startIcon={submitting ? <CircularProgress size={18} /> : null}
+        >
+          {submitting ? 'Recalling...' : 'Recall'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecallDialog;
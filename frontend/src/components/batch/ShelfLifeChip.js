@@ -0,0 +1,44 @@
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+import { HourglassBottom } from '@mui/icons-material';
+
+import { getShelfLifeDays, getShelfLifeState } from '../../utils/batchLifecycle';
+
+const STATE_COLORS = {
+  expired: 'error',
+  expiring: 'warning',
+  fresh: 'success',
+};
+
+// Remaining certified shelf life of a batch; nothing for batches not certified yet
+const ShelfLifeChip = ({ batch, sx }) => {
+  const state = getShelfLifeState(batch);
+  if (!state) {
+    return null;
+  }
+
+  const days = getShelfLifeDays(batch);
+  let label;
+  if (state === 'expired') {
+    label = 'Expired';
+  } else if (days === 0) {
+    label = 'Expires today';
+  } else {
+    label = `${days} day${days === 1 ? '' : 's'} left`;
+  }
+
+  return (
+    <Tooltip title={`Expires ${new Date(batch.expiry).toLocaleDateString()}`}>
+      <Chip
+        icon={<HourglassBottom />}
+        label={label}
+        color={STATE_COLORS[state]}
+        size="small"
+        variant={state === 'fresh' ? 'outlined' : 'filled'}
+        sx={sx}
+      />
+    </Tooltip>
+  );
+};
+
+export default ShelfLifeChip;
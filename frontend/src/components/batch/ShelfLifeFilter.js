@@ -0,0 +1,38 @@
+import React from 'react';
+import { TextField, MenuItem } from '@mui/material';
+
+import { EXPIRY_ALERT_DAYS, getShelfLifeState } from '../../utils/batchLifecycle';
+
+export const SHELF_LIFE_FILTERS = {
+  all: 'Any shelf life',
+  expiring: `Expiring within ${EXPIRY_ALERT_DAYS} days`,
+  fresh: 'Fresh',
+  expired: 'Expired',
+};
+
+/**
+ * Keep the batches in a shelf life bucket
+ * @param {Array} batches - Batches to filter
+ * @param {string} filter - Key of SHELF_LIFE_FILTERS
+ * @returns {Array} - Matching batches
+ */
+export const filterByShelfLife = (batches, filter) =>
+  filter === 'all' ? batches : batches.filter(batch => getShelfLifeState(batch) === filter);
+
+// Select for the dashboards' shelf life filter
+const ShelfLifeFilter = ({ value, onChange, sx }) => (
+  <TextField
+    select
+    size="small"
+    label="Shelf life"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    sx={{ minWidth: 200, ...sx }}
+  >
+    {Object.entries(SHELF_LIFE_FILTERS).map(([key, label]) => (
+      <MenuItem key={key} value={key}>{label}</MenuItem>
+    ))}
+  </TextField>
+);
+
+export default ShelfLifeFilter;
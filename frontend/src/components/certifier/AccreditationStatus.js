@@ -0,0 +1,79 @@
+import React from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { WorkspacePremium, EventBusy, Block, HelpOutline } from '@mui/icons-material';
+
+const STATUS_DETAILS = {
+  ACTIVE: { label: 'Accredited', color: 'success', icon: <WorkspacePremium /> },
+  EXPIRED: { label: 'Expired', color: 'warning', icon: <EventBusy /> },
+  REVOKED: { label: 'Revoked', color: 'error', icon: <Block /> },
+  NONE: { label: 'Not accredited', color: 'default', icon: <HelpOutline /> },
+};
+
+const ScopeRow = ({ title, values, emptyLabel }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+    <Typography variant="body2" sx={{ minWidth: 90 }}>
+      <strong>{title}:</strong>
+    </Typography>
+    {values.length === 0 ? (
+      <Typography variant="body2" color="text.secondary">{emptyLabel}</Typography>
+    ) : (
+      values.map(value => <Chip key={value} label={value} size="small" variant="outlined" />)
+    )}
+  </Box>
+);
+
+// Accreditation of the connected certifier as recorded in the CertifierRegistry
+const AccreditationStatus = ({ accreditation }) => {
+  if (accreditation === undefined) {
+    return (
+      <Paper variant="outlined" sx={{ p: 2, mb: 4, textAlign: 'center' }}>
+        <CircularProgress size={24} />
+      </Paper>
+    );
+  }
+
+  if (accreditation === null) {
+    return (
+      <Alert severity="warning" sx={{ mb: 4 }}>
+        No certifier registry is configured on the AgriChain contract, so batches cannot be certified.
+      </Alert>
+    );
+  }
+
+  const details = STATUS_DETAILS[accreditation.status];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h6">Accreditation</Typography>
+        <Chip icon={details.icon} label={details.label} color={details.color} />
+      </Box>
+
+      {accreditation.status === 'NONE' ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Your wallet has not been accredited yet. An administrator must accredit you before you can certify batches.
+        </Typography>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {accreditation.status === 'ACTIVE' ? 'Valid until' : 'Was valid until'}{' '}
+            {accreditation.validUntil.toLocaleDateString()}
+            {accreditation.accreditedAt && ` · accredited on ${accreditation.accreditedAt.toLocaleDateString()}`}
+          </Typography>
+          <ScopeRow title="Standards" values={accreditation.standards} emptyLabel="None" />
+          <ScopeRow title="Crops" values={accreditation.cropTypes} emptyLabel="Any crop" />
+          <ScopeRow title="Regions" values={accreditation.regions} emptyLabel="Any region" />
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default AccreditationStatus;
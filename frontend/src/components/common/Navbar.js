@@ -13,24 +13,32 @@ import {
   Tooltip,
   MenuItem,
   Chip,
+  Badge,
+  Divider,
+  ListItemText,
 } from '@mui/material';
 import {
   Menu as MenuIcon,
   AccountCircle,
   Brightness4,
   Brightness7,
+  Notifications as NotificationsIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useNotifications } from '../../contexts/NotificationContext';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { shortenAddress } from '../../utils/web3Utils';
+import { isCustodyRole } from '../../utils/roles';
 
 const Navbar = ({ darkMode, toggleDarkMode }) => {
   const navigate = useNavigate();
   const { isAuthenticated, user, logout } = useAuth();
   const { account, connectWallet, disconnectWallet } = useWeb3();
+  const { recent, unread, markRead, markAllRead } = useNotifications();
   
   const [anchorElNav, setAnchorElNav] = useState(null);
   const [anchorElUser, setAnchorElUser] = useState(null);
+  const [anchorElNotifications, setAnchorElNotifications] = useState(null);
 
   // Navigation links based on role
   const getNavLinks = () => {
@@ -56,7 +64,14 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
       case 'retailer':
         links.push({ title: 'Marketplace', path: '/retailer/dashboard' });
         break;
+      case 'admin':
+        links.push({ title: 'Admin Console', path: '/admin' });
+        links.push({ title: 'Debug', path: '/debug' });
+        break;
       default:
+        if (isCustodyRole(user?.role)) {
+          links.push({ title: 'My Custody', path: `/${user.role}/dashboard` });
+        }
         break;
     }
 
@@ -79,6 +94,36 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
     setAnchorElUser(null);
   };
 
+  const handleOpenNotifications = (event) => {
+    setAnchorElNotifications(event.currentTarget);
+  };
+
+  const handleCloseNotifications = () => {
+    setAnchorElNotifications(null);
+  };
+
+  const handleOpenNotification = async (notification) => {
+    handleCloseNotifications();
+    if (!notification.readAt) {
+      try {
+        await markRead(notification._id);
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllRead();
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     disconnectWallet();
@@ -98,6 +143,11 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
       farmer: 'primary',
       certifier: 'success',
       retailer: 'secondary',
+      aggregator: 'info',
+      processor: 'info',
+      distributor: 'info',
+      transporter: 'info',
+      admin: 'error',
     };
     
     return (
@@ -224,6 +274,69 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
             ))}
           </Box>
 
+          {/* Notifications */}
+          {isAuthenticated && (
+            <Box sx={{ display: 'flex', alignItems: 'center', mr: 1 }}>
+              <Tooltip title="Notifications">
+                <IconButton onClick={handleOpenNotifications} color="inherit">
+                  <Badge badgeContent={unread} color="error" max={99}>
+                    <NotificationsIcon />
+                  </Badge>
+                </IconButton>
+              </Tooltip>
+              <Menu
+                sx={{ mt: '45px' }}
+                anchorEl={anchorElNotifications}
+                anchorOrigin={{
+                  vertical: 'top',
+                  horizontal: 'right',
+                }}
+                transformOrigin={{
+                  vertical: 'top',
+                  horizontal: 'right',
+                }}
+                open={Boolean(anchorElNotifications)}
+                onClose={handleCloseNotifications}
+                PaperProps={{ sx: { width: 360, maxWidth: '100%' } }}
+              >
+                <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <Typography variant="subtitle1">Notifications</Typography>
+                  <Button size="small" onClick={handleMarkAllRead} disabled={!unread}>
+                    Mark all read
+                  </Button>
+                </Box>
+                <Divider />
+                {recent.length === 0 && (
+                  <MenuItem disabled>
+                    <Typography variant="body2">No notifications yet</Typography>
+                  </MenuItem>
+                )}
+                {recent.map((notification) => (
+                  <MenuItem
+                    key={notification._id}
+                    onClick={() => handleOpenNotification(notification)}
+                    sx={{ whiteSpace: 'normal', bgcolor: notification.readAt ? undefined : 'action.hover' }}
+                  >
+                    <ListItemText
+                      primary={notification.title}
+                      secondary={`${notification.message || ''} · ${new Date(notification.createdAt).toLocaleString()}`}
+                      primaryTypographyProps={{ fontWeight: notification.readAt ? 'normal' : 'bold' }}
+                    />
+                  </MenuItem>
+                ))}
+                <Divider />
+                <MenuItem onClick={() => {
+                  handleCloseNotifications();
+                  navigate('/notifications');
+                }}>
+                  <Typography variant="body2" color="primary" sx={{ width: '100%', textAlign: 'center' }}>
+                    View all notifications
+                  </Typography>
+                </MenuItem>
+              </Menu>
+            </Box>
+          )}
+
           {/* Dark Mode Toggle */}
           <Box sx={{ display: 'flex', alignItems: 'center', mr: 2 }}>
             <Tooltip title={darkMode ? 'Light Mode' : 'Dark Mode'}>
@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Chip,
+  Tabs,
+  Tab,
+  CircularProgress,
+  Alert,
+  Divider,
+  Avatar,
+  Checkbox,
+  FormControlLabel,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import {
+  Inventory,
+  History,
+  SwapHoriz,
+  LocalShipping,
+  MergeType,
+} from '@mui/icons-material';
+
+import { useAuth } from '../../contexts/AuthContext';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+import { ONCHAIN_ROLE_IDS, ROLE_LABELS } from '../../utils/roles';
+import { canTransition, compareShelfLife } from '../../utils/batchLifecycle';
+import TransferCustodyDialog from './TransferCustodyDialog';
+import MergeBatchesDialog from './MergeBatchesDialog';
+import RecallBanner from '../batch/RecallBanner';
+import ShelfLifeChip from '../batch/ShelfLifeChip';
+import ShelfLifeFilter, { filterByShelfLife } from '../batch/ShelfLifeFilter';
+
+// Shared dashboard for aggregators, processors, distributors and transporters
+const CustodyDashboard = ({ role, description, icon }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { account, contracts } = useWeb3();
+
+  const [tabValue, setTabValue] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [heldBatches, setHeldBatches] = useState([]);
+  const [handledBatches, setHandledBatches] = useState([]);
+  const [isRegisteredOnchain, setIsRegisteredOnchain] = useState(true);
+  const [registering, setRegistering] = useState(false);
+  const [transferBatchId, setTransferBatchId] = useState(null);
+  const [selectedForMerge, setSelectedForMerge] = useState([]);
+  const [mergeOpen, setMergeOpen] = useState(false);
+  const [sortBy, setSortBy] = useState('date'); // 'date', 'shelfLife'
+  const [shelfLifeFilter, setShelfLifeFilter] = useState('all');
+
+  const roleLabel = ROLE_LABELS[role];
+
+  const fetchCustodyData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Fetch batches currently held by this wallet
+      const heldResponse = await batchAPI.getCustodianBatches(account);
+      setHeldBatches(Array.isArray(heldResponse.data) ? heldResponse.data : []);
+
+      // Fetch every batch that passed through this wallet
+      const handledResponse = await batchAPI.getHandledBatches(account);
+      setHandledBatches(Array.isArray(handledResponse.data) ? handledResponse.data : []);
+    } catch (err) {
+      console.error(`Error fetching ${role} data:`, err);
+      setError(`Failed to load ${role} dashboard. Please try again.`);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, role]);
+
+  useEffect(() => {
+    if (!account) return;
+    fetchCustodyData();
+  }, [account, fetchCustodyData]);
+
+  // Check on-chain role/registration
+  useEffect(() => {
+    const checkRole = async () => {
+      try {
+        if (!contracts.agriChain || !account) return;
+        const userInfo = await contracts.agriChain.methods.users(account).call();
+        const roleVal = Number(userInfo.role ?? userInfo[1]);
+        const registered = Boolean(userInfo.isRegistered ?? userInfo[2]);
+        setIsRegisteredOnchain(registered && roleVal === ONCHAIN_ROLE_IDS[role]);
+      } catch (e) {
+        // Best-effort; don't block UI
+        console.warn('Unable to fetch on-chain user role:', e);
+      }
+    };
+    checkRole();
+  }, [contracts.agriChain, account, role]);
+
+  const handleRegister = async () => {
+    try {
+      setRegistering(true);
+      setError(null);
+      if (!contracts.agriChain || !account) throw new Error('Wallet not connected');
+      await contracts.agriChain.methods.registerUser(ONCHAIN_ROLE_IDS[role]).send({ from: account });
+      setIsRegisteredOnchain(true);
+    } catch (e) {
+      const detailed = e?.data?.message || e?.error?.message || e?.message;
+      setError(detailed || `Failed to register as ${roleLabel}`);
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const handleViewBatch = (batchId) => {
+    navigate(`/batch/${batchId}`);
+  };
+
+  const toggleMergeSelection = (batchId) => {
+    setSelectedForMerge(selected => (
+      selected.includes(batchId)
+        ? selected.filter(id => id !== batchId)
+        : [...selected, batchId]
+    ));
+  };
+
+  const handleMerged = () => {
+    setSelectedForMerge([]);
+    fetchCustodyData();
+  };
+
+  // Apply the shelf life filter and sort, keeping the API's order otherwise
+  const arrangeBatches = (batches) => {
+    const filtered = filterByShelfLife(batches, shelfLifeFilter);
+    return sortBy === 'shelfLife' ? [...filtered].sort(compareShelfLife) : filtered;
+  };
+
+  const renderBatchCards = (batches) => {
+    if (batches.length === 0) {
+      return (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          No batches found in this category
+        </Alert>
+      );
+    }
+
+    return (
+      <Grid container spacing={3}>
+        {batches.map((batch) => {
+          const canTransfer = canTransition('transfer', batch.status) &&
+            batch.custodian?.toLowerCase() === account?.toLowerCase() &&
+            batch.quantity !== 0;
+
+          return (
+            <Grid item xs={12} sm={6} md={4} key={batch.batchId}>
+              <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <RecallBanner batch={batch} compact />
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                    <Typography variant="h6" component="h3">
+                      {batch.cropName}
+                    </Typography>
+                    <Chip
+                      label={`ID: ${batch.batchId}`}
+                      size="small"
+                      color="primary"
+                      variant="outlined"
+                    />
+                  </Box>
+                  <ShelfLifeChip batch={batch} sx={{ mb: 1 }} />
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    Variety: {batch.cropVariety}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    Location: {batch.location}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    Quantity: {batch.quantity ?? 'N/A'} {batch.unit}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    Status: {batch.status}
+                  </Typography>
+                  <Divider sx={{ my: 1 }} />
+                  <Typography variant="body2" gutterBottom>
+                    <strong>Farmer:</strong> {shortenAddress(batch.farmer)}
+                  </Typography>
+                  <Typography variant="body2">
+                    <strong>Current holder:</strong> {shortenAddress(batch.custodian || batch.farmer)}
+                  </Typography>
+                  {canTransfer && (
+                    <FormControlLabel
+                      sx={{ mt: 1 }}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={selectedForMerge.includes(batch.batchId)}
+                          onChange={() => toggleMergeSelection(batch.batchId)}
+                          disabled={!isRegisteredOnchain}
+                        />
+                      }
+                      label="Select for merge"
+                    />
+                  )}
+                </CardContent>
+                <CardActions>
+                  {canTransfer && (
+                    <Button
+                      variant="contained"
+                      color="primary"
+                      size="small"
+                      startIcon={<SwapHoriz />}
+                      onClick={() => setTransferBatchId(batch.batchId)}
+                      disabled={!isRegisteredOnchain}
+                    >
+                      Transfer
+                    </Button>
+                  )}
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    startIcon={<History />}
+                    onClick={() => handleViewBatch(batch.batchId)}
+                    fullWidth={!canTransfer}
+                  >
+                    View Details
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          );
+        })}
+      </Grid>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ mt: 4, textAlign: 'center' }}>
+        <CircularProgress />
+        <Typography sx={{ mt: 2 }}>Loading {role} dashboard...</Typography>
+      </Container>
+    );
+  }
+
+  const passedOn = handledBatches.filter(
+    batch => batch.custodian?.toLowerCase() !== account?.toLowerCase()
+  ).length;
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 8 }}>
+      <Paper elevation={3} sx={{ p: 4, borderRadius: 2, mb: 4 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {roleLabel} Dashboard
+        </Typography>
+        <Typography variant="body1" color="text.secondary" paragraph>
+          {description}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 4 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!isRegisteredOnchain && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 4 }}
+            action={
+              <Button color="inherit" size="small" onClick={handleRegister} disabled={registering}>
+                {registering ? 'Registering...' : 'Register'}
+              </Button>
+            }
+          >
+            Your wallet is not registered on-chain as {roleLabel.toLowerCase()}, so batches cannot be handed to you yet.
+          </Alert>
+        )}
+
+        {/* Statistics Cards */}
+        <Grid container spacing={3} sx={{ mb: 4 }}>
+          <Grid item xs={12} sm={4}>
+            <StatsCard
+              icon={<Inventory fontSize="large" />}
+              title="In Your Custody"
+              value={heldBatches.length}
+              color="#4caf50"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <StatsCard
+              icon={<SwapHoriz fontSize="large" />}
+              title="Passed On"
+              value={passedOn}
+              color="#2196f3"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <StatsCard
+              icon={<LocalShipping fontSize="large" />}
+              title="Total Handled"
+              value={handledBatches.length}
+              color="#ff9800"
+            />
+          </Grid>
+        </Grid>
+
+        {/* Profile */}
+        <Paper variant="outlined" sx={{ p: 2, mb: 4 }}>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Avatar sx={{ bgcolor: 'primary.main', mr: 2 }}>
+                  {icon}
+                </Avatar>
+                <Box>
+                  <Typography variant="h6">{user?.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">{roleLabel}</Typography>
+                </Box>
+              </Box>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" gutterBottom>
+                <strong>ID:</strong> {user?.userId || 'N/A'}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Location:</strong> {user?.location || 'N/A'}
+              </Typography>
+              <Typography variant="body2">
+                <strong>Wallet:</strong> {shortenAddress(account)}
+              </Typography>
+            </Grid>
+          </Grid>
+        </Paper>
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Sort by"
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="date">Newest first</MenuItem>
+            <MenuItem value="shelfLife">Shelf life remaining</MenuItem>
+          </TextField>
+          <ShelfLifeFilter value={shelfLifeFilter} onChange={setShelfLifeFilter} />
+        </Box>
+
+        <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
+          <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} aria-label="batch tabs">
+            <Tab
+              label={`In Your Custody (${heldBatches.length})`}
+              icon={<Inventory />}
+              iconPosition="start"
+            />
+            <Tab
+              label={`Handled (${handledBatches.length})`}
+              icon={<History />}
+              iconPosition="start"
+            />
+          </Tabs>
+        </Box>
+
+        <Box sx={{ mt: 3 }}>
+          {tabValue === 0 && selectedForMerge.length > 0 && (
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<MergeType />}
+                onClick={() => setMergeOpen(true)}
+                disabled={selectedForMerge.length < 2}
+              >
+                Merge Selected ({selectedForMerge.length})
+              </Button>
+            </Box>
+          )}
+          {tabValue === 0 && renderBatchCards(arrangeBatches(heldBatches))}
+          {tabValue === 1 && renderBatchCards(arrangeBatches(handledBatches))}
+        </Box>
+      </Paper>
+
+      <TransferCustodyDialog
+        open={Boolean(transferBatchId)}
+        batchId={transferBatchId}
+        onClose={() => setTransferBatchId(null)}
+        onTransferred={fetchCustodyData}
+      />
+
+      <MergeBatchesDialog
+        open={mergeOpen}
+        batches={heldBatches.filter(batch => selectedForMerge.includes(batch.batchId))}
+        onClose={() => setMergeOpen(false)}
+        onMerged={handleMerged}
+      />
+    </Container>
+  );
+};
+
+// Stats Card Component
+const StatsCard = ({ icon, title, value, color }) => (
+  <Paper
+    elevation={1}
+    sx={{
+      p: 2,
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100%',
+      borderLeft: `4px solid ${color}`
+    }}
+  >
+    <Box sx={{ color, mb: 1 }}>
+      {icon}
+    </Box>
+    <Typography variant="h4" component="div">
+      {value}
+    </Typography>
+    <Typography variant="body2" color="text.secondary">
+      {title}
+    </Typography>
+  </Paper>
+);
+
+export default CustodyDashboard;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Box,
+  CircularProgress,
+} from '@mui/material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+import { toBaseUnits } from '../../utils/paymentTokens';
+
+const MergeBatchesDialog = ({ open, batches, onClose, onMerged }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [batchId, setBatchId] = useState('');
+  const [price, setPrice] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const units = [...new Set(batches.map(batch => batch.unit))];
+  const currencies = [...new Set(batches.map(batch => batch.paymentSymbol || 'ETH'))];
+  const totalQuantity = batches.reduce((sum, batch) => sum + (Number(batch.quantity) || 0), 0);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setBatchId('');
+    setPrice('');
+    setError(null);
+    onClose();
+  };
+
+  const handleMerge = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      if (!web3 || !account || !contracts.agriChain) {
+        throw new Error('Wallet not connected or contract not initialized');
+      }
+      if (batches.length < 2) {
+        throw new Error('Select at least two batches to merge');
+      }
+      if (units.length > 1) {
+        throw new Error('Only batches measured in the same unit can be merged');
+      }
+      if (currencies.length > 1) {
+        throw new Error('Only batches priced in the same currency can be merged');
+      }
+
+      const childId = batchId.trim();
+      if (!childId || price === '') {
+        throw new Error('Please fill in all fields');
+      }
+
+      const parentIds = batches.map(batch => web3.utils.keccak256(String(batch.batchId)));
+      const priceInWei = toBaseUnits(web3, price, batches[0].paymentDecimals);
+
+      const mergeTx = await contracts.agriChain.methods
+        .mergeBatches(parentIds, childId, priceInWei)
+        .send({ from: account, gas: 800000 + 150000 * parentIds.length });
+
+      // Record the merged lot in the backend
+      await batchAPI.mergeBatches({
+        batchId: childId,
+        holder: account,
+        transactionHash: mergeTx.transactionHash,
+      });
+
+      setBatchId('');
+      setPrice('');
+      onMerged && onMerged(childId);
+      onClose();
+    } catch (err) {
+      console.error('Error merging batches:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.message;
+      setError(detailed || 'Failed to merge batches. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Merge {batches.length} Batches</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Combine the selected lots into a new batch of {totalQuantity} {units[0]}.
+          The new batch lists you as its producer and needs a fresh certification.
+        </DialogContentText>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          {batches.map(batch => (
+            <Chip key={batch.batchId} label={`#${batch.batchId} · ${batch.quantity} ${batch.unit}`} size="small" />
+          ))}
+        </Box>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {units.length > 1 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The selected batches use different units ({units.join(', ')}) and cannot be merged.
+          </Alert>
+        )}
+        {currencies.length > 1 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The selected batches are priced in different currencies ({currencies.join(', ')}) and cannot be merged.
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="New batch ID"
+          value={batchId}
+          onChange={(e) => setBatchId(e.target.value)}
+          disabled={submitting}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          label={`Price (${currencies[0] || 'ETH'})`}
+          type="number"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          disabled={submitting}
+          InputProps={{ inputProps: { min: 0, step: 0.001 } }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleMerge}
+          disabled={submitting || units.length > 1 || currencies.length > 1}
+          startIcon={submitting ? <CircularProgress size={18} /> : null}
+        >
+          {submitting ? 'Merging...' : 'Merge'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MergeBatchesDialog;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Box,
+  IconButton,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+
+const emptyLot = () => ({ batchId: '', quantity: '' });
+
+const SplitBatchDialog = ({ open, batch, onClose, onSplit }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [lots, setLots] = useState([emptyLot()]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const available = Number(batch?.quantity) || 0;
+  const allocated = lots.reduce((sum, lot) => sum + (Number(lot.quantity) || 0), 0);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setLots([emptyLot()]);
+    setError(null);
+    onClose();
+  };
+
+  const handleLotChange = (index, field, value) => {
+    setLots(lots.map((lot, i) => (i === index ? { ...lot, [field]: value } : lot)));
+  };
+
+  const handleSplit = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      if (!web3 || !account || !contracts.agriChain) {
+        throw new Error('Wallet not connected or contract not initialized');
+      }
+
+      const childIds = lots.map(lot => lot.batchId.trim());
+      const quantities = lots.map(lot => Number(lot.quantity));
+
+      if (childIds.some(id => !id)) {
+        throw new Error('Every new lot needs a batch ID');
+      }
+      if (new Set(childIds).size !== childIds.length) {
+        throw new Error('Batch IDs of the new lots must be unique');
+      }
+      if (quantities.some(quantity => !Number.isInteger(quantity) || quantity <= 0)) {
+        throw new Error('Quantities must be positive whole numbers');
+      }
+      if (allocated > available) {
+        throw new Error(`Only ${available} ${batch.unit} are available to split`);
+      }
+
+      const onchainBatchId = web3.utils.keccak256(String(batch.batchId));
+      const splitTx = await contracts.agriChain.methods
+        .splitBatch(onchainBatchId, childIds, quantities)
+        .send({ from: account, gas: 600000 + 400000 * childIds.length });
+
+      // Update backend with the new lots
+      await batchAPI.splitBatch(batch.batchId, {
+        holder: account,
+        transactionHash: splitTx.transactionHash,
+      });
+
+      setLots([emptyLot()]);
+      onSplit && onSplit(childIds);
+      onClose();
+    } catch (err) {
+      console.error('Error splitting batch:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.message;
+      setError(detailed || 'Failed to split batch. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Split Batch #{batch?.batchId}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Carve new lots out of this batch. Each lot keeps the crop details and certification,
+          and any remainder stays in batch #{batch?.batchId}.
+        </DialogContentText>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {lots.map((lot, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+            <TextField
+              label="New batch ID"
+              value={lot.batchId}
+              onChange={(e) => handleLotChange(index, 'batchId', e.target.value)}
+              disabled={submitting}
+              sx={{ flex: 2 }}
+            />
+            <TextField
+              label={`Quantity (${batch?.unit || 'units'})`}
+              type="number"
+              value={lot.quantity}
+              onChange={(e) => handleLotChange(index, 'quantity', e.target.value)}
+              disabled={submitting}
+              InputProps={{ inputProps: { min: 1, step: 1 } }}
+              sx={{ flex: 1 }}
+            />
+            <IconButton
+              aria-label="remove lot"
+              onClick={() => setLots(lots.filter((_, i) => i !== index))}
+              disabled={submitting || lots.length === 1}
+            >
+              <Delete />
+            </IconButton>
+          </Box>
+        ))}
+        <Button
+          size="small"
+          startIcon={<Add />}
+          onClick={() => setLots([...lots, emptyLot()])}
+          disabled={submitting}
+        >
+          Add lot
+        </Button>
+        <Typography variant="body2" color={allocated > available ? 'error' : 'text.secondary'} sx={{ mt: 2 }}>
+          Remaining in this batch: {available - allocated} {batch?.unit}
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSplit}
+          disabled={submitting}
+          startIcon={submitting ? <CircularProgress size={18} /> : null}
+        >
+          {submitting ? 'Splitting...' : 'Split'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SplitBatchDialog;
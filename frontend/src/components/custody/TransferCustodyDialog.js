@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI } from '../../services/api';
+import { isValidAddress } from '../../utils/web3Utils';
+import { CUSTODY_ROLES, ONCHAIN_ROLE_IDS } from '../../utils/roles';
+
+const CUSTODY_ROLE_IDS = CUSTODY_ROLES.map(role => ONCHAIN_ROLE_IDS[role]);
+
+const TransferCustodyDialog = ({ open, batchId, onClose, onTransferred }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [recipient, setRecipient] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setRecipient('');
+    setError(null);
+    onClose();
+  };
+
+  const handleTransfer = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      if (!web3 || !account || !contracts.agriChain) {
+        throw new Error('Wallet not connected or contract not initialized');
+      }
+
+      const to = recipient.trim().toLowerCase();
+      if (!isValidAddress(to, web3)) {
+        throw new Error('Enter a valid wallet address');
+      }
+
+      // Check the recipient first so the transaction does not revert
+      const recipientInfo = await contracts.agriChain.methods.users(to).call();
+      const registered = Boolean(recipientInfo.isRegistered ?? recipientInfo[2]);
+      const roleVal = Number(recipientInfo.role ?? recipientInfo[1]);
+      if (!registered || !CUSTODY_ROLE_IDS.includes(roleVal)) {
+        throw new Error('Recipient must be registered on-chain as an aggregator, processor, distributor or transporter');
+      }
+
+      const onchainBatchId = web3.utils.keccak256(String(batchId));
+      const transferTx = await contracts.agriChain.methods
+        .transferCustody(onchainBatchId, to)
+        .send({ from: account, gas: 250000 });
+
+      // Update backend with the new custodian
+      await batchAPI.transferCustody(batchId, {
+        from: account,
+        to,
+        transactionHash: transferTx.transactionHash,
+      });
+
+      setRecipient('');
+      onTransferred && onTransferred(to);
+      onClose();
+    } catch (err) {
+      console.error('Error transferring custody:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.message;
+      setError(detailed || 'Failed to transfer custody. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Transfer Custody of Batch #{batchId}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Hand this batch to the next aggregator, processor, distributor or transporter.
+          The batch token moves to their wallet and the hop is recorded on-chain.
+        </DialogContentText>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="Recipient wallet address"
+          placeholder="0x..."
+          value={recipient}
+          onChange={(e) => setRecipient(e.target.value)}
+          disabled={submitting}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleTransfer}
+          disabled={submitting || !recipient}
+          startIcon={submitting ? <CircularProgress size={18} /> : null}
+        >
+          {submitting ? 'Transferring...' : 'Transfer'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TransferCustodyDialog;
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Box,
+  Grid,
+  MenuItem,
+  Chip,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+} from '@mui/material';
+import { UploadFile, Science, Gavel } from '@mui/icons-material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { batchAPI, inspectionAPI } from '../../services/api';
+import {
+  GRADES,
+  CHECK_LABELS,
+  MAX_REPORTS,
+  ACCEPTED_REPORT_TYPES,
+  hashReportFile,
+  describeLimit,
+} from '../../utils/inspections';
+
+const EMPTY_MEASUREMENTS = { pesticideResidue: '', moisture: '', grade: 'A' };
+
+// Record a structured inspection: upload lab reports, evaluate against the crop
+// thresholds, anchor the record hash on-chain and save it to the backend
+const InspectionDialog = ({ open, batch, onClose, onRecorded }) => {
+  const { web3, account, contracts } = useWeb3();
+
+  const [measurements, setMeasurements] = useState(EMPTY_MEASUREMENTS);
+  const [notes, setNotes] = useState('');
+  const [files, setFiles] = useState([]);
+  const [thresholds, setThresholds] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !batch) return;
+    inspectionAPI.getThresholds(batch.cropName)
+      .then(response => setThresholds(response.data))
+      .catch(err => console.warn('Unable to load inspection thresholds:', err));
+  }, [open, batch]);
+
+  const reset = () => {
+    setMeasurements(EMPTY_MEASUREMENTS);
+    setNotes('');
+    setFiles([]);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onClose();
+  };
+
+  // Any edit invalidates the evaluated record and its hash
+  const handleMeasurementChange = (e) => {
+    setMeasurements({ ...measurements, [e.target.name]: e.target.value });
+    setPreview(null);
+  };
+
+  const handleFilesChange = (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length + selected.length > MAX_REPORTS) {
+      setError(`An inspection can include at most ${MAX_REPORTS} lab reports`);
+      return;
+    }
+    setFiles([...files, ...selected]);
+    setPreview(null);
+  };
+
+  const inspectionBody = (reportHashes) => ({
+    measurements,
+    notes,
+    reportHashes,
+  });
+
+  const handleEvaluate = async () => {
+    try {
+      setBusy('evaluate');
+      setError(null);
+
+      // Upload every report and make sure the server stored exactly these bytes
+      const reportHashes = [];
+      for (const file of files) {
+        const [localHash, response] = await Promise.all([
+          hashReportFile(file),
+          inspectionAPI.uploadReport(file),
+        ]);
+        if (response.data.hash !== localHash) {
+          throw new Error(`The server stored a different copy of ${file.name}`);
+        }
+        reportHashes.push(localHash);
+      }
+
+      const response = await batchAPI.previewInspection(batch.batchId, inspectionBody(reportHashes));
+      setPreview(response.data);
+    } catch (err) {
+      console.error('Error evaluating inspection:', err);
+      setError(err?.response?.data?.message || err?.message || 'Failed to evaluate inspection');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRecord = async () => {
+    try {
+      setBusy('record');
+      setError(null);
+
+      if (!web3 || !account) {
+        throw new Error('Wallet not connected');
+      }
+      if (!contracts.inspectionRegistry) {
+        throw new Error('InspectionRegistry address is not configured');
+      }
+
+      const onchainBatchId = web3.utils.keccak256(String(batch.batchId));
+      const recordTx = await contracts.inspectionRegistry.methods
+        .recordInspection(onchainBatchId, preview.dataHash, preview.reportHashes, preview.passed)
+        .send({ from: account, gas: 250000 + 60000 * preview.reportHashes.length });
+
+      const response = await batchAPI.recordInspection(batch.batchId, {
+        ...inspectionBody(preview.reportHashes),
+        inspector: account,
+        transactionHash: recordTx.transactionHash,
+      });
+
+      reset();
+      onClose();
+      if (onRecorded) onRecorded(response.data.inspection);
+    } catch (err) {
+      console.error('Error recording inspection:', err);
+      const detailed = err?.response?.data?.message || err?.data?.message || err?.error?.message || err?.message;
+      setError(detailed || 'Failed to record inspection');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const complete = measurements.pesticideResidue !== '' && measurements.moisture !== '' && measurements.grade;
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Inspect Batch #{batch?.batchId}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Measurements are checked against the thresholds for {batch?.cropName}. The record and the SHA-256 of
+          every lab report are anchored on-chain so they cannot be swapped later.
+        </DialogContentText>
+
+        {!contracts.inspectionRegistry && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            No InspectionRegistry address is configured. Set REACT_APP_INSPECTION_REGISTRY_ADDRESS or save it on the
+            Debug page.
+          </Alert>
+        )}
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              type="number"
+              name="pesticideResidue"
+              label="Pesticide residue"
+              value={measurements.pesticideResidue}
+              onChange={handleMeasurementChange}
+              disabled={Boolean(busy)}
+              inputProps={{ min: 0, step: 'any' }}
+              helperText={thresholds ? `mg/kg, max ${thresholds.maxPesticideResidue}` : 'mg/kg'}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              type="number"
+              name="moisture"
+              label="Moisture"
+              value={measurements.moisture}
+              onChange={handleMeasurementChange}
+              disabled={Boolean(busy)}
+              inputProps={{ min: 0, max: 100, step: 'any' }}
+              helperText={thresholds ? `%, max ${thresholds.maxMoisture}` : '%'}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              name="grade"
+              label="Grade"
+              value={measurements.grade}
+              onChange={handleMeasurementChange}
+              disabled={Boolean(busy)}
+              helperText={thresholds ? `${thresholds.minGrade} or better` : ' '}
+            >
+              {GRADES.map(grade => (
+                <MenuItem key={grade} value={grade}>{grade}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              rows={2}
+              label="Notes"
+              value={notes}
+              onChange={(e) => { setNotes(e.target.value); setPreview(null); }}
+              disabled={Boolean(busy)}
+            />
+          </Grid>
+        </Grid>
+
+        <Box sx={{ mt: 2 }}>
+          <Button component="label" variant="outlined" startIcon={<UploadFile />} disabled={Boolean(busy)}>
+            Add lab reports
+            <input hidden type="file" multiple accept={ACCEPTED_REPORT_TYPES} onChange={handleFilesChange} />
+          </Button>
+          <Typography variant="caption" color="text.secondary" sx={{ ml: 2 }}>
+            PDF, PNG, JPEG or WebP
+          </Typography>
+          {files.length > 0 && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+              {files.map((file, index) => (
+                <Chip
+                  key={`${file.name}-${index}`}
+                  label={file.name}
+                  size="small"
+                  onDelete={busy ? undefined : () => {
+                    setFiles(files.filter((_, i) => i !== index));
+                    setPreview(null);
+                  }}
+                />
+              ))}
+            </Box>
+          )}
+        </Box>
+
+        {preview && (
+          <Box sx={{ mt: 2 }}>
+            <Alert severity={preview.passed ? 'success' : 'error'} sx={{ mb: 1 }}>
+              This inspection {preview.passed ? 'passes' : 'fails'} the thresholds for {batch.cropName}.
+            </Alert>
+            <List dense>
+              {preview.checks.map(check => (
+                <ListItem key={check.name}>
+                  <ListItemText
+                    primary={`${CHECK_LABELS[check.name] || check.name}: ${check.value}`}
+                    secondary={`Limit ${describeLimit(check)}`}
+                  />
+                  <Chip size="small" color={check.passed ? 'success' : 'error'} label={check.passed ? 'Pass' : 'Fail'} />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={Boolean(busy)}>
+          Cancel
+        </Button>
+        {preview ? (
+          <Button
+            variant="contained"
+            onClick={handleRecord}
+            disabled={Boolean(busy) || !contracts.inspectionRegistry}
+            startIcon={busy === 'record' ? <CircularProgress size={16} color="inherit" /> : <Gavel />}
+          >
+            Record on-chain
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            onClick={handleEvaluate}
+            disabled={Boolean(busy) || !complete}
+            startIcon={busy === 'evaluate' ? <CircularProgress size={16} color="inherit" /> : <Science />}
+          >
+            Evaluate
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InspectionDialog;
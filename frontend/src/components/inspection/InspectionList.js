@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Link,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  CircularProgress,
+} from '@mui/material';
+import { CheckCircle, Cancel, Description, Verified, ErrorOutline } from '@mui/icons-material';
+
+import { useWeb3 } from '../../contexts/Web3Context';
+import { inspectionAPI } from '../../services/api';
+import { shortenAddress } from '../../utils/web3Utils';
+import { CHECK_LABELS, hashReportFile, describeLimit } from '../../utils/inspections';
+
+const VERIFY_RESULTS = {
+  verified: { color: 'success', label: 'Verified on-chain', icon: <Verified /> },
+  mismatch: { color: 'error', label: 'File does not match its hash', icon: <ErrorOutline /> },
+  unanchored: { color: 'error', label: 'Not anchored for this batch', icon: <ErrorOutline /> },
+  unknown: { color: 'warning', label: 'Could not check the chain', icon: <ErrorOutline /> },
+  failed: { color: 'warning', label: 'Download failed', icon: <ErrorOutline /> },
+};
+
+// Inspections of a batch with their checks and lab reports; each report can be
+// re-hashed in the browser and checked against the hash anchored on-chain
+const InspectionList = ({ batchId, inspections }) => {
+  const { web3, contracts } = useWeb3();
+  const [results, setResults] = useState({});
+  const [checking, setChecking] = useState(null);
+
+  const isAnchored = async (hash) => {
+    if (web3 && contracts.inspectionRegistry) {
+      const onchainBatchId = web3.utils.keccak256(String(batchId));
+      return contracts.inspectionRegistry.methods.reportAnchored(onchainBatchId, hash).call();
+    }
+    // Without a wallet, ask the backend to read the contract
+    const response = await inspectionAPI.verifyReport(hash, batchId);
+    return response.data.anchored;
+  };
+
+  const verifyReport = async (hash) => {
+    setChecking(hash);
+    let result;
+    try {
+      const response = await fetch(inspectionAPI.getReportUrl(hash));
+      if (!response.ok) {
+        result = 'failed';
+      } else if (await hashReportFile(await response.blob()) !== hash) {
+        result = 'mismatch';
+      } else {
+        const anchored = await isAnchored(hash);
+        result = anchored === null ? 'unknown' : anchored ? 'verified' : 'unanchored';
+      }
+    } catch (err) {
+      console.error('Error verifying lab report:', err);
+      result = 'unknown';
+    }
+    setResults(prev => ({ ...prev, [hash]: result }));
+    setChecking(null);
+  };
+
+  if (!inspections.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No inspections recorded yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {inspections.map((inspection, index) => (
+        <Card key={inspection._id || index} variant="outlined">
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle1">
+                Inspection {index + 1} · {new Date(inspection.inspectedAt).toLocaleString()}
+              </Typography>
+              <Chip
+                size="small"
+                icon={inspection.passed ? <CheckCircle /> : <Cancel />}
+                color={inspection.passed ? 'success' : 'error'}
+                label={inspection.passed ? 'Passed' : 'Failed'}
+              />
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              Inspector: {shortenAddress(inspection.inspector)}
+              {inspection.transactionHash && ` · Tx ${shortenAddress(inspection.transactionHash)}`}
+            </Typography>
+
+            <Table size="small" sx={{ my: 1 }}>
+              <TableBody>
+                {(inspection.checks || []).map(check => (
+                  <TableRow key={check.name}>
+                    <TableCell>{CHECK_LABELS[check.name] || check.name}</TableCell>
+                    <TableCell>{check.value}</TableCell>
+                    <TableCell>{describeLimit(check)}</TableCell>
+                    <TableCell align="right">
+                      {check.passed
+                        ? <CheckCircle color="success" fontSize="small" />
+                        : <Cancel color="error" fontSize="small" />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {inspection.notes && (
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                <strong>Notes:</strong> {inspection.notes}
+              </Typography>
+            )}
+
+            {(inspection.reports || []).map(report => {
+              const result = VERIFY_RESULTS[results[report.hash]];
+              return (
+                <Box key={report.hash} sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+                  <Description fontSize="small" color="action" />
+                  <Link href={inspectionAPI.getReportUrl(report.hash)} target="_blank" rel="noopener noreferrer">
+                    {report.filename}
+                  </Link>
+                  <Typography variant="caption" color="text.secondary" title={report.hash}>
+                    {shortenAddress(report.hash)}
+                  </Typography>
+                  {result ? (
+                    <Chip size="small" color={result.color} icon={result.icon} label={result.label} />
+                  ) : (
+                    <Button
+                      size="small"
+                      onClick={() => verifyReport(report.hash)}
+                      disabled={Boolean(checking)}
+                      startIcon={checking === report.hash ? <CircularProgress size={14} /> : <Verified />}
+                    >
+                      Verify
+                    </Button>
+                  )}
+                </Box>
+              );
+            })}
+          </CardContent>
+        </Card>
+      ))}
+    </Box>
+  );
+};
+
+export default InspectionList;
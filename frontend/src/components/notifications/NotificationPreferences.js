@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Switch,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Tune } from '@mui/icons-material';
+
+import { notificationAPI } from '../../services/api';
+
+// Which notification types the current user receives in the app and by email
+const NotificationPreferences = () => {
+  const [types, setTypes] = useState({});
+  const [preferences, setPreferences] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchPreferences = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await notificationAPI.getPreferences();
+      setTypes(response.data.types);
+      setPreferences(response.data.preferences);
+    } catch (err) {
+      console.error('Error fetching notification preferences:', err);
+      setError(err?.response?.data?.message || 'Failed to load notification preferences.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
+  const handleToggle = async (type, channel, enabled) => {
+    try {
+      setBusy(`${type}.${channel}`);
+      setError(null);
+      const response = await notificationAPI.updatePreferences({ [type]: { [channel]: enabled } });
+      setPreferences(response.data.preferences);
+    } catch (err) {
+      console.error('Error updating notification preferences:', err);
+      setError(err?.response?.data?.message || 'Failed to update notification preferences.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderSwitch = (type, channel) => {
+    if (preferences[type]?.[channel] === undefined) {
+      return null;
+    }
+    return (
+      <Switch
+        size="small"
+        checked={preferences[type][channel]}
+        disabled={busy === `${type}.${channel}`}
+        onChange={(e) => handleToggle(type, channel, e.target.checked)}
+        inputProps={{ 'aria-label': `${types[type].label} ${channel === 'inApp' ? 'in the app' : 'by email'}` }}
+      />
+    );
+  };
+
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Tune sx={{ mr: 1 }} />
+          <Typography variant="h6">Preferences</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Choose what you are told about. Recall and expiry warnings can also be emailed.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ textAlign: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Notification</TableCell>
+                <TableCell align="center">In app</TableCell>
+                <TableCell align="center">Email</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {Object.entries(types).map(([type, definition]) => (
+                <TableRow key={type}>
+                  <TableCell>
+                    <Typography variant="body2">{definition.label}</Typography>
+                    <Typography variant="caption" color="text.secondary">{definition.description}</Typography>
+                  </TableCell>
+                  <TableCell align="center">{renderSwitch(type, 'inApp')}</TableCell>
+                  <TableCell align="center">{renderSwitch(type, 'email')}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationPreferences;
@@ -1,7 +1,6 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import api, { authAPI } from '../services/api';
 import { useWeb3 } from './Web3Context';
-import pqcrypto from '../utils/crypto/pqcrypto';
 
 const AuthContext = createContext();
 
@@ -10,10 +9,9 @@ export const useAuth = () => useContext(AuthContext);
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token') || null);
-  const [pqcSignature, setPqcSignature] = useState(localStorage.getItem('pqcSignature') || null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const { account } = useWeb3();
+  const { networkId, signMessage } = useWeb3();
 
   // Check if user is authenticated
   const isAuthenticated = !!user;
@@ -25,15 +23,10 @@ export const AuthProvider = ({ children }) => {
       setError(null);
 
       const response = await authAPI.login({ username, password });
-      const { token, user, pqcSignature } = response.data;
+      const { token, user } = response.data;
 
       setToken(token);
       setUser(user);
-      
-      // Store PQC signature if available
-      if (pqcSignature) {
-        setPqcSignature(pqcSignature);
-      }
 
       return user;
     } catch (error) {
@@ -50,13 +43,12 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       setError(null);
 
-      const response = await api.post('/auth/register', userData);
+      const response = await authAPI.register(userData);
       const { token, user } = response.data;
 
       setToken(token);
       setUser(user);
 
-      localStorage.setItem('token', token);
       return user;
     } catch (error) {
       setError(error.response?.data?.message || 'Registration failed');
@@ -66,34 +58,48 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Verify wallet address
+  // Sign in with the connected wallet: sign a one-time challenge from the backend
   const verifyWallet = async (walletAddress) => {
     try {
       setLoading(true);
       setError(null);
 
-      const response = await api.post('/auth/verify-wallet', { walletAddress });
+      const { data: challenge } = await authAPI.getWalletNonce(walletAddress, networkId ? Number(networkId) : undefined);
+      const signature = await signMessage(challenge.message);
+      const response = await authAPI.walletLogin({ walletAddress, nonce: challenge.nonce, signature });
       const { token, user } = response.data;
 
       setToken(token);
       setUser(user);
 
-      localStorage.setItem('token', token);
       return user;
     } catch (error) {
-      setError(error.response?.data?.message || 'Wallet verification failed');
+      // 4001 is the wallet's code for a request the user rejected
+      const message = error.code === 4001
+        ? 'Signature request was rejected'
+        : error.response?.data?.message || 'Wallet verification failed';
+      setError(message);
       throw error;
     } finally {
       setLoading(false);
     }
   };
 
-  // Logout
-  const logout = () => {
+  const resetAuthState = () => {
     setUser(null);
     setToken(null);
-    setPqcSignature(null);
-    authAPI.logout();
+  };
+
+  // Logout: revokes this session on the server
+  const logout = async () => {
+    await authAPI.logout();
+    resetAuthState();
+  };
+
+  // Forget the session without calling the server, e.g. once it has been revoked
+  const endSession = () => {
+    authAPI.clearSession();
+    resetAuthState();
   };
 
   // Delete account
@@ -106,8 +112,8 @@ export const AuthProvider = ({ children }) => {
         data: { walletAddress }
       });
 
-      // Logout after successful deletion
-      logout();
+      // Deleting the account revoked its sessions, so just forget ours
+      endSession();
       
       return response.data;
     } catch (error) {
@@ -138,43 +144,17 @@ export const AuthProvider = ({ children }) => {
 
   // Load user data on initial render if token exists
   useEffect(() => {
-    // Initialize PQC system if we have a signature
-    if (pqcSignature) {
-      // In a real-world scenario, we would fetch the public key from the server
-      // For now, we're just initializing the system without a key
-      pqcrypto.initPQCrypto();
-    }
-    
     if (token) {
       getUserProfile();
     } else {
       setLoading(false);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [token, pqcSignature]);
-
-  // Try to auto-connect with wallet if account is available
-  useEffect(() => {
-    const autoConnectWallet = async () => {
-      if (account && !user) {
-        try {
-          await verifyWallet(account);
-        } catch (error) {
-          console.log('Wallet not registered or other error');
-        }
-      }
-    };
-
-    if (account) {
-      autoConnectWallet();
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [account, user]);
+  }, [token]);
 
   const value = {
     user,
     token,
-    pqcSignature,
     loading,
     error,
     isAuthenticated,
@@ -182,6 +162,7 @@ export const AuthProvider = ({ children }) => {
     register,
     verifyWallet,
     logout,
+    endSession,
     deleteAccount,
   };
 
@@ -0,0 +1,129 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { notificationAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+import { signSocketChallenge } from '../utils/crypto/requestSigning';
+
+const NotificationContext = createContext();
+
+export const useNotifications = () => useContext(NotificationContext);
+
+// Notifications kept for the navbar menu
+const RECENT_LIMIT = 8;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export const NotificationProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [recent, setRecent] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [connected, setConnected] = useState(false);
+  // Last notification pushed over the socket, so open pages can react to it
+  const [latest, setLatest] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const response = await notificationAPI.getNotifications({ limit: RECENT_LIMIT });
+    setRecent(response.data.notifications);
+    setUnread(response.data.unread);
+  }, []);
+
+  // Keep a socket open while signed in, reconnecting with backoff
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setRecent([]);
+      setUnread(0);
+      return undefined;
+    }
+
+    let socket = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let closed = false;
+
+    const connect = async () => {
+      try {
+        // Goes through the API client first, so an expired access token is refreshed before
+        // it is sent over the socket, and anything missed while disconnected shows up
+        await refresh();
+      } catch (error) {
+        console.error('Error loading notifications:', error);
+      }
+      if (closed) return;
+
+      socket = new WebSocket(notificationAPI.getSocketUrl());
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        // The server opens with a nonce for this device's key to sign
+        if (message.type === 'challenge') {
+          socket.send(JSON.stringify({
+            type: 'auth',
+            token: localStorage.getItem('token'),
+            ...signSocketChallenge(message.nonce),
+          }));
+        } else if (message.type === 'ready') {
+          attempts = 0;
+          setConnected(true);
+          setUnread(message.unread);
+        } else if (message.type === 'notification') {
+          setRecent(prev => [
+            message.notification,
+            ...prev.filter(item => item._id !== message.notification._id),
+          ].slice(0, RECENT_LIMIT));
+          setUnread(message.unread);
+          setLatest(message.notification);
+        } else if (message.type === 'unread') {
+          setUnread(message.unread);
+        }
+      };
+      socket.onclose = () => {
+        setConnected(false);
+        if (closed) return;
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+        attempts += 1;
+        retryTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) {
+        socket.close();
+      }
+    };
+  }, [isAuthenticated, refresh]);
+
+  // Mark one notification as read; returns the updated notification
+  const markRead = useCallback(async (notificationId) => {
+    const response = await notificationAPI.markRead(notificationId);
+    const { notification } = response.data;
+    setRecent(prev => prev.map(item => (item._id === notification._id ? notification : item)));
+    setUnread(response.data.unread);
+    return notification;
+  }, []);
+
+  const markAllRead = useCallback(async () => {
+    await notificationAPI.markAllRead();
+    const readAt = new Date().toISOString();
+    setRecent(prev => prev.map(item => ({ ...item, readAt: item.readAt || readAt })));
+    setUnread(0);
+  }, []);
+
+  const value = {
+    recent,
+    unread,
+    connected,
+    latest,
+    refresh,
+    markRead,
+    markAllRead,
+  };
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+};
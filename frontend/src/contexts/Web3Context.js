@@ -3,6 +3,7 @@ import { Web3 } from 'web3';
 import AgriChainABI from '../contracts/AgriChain.json';
 import BatchTokenABI from '../contracts/BatchToken.json';
 import AuthenticationABI from '../contracts/Authentication.json';
+import InspectionRegistryABI from '../contracts/InspectionRegistry.json';
 
 const Web3Context = createContext();
 
@@ -16,6 +17,7 @@ export const Web3Provider = ({ children }) => {
     agriChain: null,
     batchToken: null,
     authentication: null,
+    inspectionRegistry: null,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -115,7 +117,7 @@ export const Web3Provider = ({ children }) => {
       const isNoCode = (code) => !code || code === '0x' || code === '0x0';
       if (isNoCode(agriCode) || isNoCode(tokenCode) || isNoCode(authCode)) {
         console.error('One or more addresses have no contract code:', { agriCode, tokenCode, authCode });
-        setError('Contract code not found at one or more addresses. Re-deploy and update addresses (or open the Debug page to set them), then refresh.');
+        setError('Contract code not found at one or more addresses. Re-deploy and update addresses (admins can also set them on the Debug page), then refresh.');
         return;
       }
 
@@ -143,10 +145,28 @@ export const Web3Provider = ({ children }) => {
         authenticationAddress
       );
 
+      // The inspection registry is optional; inspections are unavailable without it
+      let inspectionRegistry = null;
+      const inspectionRegistryAddress = (
+        process.env.REACT_APP_INSPECTION_REGISTRY_ADDRESS || localStorage.getItem('inspectionRegistryAddress') || ''
+      ).trim();
+      if (looksLikeAddress(inspectionRegistryAddress)) {
+        const inspectionCode = await web3Instance.eth.getCode(inspectionRegistryAddress);
+        if (isNoCode(inspectionCode)) {
+          console.warn('No contract code at the InspectionRegistry address:', inspectionRegistryAddress);
+        } else {
+          inspectionRegistry = new web3Instance.eth.Contract(
+            InspectionRegistryABI.abi,
+            inspectionRegistryAddress
+          );
+        }
+      }
+
       setContracts({
         agriChain,
         batchToken,
         authentication,
+        inspectionRegistry,
       });
     } catch (error) {
       console.error('Error initializing contracts:', error);
@@ -164,6 +184,17 @@ export const Web3Provider = ({ children }) => {
     setAccount(null);
   };
 
+  // Ask the wallet to sign a text message (personal_sign); no transaction is sent
+  const signMessage = useCallback(async (message) => {
+    if (!window.ethereum || !account) {
+      throw new Error('Connect your wallet first');
+    }
+    return window.ethereum.request({
+      method: 'personal_sign',
+      params: [Web3.utils.utf8ToHex(message), account],
+    });
+  }, [account]);
+
   useEffect(() => {
     // Auto-connect if previously connected
     if (localStorage.getItem('walletConnected') === 'true') {
@@ -191,6 +222,7 @@ export const Web3Provider = ({ children }) => {
     error,
     connectWallet,
     disconnectWallet,
+    signMessage,
   };
 
   return <Web3Context.Provider value={value}>{children}</Web3Context.Provider>;
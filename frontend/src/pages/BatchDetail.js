@@ -18,12 +18,24 @@ import {
   Card,
   CardContent,
 } from '@mui/material';
-import { VerifiedUser, Cancel, ShoppingCart, QrCode2 } from '@mui/icons-material';
+import { VerifiedUser, Cancel, ShoppingCart, QrCode2, LocalShipping, SwapHoriz, CallSplit, MergeType, ReportProblem, Download, HourglassDisabled } from '@mui/icons-material';
 import QRCode from 'qrcode.react';
 import { SvgIcon } from '@mui/material';
 import { useWeb3 } from '../contexts/Web3Context';
+import { useAuth } from '../contexts/AuthContext';
 import { format } from 'date-fns';
-import { batchAPI } from '../services/api';
+import { batchAPI, certificateAPI } from '../services/api';
+import TransferCustodyDialog from '../components/custody/TransferCustodyDialog';
+import SplitBatchDialog from '../components/custody/SplitBatchDialog';
+import LineageGraph from '../components/batch/LineageGraph';
+import EscrowPanel from '../components/batch/EscrowPanel';
+import RecallBanner from '../components/batch/RecallBanner';
+import RecallDialog from '../components/batch/RecallDialog';
+import ShelfLifeChip from '../components/batch/ShelfLifeChip';
+import InspectionList from '../components/inspection/InspectionList';
+import { getTraceUrl } from '../utils/trace';
+import { canTransition, isExpired, roleCanTransition } from '../utils/batchLifecycle';
+import { formatBatchPrice, getTokenContract, isNativeToken, toBaseUnits } from '../utils/paymentTokens';
 
 // Custom icon for farmer
 function FarmerIcon(props) {
@@ -37,14 +49,20 @@ function FarmerIcon(props) {
 const BatchDetail = () => {
   const { batchId } = useParams();
   const { web3, account, contracts } = useWeb3();
+  const { user } = useAuth();
   
   const [batch, setBatch] = useState(null);
   const [history, setHistory] = useState([]);
+  const [inspections, setInspections] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [transactionLoading, setTransactionLoading] = useState(false);
   const [transactionError, setTransactionError] = useState(null);
   const [transactionSuccess, setTransactionSuccess] = useState(false);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [splitOpen, setSplitOpen] = useState(false);
+  const [recallOpen, setRecallOpen] = useState(false);
+  const [recallResult, setRecallResult] = useState(null);
 
   useEffect(() => {
     if (batchId && web3) {
@@ -64,6 +82,10 @@ const BatchDetail = () => {
         return { color: 'error', label: 'Rejected', icon: <Cancel /> };
       case 'PURCHASED':
         return { color: 'secondary', label: 'Purchased', icon: <ShoppingCart /> };
+      case 'RECALLED':
+        return { color: 'warning', label: 'Recalled', icon: <ReportProblem /> };
+      case 'EXPIRED':
+        return { color: 'default', label: 'Expired', icon: <HourglassDisabled /> };
       default:
         return { color: 'default', label: status, icon: null };
     }
@@ -93,11 +115,14 @@ const BatchDetail = () => {
             .getBatchHistory(batchIdUint)
             .call();
           
-          batchHistory = historyData.map(item => ({
+          // Transaction hashes are only recorded off-chain, so borrow them from the backend history
+          const recorded = batchData.history || [];
+          batchHistory = historyData.map((item, index) => ({
             from: item.from,
             to: item.to,
             timestamp: new Date(Number(item.timestamp) * 1000),
-            action: item.action
+            action: item.action,
+            transactionHash: recorded[index]?.action === item.action ? recorded[index].transactionHash : undefined
           }));
         } catch (chainErr) {
           console.error('Error fetching on-chain history:', chainErr);
@@ -105,6 +130,14 @@ const BatchDetail = () => {
         }
       }
 
+      // Inspections are supplementary, so a failure here should not hide the batch
+      try {
+        const inspectionsResponse = await batchAPI.getInspections(batchId);
+        setInspections(Array.isArray(inspectionsResponse.data) ? inspectionsResponse.data : []);
+      } catch (inspectionErr) {
+        console.error('Error fetching inspections:', inspectionErr);
+      }
+
       setBatch(batchData);
       setHistory(batchHistory.length > 0 ? batchHistory : batchData.history || []);
     } catch (err) {
@@ -126,21 +159,35 @@ const BatchDetail = () => {
         throw new Error('Wallet not connected or contract not initialized');
       }
 
-      // Get batch price for the transaction value
-      const batchPrice = web3.utils.toWei(batch.price, 'ether');
+      // Get batch price in the payment token's base units
+      const batchPrice = toBaseUnits(web3, batch.price, batch.paymentDecimals);
+      const payWithToken = !isNativeToken(batch.paymentToken);
 
       // Convert batchId to uint256 hash
       const batchIdHash = web3.utils.keccak256(batchId);
       const cleanId = String(batchId).trim();
       const batchIdUint = web3.utils.keccak256(cleanId);
 
+      // Token-priced batches are pulled by the contract, so approve it first
+      if (payWithToken) {
+        const paymentToken = getTokenContract(web3, batch.paymentToken);
+        const allowance = await paymentToken.methods
+          .allowance(account, contracts.agriChain.options.address)
+          .call();
+        if (web3.utils.toBigInt(allowance) < web3.utils.toBigInt(batchPrice)) {
+          await paymentToken.methods
+            .approve(contracts.agriChain.options.address, batchPrice)
+            .send({ from: account });
+        }
+      }
+
       // Call contract method to purchase batch
       const purchaseTx = await contracts.agriChain.methods
         .purchaseBatch(batchIdUint)
         .send({ 
           from: account, 
-          value: batchPrice,
-          gas: 300000 // Set explicit gas limit
+          value: payWithToken ? '0' : batchPrice,
+          gas: 500000 // Set explicit gas limit
         });
 
       console.log('Purchase transaction:', purchaseTx);
@@ -189,6 +236,28 @@ const BatchDetail = () => {
 
   // unused placeholder removed
 
+  const custodian = batch?.custodian || batch?.farmer;
+  const canTransferCustody = Boolean(account && custodian) &&
+    custodian.toLowerCase() === account.toLowerCase() &&
+    canTransition('transfer', batch?.status) &&
+    batch?.quantity !== 0;
+  const mayRecall = roleCanTransition('recall', user?.role);
+
+  const handleDownloadRecallReport = async () => {
+    try {
+      const response = await batchAPI.downloadRecallReport(batch.batchId);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `recall-${batch.batchId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading recall report:', err);
+      setError('Failed to download the recall report.');
+    }
+  };
+
   if (loading) {
     return (
       <Container sx={{ mt: 4, textAlign: 'center' }}>
@@ -201,6 +270,7 @@ const BatchDetail = () => {
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 8 }}>
       <Paper elevation={3} sx={{ p: 4, borderRadius: 2 }}>
+        <RecallBanner batch={batch} />
         <Box sx={{ mb: 4 }}>
           <Typography variant="h4" component="h1" gutterBottom>
             Batch #{batch?.batchId}
@@ -226,8 +296,44 @@ const BatchDetail = () => {
             <Typography variant="body2" color="text.secondary">Scan to verify:</Typography>
           </Box>
           <Box sx={{ mt: 1 }}>
-            <QRCode value={String(batch?.batchId || '')} size={128} includeMargin />
+            {batch && <QRCode value={getTraceUrl(batch.batchId)} size={128} includeMargin />}
           </Box>
+          {batch && (
+            <Button size="small" href={getTraceUrl(batch.batchId)} target="_blank" rel="noopener noreferrer">
+              Open public page
+            </Button>
+          )}
+          {batch && batch.labResults && ['CERTIFIED', 'PURCHASED', 'EXPIRED'].includes(batch.status) && (
+            <Box sx={{ mt: 1 }}>
+              <Typography variant="body2" color="text.secondary">Signed certificate:</Typography>
+              <Button size="small" href={certificateAPI.getBatchCertificateUrl(batch.batchId, 'pdf')}>
+                PDF
+              </Button>
+              <Button size="small" href={certificateAPI.getBatchCertificateUrl(batch.batchId, 'json')}>
+                JSON
+              </Button>
+            </Box>
+          )}
+          {batch && mayRecall && (
+            <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {canTransition('recall', batch.status) && (
+                <Button variant="outlined" color="error" startIcon={<ReportProblem />} onClick={() => setRecallOpen(true)}>
+                  Recall Batch
+                </Button>
+              )}
+              {batch.status === 'RECALLED' && (
+                <Button variant="outlined" startIcon={<Download />} onClick={handleDownloadRecallReport}>
+                  Recall Report (CSV)
+                </Button>
+              )}
+            </Box>
+          )}
+          {recallResult && (
+            <Alert severity="success" sx={{ mt: 2 }}>
+              {recallResult.message}. {recallResult.report.batches.length} batch(es) affected;{' '}
+              {recallResult.report.retailers.length} retailer(s) hold affected stock.
+            </Alert>
+          )}
         </Box>
         
         {error && (
@@ -287,8 +393,18 @@ const BatchDetail = () => {
                       {formatDate(batch?.createdAt)}
                     </Typography>
                   </Grid>
+                  <Grid item xs={12}>
+                    <Typography variant="body2" color="text.secondary">
+                      Quantity
+                    </Typography>
+                    <Typography variant="body1" gutterBottom>
+                      {batch?.quantity === 0
+                        ? 'Fully split or merged into other batches'
+                        : `${batch?.quantity ?? 'N/A'} ${batch?.unit || ''}`}
+                    </Typography>
+                  </Grid>
                   
-                  {batch?.status === 'CERTIFIED' || batch?.status === 'PURCHASED' ? (
+                  {['CERTIFIED', 'PURCHASED', 'EXPIRED'].includes(batch?.status) ? (
                     <>
                       <Grid item xs={6}>
                         <Typography variant="body2" color="text.secondary">
@@ -305,8 +421,9 @@ const BatchDetail = () => {
                         <Typography variant="body1" gutterBottom>
                           {formatDate(batch?.expiry)}
                         </Typography>
+                        <ShelfLifeChip batch={batch} />
                       </Grid>
-                      <Grid item xs={12}>
+                      <Grid item xs={6}>
                         <Typography variant="body2" color="text.secondary">
                           Lab Results
                         </Typography>
@@ -314,13 +431,31 @@ const BatchDetail = () => {
                           {batch?.labResults ? 'Pass' : 'Fail'}
                         </Typography>
                       </Grid>
+                      <Grid item xs={6}>
+                        <Typography variant="body2" color="text.secondary">
+                          Standard
+                        </Typography>
+                        <Typography variant="body1" gutterBottom>
+                          {batch?.certificationStandard || 'N/A'}
+                        </Typography>
+                      </Grid>
+                      {batch?.certificationNotes && (
+                        <Grid item xs={12}>
+                          <Typography variant="body2" color="text.secondary">
+                            Certifier Notes
+                          </Typography>
+                          <Typography variant="body1" gutterBottom>
+                            {batch.certificationNotes}
+                          </Typography>
+                        </Grid>
+                      )}
                     </>
                   ) : null}
                   
                   {batch?.status === 'CERTIFIED' && (
                     <Grid item xs={12}>
                       <Typography variant="h6" color="primary" sx={{ mt: 1 }}>
-                        Price: {batch?.price} ETH
+                        Price: {formatBatchPrice(batch)}
                       </Typography>
                     </Grid>
                   )}
@@ -359,7 +494,38 @@ const BatchDetail = () => {
                   </Typography>
                 )}
                 
-                {batch?.status === 'PURCHASED' && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    Current Custodian
+                  </Typography>
+                  <Typography variant="body1" gutterBottom sx={{ wordBreak: 'break-all' }}>
+                    {custodian || 'N/A'}
+                  </Typography>
+                </Box>
+                
+                {canTransferCustody && (
+                  <Box sx={{ mt: 2 }}>
+                    <Button
+                      variant="outlined"
+                      fullWidth
+                      startIcon={<SwapHoriz />}
+                      onClick={() => setTransferOpen(true)}
+                    >
+                      Transfer Custody
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      fullWidth
+                      sx={{ mt: 1 }}
+                      startIcon={<CallSplit />}
+                      onClick={() => setSplitOpen(true)}
+                    >
+                      Split Batch
+                    </Button>
+                  </Box>
+                )}
+                
+                {batch?.retailer && (
                   <>
                     <Box sx={{ mt: 2 }}>
                       <Typography variant="body2" color="text.secondary">
@@ -373,10 +539,18 @@ const BatchDetail = () => {
                     <Typography variant="body2" gutterBottom sx={{ mt: 1 }}>
                       Purchased on: {formatDate(batch?.purchasedAt)}
                     </Typography>
+                    
+                    <EscrowPanel batch={batch} onUpdated={fetchBatchData} />
                   </>
                 )}
                 
-                {batch?.status === 'CERTIFIED' && (
+                {canTransition('purchase', batch?.status) && isExpired(batch) && (
+                  <Alert severity="warning" sx={{ mt: 3 }}>
+                    This batch is past its expiry date and can no longer be purchased.
+                  </Alert>
+                )}
+                
+                {canTransition('purchase', batch?.status) && batch?.quantity !== 0 && !isExpired(batch) && (
                   <Box sx={{ mt: 3 }}>
                     <Button
                       variant="contained"
@@ -390,7 +564,7 @@ const BatchDetail = () => {
                     
                     {transactionSuccess && (
                       <Alert severity="success" sx={{ mt: 2 }}>
-                        Purchase successful!
+                        Purchase successful! Your payment is held in escrow until you confirm delivery.
                       </Alert>
                     )}
                     
@@ -406,6 +580,29 @@ const BatchDetail = () => {
           </Grid>
         </Grid>
         
+        {/* Inspections */}
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h5" gutterBottom>
+            Inspections
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          {batch && <InspectionList batchId={batch.batchId} inspections={inspections} />}
+        </Box>
+        
+        {/* Batch Lineage */}
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h5" gutterBottom>
+            Lineage
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          {batch && (
+            <LineageGraph
+              key={`${batch.batchId}-${(batch.childBatches || []).length}`}
+              batchId={batch.batchId}
+            />
+          )}
+        </Box>
+        
         {/* Batch History */}
         <Box sx={{ mt: 4 }}>
           <Typography variant="h5" gutterBottom>
@@ -427,6 +624,16 @@ const BatchDetail = () => {
                         return <Cancel color="error" />;
                       case 'PURCHASED':
                         return <ShoppingCart color="secondary" />;
+                      case 'TRANSFERRED':
+                        return <LocalShipping color="action" />;
+                      case 'SPLIT':
+                        return <CallSplit color="action" />;
+                      case 'MERGED':
+                        return <MergeType color="action" />;
+                      case 'RECALLED':
+                        return <ReportProblem color="error" />;
+                      case 'EXPIRED':
+                        return <HourglassDisabled color="action" />;
                       default:
                         return null;
                     }
@@ -435,7 +642,12 @@ const BatchDetail = () => {
                   <Typography variant="subtitle1">
                     {item.action === 'CREATED' ? 'Batch Created' :
                      item.action === 'CERTIFIED' ? 'Certified' :
-                     item.action === 'REJECTED' ? 'Rejected' : 'Purchased'}
+                     item.action === 'REJECTED' ? 'Rejected' :
+                     item.action === 'TRANSFERRED' ? 'Custody Transferred' :
+                     item.action === 'SPLIT' ? 'Split Into Lots' :
+                     item.action === 'MERGED' ? 'Merged Into New Batch' :
+                     item.action === 'RECALLED' ? 'Recalled' :
+                     item.action === 'EXPIRED' ? 'Expired' : 'Purchased'}
                   </Typography>
                 </StepLabel>
                 <StepContent>
@@ -448,6 +660,11 @@ const BatchDetail = () => {
                   <Typography variant="body2">
                     To: {item.to}
                   </Typography>
+                  {item.transactionHash && (
+                    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                      Transaction: {item.transactionHash}
+                    </Typography>
+                  )}
                 </StepContent>
               </Step>
             ))}
@@ -460,6 +677,30 @@ const BatchDetail = () => {
           )}
         </Box>
       </Paper>
+
+      <TransferCustodyDialog
+        open={transferOpen}
+        batchId={batch?.batchId}
+        onClose={() => setTransferOpen(false)}
+        onTransferred={fetchBatchData}
+      />
+
+      <SplitBatchDialog
+        open={splitOpen}
+        batch={batch}
+        onClose={() => setSplitOpen(false)}
+        onSplit={fetchBatchData}
+      />
+
+      <RecallDialog
+        open={recallOpen}
+        batch={batch}
+        onClose={() => setRecallOpen(false)}
+        onRecalled={(result) => {
+          setRecallResult(result);
+          fetchBatchData();
+        }}
+      />
     </Container>
   );
 };
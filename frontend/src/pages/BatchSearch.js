@@ -28,17 +28,19 @@ import {
   ShoppingCart,
   Visibility,
   QrCodeScanner,
+  ReportProblem,
+  HourglassDisabled,
 } from '@mui/icons-material';
 import QRCode from 'qrcode.react';
 import { QrScanner } from '@yudiel/react-qr-scanner';
 
 import { batchAPI } from '../services/api';
-import { useWeb3 } from '../contexts/Web3Context';
-import { formatFromWei } from '../utils/web3Utils';
+import { formatBatchPrice } from '../utils/paymentTokens';
+import { getTraceUrl, parseScannedBatchId } from '../utils/trace';
+import RecallBanner from '../components/batch/RecallBanner';
 
 const BatchSearch = () => {
   const navigate = useNavigate();
-  const { web3 } = useWeb3();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
@@ -118,6 +120,10 @@ const BatchSearch = () => {
         return <Chip icon={<Cancel />} label="Rejected" color="error" size="small" />;
       case 'PURCHASED':
         return <Chip icon={<ShoppingCart />} label="Purchased" color="secondary" size="small" />;
+      case 'RECALLED':
+        return <Chip icon={<ReportProblem />} label="Recalled" color="error" size="small" />;
+      case 'EXPIRED':
+        return <Chip icon={<HourglassDisabled />} label="Expired" size="small" />;
       default:
         return <Chip label={status} size="small" />;
     }
@@ -197,7 +203,7 @@ const BatchSearch = () => {
                <QrScanner
                  onDecode={async (result) => {
                    if (!result) return;
-                   const data = String(result);
+                   const data = parseScannedBatchId(result);
                    setError(null);
                    setSearchQuery('');
                    try {
@@ -226,6 +232,7 @@ const BatchSearch = () => {
                 <Grid item xs={12} sm={6} md={4} key={batch.batchId}>
                   <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
                     <CardContent sx={{ flexGrow: 1 }}>
+                      <RecallBanner batch={batch} compact />
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                         <Typography variant="h6" component="h3">
                           {batch.cropName}
@@ -243,7 +250,7 @@ const BatchSearch = () => {
                        </Typography>
                        <Divider sx={{ my: 1 }} />
                        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 1 }}>
-                         <QRCode value={String(batch.batchId)} size={96} includeMargin />
+                         <QRCode value={getTraceUrl(batch.batchId)} size={96} includeMargin />
                        </Box>
                       <Divider sx={{ my: 1 }} />
                       <Typography variant="body2" gutterBottom>
@@ -251,7 +258,7 @@ const BatchSearch = () => {
                       </Typography>
                       {batch.status === 'CERTIFIED' && (
                         <Typography variant="h6" color="primary" sx={{ mt: 1 }}>
-                          {web3 ? formatFromWei(batch.price.toString(), web3) : batch.price} ETH
+                          {formatBatchPrice(batch)}
                         </Typography>
                       )}
                     </CardContent>
@@ -15,6 +15,7 @@ import {
   ListItemText,
 } from '@mui/material';
 import { useWeb3 } from '../contexts/Web3Context';
+import { ZERO_ADDRESS } from '../utils/paymentTokens';
 
 const ContractDebug = () => {
   const { web3, account, networkId, contracts, loading, error } = useWeb3();
@@ -23,6 +24,7 @@ const ContractDebug = () => {
     agriChainAddress: '',
     batchTokenAddress: '',
     authenticationAddress: '',
+    inspectionRegistryAddress: '',
   });
 
   const [networkInfo, setNetworkInfo] = useState({
@@ -38,6 +40,8 @@ const ContractDebug = () => {
     location: 'Test Location',
     harvestDate: Math.floor(Date.now() / 1000),
     price: '0.01',
+    quantity: 100,
+    unit: 'kg',
   });
 
   const [txResult, setTxResult] = useState(null);
@@ -49,6 +53,7 @@ const ContractDebug = () => {
     const savedAgriChainAddress = localStorage.getItem('agriChainAddress');
     const savedBatchTokenAddress = localStorage.getItem('batchTokenAddress');
     const savedAuthenticationAddress = localStorage.getItem('authenticationAddress');
+    const savedInspectionRegistryAddress = localStorage.getItem('inspectionRegistryAddress');
 
     if (savedAgriChainAddress) {
       setContractAddresses(prev => ({ ...prev, agriChainAddress: savedAgriChainAddress }));
@@ -59,6 +64,9 @@ const ContractDebug = () => {
     if (savedAuthenticationAddress) {
       setContractAddresses(prev => ({ ...prev, authenticationAddress: savedAuthenticationAddress }));
     }
+    if (savedInspectionRegistryAddress) {
+      setContractAddresses(prev => ({ ...prev, inspectionRegistryAddress: savedInspectionRegistryAddress }));
+    }
 
     // Get network info if web3 is available
     if (web3) {
@@ -116,7 +124,7 @@ const ContractDebug = () => {
   };
 
   const saveAddresses = () => {
-    const { agriChainAddress, batchTokenAddress, authenticationAddress } = contractAddresses;
+    const { agriChainAddress, batchTokenAddress, authenticationAddress, inspectionRegistryAddress } = contractAddresses;
     
     if (agriChainAddress) {
       localStorage.setItem('agriChainAddress', agriChainAddress);
@@ -127,6 +135,9 @@ const ContractDebug = () => {
     if (authenticationAddress) {
       localStorage.setItem('authenticationAddress', authenticationAddress);
     }
+    if (inspectionRegistryAddress) {
+      localStorage.setItem('inspectionRegistryAddress', inspectionRegistryAddress);
+    }
 
     // Reload the page to reinitialize contracts with new addresses
     window.location.reload();
@@ -153,7 +164,10 @@ const ContractDebug = () => {
           testBatchData.cropVariety,
           testBatchData.location,
           testBatchData.harvestDate,
-          priceInWei
+          priceInWei,
+          testBatchData.quantity,
+          testBatchData.unit,
+          ZERO_ADDRESS
         )
         .estimateGas({ from: account });
 
@@ -169,7 +183,10 @@ const ContractDebug = () => {
           testBatchData.cropVariety,
           testBatchData.location,
           testBatchData.harvestDate,
-          priceInWei
+          priceInWei,
+          testBatchData.quantity,
+          testBatchData.unit,
+          ZERO_ADDRESS
         )
         .send({
           from: account,
@@ -208,6 +225,18 @@ const ContractDebug = () => {
         case 2:
           roleName = 'Retailer';
           break;
+        case 4:
+          roleName = 'Aggregator';
+          break;
+        case 5:
+          roleName = 'Processor';
+          break;
+        case 6:
+          roleName = 'Distributor';
+          break;
+        case 7:
+          roleName = 'Transporter';
+          break;
         default:
           roleName = 'None';
       }
@@ -334,6 +363,17 @@ const ContractDebug = () => {
                 variant="outlined"
               />
             </Grid>
+            <Grid item xs={12}>
+              <TextField
+                name="inspectionRegistryAddress"
+                label="InspectionRegistry Contract Address (optional)"
+                fullWidth
+                value={contractAddresses.inspectionRegistryAddress}
+                onChange={handleAddressChange}
+                margin="normal"
+                variant="outlined"
+              />
+            </Grid>
           </Grid>
           
           <Button 
@@ -26,12 +26,19 @@ import {
   PendingActions,
   CheckCircle,
   Cancel,
+  LocalShipping,
+  AdminPanelSettings,
+  BugReport,
+  ReportProblem,
+  HourglassDisabled,
 } from '@mui/icons-material';
 
 import { useAuth } from '../contexts/AuthContext';
 import { useWeb3 } from '../contexts/Web3Context';
 import { batchAPI } from '../services/api';
 import { shortenAddress } from '../utils/web3Utils';
+import { isCustodyRole } from '../utils/roles';
+import { getStatusLabel, getRecallReasonLabel } from '../utils/batchLifecycle';
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -93,6 +100,14 @@ const Dashboard = () => {
           userStats.purchasedBatches = purchased.length;
           break;
           
+        case 'aggregator':
+        case 'processor':
+        case 'distributor':
+        case 'transporter':
+          const handledResponse = await batchAPI.getHandledBatches(account);
+          batches = Array.isArray(handledResponse.data) ? handledResponse.data : [];
+          break;
+          
         default:
           const allBatches = await batchAPI.getAllBatches();
           batches = Array.isArray(allBatches.data) ? allBatches.data : [];
@@ -286,6 +301,51 @@ const Dashboard = () => {
               </Grid>
             )}
 
+            {isCustodyRole(user?.role) && (
+              <Grid container spacing={2}>
+                <Grid item xs={12}>
+                  <Button
+                    fullWidth
+                    variant="contained"
+                    color="primary"
+                    startIcon={<LocalShipping />}
+                    onClick={() => navigate(`/${user.role}/dashboard`)}
+                    sx={{ mb: 2 }}
+                  >
+                    Batches In My Custody
+                  </Button>
+                </Grid>
+              </Grid>
+            )}
+
+            {user?.role === 'admin' && (
+              <Grid container spacing={2}>
+                <Grid item xs={12} sm={6}>
+                  <Button
+                    fullWidth
+                    variant="contained"
+                    color="primary"
+                    startIcon={<AdminPanelSettings />}
+                    onClick={() => navigate('/admin')}
+                    sx={{ mb: 2 }}
+                  >
+                    Admin Console
+                  </Button>
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <Button
+                    fullWidth
+                    variant="outlined"
+                    startIcon={<BugReport />}
+                    onClick={() => navigate('/debug')}
+                    sx={{ mb: 2 }}
+                  >
+                    Contract Debug
+                  </Button>
+                </Grid>
+              </Grid>
+            )}
+
             <Box sx={{ mt: 2 }}>
               <Button
                 fullWidth
@@ -322,7 +382,7 @@ const Dashboard = () => {
                     </ListItemIcon>
                     <ListItemText
                       primary={`${batch.cropName} - ${batch.cropVariety}`}
-                      secondary={`Batch #${batch.batchId} | ${batch.location} | ${getStatusLabel(batch.status)}`}
+                      secondary={`Batch #${batch.batchId} | ${batch.location} | ${getStatusLabel(batch.status)}${batch.recall?.reason ? `: ${getRecallReasonLabel(batch.recall.reason)}` : ''}`}
                     />
                   </ListItem>
                 ))}
@@ -426,24 +486,13 @@ const getStatusIcon = (status) => {
       return <Cancel color="error" />;
     case 'PURCHASED':
       return <ShoppingCart color="secondary" />;
+    case 'RECALLED':
+      return <ReportProblem color="error" />;
+    case 'EXPIRED':
+      return <HourglassDisabled color="action" />;
     default:
       return <Agriculture />;
   }
 };
 
-const getStatusLabel = (status) => {
-  switch (status) {
-    case 'CREATED':
-      return 'Created';
-    case 'CERTIFIED':
-      return 'Certified';
-    case 'REJECTED':
-      return 'Rejected';
-    case 'PURCHASED':
-      return 'Purchased';
-    default:
-      return status;
-  }
-};
-
 export default Dashboard;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Link,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { LockReset } from '@mui/icons-material';
+import { authAPI } from '../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setResult(null);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setResult({ severity: 'success', message: response.data.message });
+    } catch (err) {
+      setResult({
+        severity: 'error',
+        message: err.response?.data?.message || 'Could not send the reset link. Please try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: { xs: 4, md: 8 }, mb: 8 }}>
+      <Paper elevation={3} sx={{ p: { xs: 3, md: 5 }, borderRadius: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 4 }}>
+          <LockReset sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+          <Typography component="h1" variant="h4" gutterBottom>
+            Forgot Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary" align="center">
+            Enter the email address of your account and we will send you a link to choose a new password
+          </Typography>
+        </Box>
+
+        {result && (
+          <Alert severity={result.severity} sx={{ mb: 3 }}>
+            {result.message}
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            name="email"
+            label="Email"
+            type="email"
+            variant="outlined"
+            margin="normal"
+            fullWidth
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={loading}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            color="primary"
+            fullWidth
+            size="large"
+            sx={{ mt: 3, mb: 2 }}
+            disabled={loading || !email}
+            startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </form>
+
+        <Box sx={{ textAlign: 'center' }}>
+          <Link component={RouterLink} to="/login" variant="body2">
+            Back to sign in
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -38,7 +38,12 @@ const Login = () => {
     if (registrationSuccess === 'true') {
       setError({
         severity: 'success',
-        message: 'Registration successful! Please login with your credentials.',
+        message: 'Registration successful! Please login with your credentials. We have emailed you a link to verify your email address.',
+      });
+    } else if (params.get('reset') === 'true') {
+      setError({
+        severity: 'success',
+        message: 'Your password has been reset. Please login with your new password.',
       });
     }
   }, [location]);
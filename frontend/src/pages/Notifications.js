@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Paper,
+  List,
+  ListItemButton,
+  ListItemText,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { DoneAll } from '@mui/icons-material';
+
+import { notificationAPI } from '../services/api';
+import { useNotifications } from '../contexts/NotificationContext';
+import NotificationPreferences from '../components/notifications/NotificationPreferences';
+
+const PAGE_SIZE = 20;
+
+// Notification history of the current user, with their notification preferences
+const Notifications = () => {
+  const navigate = useNavigate();
+  const { unread, latest, markRead, markAllRead } = useNotifications();
+
+  const [notifications, setNotifications] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await notificationAPI.getNotifications({
+        limit: PAGE_SIZE,
+        unread: unreadOnly || undefined,
+      });
+      setNotifications(response.data.notifications);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      setError(err?.response?.data?.message || 'Failed to load notifications.');
+    } finally {
+      setLoading(false);
+    }
+  }, [unreadOnly]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  // Show notifications pushed while the page is open
+  useEffect(() => {
+    if (latest) {
+      setNotifications(prev => [latest, ...prev.filter(item => item._id !== latest._id)]);
+    }
+  }, [latest]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      setError(null);
+      const response = await notificationAPI.getNotifications({
+        limit: PAGE_SIZE,
+        unread: unreadOnly || undefined,
+        before: notifications[notifications.length - 1].createdAt,
+      });
+      setNotifications(prev => [...prev, ...response.data.notifications]);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      setError(err?.response?.data?.message || 'Failed to load notifications.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    try {
+      if (!notification.readAt) {
+        const updated = await markRead(notification._id);
+        setNotifications(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+      }
+      if (notification.link) {
+        navigate(notification.link);
+      }
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+      setError(err?.response?.data?.message || 'Failed to mark the notification as read.');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      setError(null);
+      await markAllRead();
+      await fetchNotifications();
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+      setError(err?.response?.data?.message || 'Failed to mark the notifications as read.');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Notifications
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={7}>
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+              <Chip label={`${unread} unread`} color={unread ? 'error' : 'default'} size="small" />
+              <FormControlLabel
+                control={<Switch size="small" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} />}
+                label="Unread only"
+                sx={{ ml: 1 }}
+              />
+              <Box sx={{ flexGrow: 1 }} />
+              <Button size="small" startIcon={<DoneAll />} onClick={handleMarkAllRead} disabled={!unread}>
+                Mark all read
+              </Button>
+            </Box>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            {loading ? (
+              <Box sx={{ textAlign: 'center', py: 4 }}>
+                <CircularProgress />
+              </Box>
+            ) : notifications.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+                {unreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+              </Typography>
+            ) : (
+              <List>
+                {notifications.map((notification) => (
+                  <ListItemButton
+                    key={notification._id}
+                    onClick={() => handleOpen(notification)}
+                    sx={{ bgcolor: notification.readAt ? undefined : 'action.hover', borderRadius: 1, mb: 0.5 }}
+                  >
+                    <ListItemText
+                      primary={notification.title}
+                      secondary={`${notification.message || ''} · ${new Date(notification.createdAt).toLocaleString()}`}
+                      primaryTypographyProps={{ fontWeight: notification.readAt ? 'normal' : 'bold' }}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+
+            {hasMore && !loading && (
+              <Box sx={{ textAlign: 'center', mt: 1 }}>
+                <Button onClick={handleLoadMore} disabled={loadingMore}>
+                  {loadingMore ? <CircularProgress size={20} /> : 'Load more'}
+                </Button>
+              </Box>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={5}>
+          <NotificationPreferences />
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default Notifications;
@@ -35,14 +35,17 @@ import {
   Agriculture,
   VerifiedUser,
   ShoppingCart,
+  LocalShipping,
   Delete,
   Warning,
 } from '@mui/icons-material';
 
 import { useAuth } from '../contexts/AuthContext';
 import { useWeb3 } from '../contexts/Web3Context';
-import { userAPI } from '../services/api';
+import { userAPI, authAPI } from '../services/api';
 import { shortenAddress } from '../utils/web3Utils';
+import SessionList from '../components/auth/SessionList';
+import ChangePassword from '../components/auth/ChangePassword';
 
 const Profile = () => {
   const navigate = useNavigate();
@@ -57,6 +60,8 @@ const Profile = () => {
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
   const [deleteInput, setDeleteInput] = useState('');
+  const [verificationSending, setVerificationSending] = useState(false);
+  const [verificationResult, setVerificationResult] = useState(null);
   const [profileData, setProfileData] = useState({
     name: '',
     location: '',
@@ -92,6 +97,20 @@ const Profile = () => {
     }
   };
   
+  const handleResendVerification = async () => {
+    try {
+      setVerificationSending(true);
+      setVerificationResult(null);
+      const response = await authAPI.resendVerificationEmail();
+      setVerificationResult({ severity: 'success', message: response.data.message });
+    } catch (err) {
+      console.error('Error resending verification email:', err);
+      setVerificationResult({ severity: 'error', message: err?.response?.data?.message || 'Failed to send the verification email.' });
+    } finally {
+      setVerificationSending(false);
+    }
+  };
+  
   const handleChange = (e) => {
     const { name, value } = e.target;
     setProfileData({
@@ -165,6 +184,11 @@ const Profile = () => {
         return <VerifiedUser fontSize="large" color="secondary" />;
       case 'retailer':
         return <ShoppingCart fontSize="large" color="action" />;
+      case 'aggregator':
+      case 'processor':
+      case 'distributor':
+      case 'transporter':
+        return <LocalShipping fontSize="large" color="action" />;
       default:
         return <Person fontSize="large" />;
     }
@@ -319,7 +343,22 @@ const Profile = () => {
                         primary="Email"
                         secondary={user?.email}
                       />
+                      {user?.emailVerified ? (
+                        <Chip label="Verified" color="success" size="small" />
+                      ) : (
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Chip label="Not verified" color="warning" size="small" />
+                          <Button size="small" onClick={handleResendVerification} disabled={verificationSending}>
+                            {verificationSending ? 'Sending...' : 'Resend link'}
+                          </Button>
+                        </Box>
+                      )}
                     </ListItem>
+                    {verificationResult && (
+                      <Alert severity={verificationResult.severity} sx={{ mx: 2 }}>
+                        {verificationResult.message}
+                      </Alert>
+                    )}
                     <ListItem>
                       <ListItemIcon>
                         <AccountBalanceWallet fontSize="small" />
@@ -442,6 +481,16 @@ const Profile = () => {
           </Grid>
         </Grid>
 
+        {/* Password */}
+        <Box sx={{ mt: 4 }}>
+          <ChangePassword />
+        </Box>
+
+        {/* Signed-in devices */}
+        <Box sx={{ mt: 4 }}>
+          <SessionList />
+        </Box>
+
         {/* Danger Zone */}
         <Box sx={{ mt: 4 }}>
           <Divider sx={{ mb: 3 }} />
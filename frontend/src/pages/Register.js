@@ -33,10 +33,12 @@ import {
   Agriculture,
   VerifiedUser,
   ShoppingCart,
+  LocalShipping,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useWeb3 } from '../contexts/Web3Context';
 import { shortenAddress } from '../utils/web3Utils';
+import { ROLE_LABELS, isCustodyRole } from '../utils/roles';
 
 const Register = () => {
   const navigate = useNavigate();
@@ -65,7 +67,7 @@ const Register = () => {
     const params = new URLSearchParams(location.search);
     const roleParam = params.get('role');
     
-    if (roleParam && ['farmer', 'certifier', 'retailer'].includes(roleParam)) {
+    if (roleParam && Object.keys(ROLE_LABELS).includes(roleParam)) {
       setFormData((prev) => ({ ...prev, role: roleParam }));
     }
   }, [location]);
@@ -178,7 +180,7 @@ const Register = () => {
       case 'retailer':
         return <ShoppingCart color="action" />;
       default:
-        return null;
+        return isCustodyRole(role) ? <LocalShipping color="action" /> : null;
     }
   };
   
@@ -316,12 +318,15 @@ const Register = () => {
                       onChange={handleChange}
                       disabled={loading}
                     >
-                      <MenuItem value="farmer">Farmer</MenuItem>
-                      <MenuItem value="certifier">Certifier</MenuItem>
-                      <MenuItem value="retailer">Retailer</MenuItem>
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                      ))}
+                      <MenuItem value="admin">Administrator</MenuItem>
                     </Select>
                     <FormHelperText>
-                      Select your role in the supply chain
+                      {formData.role === 'admin'
+                        ? 'Only wallets listed in the backend ADMIN_WALLETS can register as administrators'
+                        : 'Select your role in the supply chain'}
                     </FormHelperText>
                   </FormControl>
                 </Grid>
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Link,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { LockReset } from '@mui/icons-material';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { endSession } = useAuth();
+
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, formData.password);
+      // The reset signed out every session, this browser's included
+      endSession();
+      navigate('/login?reset=true');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset the password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: { xs: 4, md: 8 }, mb: 8 }}>
+      <Paper elevation={3} sx={{ p: { xs: 3, md: 5 }, borderRadius: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 4 }}>
+          <LockReset sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+          <Typography component="h1" variant="h4" gutterBottom>
+            Choose a New Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary" align="center">
+            Every device signed in to your account will be signed out
+          </Typography>
+        </Box>
+
+        {!token ? (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            This reset link is incomplete. Open the link from the email again, or{' '}
+            <Link component={RouterLink} to="/forgot-password">request a new one</Link>.
+          </Alert>
+        ) : (
+          <>
+            {error && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <TextField
+                name="password"
+                label="New Password"
+                type="password"
+                variant="outlined"
+                margin="normal"
+                fullWidth
+                required
+                value={formData.password}
+                onChange={handleChange}
+                disabled={loading}
+                helperText="At least 8 characters"
+              />
+              <TextField
+                name="confirmPassword"
+                label="Confirm New Password"
+                type="password"
+                variant="outlined"
+                margin="normal"
+                fullWidth
+                required
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                disabled={loading}
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                color="primary"
+                fullWidth
+                size="large"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+                startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
+              >
+                {loading ? 'Saving...' : 'Reset Password'}
+              </Button>
+            </form>
+          </>
+        )}
+
+        <Box sx={{ textAlign: 'center' }}>
+          <Link component={RouterLink} to="/forgot-password" variant="body2">
+            Link expired? Request a new one
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Web3 } from 'web3';
+import {
+  Container,
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Alert,
+  CircularProgress,
+  Divider,
+  Stepper,
+  Step,
+  StepLabel,
+  StepContent,
+} from '@mui/material';
+import {
+  Verified,
+  ErrorOutline,
+  HelpOutline,
+  Place,
+  Agriculture,
+  EventAvailable,
+  VerifiedUser,
+  Cancel,
+} from '@mui/icons-material';
+
+import { batchAPI } from '../services/api';
+import { shortenAddress } from '../utils/web3Utils';
+import { ROLE_LABELS } from '../utils/roles';
+import { getReadOnlyAgriChain, compareWithChain } from '../utils/trace';
+import RecallBanner from '../components/batch/RecallBanner';
+
+const STEP_LABELS = {
+  CREATED: 'Harvest registered',
+  CERTIFIED: 'Certified',
+  REJECTED: 'Failed certification',
+  TRANSFERRED: 'Handed over',
+  PURCHASED: 'Sold to retailer',
+  SPLIT: 'Split into smaller lots',
+  MERGED: 'Merged into a new lot',
+  RECALLED: 'Recalled',
+  EXPIRED: 'Shelf life ended',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+const describeParticipant = (participant) => {
+  if (!participant) return null;
+  const role = ROLE_LABELS[participant.role] || 'Participant';
+  return `${role} ${shortenAddress(participant.address)}`;
+};
+
+// Badge for the comparison of the shown record with AgriChain
+const ChainBadge = ({ check }) => {
+  if (check.state === 'checking') {
+    return <Chip icon={<CircularProgress size={14} />} label="Checking blockchain..." />;
+  }
+  if (check.state === 'verified') {
+    return (
+      <Chip
+        color="success"
+        icon={<Verified />}
+        label={check.source === 'browser' ? 'Verified on-chain' : 'Verified on-chain by AgroTrust'}
+      />
+    );
+  }
+  if (check.state === 'mismatch') {
+    return <Chip color="error" icon={<ErrorOutline />} label="Does not match the blockchain" />;
+  }
+  return <Chip icon={<HelpOutline />} label="Blockchain check unavailable" />;
+};
+
+// Public, wallet-free provenance page that batch QR codes link to
+const TraceBatch = () => {
+  const { batchId } = useParams();
+  const [trace, setTrace] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [check, setCheck] = useState({ state: 'checking' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      let data;
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await batchAPI.getBatchTrace(batchId);
+        data = response.data;
+        if (!cancelled) setTrace(data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err?.response?.status === 404 ? 'No product found for this code.' : 'Unable to load this product.');
+        }
+        return;
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+
+      // Prefer checking the chain from this browser; fall back to the server's check
+      let result = null;
+      try {
+        const agriChain = await getReadOnlyAgriChain();
+        if (agriChain) {
+          const details = await agriChain.methods.getBatchDetails(Web3.utils.keccak256(String(batchId).trim())).call();
+          const mismatches = compareWithChain(data, details);
+          result = { state: mismatches.length ? 'mismatch' : 'verified', source: 'browser', mismatches };
+        }
+      } catch (err) {
+        console.warn('In-browser chain check failed, using the server check:', err);
+      }
+      if (!result) {
+        const { chain } = data;
+        result = chain?.checked
+          ? { state: chain.verified ? 'verified' : 'mismatch', source: 'server', mismatches: chain.mismatches }
+          : { state: 'unavailable' };
+      }
+      if (!cancelled) setCheck(result);
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [batchId]);
+
+  if (loading) {
+    return (
+      <Container maxWidth="sm" sx={{ mt: 4, textAlign: 'center' }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  if (error || !trace) {
+    return (
+      <Container maxWidth="sm" sx={{ mt: 4 }}>
+        <Alert severity="error">{error || 'No product found for this code.'}</Alert>
+      </Container>
+    );
+  }
+
+  const { certification } = trace;
+  const expired = certification?.expiry && new Date(certification.expiry) < new Date();
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: 2, mb: 6, px: 2 }}>
+      <RecallBanner batch={trace} linkSource={false} sx={{ mb: 2 }} />
+      <Box sx={{ textAlign: 'center', mb: 2 }}>
+        <Typography variant="h5" component="h1">
+          {trace.cropName}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {trace.cropVariety} · Batch {trace.batchId}
+        </Typography>
+        <ChainBadge check={check} />
+        {check.state === 'mismatch' && check.mismatches?.length > 0 && (
+          <Typography variant="caption" color="error" display="block" sx={{ mt: 1 }}>
+            Differs from the blockchain in: {check.mismatches.join(', ')}
+          </Typography>
+        )}
+      </Box>
+
+      <Card variant="outlined" sx={{ mb: 2 }}>
+        <CardContent>
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+            Origin
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Place fontSize="small" color="action" />
+            <Typography variant="body1">{trace.location}</Typography>
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Agriculture fontSize="small" color="action" />
+            <Typography variant="body1">Harvested {formatDate(trace.harvestDate)}</Typography>
+          </Box>
+          {trace.quantity !== undefined && trace.quantity !== null && (
+            <Typography variant="body2" color="text.secondary">
+              Lot size: {trace.quantity} {trace.unit}
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card variant="outlined" sx={{ mb: 2 }}>
+        <CardContent>
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+            Certification
+          </Typography>
+          {certification ? (
+            <>
+              <Chip
+                size="small"
+                color={certification.passed ? 'success' : 'error'}
+                icon={certification.passed ? <VerifiedUser /> : <Cancel />}
+                label={certification.passed ? 'Passed quality inspection' : 'Failed quality inspection'}
+                sx={{ mb: 1 }}
+              />
+              {certification.standard && (
+                <Typography variant="body2">Standard: {certification.standard}</Typography>
+              )}
+              <Typography variant="body2">Certified {formatDate(certification.certifiedAt)}</Typography>
+              {certification.expiry && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                  <EventAvailable fontSize="small" color={expired ? 'error' : 'action'} />
+                  <Typography variant="body2" color={expired ? 'error' : 'text.primary'}>
+                    {expired ? 'Expired' : 'Best before'} {formatDate(certification.expiry)}
+                  </Typography>
+                </Box>
+              )}
+            </>
+          ) : (
+            <Typography variant="body2">Not certified yet</Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card variant="outlined">
+        <CardContent>
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+            Journey
+          </Typography>
+          <Divider sx={{ mb: 1 }} />
+          <Stepper orientation="vertical">
+            {trace.timeline.map((step, index) => (
+              <Step key={index} active completed>
+                <StepLabel optional={<Typography variant="caption">{formatDate(step.timestamp)}</Typography>}>
+                  {STEP_LABELS[step.action] || step.action}
+                </StepLabel>
+                <StepContent>
+                  <Typography variant="body2" color="text.secondary">
+                    {step.action === 'CREATED'
+                      ? describeParticipant(step.from)
+                      : [describeParticipant(step.from), describeParticipant(step.to)].filter(Boolean).join(' → ')}
+                  </Typography>
+                </StepContent>
+              </Step>
+            ))}
+          </Stepper>
+        </CardContent>
+      </Card>
+    </Container>
+  );
+};
+
+export default TraceBatch;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Tabs,
+  Tab,
+} from '@mui/material';
+import { Verified, ErrorOutline, UploadFile, QrCodeScanner, HelpOutline } from '@mui/icons-material';
+import { QrScanner } from '@yudiel/react-qr-scanner';
+
+import { certificateAPI } from '../services/api';
+import { shortenAddress } from '../utils/web3Utils';
+import {
+  PINNED_KEY_FINGERPRINTS,
+  verifyCertificateOffline,
+  parseScannedCertificateId,
+} from '../utils/certificates';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+// Fingerprints to trust: the pinned ones, otherwise the server's keys when reachable
+const getTrustedFingerprints = async () => {
+  if (PINNED_KEY_FINGERPRINTS.length) return PINNED_KEY_FINGERPRINTS;
+  try {
+    const response = await certificateAPI.getPublicKey();
+    return response.data.keys.map(key => key.fingerprint);
+  } catch (err) {
+    return [];
+  }
+};
+
+const ResultBadge = ({ result }) => {
+  if (result.valid && result.trusted) {
+    return <Chip color="success" icon={<Verified />} label="Authentic AgroTrust certificate" />;
+  }
+  if (result.valid) {
+    return <Chip color="warning" icon={<HelpOutline />} label="Signature valid, signer key not confirmed" />;
+  }
+  return <Chip color="error" icon={<ErrorOutline />} label="Not authentic" />;
+};
+
+const Row = ({ label, value }) => (
+  <Typography variant="body2" sx={{ mb: 0.5 }}>
+    <strong>{label}:</strong> {value === null || value === undefined || value === '' ? 'N/A' : value}
+  </Typography>
+);
+
+// Public page that checks a certificate's post-quantum signature in the browser
+const VerifyCertificate = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const certificateId = searchParams.get('id');
+  const [tab, setTab] = useState(0);
+  const [signedDocument, setSignedDocument] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const check = async (signed) => {
+    setSignedDocument(signed);
+    setResult(verifyCertificateOffline(signed, await getTrustedFingerprints()));
+  };
+
+  useEffect(() => {
+    if (!certificateId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await certificateAPI.getCertificate(certificateId);
+        if (!cancelled) await check(response.data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err?.response?.status === 404 ? 'No certificate found with this ID.' : 'Unable to load this certificate.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [certificateId]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      await check(JSON.parse(await file.text()));
+    } catch (err) {
+      setSignedDocument(null);
+      setResult(null);
+      setError('This file is not a JSON certificate.');
+    }
+  };
+
+  const certificate = signedDocument?.certificate;
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: 2, mb: 6, px: 2 }}>
+      <Typography variant="h5" component="h1" align="center" gutterBottom>
+        Verify a certificate
+      </Typography>
+      <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+        The signature is checked on this device with the ML-DSA-65 post-quantum algorithm.
+      </Typography>
+
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} centered sx={{ mb: 2 }}>
+        <Tab label="Upload JSON" icon={<UploadFile />} iconPosition="start" />
+        <Tab label="Scan QR" icon={<QrCodeScanner />} iconPosition="start" />
+      </Tabs>
+
+      {tab === 0 && (
+        <Box sx={{ textAlign: 'center', mb: 2 }}>
+          <Button variant="contained" component="label" startIcon={<UploadFile />}>
+            Choose certificate file
+            <input type="file" accept="application/json,.json" hidden onChange={handleFile} />
+          </Button>
+        </Box>
+      )}
+
+      {tab === 1 && (
+        <Box sx={{ width: 320, maxWidth: '100%', mx: 'auto', mb: 2 }}>
+          <QrScanner
+            onDecode={(scanned) => {
+              const id = scanned && parseScannedCertificateId(scanned);
+              if (id) {
+                setSearchParams({ id });
+                setTab(0);
+              }
+            }}
+            onError={(err) => setError(err?.message || 'Failed to scan QR')}
+            constraints={{ facingMode: 'environment' }}
+            style={{ width: '100%' }}
+          />
+        </Box>
+      )}
+
+      {loading && (
+        <Box sx={{ textAlign: 'center', my: 2 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {!loading && result && (
+        <Card variant="outlined">
+          <CardContent>
+            <Box sx={{ textAlign: 'center', mb: 2 }}>
+              <ResultBadge result={result} />
+              {result.reason && (
+                <Typography variant="caption" color="error" display="block" sx={{ mt: 1 }}>
+                  {result.reason}
+                </Typography>
+              )}
+              {result.valid && result.trusted === null && (
+                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                  Compare the key fingerprint below with the one AgroTrust publishes.
+                </Typography>
+              )}
+            </Box>
+
+            {certificate?.batch && (
+              <>
+                <Row label="Batch" value={certificate.batch.batchId} />
+                <Row label="Crop" value={`${certificate.batch.cropName} (${certificate.batch.cropVariety})`} />
+                <Row label="Origin" value={certificate.batch.location} />
+                <Row label="Harvested" value={formatDate(certificate.batch.harvestDate)} />
+                <Row label="Farmer" value={shortenAddress(certificate.farmer)} />
+                <Row label="Certifier" value={shortenAddress(certificate.certifier)} />
+                <Row label="Result" value={certificate.certification?.passed ? 'Passed' : 'Failed'} />
+                <Row label="Standard" value={certificate.certification?.standard} />
+                <Row label="Certified" value={formatDate(certificate.certification?.certifiedAt)} />
+                <Row label="Expires" value={formatDate(certificate.certification?.expiry)} />
+                <Row label="Transaction" value={certificate.certification?.transactionHash} />
+                <Row label="Issued" value={formatDate(certificate.issuedAt)} />
+              </>
+            )}
+            <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all', display: 'block', mt: 1 }}>
+              Key fingerprint (SHA-256): {signedDocument.signature?.publicKeyFingerprint}
+            </Typography>
+          </CardContent>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default VerifyCertificate;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Button,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { MarkEmailRead } from '@mui/icons-material';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is incomplete.');
+  // Tokens are single-use, so React's development double effect must not send it twice
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Could not verify the email address.');
+      });
+  }, [token]);
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: { xs: 4, md: 8 }, mb: 8 }}>
+      <Paper elevation={3} sx={{ p: { xs: 3, md: 5 }, borderRadius: 2, textAlign: 'center' }}>
+        <MarkEmailRead sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+        <Typography component="h1" variant="h4" gutterBottom>
+          Email Verification
+        </Typography>
+
+        {status === 'verifying' ? (
+          <Box sx={{ my: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Alert severity={status === 'verified' ? 'success' : 'error'} sx={{ my: 3, textAlign: 'left' }}>
+            {message}
+            {status === 'error' && ' You can send a new link from your profile.'}
+          </Alert>
+        )}
+
+        <Button
+          component={RouterLink}
+          to={isAuthenticated ? '/profile' : '/login'}
+          variant="contained"
+          disabled={status === 'verifying'}
+        >
+          {isAuthenticated ? 'Go to Profile' : 'Sign In'}
+        </Button>
+      </Paper>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
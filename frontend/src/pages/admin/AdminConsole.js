@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Tabs,
+  Tab,
+} from '@mui/material';
+import {
+  MonitorHeart,
+  People,
+  EditNote,
+  WorkspacePremium,
+  Gavel,
+} from '@mui/icons-material';
+
+import SystemHealth from '../../components/admin/SystemHealth';
+import UserManagement from '../../components/admin/UserManagement';
+import BatchCorrection from '../../components/admin/BatchCorrection';
+import CertifierAccreditations from '../../components/admin/CertifierAccreditations';
+import ContractAdmin from '../../components/admin/ContractAdmin';
+
+const TABS = [
+  { label: 'System Health', icon: <MonitorHeart />, component: SystemHealth },
+  { label: 'Users', icon: <People />, component: UserManagement },
+  { label: 'Batch Records', icon: <EditNote />, component: BatchCorrection },
+  { label: 'Certifiers', icon: <WorkspacePremium />, component: CertifierAccreditations },
+  { label: 'Contracts', icon: <Gavel />, component: ContractAdmin },
+];
+
+const AdminConsole = () => {
+  const [tabValue, setTabValue] = useState(0);
+  const ActivePanel = TABS[tabValue].component;
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 8 }}>
+      <Paper elevation={3} sx={{ p: 4, borderRadius: 2 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Admin Console
+        </Typography>
+        <Typography variant="body1" color="text.secondary" paragraph>
+          Monitor the platform, manage accounts and records, and send owner-only contract transactions
+        </Typography>
+
+        <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
+          <Tabs
+            value={tabValue}
+            onChange={(event, newValue) => setTabValue(newValue)}
+            variant="scrollable"
+            scrollButtons="auto"
+            aria-label="admin tabs"
+          >
+            {TABS.map(tab => (
+              <Tab key={tab.label} label={tab.label} icon={tab.icon} iconPosition="start" />
+            ))}
+          </Tabs>
+        </Box>
+
+        <Box sx={{ mt: 3 }}>
+          <ActivePanel />
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,14 @@
+import React from 'react';
+import { Inventory } from '@mui/icons-material';
+
+import CustodyDashboard from '../../components/custody/CustodyDashboard';
+
+const AggregatorDashboard = () => (
+  <CustodyDashboard
+    role="aggregator"
+    description="Collect batches from farmers and pass them on to processors and distributors"
+    icon={<Inventory />}
+  />
+);
+
+export default AggregatorDashboard;
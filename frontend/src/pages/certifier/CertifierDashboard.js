@@ -30,11 +30,15 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { batchAPI } from '../../services/api';
 import { shortenAddress } from '../../utils/web3Utils';
+import { getAccreditation } from '../../utils/accreditation';
+import { canTransition } from '../../utils/batchLifecycle';
+import AccreditationStatus from '../../components/certifier/AccreditationStatus';
+import RecallBanner from '../../components/batch/RecallBanner';
 
 const CertifierDashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { account } = useWeb3();
+  const { web3, account, contracts } = useWeb3();
   
   const [tabValue, setTabValue] = useState(0);
   const [loading, setLoading] = useState(true);
@@ -42,6 +46,7 @@ const CertifierDashboard = () => {
   const [pendingBatches, setPendingBatches] = useState([]);
   const [certifiedBatches, setCertifiedBatches] = useState([]);
   const [rejectedBatches, setRejectedBatches] = useState([]);
+  const [accreditation, setAccreditation] = useState(undefined); // undefined=loading, null=no registry
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
@@ -98,6 +103,19 @@ const CertifierDashboard = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [account]);
   
+  useEffect(() => {
+    const loadAccreditation = async () => {
+      try {
+        if (!web3 || !contracts.agriChain || !account) return;
+        setAccreditation(await getAccreditation(web3, contracts.agriChain, account));
+      } catch (err) {
+        console.warn('Unable to fetch accreditation:', err);
+        setAccreditation(null);
+      }
+    };
+    loadAccreditation();
+  }, [web3, contracts.agriChain, account]);
+  
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
@@ -125,6 +143,7 @@ const CertifierDashboard = () => {
           <Grid item xs={12} sm={6} md={4} key={batch.batchId}>
             <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
               <CardContent sx={{ flexGrow: 1 }}>
+                <RecallBanner batch={batch} compact />
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                   <Typography variant="h6" component="h3">
                     {batch.cropName}
@@ -156,6 +175,11 @@ const CertifierDashboard = () => {
                     </Typography>
                     {batch.status === 'CERTIFIED' && (
                       <>
+                        {batch.certificationStandard && (
+                          <Typography variant="body2" gutterBottom>
+                            <strong>Standard:</strong> {batch.certificationStandard}
+                          </Typography>
+                        )}
                         <Typography variant="body2" gutterBottom>
                           <strong>Crop Health:</strong> {batch.cropHealth}
                         </Typography>
@@ -168,7 +192,7 @@ const CertifierDashboard = () => {
                 )}
               </CardContent>
               <CardActions>
-                {batch.status === 'CREATED' ? (
+                {canTransition('certify', batch.status) ? (
                   <Button
                     variant="contained"
                     color="primary"
@@ -287,6 +311,8 @@ const CertifierDashboard = () => {
           </Grid>
         </Paper>
         
+        <AccreditationStatus accreditation={accreditation} />
+        
         {/* Tabs for different batch statuses */}
         <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
           <Tabs value={tabValue} onChange={handleTabChange} aria-label="batch tabs">
@@ -21,6 +21,7 @@ import {
   StepContent,
   Divider,
   Chip,
+  MenuItem,
 } from '@mui/material';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { DatePicker, LocalizationProvider } from '@mui/x-date-pickers';
@@ -30,12 +31,17 @@ import {
   Agriculture,
   CheckCircle,
   Science,
+  FactCheck,
 } from '@mui/icons-material';
 
 import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { batchAPI } from '../../services/api';
 import { shortenAddress, dateToTimestamp } from '../../utils/web3Utils';
+import { getAccreditation, coversBatch } from '../../utils/accreditation';
+import { canTransition } from '../../utils/batchLifecycle';
+import InspectionDialog from '../../components/inspection/InspectionDialog';
+import InspectionList from '../../components/inspection/InspectionList';
 
 const CertifyBatch = () => {
   const { batchId } = useParams();
@@ -52,9 +58,13 @@ const CertifyBatch = () => {
   const [gasEstimate, setGasEstimate] = useState(null);
   const [isCertifierRegistered, setIsCertifierRegistered] = useState(false);
   const [onchainExists, setOnchainExists] = useState(null); // null=unknown, true/false
+  const [accreditation, setAccreditation] = useState(undefined); // undefined=loading, null=no registry
+  const [inspections, setInspections] = useState([]);
+  const [inspectionOpen, setInspectionOpen] = useState(false);
   
   const [certificationData, setCertificationData] = useState({
     passed: true,
+    standard: '',
     cropHealth: '',
     expiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // Default 30 days in future
     notes: '',
@@ -84,6 +94,26 @@ const CertifyBatch = () => {
     checkRole();
   }, [contracts.agriChain, account]);
 
+  // Load the accreditation that decides which batches this wallet may certify
+  useEffect(() => {
+    const loadAccreditation = async () => {
+      try {
+        if (!web3 || !contracts.agriChain || !account) return;
+        const current = await getAccreditation(web3, contracts.agriChain, account);
+        setAccreditation(current);
+        if (current?.standards.length) {
+          setCertificationData((data) => ({ ...data, standard: data.standard || current.standards[0] }));
+        }
+      } catch (e) {
+        console.warn('Unable to fetch accreditation:', e);
+        setAccreditation(null);
+      }
+    };
+    loadAccreditation();
+  }, [web3, contracts.agriChain, account]);
+
+  const inScope = Boolean(batch) && coversBatch(accreditation, batch, certificationData.standard);
+
   // Check whether batch exists on-chain (token minted) and cache the result
   useEffect(() => {
     const checkOnchainBatch = async () => {
@@ -116,10 +146,12 @@ const CertifyBatch = () => {
       const response = await batchAPI.getBatchById(batchId);
       setBatch(response.data);
       
-      if (response.data.status !== 'CREATED') {
+      if (!canTransition('certify', response.data.status)) {
         setError(`This batch cannot be certified (Current status: ${response.data.status})`);
       }
       
+      await fetchInspections();
+      
     } catch (err) {
       console.error('Error fetching batch details:', err);
       setError('Failed to load batch details. Please try again.');
@@ -128,6 +160,21 @@ const CertifyBatch = () => {
     }
   };
   
+  // The latest inspection decides the default outcome of the certification
+  const fetchInspections = async () => {
+    try {
+      const response = await batchAPI.getInspections(batchId);
+      const recorded = Array.isArray(response.data) ? response.data : [];
+      setInspections(recorded);
+      if (recorded.length) {
+        const latest = recorded[recorded.length - 1];
+        setCertificationData((data) => ({ ...data, passed: latest.passed }));
+      }
+    } catch (err) {
+      console.warn('Unable to fetch inspections:', err);
+    }
+  };
+  
   const handleChange = (e) => {
     const { name, value } = e.target;
     setCertificationData({
@@ -184,6 +231,12 @@ const CertifyBatch = () => {
       if (!isCertifierRegistered) {
         throw new Error('You are not registered on-chain as a Certifier. Please register first.');
       }
+      if (!inScope) {
+        throw new Error('Your accreditation does not cover this batch and standard.');
+      }
+      if (certificationData.passed && !(new Date(certificationData.expiry) > new Date())) {
+        throw new Error('The expiry date must be in the future.');
+      }
       
       // Convert expiry date to timestamp
       const expiryTimestamp = dateToTimestamp(certificationData.expiry);
@@ -215,9 +268,10 @@ const CertifyBatch = () => {
           onchainBatchId,
           certificationData.passed,
           certificationData.cropHealth,
-          expiryTimestamp
+          expiryTimestamp,
+          certificationData.standard
         )
-        .send({ from: account, gas: 200000 });
+        .send({ from: account, gas: 500000 });
       
       // Update backend with certification data
       await batchAPI.certifyBatch(batchId, {
@@ -225,6 +279,7 @@ const CertifyBatch = () => {
         cropHealth: certificationData.cropHealth,
         expiry: certificationData.expiry,
         labResults: certificationData.passed,
+        standard: certificationData.standard,
         notes: certificationData.notes,
         transactionHash: certifyTx.transactionHash,
       });
@@ -312,6 +367,26 @@ const CertifyBatch = () => {
           </Alert>
         )}
         
+        {accreditation === null && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            No certifier registry is configured on the AgriChain contract, so certifications will be refused.
+          </Alert>
+        )}
+
+        {accreditation && accreditation.status !== 'ACTIVE' && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            {accreditation.status === 'NONE'
+              ? 'Your wallet has not been accredited as a certifier. Ask an administrator to accredit you.'
+              : `Your accreditation is ${accreditation.status.toLowerCase()}. Ask an administrator to renew it.`}
+          </Alert>
+        )}
+
+        {accreditation?.status === 'ACTIVE' && canTransition('certify', batch.status) && !inScope && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Your accreditation does not cover {batch.cropName} from {batch.location} for the selected standard.
+          </Alert>
+        )}
+        
         {success && (
           <Alert severity="success" sx={{ mb: 4 }}>
             Batch {certificationData.passed ? 'certified' : 'rejected'} successfully! Redirecting to dashboard...
@@ -362,6 +437,19 @@ const CertifyBatch = () => {
           <Step key="lab-results">
             <StepLabel>Lab Testing Results</StepLabel>
             <StepContent>
+              <Box sx={{ mb: 3 }}>
+                <InspectionList batchId={batch.batchId} inspections={inspections} />
+                <Button
+                  variant="outlined"
+                  startIcon={<FactCheck />}
+                  onClick={() => setInspectionOpen(true)}
+                  disabled={submitting || accreditation?.status !== 'ACTIVE'}
+                  sx={{ mt: 2 }}
+                >
+                  Record Inspection
+                </Button>
+              </Box>
+              
               <FormControl component="fieldset" sx={{ mb: 3 }}>
                 <FormLabel component="legend">Lab Test Result</FormLabel>
                 <RadioGroup
@@ -383,6 +471,25 @@ const CertifyBatch = () => {
                 </RadioGroup>
               </FormControl>
               
+              <TextField
+                select
+                name="standard"
+                label="Certification Standard"
+                fullWidth
+                required
+                value={certificationData.standard}
+                onChange={handleChange}
+                disabled={submitting || !accreditation?.standards.length}
+                helperText="Standards you are accredited for"
+                sx={{ mb: 3 }}
+              >
+                {(accreditation?.standards || []).map((standard) => (
+                  <MenuItem key={standard} value={standard}>
+                    {standard}
+                  </MenuItem>
+                ))}
+              </TextField>
+
               <TextField
                 name="cropHealth"
                 label="Crop Health Assessment"
@@ -402,7 +509,7 @@ const CertifyBatch = () => {
                   variant="contained"
                   onClick={handleNext}
                   sx={{ mt: 1, mr: 1 }}
-                  disabled={!certificationData.cropHealth}
+                  disabled={!certificationData.cropHealth || !certificationData.standard}
                 >
                   Continue
                 </Button>
@@ -482,6 +589,9 @@ const CertifyBatch = () => {
                     <Chip icon={<Cancel />} label="Fail" color="error" size="small" />
                   )}
                 </Typography>
+                <Typography variant="body2" gutterBottom>
+                  <strong>Standard:</strong> {certificationData.standard}
+                </Typography>
                 <Typography variant="body2" gutterBottom>
                   <strong>Crop Health:</strong> {certificationData.cropHealth}
                 </Typography>
@@ -524,7 +634,7 @@ const CertifyBatch = () => {
                     variant="contained"
                     color={certificationData.passed ? 'primary' : 'error'}
                     onClick={handleSubmitCertification}
-                    disabled={submitting || onchainExists === false}
+                    disabled={submitting || onchainExists === false || !inScope}
                     startIcon={submitting ? 
                       <CircularProgress size={20} color="inherit" /> : 
                       certificationData.passed ? <VerifiedUser /> : <Cancel />
@@ -559,6 +669,13 @@ const CertifyBatch = () => {
           </Step>
         </Stepper>
       </Paper>
+      
+      <InspectionDialog
+        open={inspectionOpen}
+        batch={batch}
+        onClose={() => setInspectionOpen(false)}
+        onRecorded={fetchInspections}
+      />
     </Container>
   );
 };
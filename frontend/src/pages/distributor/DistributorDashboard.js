@@ -0,0 +1,14 @@
+import React from 'react';
+import { Warehouse } from '@mui/icons-material';
+
+import CustodyDashboard from '../../components/custody/CustodyDashboard';
+
+const DistributorDashboard = () => (
+  <CustodyDashboard
+    role="distributor"
+    description="Distribute batches to retailers or hand them to transporters"
+    icon={<Warehouse />}
+  />
+);
+
+export default DistributorDashboard;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { useAuth } from '../../contexts/AuthContext';
@@ -13,11 +13,13 @@ import {
   Divider,
   CircularProgress,
   Alert,
+  MenuItem,
 } from '@mui/material';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { DatePicker, LocalizationProvider } from '@mui/x-date-pickers';
 import api from '../../services/api';
 import Papa from 'papaparse';
+import { NATIVE_TOKEN, getPaymentTokens, toBaseUnits } from '../../utils/paymentTokens';
 
 const CreateBatch = () => {
   const navigate = useNavigate();
@@ -35,9 +37,29 @@ const CreateBatch = () => {
     location: user?.location || '',
     harvestDate: new Date(),
     price: '',
+    quantity: '',
+    unit: 'kg',
+    paymentToken: NATIVE_TOKEN.address,
   });
   const [csvLoading, setCsvLoading] = useState(false);
   const [csvError, setCsvError] = useState(null);
+  const [paymentTokens, setPaymentTokens] = useState([NATIVE_TOKEN]);
+
+  // Load the currencies allow-listed on AgriChain
+  useEffect(() => {
+    const loadPaymentTokens = async () => {
+      try {
+        if (!web3 || !contracts.agriChain) return;
+        setPaymentTokens(await getPaymentTokens(web3, contracts.agriChain));
+      } catch (err) {
+        // Best-effort; batches can still be priced in ETH
+        console.warn('Unable to load payment tokens:', err);
+      }
+    };
+    loadPaymentTokens();
+  }, [web3, contracts.agriChain]);
+
+  const selectedToken = paymentTokens.find(token => token.address === formData.paymentToken) || NATIVE_TOKEN;
 
   // Handle input change
   const handleChange = (e) => {
@@ -94,7 +116,7 @@ const CreateBatch = () => {
       }
 
       // Prepare parameters like the real call
-      const priceInWei = web3.utils.toWei((formData.price || '0').toString(), 'ether');
+      const priceInWei = toBaseUnits(web3, formData.price, selectedToken.decimals);
       const harvestTimestamp = Math.floor((formData.harvestDate || new Date()).getTime() / 1000);
 
       const gasEstimate = await contracts.agriChain.methods
@@ -104,7 +126,10 @@ const CreateBatch = () => {
           formData.cropVariety || 'TEMP',
           formData.location || 'TEMP',
           harvestTimestamp,
-          priceInWei
+          priceInWei,
+          Number(formData.quantity) || 1,
+          formData.unit || 'kg',
+          selectedToken.address
         )
         .estimateGas({ from: account });
 
@@ -155,15 +180,21 @@ const CreateBatch = () => {
         !formData.cropVariety ||
         !formData.location ||
         !formData.harvestDate ||
-        !formData.price
+        !formData.price ||
+        !formData.quantity ||
+        !formData.unit
       ) {
         throw new Error('Please fill in all fields');
       }
 
+      if (!Number.isInteger(Number(formData.quantity)) || Number(formData.quantity) <= 0) {
+        throw new Error('Quantity must be a positive whole number');
+      }
+
       // Normalize and validate inputs
       const batchIdTrimmed = (formData.batchId || '').trim();
-      // Convert price to wei
-      const priceInWei = web3.utils.toWei(formData.price, 'ether');
+      // Convert price to the payment token's base units
+      const priceInWei = toBaseUnits(web3, formData.price, selectedToken.decimals);
       
       // Convert harvest date to timestamp
       const harvestTimestamp = Math.floor(formData.harvestDate.getTime() / 1000);
@@ -174,11 +205,11 @@ const CreateBatch = () => {
         const isRegistered = userOnChain.isRegistered;
         const role = Number(userOnChain.role);
         if (!isRegistered || role !== 0) {
-          throw new Error('Your wallet is not registered as Farmer on-chain. Register first via /debug page.');
+          throw new Error('Your wallet is not registered as Farmer on-chain. Click "Register as Farmer" to proceed.');
         }
       } catch (roleErr) {
         if (roleErr.message.includes('execution reverted') || roleErr.message.includes('User not registered')) {
-          throw new Error('Your wallet is not registered as Farmer on-chain. Register first via /debug page.');
+          throw new Error('Your wallet is not registered as Farmer on-chain. Click "Register as Farmer" to proceed.');
         }
         throw roleErr;
       }
@@ -193,7 +224,10 @@ const CreateBatch = () => {
             formData.cropVariety,
             formData.location,
             harvestTimestamp,
-            priceInWei
+            priceInWei,
+            formData.quantity,
+            formData.unit,
+            selectedToken.address
           )
           .estimateGas({ from: account });
         gasLimit = Math.floor(Number(gasLimit) * 1.2);
@@ -210,7 +244,10 @@ const CreateBatch = () => {
           formData.cropVariety,
           formData.location,
           harvestTimestamp,
-          priceInWei
+          priceInWei,
+          formData.quantity,
+          formData.unit,
+          selectedToken.address
         )
         .send({ 
           from: account,
@@ -229,6 +266,9 @@ const CreateBatch = () => {
         harvestDate: formData.harvestDate,
         farmer: account,
         price: formData.price,
+        quantity: Number(formData.quantity),
+        unit: formData.unit,
+        paymentToken: selectedToken.address,
         transactionHash: createBatchTx.transactionHash,
       });
 
@@ -242,6 +282,9 @@ const CreateBatch = () => {
         location: user?.location || '',
         harvestDate: new Date(),
         price: '',
+        quantity: '',
+        unit: 'kg',
+        paymentToken: formData.paymentToken,
       });
 
       // Navigate to batch detail after 2 seconds
@@ -259,7 +302,8 @@ const CreateBatch = () => {
     }
   };
 
-  // CSV upload handler: expects columns batchId,cropName,cropVariety,location,harvestDate,price
+  // CSV upload handler: expects columns batchId,cropName,cropVariety,location,harvestDate,price,quantity,unit
+  // Prices are read in the currency currently selected in the form
   const handleCsvUpload = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -295,24 +339,27 @@ const CreateBatch = () => {
       location: String(row.location || '').trim(),
       harvestDate: row.harvestDate ? new Date(row.harvestDate) : new Date(),
       price: String(row.price || '0').trim(),
+      quantity: Number(String(row.quantity || '').trim()),
+      unit: String(row.unit || '').trim(),
     };
-    if (!data.batchId || !data.cropName || !data.cropVariety || !data.location || !data.price) {
+    if (!data.batchId || !data.cropName || !data.cropVariety || !data.location || !data.price ||
+        !Number.isInteger(data.quantity) || data.quantity <= 0 || !data.unit) {
       throw new Error('CSV row missing required fields');
     }
 
-    const priceInWei = web3.utils.toWei(data.price, 'ether');
+    const priceInWei = toBaseUnits(web3, data.price, selectedToken.decimals);
     const harvestTimestamp = Math.floor(new Date(data.harvestDate).getTime() / 1000);
 
     let gasLimit = 350000;
     try {
       gasLimit = await contracts.agriChain.methods
-        .createBatch(data.batchId, data.cropName, data.cropVariety, data.location, harvestTimestamp, priceInWei)
+        .createBatch(data.batchId, data.cropName, data.cropVariety, data.location, harvestTimestamp, priceInWei, data.quantity, data.unit, selectedToken.address)
         .estimateGas({ from: account });
       gasLimit = Math.floor(Number(gasLimit) * 1.2);
     } catch {}
 
     const tx = await contracts.agriChain.methods
-      .createBatch(data.batchId, data.cropName, data.cropVariety, data.location, harvestTimestamp, priceInWei)
+      .createBatch(data.batchId, data.cropName, data.cropVariety, data.location, harvestTimestamp, priceInWei, data.quantity, data.unit, selectedToken.address)
       .send({ from: account, gas: gasLimit });
 
     await api.post('/batches', {
@@ -323,6 +370,9 @@ const CreateBatch = () => {
       harvestDate: data.harvestDate,
       farmer: account,
       price: data.price,
+      quantity: data.quantity,
+      unit: data.unit,
+      paymentToken: selectedToken.address,
       transactionHash: tx.transactionHash,
     });
   };
@@ -406,10 +456,10 @@ const CreateBatch = () => {
                 />
               </LocalizationProvider>
             </Grid>
-            <Grid item xs={12} md={6}>
+            <Grid item xs={8} md={4}>
               <TextField
                 name="price"
-                label="Price (ETH)"
+                label={`Price (${selectedToken.symbol})`}
                 type="number"
                 fullWidth
                 required
@@ -417,8 +467,53 @@ const CreateBatch = () => {
                 onChange={handleChange}
                 disabled={loading}
                 InputProps={{
-                  inputProps: { min: 0, step: 0.001 }
+                  inputProps: { min: 0, step: 1 / 10 ** Math.min(selectedToken.decimals, 3) }
+                }}
+              />
+            </Grid>
+            <Grid item xs={4} md={2}>
+              <TextField
+                select
+                name="paymentToken"
+                label="Currency"
+                fullWidth
+                value={formData.paymentToken}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                {paymentTokens.map(token => (
+                  <MenuItem key={token.address} value={token.address}>
+                    {token.symbol}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                name="quantity"
+                label="Quantity"
+                type="number"
+                fullWidth
+                required
+                value={formData.quantity}
+                onChange={handleChange}
+                disabled={loading}
+                InputProps={{
+                  inputProps: { min: 1, step: 1 }
                 }}
+                helperText="Whole units; lots can be split or merged later"
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                name="unit"
+                label="Unit"
+                fullWidth
+                required
+                value={formData.unit}
+                onChange={handleChange}
+                disabled={loading}
+                helperText="e.g. kg, crates, bags"
               />
             </Grid>
           </Grid>
@@ -467,7 +562,8 @@ const CreateBatch = () => {
           <Divider sx={{ my: 3 }} />
           <Typography variant="subtitle1" gutterBottom>Bulk upload via CSV</Typography>
           <Typography variant="body2" color="text.secondary" gutterBottom>
-            Columns: batchId, cropName, cropVariety, location, harvestDate, price
+            Columns: batchId, cropName, cropVariety, location, harvestDate, price, quantity, unit
+            (prices in {selectedToken.symbol})
           </Typography>
           <Button component="label" variant="outlined" disabled={csvLoading || loading}>
             {csvLoading ? 'Uploading...' : 'Upload CSV'}
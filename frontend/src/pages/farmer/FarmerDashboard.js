@@ -19,6 +19,7 @@ import {
   Avatar,
   TextField,
   InputAdornment,
+  MenuItem,
 } from '@mui/material';
 import {
   Add,
@@ -29,29 +30,41 @@ import {
   Search,
   History,
   PendingActions,
+  ReportProblem,
+  HourglassDisabled,
 } from '@mui/icons-material';
 
 import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { batchAPI } from '../../services/api';
-import { shortenAddress, formatFromWei } from '../../utils/web3Utils';
+import { shortenAddress } from '../../utils/web3Utils';
+import { formatBatchPrice } from '../../utils/paymentTokens';
+import { STATUSES, compareShelfLife } from '../../utils/batchLifecycle';
+import RecallBanner from '../../components/batch/RecallBanner';
+import ShelfLifeChip from '../../components/batch/ShelfLifeChip';
+import ShelfLifeFilter, { filterByShelfLife } from '../../components/batch/ShelfLifeFilter';
 
 const FarmerDashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { account, web3 } = useWeb3();
+  const { account } = useWeb3();
   
   const [tabValue, setTabValue] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [batches, setBatches] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [sortBy, setSortBy] = useState('date'); // 'date', 'shelfLife'
+  const [shelfLifeFilter, setShelfLifeFilter] = useState('all');
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
     certified: 0,
     rejected: 0,
     purchased: 0,
+    recalled: 0,
+    expired: 0,
   });
   
   // Define before useEffect to avoid TDZ: can't access lexical declaration before initialization
@@ -72,6 +85,8 @@ const FarmerDashboard = () => {
         certified: 0,
         rejected: 0,
         purchased: 0,
+        recalled: 0,
+        expired: 0,
       };
       
       farmerBatches.forEach(batch => {
@@ -88,6 +103,12 @@ const FarmerDashboard = () => {
           case 'PURCHASED':
             nextStats.purchased++;
             break;
+          case 'RECALLED':
+            nextStats.recalled++;
+            break;
+          case 'EXPIRED':
+            nextStats.expired++;
+            break;
           default:
             break;
         }
@@ -110,6 +131,31 @@ const FarmerDashboard = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [account, fetchFarmerBatches]);
   
+  // Crop and location are encrypted, so matching runs on the server against their blind indexes
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query || !account) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await batchAPI.searchBatches(query, { farmer: account });
+        if (!cancelled) setSearchResults(response.data);
+      } catch (err) {
+        console.error('Error searching batches:', err);
+        if (!cancelled) setSearchResults([]);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, account]);
+  
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
@@ -128,32 +174,19 @@ const FarmerDashboard = () => {
   
   // Get filtered batches based on tab and search query
   const getFilteredBatches = () => {
-    let filtered = batches;
+    // Search results replace the full list while a query is entered
+    let filtered = searchQuery.trim() && searchResults ? searchResults : batches;
     
-    // Filter by tab
-    if (tabValue === 1) {
-      filtered = batches.filter(batch => batch.status === 'CREATED');
-    } else if (tabValue === 2) {
-      filtered = batches.filter(batch => batch.status === 'CERTIFIED');
-    } else if (tabValue === 3) {
-      filtered = batches.filter(batch => batch.status === 'REJECTED');
-    } else if (tabValue === 4) {
-      filtered = batches.filter(batch => batch.status === 'PURCHASED');
+    // Filter by tab; after "All" the tabs follow the lifecycle's statuses
+    if (tabValue > 0) {
+      filtered = filtered.filter(batch => batch.status === STATUSES[tabValue - 1]);
     }
+    filtered = filterByShelfLife(filtered, shelfLifeFilter);
     
-    // Filter by search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(batch => 
-        batch.cropName.toLowerCase().includes(query) ||
-        batch.cropVariety.toLowerCase().includes(query) ||
-        batch.location.toLowerCase().includes(query) ||
-        batch.batchId.toString().includes(query)
-      );
-    }
-    
-    // Sort by newest first
-    return filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Soonest to expire, or newest first
+    return [...filtered].sort((a, b) => (
+      sortBy === 'shelfLife' ? compareShelfLife(a, b) : new Date(b.createdAt) - new Date(a.createdAt)
+    ));
   };
   
   // Get status chip color and label
@@ -167,6 +200,10 @@ const FarmerDashboard = () => {
         return <Chip icon={<Cancel />} label="Rejected" color="error" size="small" />;
       case 'PURCHASED':
         return <Chip icon={<ShoppingCart />} label="Purchased" color="secondary" size="small" />;
+      case 'RECALLED':
+        return <Chip icon={<ReportProblem />} label="Recalled" color="error" size="small" />;
+      case 'EXPIRED':
+        return <Chip icon={<HourglassDisabled />} label="Expired" color="default" size="small" />;
       default:
         return <Chip label={status} size="small" />;
     }
@@ -187,12 +224,14 @@ const FarmerDashboard = () => {
           <Grid item xs={12} sm={6} md={4} key={batch.batchId}>
             <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
               <CardContent sx={{ flexGrow: 1 }}>
+                <RecallBanner batch={batch} compact />
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                   <Typography variant="h6" component="h3">
                     {batch.cropName}
                   </Typography>
                   {getStatusChip(batch.status)}
                 </Box>
+                <ShelfLifeChip batch={batch} sx={{ mb: 1 }} />
                 <Typography variant="body2" color="text.secondary" gutterBottom>
                   Variety: {batch.cropVariety}
                 </Typography>
@@ -202,6 +241,9 @@ const FarmerDashboard = () => {
                 <Typography variant="body2" color="text.secondary" gutterBottom>
                   Batch ID: #{batch.batchId}
                 </Typography>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Quantity: {batch.quantity ?? 'N/A'} {batch.unit}
+                </Typography>
                 <Typography variant="body2" color="text.secondary" gutterBottom>
                   Created: {new Date(batch.createdAt).toLocaleDateString()}
                 </Typography>
@@ -216,7 +258,7 @@ const FarmerDashboard = () => {
                       <strong>Health:</strong> {batch.cropHealth}
                     </Typography>
                     <Typography variant="h6" color="primary" sx={{ mt: 1 }}>
-                      {web3 ? formatFromWei(batch.price.toString(), web3) : batch.price} ETH
+                      {formatBatchPrice(batch)}
                     </Typography>
                   </>
                 )}
@@ -236,7 +278,7 @@ const FarmerDashboard = () => {
                       <strong>Date:</strong> {new Date(batch.purchasedAt).toLocaleDateString()}
                     </Typography>
                     <Typography variant="h6" color="primary" sx={{ mt: 1 }}>
-                      <strong>Sold for:</strong> {web3 ? formatFromWei(batch.price.toString(), web3) : batch.price} ETH
+                      <strong>Sold for:</strong> {formatBatchPrice(batch)}
                     </Typography>
                   </>
                 )}
@@ -301,21 +343,24 @@ const FarmerDashboard = () => {
         
         {/* Statistics Cards */}
         <Grid container spacing={2} sx={{ mb: 4 }}>
-          <Grid item xs={6} sm={4} md={2.4}>
+          <Grid item xs={6} sm={4} md={2}>
             <StatsCard title="Total" value={stats.total} color="#2196f3" />
           </Grid>
-          <Grid item xs={6} sm={4} md={2.4}>
+          <Grid item xs={6} sm={4} md={2}>
             <StatsCard title="Pending" value={stats.pending} color="#ff9800" />
           </Grid>
-          <Grid item xs={6} sm={4} md={2.4}>
+          <Grid item xs={6} sm={4} md={2}>
             <StatsCard title="Certified" value={stats.certified} color="#4caf50" />
           </Grid>
-          <Grid item xs={6} sm={6} md={2.4}>
+          <Grid item xs={6} sm={4} md={2}>
             <StatsCard title="Rejected" value={stats.rejected} color="#f44336" />
           </Grid>
-          <Grid item xs={6} sm={6} md={2.4}>
+          <Grid item xs={6} sm={4} md={2}>
             <StatsCard title="Sold" value={stats.purchased} color="#9c27b0" />
           </Grid>
+          <Grid item xs={6} sm={4} md={2}>
+            <StatsCard title="Recalled" value={stats.recalled} color="#d32f2f" />
+          </Grid>
         </Grid>
         
         {/* Farmer Profile */}
@@ -346,31 +391,52 @@ const FarmerDashboard = () => {
           </Grid>
         </Paper>
         
-        {/* Search field */}
-        <TextField
-          fullWidth
-          label="Search batches"
-          variant="outlined"
-          value={searchQuery}
-          onChange={handleSearch}
-          sx={{ mb: 3 }}
-          InputProps={{
-            startAdornment: (
-              <InputAdornment position="start">
-                <Search />
-              </InputAdornment>
-            ),
-          }}
-        />
+        {/* Search, sort and shelf life filter */}
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 3 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Search batches"
+              variant="outlined"
+              value={searchQuery}
+              onChange={handleSearch}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <Search />
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Sort by"
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+            >
+              <MenuItem value="date">Newest first</MenuItem>
+              <MenuItem value="shelfLife">Shelf life remaining</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <ShelfLifeFilter value={shelfLifeFilter} onChange={setShelfLifeFilter} sx={{ width: '100%' }} />
+          </Grid>
+        </Grid>
         
         {/* Tabs for different batch statuses */}
         <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
-          <Tabs value={tabValue} onChange={handleTabChange} aria-label="batch tabs">
+          <Tabs value={tabValue} onChange={handleTabChange} variant="scrollable" scrollButtons="auto" aria-label="batch tabs">
             <Tab label={`All (${stats.total})`} />
             <Tab label={`Pending (${stats.pending})`} />
             <Tab label={`Certified (${stats.certified})`} />
             <Tab label={`Rejected (${stats.rejected})`} />
             <Tab label={`Sold (${stats.purchased})`} />
+            <Tab label={`Recalled (${stats.recalled})`} />
+            <Tab label={`Expired (${stats.expired})`} />
           </Tabs>
         </Box>
         
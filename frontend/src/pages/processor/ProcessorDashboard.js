@@ -0,0 +1,14 @@
+import React from 'react';
+import { Factory } from '@mui/icons-material';
+
+import CustodyDashboard from '../../components/custody/CustodyDashboard';
+
+const ProcessorDashboard = () => (
+  <CustodyDashboard
+    role="processor"
+    description="Process the batches in your custody and hand them to distributors"
+    icon={<Factory />}
+  />
+);
+
+export default ProcessorDashboard;
@@ -28,17 +28,23 @@ import {
   LocalShipping,
   SortByAlpha,
   AttachMoney,
+  HourglassBottom,
 } from '@mui/icons-material';
 
 import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { batchAPI } from '../../services/api';
-import { shortenAddress, formatFromWei } from '../../utils/web3Utils';
+import { shortenAddress } from '../../utils/web3Utils';
+import { formatBatchPrice } from '../../utils/paymentTokens';
+import { canTransition, compareShelfLife, isExpired } from '../../utils/batchLifecycle';
+import RecallBanner from '../../components/batch/RecallBanner';
+import ShelfLifeChip from '../../components/batch/ShelfLifeChip';
+import ShelfLifeFilter, { filterByShelfLife } from '../../components/batch/ShelfLifeFilter';
 
 const RetailerDashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { account, web3 } = useWeb3();
+  const { account } = useWeb3();
   
   const [tabValue, setTabValue] = useState(0);
   const [loading, setLoading] = useState(true);
@@ -46,7 +52,8 @@ const RetailerDashboard = () => {
   const [availableBatches, setAvailableBatches] = useState([]);
   const [purchasedBatches, setPurchasedBatches] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
-  const [sortBy, setSortBy] = useState('date'); // 'date', 'price', 'name'
+  const [sortBy, setSortBy] = useState('date'); // 'date', 'price', 'name', 'shelfLife'
+  const [shelfLifeFilter, setShelfLifeFilter] = useState('all');
   const [stats, setStats] = useState({
     total: 0,
     available: 0,
@@ -120,10 +127,13 @@ const RetailerDashboard = () => {
         batch.batchId.toString().includes(query)
       );
     }
+    filtered = filterByShelfLife(filtered, shelfLifeFilter);
     
     // Sort results
     return filtered.sort((a, b) => {
       switch (sortBy) {
+        case 'shelfLife':
+          return compareShelfLife(a, b);
         case 'price':
           return parseFloat(a.price) - parseFloat(b.price);
         case 'name':
@@ -156,6 +166,7 @@ const RetailerDashboard = () => {
           <Grid item xs={12} sm={6} md={4} key={batch.batchId}>
             <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
               <CardContent sx={{ flexGrow: 1 }}>
+                <RecallBanner batch={batch} compact />
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                   <Typography variant="h6" component="h3">
                     {batch.cropName}
@@ -167,6 +178,7 @@ const RetailerDashboard = () => {
                     variant="outlined"
                   />
                 </Box>
+                <ShelfLifeChip batch={batch} sx={{ mb: 1 }} />
                 <Typography variant="body2" color="text.secondary" gutterBottom>
                   Variety: {batch.cropVariety}
                 </Typography>
@@ -192,8 +204,11 @@ const RetailerDashboard = () => {
                     <Typography variant="body2" gutterBottom>
                       <strong>Expires:</strong> {new Date(batch.expiry).toLocaleDateString()}
                     </Typography>
+                    <Typography variant="body2" gutterBottom>
+                      <strong>Quantity:</strong> {batch.quantity ?? 'N/A'} {batch.unit}
+                    </Typography>
                     <Typography variant="h6" color="primary" sx={{ mt: 1 }}>
-                      {web3 ? formatFromWei(batch.price.toString(), web3) : batch.price} ETH
+                      {formatBatchPrice(batch)}
                     </Typography>
                   </>
                 )}
@@ -211,7 +226,7 @@ const RetailerDashboard = () => {
                 )}
               </CardContent>
               <CardActions>
-                {batch.status === 'CERTIFIED' ? (
+                {canTransition('purchase', batch.status) && !isExpired(batch) ? (
                   <Button
                     variant="contained"
                     color="primary"
@@ -327,7 +342,7 @@ const RetailerDashboard = () => {
         {/* Search and Sort Controls */}
         <Box sx={{ mb: 3 }}>
           <Grid container spacing={2} alignItems="center">
-            <Grid item xs={12} md={6}>
+            <Grid item xs={12} md={4}>
               <TextField
                 fullWidth
                 label="Search products"
@@ -343,8 +358,8 @@ const RetailerDashboard = () => {
                 }}
               />
             </Grid>
-            <Grid item xs={12} md={6}>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <Grid item xs={12} md={5}>
+              <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', rowGap: 1 }}>
                 <Typography variant="body2" sx={{ mr: 2 }}>
                   Sort by:
                 </Typography>
@@ -370,9 +385,20 @@ const RetailerDashboard = () => {
                   color={sortBy === 'name' ? 'primary' : 'default'}
                   onClick={() => handleSortChange('name')}
                   icon={<SortByAlpha fontSize="small" />}
+                  sx={{ mr: 1 }}
+                />
+                <Chip
+                  label="Shelf life"
+                  clickable
+                  color={sortBy === 'shelfLife' ? 'primary' : 'default'}
+                  onClick={() => handleSortChange('shelfLife')}
+                  icon={<HourglassBottom fontSize="small" />}
                 />
               </Box>
             </Grid>
+            <Grid item xs={12} md={3}>
+              <ShelfLifeFilter value={shelfLifeFilter} onChange={setShelfLifeFilter} sx={{ width: '100%' }} />
+            </Grid>
           </Grid>
         </Box>
         
@@ -0,0 +1,14 @@
+import React from 'react';
+import { LocalShipping } from '@mui/icons-material';
+
+import CustodyDashboard from '../../components/custody/CustodyDashboard';
+
+const TransporterDashboard = () => (
+  <CustodyDashboard
+    role="transporter"
+    description="Track the batches you are carrying between supply chain partners"
+    icon={<LocalShipping />}
+  />
+);
+
+export default TransporterDashboard;
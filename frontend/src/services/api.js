@@ -1,5 +1,6 @@
 import axios from 'axios';
 import pqcrypto from '../utils/crypto/pqcrypto';
+import { getRequestPublicKey, storeRequestKeyId, clearRequestKeyId, signRequest } from '../utils/crypto/requestSigning';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -11,17 +12,22 @@ const api = axios.create({
 
 // Add a request interceptor to add auth token to all requests
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
     const token = localStorage.getItem('token');
-    const pqcSignature = localStorage.getItem('pqcSignature');
     
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
       
-      // Add PQC signature header if available
-      if (pqcSignature) {
-        config.headers['X-PQC-Signature'] = pqcSignature;
+      // Sign the request with this device's key; JSON bodies are serialized here so the
+      // signed bytes are the ones sent
+      if (config.data && (config.data.constructor === Object || Array.isArray(config.data))) {
+        config.data = JSON.stringify(config.data);
       }
+      Object.assign(config.headers, await signRequest({
+        method: config.method || 'get',
+        url: api.getUri(config),
+        body: config.data,
+      }));
     }
     return config;
   },
@@ -30,15 +36,84 @@ api.interceptors.request.use(
   }
 );
 
+// Endpoints whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/nonce', '/auth/wallet-login', '/auth/refresh'];
+
+// Keep the tokens returned by sign-in and refresh
+const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  // Signature header of an earlier version
+  localStorage.removeItem('pqcSignature');
+  clearRequestKeyId();
+};
+
+// Exchange the refresh token for new tokens; refresh tokens are single-use, so this
+// goes around the api instance and its interceptors
+const requestNewTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  try {
+    const { data } = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+    storeSession(data);
+    return data.token;
+  } catch (error) {
+    if (error.response?.status === 409) {
+      // Another tab refreshed at the same moment and is about to store the new tokens
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      if (localStorage.getItem('refreshToken') !== refreshToken) {
+        return localStorage.getItem('token');
+      }
+    }
+    throw error;
+  }
+};
+
+// Requests that fail while a refresh is running wait for that refresh instead of starting another
+let pendingRefresh = null;
+
+const refreshTokens = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = requestNewTokens().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
 // Add a response interceptor
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Clear localStorage if unauthorized
-      localStorage.removeItem('token');
+  async (error) => {
+    const request = error.config;
+    const canRefresh = error.response?.status === 401 &&
+      request && !request.retriedAfterRefresh &&
+      !NO_REFRESH_ENDPOINTS.some((endpoint) => request.url?.startsWith(endpoint)) &&
+      localStorage.getItem('refreshToken');
+
+    // The access token expired: refresh it silently and replay the request
+    if (canRefresh) {
+      request.retriedAfterRefresh = true;
+      try {
+        await refreshTokens();
+        return api(request);
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError.response?.data?.message || refreshError.message);
+      }
+    }
+
+    const suspended = error.response?.status === 403 && error.response.data?.message === 'Account suspended';
+    if (error.response && (error.response.status === 401 || suspended)) {
+      // Clear the session if it cannot be refreshed or the account was suspended
+      clearSession();
       
       // Redirect to login if not already there
       if (!window.location.pathname.includes('/login')) {
@@ -52,24 +127,50 @@ api.interceptors.response.use(
 // Auth API with PQC support
 export const authAPI = {
   register: async (userData) => {
-    const response = await api.post('/auth/register', userData);
-    if (response.data.pqcSignature) {
-      localStorage.setItem('pqcSignature', response.data.pqcSignature);
-    }
+    const response = await api.post('/auth/register', { ...userData, pqcPublicKey: getRequestPublicKey() });
+    storeSession(response.data);
+    storeRequestKeyId(response.data.pqcKeyId);
     return response;
   },
   login: async (credentials) => {
-    const response = await api.post('/auth/login', credentials);
-    if (response.data.pqcSignature) {
-      localStorage.setItem('pqcSignature', response.data.pqcSignature);
-    }
+    const response = await api.post('/auth/login', { ...credentials, pqcPublicKey: getRequestPublicKey() });
+    storeSession(response.data);
+    storeRequestKeyId(response.data.pqcKeyId);
     return response;
   },
-  verifyWallet: (walletAddress) => api.post('/auth/verify-wallet', { walletAddress }),
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('pqcSignature');
-  }
+  getWalletNonce: (walletAddress, chainId) => api.post('/auth/nonce', { walletAddress, chainId }),
+  walletLogin: async ({ walletAddress, nonce, signature }) => {
+    const response = await api.post('/auth/wallet-login', {
+      walletAddress,
+      nonce,
+      signature,
+      pqcPublicKey: getRequestPublicKey(),
+    });
+    storeSession(response.data);
+    storeRequestKeyId(response.data.pqcKeyId);
+    return response;
+  },
+  // Revoke the session on the server, then forget it locally even if that fails
+  logout: async () => {
+    try {
+      if (localStorage.getItem('refreshToken')) {
+        await api.post('/auth/logout');
+      }
+    } catch (error) {
+      console.error('Error signing out:', error);
+    } finally {
+      clearSession();
+    }
+  },
+  clearSession,
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerificationEmail: () => api.post('/auth/verify-email/resend'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/password', { currentPassword, newPassword }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeAllSessions: (keepCurrent) => api.delete('/auth/sessions', { params: { keepCurrent } })
 };
 
 // User API
@@ -87,16 +188,84 @@ export const userAPI = {
 // Batch API
 export const batchAPI = {
   getAllBatches: () => api.get('/batches'),
-  getBatchById: (batchId) => api.get(`/batches/${batchId}`),
+  getBatchById: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}`),
   createBatch: (batchData) => api.post('/batches', batchData),
-  certifyBatch: (batchId, certData) => api.put(`/batches/${batchId}/certify`, certData),
-  purchaseBatch: (batchId, purchaseData) => api.put(`/batches/${batchId}/purchase`, purchaseData),
-  searchBatches: (query) => api.get(`/batches/search/${query}`),
+  certifyBatch: (batchId, certData) => api.put(`/batches/${encodeURIComponent(batchId)}/certify`, certData),
+  purchaseBatch: (batchId, purchaseData) => api.put(`/batches/${encodeURIComponent(batchId)}/purchase`, purchaseData),
+  transferCustody: (batchId, transferData) => api.put(`/batches/${encodeURIComponent(batchId)}/transfer`, transferData),
+  updateEscrow: (batchId, escrowData) => api.put(`/batches/${encodeURIComponent(batchId)}/escrow`, escrowData),
+  splitBatch: (batchId, splitData) => api.post(`/batches/${encodeURIComponent(batchId)}/split`, splitData),
+  mergeBatches: (mergeData) => api.post('/batches/merge', mergeData),
+  recallBatch: (batchId, recallData) => api.post(`/batches/${encodeURIComponent(batchId)}/recall`, recallData),
+  getRecallReport: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}/recall-report`),
+  downloadRecallReport: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}/recall-report`, {
+    params: { format: 'csv' },
+    responseType: 'blob',
+  }),
+  getBatchLineage: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}/lineage`),
+  getBatchTrace: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}/trace`),
+  searchBatches: (query, params) => api.get(`/batches/search/${encodeURIComponent(query)}`, { params }),
   getFarmerBatches: (walletAddress) => api.get(`/batches/farmer/${walletAddress}`),
   getCertifierBatches: (walletAddress) => api.get(`/batches/certifier/${walletAddress}`),
   getRetailerBatches: (walletAddress) => api.get(`/batches/retailer/${walletAddress}`),
+  getCustodianBatches: (walletAddress) => api.get(`/batches/custodian/${walletAddress}`),
+  getHandledBatches: (walletAddress) => api.get(`/batches/handler/${walletAddress}`),
   getPendingCertificationBatches: () => api.get('/batches/pending-certification'),
   getAvailablePurchaseBatches: () => api.get('/batches/available-purchase'),
+  getInspections: (batchId) => api.get(`/batches/${encodeURIComponent(batchId)}/inspections`),
+  previewInspection: (batchId, inspection) => api.post(`/batches/${encodeURIComponent(batchId)}/inspections/preview`, inspection),
+  recordInspection: (batchId, inspection) => api.post(`/batches/${encodeURIComponent(batchId)}/inspections`, inspection),
+};
+
+// Inspection thresholds and lab reports
+export const inspectionAPI = {
+  getThresholds: (cropName) => api.get('/inspections/thresholds', { params: { cropName } }),
+  // Sent as the raw body so the backend hashes exactly the bytes of the file
+  uploadReport: (file) => api.post('/inspections/reports', file, {
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-Filename': encodeURIComponent(file.name),
+    },
+  }),
+  getReportUrl: (hash) => `${api.defaults.baseURL}/inspections/reports/${hash}`,
+  verifyReport: (hash, batchId) => api.get(`/inspections/reports/${hash}/verify`, { params: { batchId } }),
+};
+
+// Signed batch certificates; public, so shoppers can verify without an account
+export const certificateAPI = {
+  getPublicKey: () => api.get('/certificates/public-key'),
+  getCertificate: (certificateId) => api.get(`/certificates/${encodeURIComponent(certificateId)}`),
+  getBatchCertificateUrl: (batchId, format) =>
+    `${api.defaults.baseURL}/certificates/batch/${encodeURIComponent(batchId)}?${format === 'pdf' ? 'format=pdf' : 'download=1'}`,
+  verifyCertificate: (document) => api.post('/certificates/verify', document),
+};
+
+// In-app notifications of the signed-in user
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllRead: () => api.put('/notifications/read-all'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+  // WebSocket on the API's host; http(s) becomes ws(s)
+  getSocketUrl: () => `${api.defaults.baseURL.replace(/^http/, 'ws')}/notifications/socket`,
+};
+
+// Admin API (admin role or ADMIN_WALLETS only)
+export const adminAPI = {
+  getHealth: () => api.get('/admin/health'),
+  getUsers: (filters) => api.get('/admin/users', { params: filters }),
+  suspendUser: (userId, reason) => api.put(`/admin/users/${userId}/suspend`, { reason }),
+  reinstateUser: (userId) => api.put(`/admin/users/${userId}/reinstate`),
+  correctBatch: (batchId, updates, reason) => api.patch(`/admin/batches/${encodeURIComponent(batchId)}`, { updates, reason }),
+  resyncBatch: (batchId) => api.post(`/admin/batches/${encodeURIComponent(batchId)}/resync`),
+  getReconciliation: () => api.get('/admin/reconciliation'),
+  repairReconciliation: () => api.post('/admin/reconciliation/repair'),
+  getCertifiers: () => api.get('/admin/certifiers'),
+  getCertifier: (walletAddress) => api.get(`/admin/certifiers/${walletAddress}`),
+  accreditCertifier: (walletAddress, scope) => api.put(`/admin/certifiers/${walletAddress}`, scope),
+  revokeCertifier: (walletAddress) => api.delete(`/admin/certifiers/${walletAddress}`),
 };
 
 export default api;
@@ -0,0 +1,66 @@
+/**
+ * Certifier accreditations kept in the CertifierRegistry contract that
+ * AgriChain checks before accepting a certification
+ */
+import CertifierRegistryABI from '../contracts/CertifierRegistry.json';
+import { ZERO_ADDRESS } from './paymentTokens';
+
+/**
+ * Get the registry contract configured on AgriChain
+ * @param {Object} web3 - Web3 instance
+ * @param {Object} agriChain - AgriChain contract instance
+ * @returns {Promise<Object|null>} - Contract instance, or null when no registry is set
+ */
+export const getCertifierRegistry = async (web3, agriChain) => {
+  const address = await agriChain.methods.certifierRegistry().call();
+  if (!address || address.toLowerCase() === ZERO_ADDRESS) return null;
+  return new web3.eth.Contract(CertifierRegistryABI.abi, address);
+};
+
+/**
+ * Read a certifier's accreditation
+ * @param {Object} web3 - Web3 instance
+ * @param {Object} agriChain - AgriChain contract instance
+ * @param {string} certifier - Certifier wallet address
+ * @returns {Promise<Object|null>} - { status, cropTypes, regions, standards, accreditedAt, validUntil },
+ *   or null when no registry is set; status is ACTIVE, EXPIRED, REVOKED or NONE
+ */
+export const getAccreditation = async (web3, agriChain, certifier) => {
+  const registry = await getCertifierRegistry(web3, agriChain);
+  if (!registry) return null;
+
+  const stored = await registry.methods.getAccreditation(certifier).call();
+  const accreditedAt = Number(stored.accreditedAt);
+  const validUntil = Number(stored.validUntil);
+
+  let status = 'NONE';
+  if (accreditedAt) {
+    if (!stored.active) status = 'REVOKED';
+    else if (validUntil * 1000 <= Date.now()) status = 'EXPIRED';
+    else status = 'ACTIVE';
+  }
+
+  return {
+    status,
+    cropTypes: stored.cropTypes || [],
+    regions: stored.regions || [],
+    standards: stored.standards || [],
+    accreditedAt: accreditedAt ? new Date(accreditedAt * 1000) : null,
+    validUntil: validUntil ? new Date(validUntil * 1000) : null,
+  };
+};
+
+/**
+ * Check whether an accreditation covers a batch, mirroring CertifierRegistry.isAccreditedFor
+ * @param {Object} accreditation - Result of getAccreditation
+ * @param {Object} batch - Batch with cropName and location
+ * @param {string} standard - Standard the batch is certified against
+ * @returns {boolean} - True when the certifier may certify the batch
+ */
+export const coversBatch = (accreditation, batch, standard) => {
+  if (!accreditation || accreditation.status !== 'ACTIVE') return false;
+  const inScope = (scope, value) => scope.length === 0 || scope.includes(value);
+  return inScope(accreditation.cropTypes, batch.cropName) &&
+    inScope(accreditation.regions, batch.location) &&
+    accreditation.standards.includes(standard);
+};
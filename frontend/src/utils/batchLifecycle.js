@@ -0,0 +1,87 @@
+/**
+ * Batch lifecycle shared with the backend: statuses, their labels and which
+ * transitions a batch in a status can still go through
+ */
+import lifecycle from '../contracts/batchLifecycle.json';
+
+// Listed in the order of the BatchStatus enum in AgriChain.sol
+export const STATUSES = Object.keys(lifecycle.statuses);
+
+// Recall reason codes, in the order of the RecallReason enum
+export const RECALL_REASONS = Object.keys(lifecycle.recallReasons);
+
+// Batches expiring within this many days are flagged; the backend emails their holders too
+export const EXPIRY_ALERT_DAYS = lifecycle.shelfLife.alertDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a batch in a status can go through a transition
+ * @param {string} action - Transition name, e.g. 'certify' or 'transfer'
+ * @param {string} status - Current batch status
+ * @returns {boolean} - True if the transition starts from that status
+ */
+export const canTransition = (action, status) =>
+  Boolean(lifecycle.transitions[action]?.from.includes(status));
+
+/**
+ * Check whether a role may attempt a transition
+ * @param {string} action - Transition name
+ * @param {string} role - App role
+ * @returns {boolean} - True if the lifecycle allows the role
+ */
+export const roleCanTransition = (action, role) =>
+  Boolean(lifecycle.transitions[action]?.roles.includes(role));
+
+/**
+ * Display label for a status
+ * @param {string} status - Batch status
+ * @returns {string} - Label, or the status itself when unknown
+ */
+export const getStatusLabel = (status) => lifecycle.statuses[status]?.label || status;
+
+/**
+ * Display label for a recall reason code
+ * @param {string} reason - Recall reason code, e.g. 'CONTAMINATION'
+ * @returns {string} - Label, or the code itself when unknown
+ */
+export const getRecallReasonLabel = (reason) => lifecycle.recallReasons[reason]?.label || reason;
+
+/**
+ * Days of certified shelf life a batch has left
+ * @param {Object} batch - Batch with an expiry date
+ * @param {Date} now - Reference time
+ * @returns {number|null} - Whole days left (0 on the last day, negative once expired), or null without an expiry
+ */
+export const getShelfLifeDays = (batch, now = new Date()) =>
+  batch?.expiry ? Math.floor((new Date(batch.expiry) - now) / DAY_MS) : null;
+
+/**
+ * Whether a batch's certified shelf life is over; AgriChain refuses to sell it from then on
+ * @param {Object} batch - Batch with an expiry date
+ * @param {Date} now - Reference time
+ * @returns {boolean} - True once the expiry has passed
+ */
+export const isExpired = (batch, now = new Date()) =>
+  batch?.status === 'EXPIRED' || (Boolean(batch?.expiry) && new Date(batch.expiry) <= now);
+
+/**
+ * Shelf life bucket used by the dashboard filters
+ * @param {Object} batch - Batch with an expiry date
+ * @returns {string|null} - 'expired', 'expiring' or 'fresh', or null without an expiry
+ */
+export const getShelfLifeState = (batch) => {
+  if (isExpired(batch)) return 'expired';
+  const days = getShelfLifeDays(batch);
+  if (days === null) return null;
+  return days < EXPIRY_ALERT_DAYS ? 'expiring' : 'fresh';
+};
+
+/**
+ * Compare batches by remaining shelf life, soonest to expire first and batches without an expiry last
+ * @param {Object} a - Batch
+ * @param {Object} b - Batch
+ * @returns {number} - Sort order
+ */
+export const compareShelfLife = (a, b) =>
+  (a.expiry ? new Date(a.expiry).getTime() : Infinity) - (b.expiry ? new Date(b.expiry).getTime() : Infinity);
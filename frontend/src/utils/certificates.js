@@ -0,0 +1,109 @@
+/**
+ * Offline verification of signed batch certificates: the ML-DSA-65 signature is
+ * checked in the browser, so no trust in the server is needed beyond its key fingerprint
+ */
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa.js';
+import CryptoJS from 'crypto-js';
+
+export const SIGNATURE_ALGORITHM = 'ML-DSA-65';
+
+// Fingerprints of the AgroTrust signing keys (comma-separated, to keep trusting retired keys), when pinned at build time
+export const PINNED_KEY_FINGERPRINTS = (process.env.REACT_APP_CERTIFICATE_KEY_FINGERPRINT || '')
+  .split(',')
+  .map(fingerprint => fingerprint.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level;
+ * must match canonicalize in backend/services/certificates.js
+ * @param {*} value - JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hexToBytes = (hex) => {
+  const clean = String(hex).replace(/^0x/, '');
+  if (clean.length % 2 || /[^0-9a-f]/i.test(clean)) {
+    throw new Error('Invalid hex');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Fingerprint a hex public key the way the backend does
+ * @param {string} publicKeyHex - Hex public key
+ * @returns {string} - Hex SHA-256 of the key bytes
+ */
+export const fingerprintPublicKey = (publicKeyHex) =>
+  CryptoJS.SHA256(CryptoJS.enc.Hex.parse(publicKeyHex)).toString(CryptoJS.enc.Hex);
+
+/**
+ * Verify a signed certificate locally
+ * @param {Object} document - { certificate, signature } as downloaded from AgroTrust
+ * @param {Array<string>} [trustedFingerprints] - Fingerprints of the AgroTrust keys; defaults to the pinned ones
+ * @returns {Object} - { valid, signatureValid, fingerprintMatches, trusted, reason };
+ *   trusted is null when no fingerprint is known to compare with
+ */
+export const verifyCertificateOffline = (document, trustedFingerprints = PINNED_KEY_FINGERPRINTS) => {
+  const { certificate, signature } = document || {};
+  if (!certificate || typeof certificate !== 'object' || !signature?.value || !signature?.publicKey) {
+    return { valid: false, signatureValid: false, fingerprintMatches: false, trusted: false, reason: 'Not a signed certificate' };
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, signatureValid: false, fingerprintMatches: false, trusted: false, reason: 'Unsupported signature algorithm' };
+  }
+
+  let signatureValid = false;
+  let fingerprintMatches = false;
+  try {
+    fingerprintMatches = fingerprintPublicKey(signature.publicKey) === String(signature.publicKeyFingerprint).toLowerCase();
+    signatureValid = ml_dsa65.verify(
+      hexToBytes(signature.value),
+      new TextEncoder().encode(canonicalize(certificate)),
+      hexToBytes(signature.publicKey)
+    );
+  } catch (err) {
+    console.warn('Certificate signature check failed:', err);
+  }
+
+  const trusted = trustedFingerprints.length
+    ? trustedFingerprints.map(item => item.toLowerCase()).includes(String(signature.publicKeyFingerprint).toLowerCase())
+    : null;
+
+  let reason = null;
+  if (!signatureValid) reason = 'Signature does not match the certificate contents';
+  else if (!fingerprintMatches) reason = 'Public key does not match its fingerprint';
+  else if (trusted === false) reason = 'Signed with a key AgroTrust does not use';
+
+  return { valid: signatureValid && fingerprintMatches && trusted !== false, signatureValid, fingerprintMatches, trusted, reason };
+};
+
+/**
+ * Read the certificate ID from a scanned certificate QR code (a /verify?id= link)
+ * @param {string} scanned - Decoded QR payload
+ * @returns {string|null} - Certificate ID
+ */
+export const parseScannedCertificateId = (scanned) => {
+  const text = String(scanned).trim();
+  try {
+    return new URL(text).searchParams.get('id');
+  } catch (e) {
+    return text || null;
+  }
+};
@@ -20,23 +20,6 @@ export const initPQCrypto = (publicKeyHex) => {
   }
 };
 
-/**
- * Get the PQC signature for a token to be sent with API requests
- * @param {string} token - JWT token to sign
- * @param {string} signature - PQC signature from backend
- * @returns {Object} Headers object with PQC signature
- */
-export const getPQCHeaders = (token, signature) => {
-  if (!token || !signature) {
-    return {};
-  }
-  
-  return {
-    'Authorization': `Bearer ${token}`,
-    'X-PQC-Signature': signature
-  };
-};
-
 /**
  * Verify a signature using Dilithium
  * @param {Object} signedPackage - Object containing data and signature
@@ -57,10 +40,10 @@ export const verifySignature = async (signedPackage) => {
     // Get Dilithium instance
   const dilithium = ml_dsa65;
     
-    // Verify the signature
+    // Verify the signature (noble takes the signature first)
     return await dilithium.verify(
-      Buffer.from(dataString, 'utf8'),
       Buffer.from(signature, 'hex'),
+      Buffer.from(dataString, 'utf8'),
       dilithiumPublicKey
     );
   } catch (error) {
@@ -71,6 +54,5 @@ export const verifySignature = async (signedPackage) => {
 
 export default {
   initPQCrypto,
-  getPQCHeaders,
   verifySignature
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Per-device PQC request signing
+ * Each browser keeps its own ML-DSA-65 keypair, registers the public key when it signs in
+ * and signs every authenticated API request with it, so a stolen access token alone
+ * cannot be replayed; must match backend/services/requestSigning.js
+ */
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa.js';
+import { fingerprintPublicKey } from '../certificates';
+
+const SIGNING_SCHEME = 'AGRICHAIN-PQC-REQUEST-V1';
+const SOCKET_SIGNING_SCHEME = 'AGRICHAIN-PQC-SOCKET-V1';
+const KEY_STORAGE_KEY = 'pqcRequestKey';
+// ID of the key the server registered for the current session
+const KEY_ID_STORAGE_KEY = 'pqcKeyId';
+
+const bytesToHex = (bytes) => Array.from(bytes)
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Load this device's signing keypair, generating it on first use
+ * @returns {Object} - { publicKey, secretKey } as hex
+ */
+const loadKeyPair = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(KEY_STORAGE_KEY));
+    if (stored?.publicKey && stored?.secretKey) {
+      return stored;
+    }
+  } catch (err) {
+    console.warn('Discarding unreadable request signing key:', err);
+  }
+  const { publicKey, secretKey } = ml_dsa65.keygen();
+  const keyPair = { publicKey: bytesToHex(publicKey), secretKey: bytesToHex(secretKey) };
+  localStorage.setItem(KEY_STORAGE_KEY, JSON.stringify(keyPair));
+  return keyPair;
+};
+
+/**
+ * Public key to send with a sign-in, so the server can verify this device's requests
+ * @returns {string} - Hex ML-DSA-65 public key
+ */
+export const getRequestPublicKey = () => loadKeyPair().publicKey;
+
+/**
+ * Remember the key the server registered at sign-in; requests are only signed once it has one
+ * @param {string} [keyId] - pqcKeyId from the sign-in response
+ */
+export const storeRequestKeyId = (keyId) => {
+  if (keyId && keyId === fingerprintPublicKey(loadKeyPair().publicKey)) {
+    localStorage.setItem(KEY_ID_STORAGE_KEY, keyId);
+  } else {
+    localStorage.removeItem(KEY_ID_STORAGE_KEY);
+  }
+};
+
+export const clearRequestKeyId = () => localStorage.removeItem(KEY_ID_STORAGE_KEY);
+
+/**
+ * Hex SHA-256 of a request body, as the bytes that will be sent
+ * @param {string|Blob|ArrayBuffer|undefined} body - Serialized request body
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashBody = async (body) => {
+  let bytes = new Uint8Array(0);
+  if (typeof body === 'string') {
+    bytes = new TextEncoder().encode(body);
+  } else if (body instanceof Blob) {
+    bytes = await body.arrayBuffer();
+  } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    bytes = body;
+  }
+  return bytesToHex(new Uint8Array(await window.crypto.subtle.digest('SHA-256', bytes)));
+};
+
+/**
+ * Path and query of a request URL as the browser sends it: URL serialization percent-encodes
+ * spaces, non-ASCII and other unsafe characters and drops a fragment. The server normalises
+ * the path it receives the same way before checking the signature.
+ * @param {string} url - Request URL, absolute or relative to the page
+ * @returns {string} - Path and query string
+ */
+const signingPath = (url) => {
+  const { pathname, search } = new URL(url, window.location.origin);
+  return pathname + search;
+};
+
+/**
+ * Sign an outgoing request, when this device has a registered key
+ * @param {Object} request - { method, url, body } where url is the full request URL with its
+ *   query string and body is exactly what will be sent
+ * @returns {Promise<Object>} - Signature headers, empty when the request is not signed
+ */
+export const signRequest = async ({ method, url, body }) => {
+  const keyId = localStorage.getItem(KEY_ID_STORAGE_KEY);
+  if (!keyId) {
+    return {};
+  }
+  const { secretKey } = loadKeyPair();
+  const timestamp = Date.now();
+  const signingString = [
+    SIGNING_SCHEME,
+    method.toUpperCase(),
+    signingPath(url),
+    String(timestamp),
+    await hashBody(body),
+  ].join('\n');
+  const signature = ml_dsa65.sign(new TextEncoder().encode(signingString), hexToBytes(secretKey));
+  return {
+    'X-PQC-Request-Signature': bytesToHex(signature),
+    'X-PQC-Timestamp': String(timestamp),
+    'X-PQC-Key-Id': keyId,
+  };
+};
+
+/**
+ * Sign the challenge the notification socket opens with, when this device has a registered key
+ * @param {string} nonce - Challenge sent by the server
+ * @returns {Object} - { keyId, signature } for the auth message, empty when it is not signed
+ */
+export const signSocketChallenge = (nonce) => {
+  const keyId = localStorage.getItem(KEY_ID_STORAGE_KEY);
+  if (!keyId) {
+    return {};
+  }
+  const { secretKey } = loadKeyPair();
+  const signingString = [SOCKET_SIGNING_SCHEME, nonce].join('\n');
+  const signature = ml_dsa65.sign(new TextEncoder().encode(signingString), hexToBytes(secretKey));
+  return { keyId, signature: bytesToHex(signature) };
+};
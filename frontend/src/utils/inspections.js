@@ -0,0 +1,38 @@
+/**
+ * Helpers for batch inspections and the lab reports anchored in the
+ * InspectionRegistry contract
+ */
+
+// Best grade first; must match GRADES in backend/utils/inspectionThresholds.js
+export const GRADES = ['A', 'B', 'C', 'D'];
+
+export const CHECK_LABELS = {
+  pesticideResidue: 'Pesticide residue (mg/kg)',
+  moisture: 'Moisture (%)',
+  grade: 'Grade',
+};
+
+// Mirrors InspectionRegistry.MAX_REPORTS
+export const MAX_REPORTS = 20;
+
+export const ACCEPTED_REPORT_TYPES = 'application/pdf,image/png,image/jpeg,image/webp';
+
+/**
+ * Hash a lab report file the way the backend stores and the contract anchors it
+ * @param {Blob} file - Report file or downloaded contents
+ * @returns {Promise<string>} - 0x-prefixed SHA-256 hex digest
+ */
+export const hashReportFile = async (file) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return '0x' + Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Describe a threshold the way it is applied
+ * @param {Object} check - { name, limit }
+ * @returns {string} - e.g. "≤ 14" or "B or better"
+ */
+export const describeLimit = (check) =>
+  check.name === 'grade' ? `${check.limit} or better` : `≤ ${check.limit}`;
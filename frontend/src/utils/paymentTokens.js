@@ -0,0 +1,136 @@
+/**
+ * Payment currencies batches can be priced in: the native currency or an
+ * ERC-20 token allow-listed on AgriChain
+ */
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export const NATIVE_TOKEN = { address: ZERO_ADDRESS, symbol: 'ETH', decimals: 18 };
+
+// Only the ERC-20 functions the purchase flow needs
+export const ERC20_ABI = [
+  {
+    inputs: [],
+    name: 'symbol',
+    outputs: [{ internalType: 'string', name: '', type: 'string' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'decimals',
+    outputs: [{ internalType: 'uint8', name: '', type: 'uint8' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ internalType: 'address', name: 'account', type: 'address' }],
+    name: 'balanceOf',
+    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [
+      { internalType: 'address', name: 'owner', type: 'address' },
+      { internalType: 'address', name: 'spender', type: 'address' },
+    ],
+    name: 'allowance',
+    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [
+      { internalType: 'address', name: 'spender', type: 'address' },
+      { internalType: 'uint256', name: 'amount', type: 'uint256' },
+    ],
+    name: 'approve',
+    outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+];
+
+const tokenCache = new Map();
+
+/**
+ * Check whether a payment token address means the native currency
+ * @param {string} address - Token address
+ * @returns {boolean} - True for an empty or zero address
+ */
+export const isNativeToken = (address) => !address || address.toLowerCase() === ZERO_ADDRESS;
+
+/**
+ * Get an ERC-20 contract instance
+ * @param {Object} web3 - Web3 instance
+ * @param {string} address - Token address
+ * @returns {Object} - Contract instance
+ */
+export const getTokenContract = (web3, address) => new web3.eth.Contract(ERC20_ABI, address);
+
+/**
+ * Read the symbol and decimals of a payment token
+ * @param {Object} web3 - Web3 instance
+ * @param {string} address - Token address, or the zero address for the native currency
+ * @returns {Promise<Object>} - { address, symbol, decimals }
+ */
+export const getTokenInfo = async (web3, address) => {
+  if (isNativeToken(address)) return NATIVE_TOKEN;
+
+  const key = address.toLowerCase();
+  if (!tokenCache.has(key)) {
+    const token = getTokenContract(web3, address);
+    const [symbol, decimals] = await Promise.all([
+      token.methods.symbol().call(),
+      token.methods.decimals().call(),
+    ]);
+    tokenCache.set(key, { address, symbol, decimals: Number(decimals) });
+  }
+  return tokenCache.get(key);
+};
+
+/**
+ * List the currencies a farmer can price a batch in
+ * @param {Object} web3 - Web3 instance
+ * @param {Object} agriChain - AgriChain contract instance
+ * @returns {Promise<Array>} - Native currency followed by the allow-listed tokens
+ */
+export const getPaymentTokens = async (web3, agriChain) => {
+  const addresses = await agriChain.methods.getPaymentTokens().call();
+  const tokens = await Promise.all(addresses.map(address => getTokenInfo(web3, address)));
+  return [NATIVE_TOKEN, ...tokens];
+};
+
+/**
+ * Convert a human amount to the token's base units
+ * @param {Object} web3 - Web3 instance
+ * @param {string|number} amount - Amount in whole tokens
+ * @param {number} decimals - Token decimals
+ * @returns {string} - Amount in base units
+ */
+export const toBaseUnits = (web3, amount, decimals = 18) =>
+  web3.utils.toWei(String(amount || '0'), Number(decimals)).toString();
+
+/**
+ * Convert base units to a human amount
+ * @param {Object} web3 - Web3 instance
+ * @param {string|number} value - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} - Amount in whole tokens
+ */
+export const fromBaseUnits = (web3, value, decimals = 18) =>
+  web3.utils.fromWei(String(value || '0'), Number(decimals));
+
+/**
+ * Format a batch price, which the backend stores in whole tokens
+ * @param {Object} batch - Batch with price, paymentSymbol and paymentDecimals
+ * @returns {string} - e.g. "12.5 mUSD"
+ */
+export const formatBatchPrice = (batch) => {
+  const decimals = batch?.paymentDecimals ?? NATIVE_TOKEN.decimals;
+  const amount = Number(batch?.price || 0).toLocaleString(undefined, {
+    maximumFractionDigits: Math.min(decimals, 18),
+  });
+  return `${amount} ${batch?.paymentSymbol || NATIVE_TOKEN.symbol}`;
+};
@@ -0,0 +1,34 @@
+/**
+ * Supply chain roles shared by the registration, routing and dashboard pages
+ */
+
+// Role values of the AgriChain.UserRole enum (3 = None)
+export const ONCHAIN_ROLE_IDS = {
+  farmer: 0,
+  certifier: 1,
+  retailer: 2,
+  aggregator: 4,
+  processor: 5,
+  distributor: 6,
+  transporter: 7,
+};
+
+// Roles that hold batches between the farmer and the retailer
+export const CUSTODY_ROLES = ['aggregator', 'processor', 'distributor', 'transporter'];
+
+export const ROLE_LABELS = {
+  farmer: 'Farmer',
+  certifier: 'Certifier',
+  retailer: 'Retailer',
+  aggregator: 'Aggregator',
+  processor: 'Processor',
+  distributor: 'Distributor',
+  transporter: 'Transporter',
+};
+
+/**
+ * Check whether a role takes custody of batches between farmer and retailer
+ * @param {string} role - App role
+ * @returns {boolean} - True for aggregators, processors, distributors and transporters
+ */
+export const isCustodyRole = (role) => CUSTODY_ROLES.includes(role);
@@ -0,0 +1,75 @@
+/**
+ * Public traceability helpers: QR code URLs and a read-only, wallet-free
+ * comparison of a batch's provenance with AgriChain
+ */
+import { Web3 } from 'web3';
+import AgriChainABI from '../contracts/AgriChain.json';
+import { ZERO_ADDRESS } from './paymentTokens';
+import { STATUSES as BATCH_STATUSES } from './batchLifecycle';
+
+/**
+ * Public page a batch QR code points to
+ * @param {string} batchId - Human batch ID
+ * @returns {string} - Absolute URL of the trace page
+ */
+export const getTraceUrl = (batchId) =>
+  `${window.location.origin}/trace/${encodeURIComponent(String(batchId).trim())}`;
+
+/**
+ * Read the batch ID from a scanned QR code; older codes hold the bare batch ID
+ * @param {string} scanned - Decoded QR payload
+ * @returns {string} - Batch ID
+ */
+export const parseScannedBatchId = (scanned) => {
+  const text = String(scanned).trim();
+  try {
+    const match = new URL(text).pathname.match(/\/trace\/([^/]+)\/?$/);
+    if (match) return decodeURIComponent(match[1]);
+  } catch (e) {
+    // Not a URL
+  }
+  return text;
+};
+
+/**
+ * Get a read-only AgriChain contract without asking for a wallet connection;
+ * uses REACT_APP_PUBLIC_RPC_URL when set, otherwise an injected provider
+ * @returns {Promise<Object|null>} - Contract instance, or null when no provider or contract is available
+ */
+export const getReadOnlyAgriChain = async () => {
+  const address = (process.env.REACT_APP_AGRI_CHAIN_ADDRESS || localStorage.getItem('agriChainAddress') || '').trim();
+  const provider = process.env.REACT_APP_PUBLIC_RPC_URL || window.ethereum;
+  if (!provider || !Web3.utils.isAddress(address)) return null;
+
+  const web3 = new Web3(provider);
+  const code = await web3.eth.getCode(address);
+  if (!code || code === '0x' || code === '0x0') return null;
+  return new web3.eth.Contract(AgriChainABI.abi, address);
+};
+
+const sameAddress = (a, b) => (a || ZERO_ADDRESS).toLowerCase() === (b || ZERO_ADDRESS).toLowerCase();
+
+const sameSecond = (date, seconds) =>
+  (date ? Math.floor(new Date(date).getTime() / 1000) : 0) === Number(seconds);
+
+/**
+ * Compare the provenance shown on the trace page with getBatchDetails
+ * @param {Object} trace - Response of GET /batches/:batchId/trace
+ * @param {Object} details - Result of AgriChain.getBatchDetails
+ * @returns {Array<string>} - Fields that differ from the chain
+ */
+export const compareWithChain = (trace, details) => {
+  const checks = {
+    cropName: trace.cropName === details.cropName,
+    cropVariety: trace.cropVariety === details.cropVariety,
+    location: trace.location === details.location,
+    harvestDate: sameSecond(trace.harvestDate, details.harvestDate),
+    status: trace.status === BATCH_STATUSES[Number(details.status)],
+    farmer: sameAddress(trace.farmer?.address, details.farmer),
+    certifier: sameAddress(trace.certifier?.address, details.certifier),
+    custodian: sameAddress(trace.custodian?.address, details.custodian),
+    labResults: !trace.certification || trace.certification.passed === details.labResults,
+    expiry: sameSecond(trace.certification?.expiry, details.expiry),
+  };
+  return Object.keys(checks).filter(field => !checks[field]);
+};
@@ -9,8 +9,16 @@ async function main() {
   await batchToken.deployed();
   console.log("BatchToken deployed to:", batchToken.address);
 
+  // Recall and expiry live in a linked library to keep AgriChain under the contract size limit
+  const BatchRecalls = await hre.ethers.getContractFactory("BatchRecalls");
+  const batchRecalls = await BatchRecalls.deploy();
+  await batchRecalls.deployed();
+  console.log("BatchRecalls library deployed to:", batchRecalls.address);
+
   // Deploy AgriChain contract
-  const AgriChain = await hre.ethers.getContractFactory("AgriChain");
+  const AgriChain = await hre.ethers.getContractFactory("AgriChain", {
+    libraries: { BatchRecalls: batchRecalls.address },
+  });
   const agriChain = await AgriChain.deploy(batchToken.address);
   await agriChain.deployed();
   console.log("AgriChain deployed to:", agriChain.address);
@@ -19,6 +27,61 @@ async function main() {
   await batchToken.setAgriChainContract(agriChain.address);
   console.log("BatchToken configured with AgriChain address");
 
+  // Only certifiers accredited in the registry can certify batches
+  const CertifierRegistry = await hre.ethers.getContractFactory("CertifierRegistry");
+  const certifierRegistry = await CertifierRegistry.deploy();
+  await certifierRegistry.deployed();
+  console.log("CertifierRegistry deployed to:", certifierRegistry.address);
+
+  await agriChain.setCertifierRegistry(certifierRegistry.address);
+  console.log("AgriChain configured with CertifierRegistry address");
+
+  // Inspections anchor lab report hashes in their own contract to keep AgriChain under the size limit
+  const InspectionRegistry = await hre.ethers.getContractFactory("InspectionRegistry");
+  const inspectionRegistry = await InspectionRegistry.deploy(agriChain.address);
+  await inspectionRegistry.deployed();
+  console.log("InspectionRegistry deployed to:", inspectionRegistry.address);
+
+  // Hand accreditation over to a multisig or governance contract when configured
+  if (process.env.REGISTRY_OWNER) {
+    await certifierRegistry.transferOwnership(process.env.REGISTRY_OWNER);
+    console.log("CertifierRegistry ownership transferred to:", process.env.REGISTRY_OWNER);
+  }
+
+  // Disputed escrows are decided by the deployer unless a dedicated arbiter is configured
+  if (process.env.ESCROW_ARBITER) {
+    await agriChain.setArbiter(process.env.ESCROW_ARBITER);
+    console.log("Escrow arbiter set to:", process.env.ESCROW_ARBITER);
+  }
+
+  // Allow-list ERC-20 payment tokens, e.g. PAYMENT_TOKENS=0xUSDC,0xDAI
+  const paymentTokens = (process.env.PAYMENT_TOKENS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  // Local networks get a mintable stablecoin funded for every test account
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    const MockStablecoin = await hre.ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy();
+    await stablecoin.deployed();
+    console.log("MockStablecoin (mUSD) deployed to:", stablecoin.address);
+
+    const decimals = await stablecoin.decimals();
+    const signers = await hre.ethers.getSigners();
+    for (const signer of signers) {
+      await stablecoin.mint(signer.address, hre.ethers.utils.parseUnits("100000", decimals));
+    }
+    console.log(`Minted 100000 mUSD to ${signers.length} accounts`);
+
+    paymentTokens.push(stablecoin.address);
+  }
+
+  for (const token of paymentTokens) {
+    await agriChain.setPaymentToken(token, true);
+    console.log("Payment token allowed:", token);
+  }
+
   // Deploy Authentication contract
   const Authentication = await hre.ethers.getContractFactory("Authentication");
   const authentication = await Authentication.deploy();
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Status, STANDARD, DAY, deployAgriChain, createBatch, batchKey } = require("./fixtures");
+
+describe("Certifier accreditation", function () {
+  async function batchFixture() {
+    const fixture = await deployAgriChain();
+    const id = await createBatch(fixture.agriChain, fixture.farmer, "CERT-1", {
+      cropName: "Rice",
+      location: "Kerala",
+    });
+    return { ...fixture, id };
+  }
+
+  describe("CertifierRegistry", function () {
+    it("accredits a certifier once and lists it", async function () {
+      const { certifierRegistry, owner, outsider } = await loadFixture(deployAgriChain);
+      const validUntil = (await time.latest()) + 90 * DAY;
+
+      await expect(certifierRegistry.connect(owner).accredit(outsider.address, ["Rice"], [], ["GAP"], validUntil))
+        .to.emit(certifierRegistry, "CertifierAccredited")
+        .withArgs(outsider.address, validUntil);
+      await certifierRegistry.connect(owner).accredit(outsider.address, [], [], ["GAP"], validUntil);
+
+      const accreditation = await certifierRegistry.getAccreditation(outsider.address);
+      expect(accreditation.standards).to.deep.equal(["GAP"]);
+      expect(accreditation.cropTypes).to.deep.equal([]);
+      expect(accreditation.active).to.equal(true);
+      expect(await certifierRegistry.isAccredited(outsider.address)).to.equal(true);
+      expect((await certifierRegistry.getCertifiers()).filter((a) => a === outsider.address)).to.have.length(1);
+    });
+
+    it("lapses accreditations at their expiry", async function () {
+      const { certifierRegistry, certifier } = await loadFixture(deployAgriChain);
+      const { validUntil } = await certifierRegistry.getAccreditation(certifier.address);
+
+      await time.increaseTo(validUntil);
+
+      expect(await certifierRegistry.isAccredited(certifier.address)).to.equal(false);
+    });
+
+    it("checks crop, region and standard scopes", async function () {
+      const { certifierRegistry, owner, outsider } = await loadFixture(deployAgriChain);
+      const validUntil = (await time.latest()) + 90 * DAY;
+      await certifierRegistry.connect(owner).accredit(outsider.address, ["Rice"], ["Kerala"], ["GAP"], validUntil);
+
+      expect(await certifierRegistry.isAccreditedFor(outsider.address, "Rice", "Kerala", "GAP")).to.equal(true);
+      expect(await certifierRegistry.isAccreditedFor(outsider.address, "Wheat", "Kerala", "GAP")).to.equal(false);
+      expect(await certifierRegistry.isAccreditedFor(outsider.address, "Rice", "Punjab", "GAP")).to.equal(false);
+      expect(await certifierRegistry.isAccreditedFor(outsider.address, "Rice", "Kerala", "organic")).to.equal(
+        false
+      );
+    });
+
+    it("reverts accreditation for invalid input", async function () {
+      const { certifierRegistry, owner, outsider } = await loadFixture(deployAgriChain);
+      const validUntil = (await time.latest()) + 90 * DAY;
+
+      await expect(
+        certifierRegistry.connect(owner).accredit(ethers.constants.AddressZero, [], [], ["GAP"], validUntil)
+      ).to.be.revertedWith("Invalid certifier");
+      await expect(
+        certifierRegistry.connect(owner).accredit(outsider.address, [], [], [], validUntil)
+      ).to.be.revertedWith("At least one standard required");
+      await expect(
+        certifierRegistry.connect(owner).accredit(outsider.address, [], [], ["GAP"], await time.latest())
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("revokes an accreditation", async function () {
+      const { certifierRegistry, owner, certifier } = await loadFixture(deployAgriChain);
+
+      await expect(certifierRegistry.connect(owner).revoke(certifier.address))
+        .to.emit(certifierRegistry, "AccreditationRevoked")
+        .withArgs(certifier.address);
+      expect(await certifierRegistry.isAccredited(certifier.address)).to.equal(false);
+      expect(await certifierRegistry.getCertifiers()).to.include(certifier.address);
+    });
+
+    it("reverts revoking a certifier that is not accredited", async function () {
+      const { certifierRegistry, owner, outsider } = await loadFixture(deployAgriChain);
+
+      await expect(certifierRegistry.connect(owner).revoke(outsider.address)).to.be.revertedWith(
+        "Certifier not accredited"
+      );
+    });
+
+    it("reverts changes from anyone but the owner", async function () {
+      const { certifierRegistry, certifier, outsider } = await loadFixture(deployAgriChain);
+      const validUntil = (await time.latest()) + 90 * DAY;
+
+      await expect(
+        certifierRegistry.connect(outsider).accredit(outsider.address, [], [], ["GAP"], validUntil)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(certifierRegistry.connect(outsider).revoke(certifier.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+
+  describe("certifyBatch", function () {
+    it("certifies against the accredited standard", async function () {
+      const { agriChain, certifier, farmer, id } = await loadFixture(batchFixture);
+      const expiry = (await time.latest()) + 30 * DAY;
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, true, "Good", expiry, STANDARD))
+        .to.emit(agriChain, "BatchCertified")
+        .withArgs(id, certifier.address, true);
+
+      const batch = await agriChain.getBatchDetails(id);
+      expect(batch.status).to.equal(Status.Certified);
+      expect(batch.certifier).to.equal(certifier.address);
+      expect(batch.expiry).to.equal(expiry);
+      expect(await agriChain.certificationStandards(id)).to.equal(STANDARD);
+      expect(await agriChain.getCertifierBatches(certifier.address)).to.deep.equal([id]);
+      const history = await agriChain.getBatchHistory(id);
+      expect(history[1].action).to.equal("CERTIFIED");
+      expect(history[1].from).to.equal(farmer.address);
+    });
+
+    it("rejects a batch without an expiry", async function () {
+      const { agriChain, certifier, id } = await loadFixture(batchFixture);
+
+      await agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD);
+
+      expect((await agriChain.getBatchDetails(id)).status).to.equal(Status.Rejected);
+      expect((await agriChain.getBatchHistory(id))[1].action).to.equal("REJECTED");
+    });
+
+    it("reverts for accounts that are not registered certifiers", async function () {
+      const { agriChain, farmer, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "User not authorized"
+      );
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, certifier } = await loadFixture(batchFixture);
+
+      await expect(
+        agriChain.connect(certifier).certifyBatch(batchKey("MISSING"), false, "Blight", 0, STANDARD)
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts for a batch that was already assessed", async function () {
+      const { agriChain, certifier, id } = await loadFixture(batchFixture);
+      await agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD);
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Batch not in correct state"
+      );
+    });
+
+    it("reverts for a fully split batch", async function () {
+      const { agriChain, farmer, certifier, id } = await loadFixture(batchFixture);
+      await agriChain.connect(farmer).splitBatch(id, ["CERT-1-A"], [100]);
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Batch already consumed"
+      );
+    });
+
+    it("reverts when a passing certification has no future expiry", async function () {
+      const { agriChain, certifier, id } = await loadFixture(batchFixture);
+
+      await expect(
+        agriChain.connect(certifier).certifyBatch(id, true, "Good", await time.latest(), STANDARD)
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("reverts without a registry", async function () {
+      const { agriChain, owner, certifier, id } = await loadFixture(batchFixture);
+      await agriChain.connect(owner).setCertifierRegistry(ethers.constants.AddressZero);
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Certifier not accredited for this batch"
+      );
+    });
+
+    it("reverts for a revoked certifier", async function () {
+      const { agriChain, certifierRegistry, owner, certifier, id } = await loadFixture(batchFixture);
+      await certifierRegistry.connect(owner).revoke(certifier.address);
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Certifier not accredited for this batch"
+      );
+    });
+
+    it("reverts outside the certifier's scope", async function () {
+      const { agriChain, certifierRegistry, owner, certifier, id } = await loadFixture(batchFixture);
+      const validUntil = (await time.latest()) + 90 * DAY;
+      await certifierRegistry.connect(owner).accredit(certifier.address, ["Wheat"], [], [STANDARD], validUntil);
+
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Certifier not accredited for this batch"
+      );
+      await certifierRegistry.connect(owner).accredit(certifier.address, ["Rice"], ["Punjab"], [STANDARD], validUntil);
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, STANDARD)).to.be.revertedWith(
+        "Certifier not accredited for this batch"
+      );
+      await expect(agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, "GAP")).to.be.revertedWith(
+        "Certifier not accredited for this batch"
+      );
+    });
+
+    it("reverts registry changes from anyone but the owner", async function () {
+      const { agriChain, outsider } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(outsider).setCertifierRegistry(outsider.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+});
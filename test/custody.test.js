@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Role, deployAgriChain, createBatch, certifyBatch, batchKey } = require("./fixtures");
+
+describe("AgriChain custody", function () {
+  async function batchFixture() {
+    const fixture = await deployAgriChain();
+    const id = await createBatch(fixture.agriChain, fixture.farmer, "CUSTODY-1");
+    return { ...fixture, id };
+  }
+
+  describe("registerUser", function () {
+    it("registers intermediary roles", async function () {
+      const { agriChain, outsider } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(outsider).registerUser(Role.Aggregator))
+        .to.emit(agriChain, "UserRegistered")
+        .withArgs(outsider.address, Role.Aggregator);
+      expect((await agriChain.users(outsider.address)).role).to.equal(Role.Aggregator);
+    });
+
+    it("reverts for an already registered account", async function () {
+      const { agriChain, distributor } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(distributor).registerUser(Role.Transporter)).to.be.revertedWith(
+        "User already registered"
+      );
+    });
+
+    it("reverts for the None role", async function () {
+      const { agriChain, outsider } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(outsider).registerUser(Role.None)).to.be.revertedWith("Invalid role");
+    });
+  });
+
+  describe("isIntermediary", function () {
+    it("is true only for the intermediary roles", async function () {
+      const { agriChain } = await loadFixture(deployAgriChain);
+
+      for (const [name, role] of Object.entries(Role)) {
+        const expected = ["Aggregator", "Processor", "Distributor", "Transporter"].includes(name);
+        expect(await agriChain.isIntermediary(role)).to.equal(expected, name);
+      }
+    });
+  });
+
+  describe("transferCustody", function () {
+    it("moves the token to the next handler and records the hop", async function () {
+      const { agriChain, batchToken, farmer, distributor, transporter, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).transferCustody(id, distributor.address))
+        .to.emit(agriChain, "CustodyTransferred")
+        .withArgs(id, farmer.address, distributor.address);
+      await agriChain.connect(distributor).transferCustody(id, transporter.address);
+
+      expect(await batchToken.ownerOf(id)).to.equal(transporter.address);
+      expect((await agriChain.getBatchDetails(id)).custodian).to.equal(transporter.address);
+      expect(await agriChain.getCustodianBatches(distributor.address)).to.deep.equal([id]);
+      expect(await agriChain.getCustodianBatches(transporter.address)).to.deep.equal([id]);
+
+      const history = await agriChain.getBatchHistory(id);
+      expect(history.map((entry) => entry.action)).to.deep.equal(["CREATED", "TRANSFERRED", "TRANSFERRED"]);
+      expect(history[2].from).to.equal(distributor.address);
+      expect(history[2].to).to.equal(transporter.address);
+    });
+
+    it("allows transfers of certified batches", async function () {
+      const { agriChain, batchToken, farmer, certifier, processor, id } = await loadFixture(batchFixture);
+      await certifyBatch(agriChain, certifier, id);
+
+      await agriChain.connect(farmer).transferCustody(id, processor.address);
+
+      expect(await batchToken.ownerOf(id)).to.equal(processor.address);
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, farmer, distributor } = await loadFixture(batchFixture);
+
+      await expect(
+        agriChain.connect(farmer).transferCustody(batchKey("MISSING"), distributor.address)
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts once the batch has been rejected", async function () {
+      const { agriChain, farmer, certifier, distributor, id } = await loadFixture(batchFixture);
+      await agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, "organic");
+
+      await expect(agriChain.connect(farmer).transferCustody(id, distributor.address)).to.be.revertedWith(
+        "Batch not in correct state"
+      );
+    });
+
+    it("reverts once the batch has been fully split", async function () {
+      const { agriChain, farmer, distributor, id } = await loadFixture(batchFixture);
+      await agriChain.connect(farmer).splitBatch(id, ["CUSTODY-1-A"], [100]);
+
+      await expect(agriChain.connect(farmer).transferCustody(id, distributor.address)).to.be.revertedWith(
+        "Batch already consumed"
+      );
+    });
+
+    it("reverts when the caller does not hold the batch", async function () {
+      const { agriChain, distributor, transporter, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(distributor).transferCustody(id, transporter.address)).to.be.revertedWith(
+        "Caller is not the custodian"
+      );
+    });
+
+    it("reverts when transferring to the current custodian", async function () {
+      const { agriChain, farmer, distributor, id } = await loadFixture(batchFixture);
+      await agriChain.connect(farmer).transferCustody(id, distributor.address);
+
+      await expect(agriChain.connect(distributor).transferCustody(id, distributor.address)).to.be.revertedWith(
+        "Already the custodian"
+      );
+    });
+
+    it("reverts when the recipient is not a registered intermediary", async function () {
+      const { agriChain, farmer, retailer, outsider, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).transferCustody(id, retailer.address)).to.be.revertedWith(
+        "Recipient cannot take custody"
+      );
+      await expect(agriChain.connect(farmer).transferCustody(id, outsider.address)).to.be.revertedWith(
+        "Recipient cannot take custody"
+      );
+    });
+  });
+});
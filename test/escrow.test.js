@@ -0,0 +1,331 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  Status,
+  EscrowState,
+  RecallReason,
+  PRICE,
+  DAY,
+  deployAgriChain,
+  createBatch,
+  certifyBatch,
+  batchKey,
+} = require("./fixtures");
+
+describe("AgriChain escrow", function () {
+  async function certifiedFixture() {
+    const fixture = await deployAgriChain();
+    const id = await createBatch(fixture.agriChain, fixture.farmer, "ESCROW-1");
+    await certifyBatch(fixture.agriChain, fixture.certifier, id);
+    return { ...fixture, id };
+  }
+
+  async function purchasedFixture() {
+    const fixture = await certifiedFixture();
+    await fixture.agriChain.connect(fixture.retailer).purchaseBatch(fixture.id, { value: PRICE });
+    return fixture;
+  }
+
+  async function disputedFixture() {
+    const fixture = await purchasedFixture();
+    await fixture.agriChain.connect(fixture.retailer).openDispute(fixture.id);
+    return fixture;
+  }
+
+  describe("purchaseBatch", function () {
+    it("moves the token to the retailer and holds the price in escrow", async function () {
+      const { agriChain, batchToken, farmer, retailer, id } = await loadFixture(certifiedFixture);
+
+      const tx = agriChain.connect(retailer).purchaseBatch(id, { value: PRICE });
+      await expect(tx).to.emit(agriChain, "BatchPurchased").withArgs(id, retailer.address);
+      await expect(tx).to.emit(agriChain, "EscrowFunded");
+      await expect(tx).to.changeEtherBalances([retailer, farmer, agriChain], [PRICE.mul(-1), 0, PRICE]);
+
+      const batch = await agriChain.getBatchDetails(id);
+      expect(batch.status).to.equal(Status.Purchased);
+      expect(batch.retailer).to.equal(retailer.address);
+      expect(batch.custodian).to.equal(retailer.address);
+      expect(await batchToken.ownerOf(id)).to.equal(retailer.address);
+      expect(await agriChain.getRetailerBatches(retailer.address)).to.deep.equal([id]);
+
+      const escrow = await agriChain.escrows(id);
+      expect(escrow.amount).to.equal(PRICE);
+      expect(escrow.retailer).to.equal(retailer.address);
+      expect(escrow.payee).to.equal(farmer.address);
+      expect(escrow.releaseAfter).to.equal((await time.latest()) + 7 * DAY);
+      expect(escrow.state).to.equal(EscrowState.Held);
+    });
+
+    it("refunds overpayment", async function () {
+      const { agriChain, retailer, id } = await loadFixture(certifiedFixture);
+
+      await expect(
+        agriChain.connect(retailer).purchaseBatch(id, { value: PRICE.mul(2) })
+      ).to.changeEtherBalances([retailer, agriChain], [PRICE.mul(-1), PRICE]);
+    });
+
+    it("buys from an intermediary holding the batch but still pays the farmer", async function () {
+      const { agriChain, batchToken, farmer, retailer, distributor, id } = await loadFixture(certifiedFixture);
+      await agriChain.connect(farmer).transferCustody(id, distributor.address);
+
+      await agriChain.connect(retailer).purchaseBatch(id, { value: PRICE });
+
+      expect(await batchToken.ownerOf(id)).to.equal(retailer.address);
+      expect((await agriChain.escrows(id)).payee).to.equal(farmer.address);
+    });
+
+    it("reverts for unregistered accounts and other roles", async function () {
+      const { agriChain, farmer, outsider, id } = await loadFixture(certifiedFixture);
+
+      await expect(agriChain.connect(outsider).purchaseBatch(id, { value: PRICE })).to.be.revertedWith(
+        "User not registered"
+      );
+      await expect(agriChain.connect(farmer).purchaseBatch(id, { value: PRICE })).to.be.revertedWith(
+        "User not authorized"
+      );
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, retailer } = await loadFixture(certifiedFixture);
+
+      await expect(
+        agriChain.connect(retailer).purchaseBatch(batchKey("MISSING"), { value: PRICE })
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts for an uncertified or already sold batch", async function () {
+      const { agriChain, farmer, retailer, id } = await loadFixture(certifiedFixture);
+      const uncertified = await createBatch(agriChain, farmer, "ESCROW-2");
+      await agriChain.connect(retailer).purchaseBatch(id, { value: PRICE });
+
+      await expect(
+        agriChain.connect(retailer).purchaseBatch(uncertified, { value: PRICE })
+      ).to.be.revertedWith("Batch not certified");
+      await expect(agriChain.connect(retailer).purchaseBatch(id, { value: PRICE })).to.be.revertedWith(
+        "Batch not certified"
+      );
+    });
+
+    it("reverts once the certification has expired", async function () {
+      const { agriChain, retailer, id } = await loadFixture(certifiedFixture);
+      await time.increaseTo((await agriChain.getBatchDetails(id)).expiry);
+
+      await expect(agriChain.connect(retailer).purchaseBatch(id, { value: PRICE })).to.be.revertedWith(
+        "Batch expired"
+      );
+    });
+
+    it("reverts for a fully split batch", async function () {
+      const { agriChain, farmer, retailer, id } = await loadFixture(certifiedFixture);
+      await agriChain.connect(farmer).splitBatch(id, ["ESCROW-1-A"], [100]);
+
+      await expect(agriChain.connect(retailer).purchaseBatch(id, { value: PRICE })).to.be.revertedWith(
+        "Batch already consumed"
+      );
+    });
+
+    it("reverts when underpaid", async function () {
+      const { agriChain, retailer, id } = await loadFixture(certifiedFixture);
+
+      await expect(
+        agriChain.connect(retailer).purchaseBatch(id, { value: PRICE.sub(1) })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+  });
+
+  describe("confirmDelivery", function () {
+    it("releases the escrow to the farmer", async function () {
+      const { agriChain, farmer, retailer, id } = await loadFixture(purchasedFixture);
+
+      const tx = agriChain.connect(retailer).confirmDelivery(id);
+      await expect(tx).to.emit(agriChain, "EscrowReleased").withArgs(id, farmer.address, PRICE);
+      await expect(tx).to.changeEtherBalances([farmer, agriChain], [PRICE, PRICE.mul(-1)]);
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Released);
+    });
+
+    it("reverts when no escrow is held", async function () {
+      const { agriChain, retailer, id } = await loadFixture(certifiedFixture);
+
+      await expect(agriChain.connect(retailer).confirmDelivery(id)).to.be.revertedWith("Escrow not held");
+    });
+
+    it("reverts for anyone but the buyer", async function () {
+      const { agriChain, farmer, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(farmer).confirmDelivery(id)).to.be.revertedWith("Caller is not the buyer");
+    });
+  });
+
+  describe("releaseEscrow", function () {
+    it("lets anyone release an undisputed escrow after the window", async function () {
+      const { agriChain, farmer, outsider, id } = await loadFixture(purchasedFixture);
+      await time.increaseTo((await agriChain.escrows(id)).releaseAfter);
+
+      await expect(agriChain.connect(outsider).releaseEscrow(id)).to.changeEtherBalance(farmer, PRICE);
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Released);
+    });
+
+    it("reverts before the window is over", async function () {
+      const { agriChain, outsider, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(outsider).releaseEscrow(id)).to.be.revertedWith("Escrow period not over");
+    });
+
+    it("reverts for a disputed escrow", async function () {
+      const { agriChain, outsider, id } = await loadFixture(disputedFixture);
+      await time.increaseTo((await agriChain.escrows(id)).releaseAfter);
+
+      await expect(agriChain.connect(outsider).releaseEscrow(id)).to.be.revertedWith("Escrow not held");
+    });
+
+    it("reverts for a recalled batch", async function () {
+      const { agriChain, certifier, outsider, id } = await loadFixture(purchasedFixture);
+      await agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination);
+      await time.increaseTo((await agriChain.escrows(id)).releaseAfter);
+
+      await expect(agriChain.connect(outsider).releaseEscrow(id)).to.be.revertedWith("Batch recalled");
+    });
+  });
+
+  describe("recallBatch", function () {
+    it("hands a held escrow to the arbiter", async function () {
+      const { agriChain, certifier, retailer, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination))
+        .to.emit(agriChain, "EscrowDisputed")
+        .withArgs(id, retailer.address);
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Disputed);
+    });
+
+    it("lets the arbiter refund the retailer after the recall", async function () {
+      const { agriChain, owner, certifier, retailer, id } = await loadFixture(purchasedFixture);
+      await agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination);
+
+      await expect(agriChain.connect(owner).resolveDispute(id, true)).to.changeEtherBalance(retailer, PRICE);
+    });
+
+    it("stops the buyer from releasing the payment after the recall", async function () {
+      const { agriChain, certifier, retailer, id } = await loadFixture(purchasedFixture);
+      await agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination);
+
+      await expect(agriChain.connect(retailer).confirmDelivery(id)).to.be.revertedWith("Escrow not held");
+    });
+
+    it("leaves a settled escrow as it is", async function () {
+      const { agriChain, certifier, retailer, id } = await loadFixture(purchasedFixture);
+      await agriChain.connect(retailer).confirmDelivery(id);
+
+      await expect(agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination)).to.not.emit(
+        agriChain,
+        "EscrowDisputed"
+      );
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Released);
+    });
+  });
+
+  describe("openDispute", function () {
+    it("freezes the escrow for the arbiter", async function () {
+      const { agriChain, retailer, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(retailer).openDispute(id))
+        .to.emit(agriChain, "EscrowDisputed")
+        .withArgs(id, retailer.address);
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Disputed);
+    });
+
+    it("reverts when no escrow is held", async function () {
+      const { agriChain, retailer, id } = await loadFixture(disputedFixture);
+
+      await expect(agriChain.connect(retailer).openDispute(id)).to.be.revertedWith("Escrow not held");
+    });
+
+    it("reverts for anyone but the buyer", async function () {
+      const { agriChain, farmer, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(farmer).openDispute(id)).to.be.revertedWith("Caller is not the buyer");
+    });
+
+    it("reverts after the window is over", async function () {
+      const { agriChain, retailer, id } = await loadFixture(purchasedFixture);
+      await time.increaseTo((await agriChain.escrows(id)).releaseAfter);
+
+      await expect(agriChain.connect(retailer).openDispute(id)).to.be.revertedWith("Escrow period over");
+    });
+  });
+
+  describe("resolveDispute", function () {
+    it("refunds the retailer", async function () {
+      const { agriChain, owner, retailer, id } = await loadFixture(disputedFixture);
+
+      const tx = agriChain.connect(owner).resolveDispute(id, true);
+      await expect(tx).to.emit(agriChain, "EscrowRefunded").withArgs(id, retailer.address, PRICE);
+      await expect(tx).to.changeEtherBalance(retailer, PRICE);
+      expect((await agriChain.escrows(id)).state).to.equal(EscrowState.Refunded);
+    });
+
+    it("pays the farmer", async function () {
+      const { agriChain, owner, farmer, id } = await loadFixture(disputedFixture);
+
+      const tx = agriChain.connect(owner).resolveDispute(id, false);
+      await expect(tx).to.emit(agriChain, "EscrowReleased").withArgs(id, farmer.address, PRICE);
+      await expect(tx).to.changeEtherBalance(farmer, PRICE);
+    });
+
+    it("reverts for anyone but the arbiter", async function () {
+      const { agriChain, retailer, id } = await loadFixture(disputedFixture);
+
+      await expect(agriChain.connect(retailer).resolveDispute(id, true)).to.be.revertedWith(
+        "Caller is not the arbiter"
+      );
+    });
+
+    it("reverts for an escrow that is not disputed", async function () {
+      const { agriChain, owner, id } = await loadFixture(purchasedFixture);
+
+      await expect(agriChain.connect(owner).resolveDispute(id, true)).to.be.revertedWith("Escrow not disputed");
+    });
+  });
+
+  describe("settings", function () {
+    it("lets the owner hand disputes to another arbiter", async function () {
+      const { agriChain, owner, outsider, retailer, id } = await loadFixture(disputedFixture);
+
+      await expect(agriChain.connect(owner).setArbiter(outsider.address))
+        .to.emit(agriChain, "ArbiterUpdated")
+        .withArgs(outsider.address);
+      await expect(agriChain.connect(owner).resolveDispute(id, true)).to.be.revertedWith(
+        "Caller is not the arbiter"
+      );
+      await expect(agriChain.connect(outsider).resolveDispute(id, true)).to.changeEtherBalance(retailer, PRICE);
+    });
+
+    it("reverts for the zero arbiter", async function () {
+      const { agriChain, owner } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(owner).setArbiter(ethers.constants.AddressZero)).to.be.revertedWith(
+        "Invalid arbiter"
+      );
+    });
+
+    it("applies a new escrow period to later purchases", async function () {
+      const { agriChain, owner, retailer, id } = await loadFixture(certifiedFixture);
+      await agriChain.connect(owner).setEscrowPeriod(DAY);
+
+      await agriChain.connect(retailer).purchaseBatch(id, { value: PRICE });
+
+      expect((await agriChain.escrows(id)).releaseAfter).to.equal((await time.latest()) + DAY);
+    });
+
+    it("reverts setters for anyone but the owner", async function () {
+      const { agriChain, outsider } = await loadFixture(deployAgriChain);
+
+      await expect(agriChain.connect(outsider).setArbiter(outsider.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(agriChain.connect(outsider).setEscrowPeriod(DAY)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+});
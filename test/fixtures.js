@@ -0,0 +1,114 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Mirrors the enums in AgriChain.sol
+const Role = {
+  Farmer: 0,
+  Certifier: 1,
+  Retailer: 2,
+  None: 3,
+  Aggregator: 4,
+  Processor: 5,
+  Distributor: 6,
+  Transporter: 7,
+};
+const Status = { Created: 0, Certified: 1, Rejected: 2, Purchased: 3, Recalled: 4, Expired: 5 };
+const EscrowState = { None: 0, Held: 1, Disputed: 2, Released: 3, Refunded: 4 };
+const RecallReason = { Contamination: 0, Allergen: 1, ForeignMatter: 2, Mislabeling: 3, Spoilage: 4, Other: 5 };
+
+const STANDARD = "organic";
+const PRICE = ethers.utils.parseEther("1");
+const DAY = 24 * 60 * 60;
+
+// On-chain key of a batch: the hash of its ID string, exactly as the contract computes it
+const batchKey = (batchId) => ethers.BigNumber.from(ethers.utils.id(batchId));
+
+// Deploys AgriChain with its recall library, token and registry, registers one account per role and accredits the certifier
+async function deployAgriChain() {
+  const [owner, farmer, certifier, retailer, distributor, processor, transporter, outsider, aggregator] =
+    await ethers.getSigners();
+
+  const BatchToken = await ethers.getContractFactory("BatchToken");
+  const batchToken = await BatchToken.deploy();
+  await batchToken.deployed();
+
+  const BatchRecalls = await ethers.getContractFactory("BatchRecalls");
+  const batchRecalls = await BatchRecalls.deploy();
+  await batchRecalls.deployed();
+
+  const AgriChain = await ethers.getContractFactory("AgriChain", {
+    libraries: { BatchRecalls: batchRecalls.address },
+  });
+  const agriChain = await AgriChain.deploy(batchToken.address);
+  await agriChain.deployed();
+  await batchToken.setAgriChainContract(agriChain.address);
+
+  const CertifierRegistry = await ethers.getContractFactory("CertifierRegistry");
+  const certifierRegistry = await CertifierRegistry.deploy();
+  await certifierRegistry.deployed();
+  await agriChain.setCertifierRegistry(certifierRegistry.address);
+
+  await agriChain.connect(farmer).registerUser(Role.Farmer);
+  await agriChain.connect(certifier).registerUser(Role.Certifier);
+  await agriChain.connect(retailer).registerUser(Role.Retailer);
+  await agriChain.connect(distributor).registerUser(Role.Distributor);
+  await agriChain.connect(processor).registerUser(Role.Processor);
+  await agriChain.connect(transporter).registerUser(Role.Transporter);
+  await agriChain.connect(aggregator).registerUser(Role.Aggregator);
+
+  await certifierRegistry.accredit(certifier.address, [], [], [STANDARD], (await time.latest()) + 365 * DAY);
+
+  return {
+    agriChain,
+    batchToken,
+    certifierRegistry,
+    owner,
+    farmer,
+    certifier,
+    retailer,
+    distributor,
+    processor,
+    transporter,
+    aggregator,
+    outsider,
+  };
+}
+
+// Creates a batch as the farmer and returns its on-chain key
+async function createBatch(agriChain, farmer, batchId, options = {}) {
+  await agriChain
+    .connect(farmer)
+    .createBatch(
+      batchId,
+      options.cropName || "Wheat",
+      "Durum",
+      options.location || "Punjab",
+      await time.latest(),
+      options.price ?? PRICE,
+      options.quantity ?? 100,
+      options.unit || "kg",
+      options.paymentToken || ethers.constants.AddressZero
+    );
+  return batchKey(batchId);
+}
+
+// Certifies a batch against the accredited standard, valid for 30 days unless an expiry is given
+async function certifyBatch(agriChain, certifier, id, expiry) {
+  await agriChain
+    .connect(certifier)
+    .certifyBatch(id, true, "Good", expiry || (await time.latest()) + 30 * DAY, STANDARD);
+}
+
+module.exports = {
+  Role,
+  Status,
+  EscrowState,
+  RecallReason,
+  STANDARD,
+  PRICE,
+  DAY,
+  batchKey,
+  deployAgriChain,
+  createBatch,
+  certifyBatch,
+};
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const lifecycle = require("../shared/contracts/batchLifecycle.json");
+const { Status, RecallReason, STANDARD, PRICE, DAY, batchKey, deployAgriChain } = require("./fixtures");
+
+// Generated from batchLifecycle.json: every transition is tried on a fresh deployment from
+// every status, by every role it names and by every role it does not
+
+const STATUSES = Object.keys(lifecycle.statuses);
+const TRANSITIONS = Object.entries(lifecycle.transitions);
+const ROLES = [...new Set(TRANSITIONS.flatMap(([, transition]) => transition.roles))];
+const BATCH_ID = "LIFE-1";
+
+const statusValue = (status) => Status[lifecycle.statuses[status].contractStatus];
+
+// Shortest sequence of transitions taking a new batch to each status
+const PATHS = { [lifecycle.initial]: ["create"] };
+const queue = [lifecycle.initial];
+while (queue.length) {
+  const status = queue.shift();
+  for (const [name, { from, to }] of TRANSITIONS) {
+    if (to && from.includes(status) && !PATHS[to]) {
+      PATHS[to] = [...PATHS[status], name];
+      queue.push(to);
+    }
+  }
+}
+
+// Arguments each transition's contract function is called with; some also set the chain up
+const CALLS = {
+  create: {
+    args: async ({ batchId }) => [
+      batchId,
+      "Wheat",
+      "Durum",
+      "Punjab",
+      await time.latest(),
+      PRICE,
+      100,
+      "kg",
+      ethers.constants.AddressZero,
+    ],
+  },
+  certify: { args: async ({ id }) => [id, true, "Good", (await time.latest()) + 30 * DAY, STANDARD] },
+  reject: { args: async ({ id }) => [id, false, "Blight", 0, STANDARD] },
+  purchase: { args: async ({ id }) => [id, { value: PRICE }] },
+  transfer: {
+    args: async ({ id, actor, distributor, transporter }) => [
+      id,
+      (actor.address === distributor.address ? transporter : distributor).address,
+    ],
+  },
+  split: {
+    args: async ({ id, batchId }) => [id, [`${batchId}-A`], [10]],
+    child: ({ batchId }) => batchKey(`${batchId}-A`),
+  },
+  merge: {
+    // The second parent is a new batch handed to the same caller
+    async args(ctx) {
+      const other = { ...ctx, batchId: `${ctx.batchId}-B` };
+      await ctx.agriChain.connect(ctx.farmer).createBatch(...(await CALLS.create.args(other)));
+      await handTo(ctx, batchKey(other.batchId), ctx.actor);
+      return [[ctx.id, batchKey(other.batchId)], `${ctx.batchId}-MERGED`, PRICE];
+    },
+    child: ({ batchId }) => batchKey(`${batchId}-MERGED`),
+  },
+  recall: {
+    // Split a lot off first where the status allows it, to see the recall reach it
+    async args(ctx) {
+      const { status } = await ctx.agriChain.getBatchDetails(ctx.id);
+      if (lifecycle.transitions.split.from.some((from) => statusValue(from) === status)) {
+        const holder = await ethers.getSigner(await ctx.batchToken.ownerOf(ctx.id));
+        await ctx.agriChain.connect(holder).splitBatch(ctx.id, [`${ctx.batchId}-RECALL`], [10]);
+        ctx.recalledChild = batchKey(`${ctx.batchId}-RECALL`);
+      }
+      return [ctx.id, RecallReason.Contamination];
+    },
+    child: (ctx) => ctx.recalledChild,
+  },
+  expire: {
+    async args({ agriChain, id }) {
+      const { expiry } = await agriChain.getBatchDetails(id);
+      if (expiry.gt(await time.latest())) {
+        await time.increaseTo(expiry);
+      }
+      return [id];
+    },
+  },
+};
+
+// Account acting for a lifecycle role; admin is the contract owner, and no role means anyone
+const actorFor = (fixture, role) => {
+  if (!role) return fixture.outsider;
+  const actor = role === "admin" ? fixture.owner : fixture[role];
+  if (!actor) throw new Error(`No test account for role ${role}`);
+  return actor;
+};
+
+const context = (fixture, role) => ({
+  ...fixture,
+  id: batchKey(BATCH_ID),
+  batchId: BATCH_ID,
+  actor: actorFor(fixture, role),
+});
+
+// Intermediaries only act on batches they hold, so custody moves to them first
+async function handTo({ agriChain, batchToken }, id, actor) {
+  const holder = await batchToken.ownerOf(id);
+  const { role, isRegistered } = await agriChain.users(actor.address);
+  if (holder !== actor.address && isRegistered && (await agriChain.isIntermediary(role))) {
+    await agriChain.connect(await ethers.getSigner(holder)).transferCustody(id, actor.address);
+  }
+}
+
+// Set up a transition and return the call that performs it
+async function prepare(ctx, name) {
+  if (!CALLS[name]) throw new Error(`No test call for transition ${name}`);
+  const args = await CALLS[name].args(ctx);
+  const contract = ctx.agriChain.connect(ctx.actor);
+  return () => contract[lifecycle.transitions[name].contractFunction](...args);
+}
+
+// A deployment with LIFE-1 in the given status, or none for a null status
+const fixtures = {};
+const batchIn = (status) => {
+  if (!status) return deployAgriChain;
+  fixtures[status] =
+    fixtures[status] ||
+    async function lifecycleFixture() {
+      const fixture = await deployAgriChain();
+      for (const name of PATHS[status]) {
+        const send = await prepare(context(fixture, lifecycle.transitions[name].roles[0]), name);
+        await send();
+      }
+      return fixture;
+    };
+  return fixtures[status];
+};
+
+const article = (word) => `${/^[aeiou]/i.test(word) ? "an" : "a"} ${word}`;
+const describeStart = (status) => (status ? `${article(status)} batch` : "a new batch");
+
+describe("Batch lifecycle", function () {
+  it("names the contract's statuses and recall reasons in enum order", function () {
+    expect(STATUSES.map((status) => lifecycle.statuses[status].contractStatus)).to.deep.equal(Object.keys(Status));
+    expect(Object.values(lifecycle.recallReasons).map((reason) => reason.contractReason)).to.deep.equal(
+      Object.keys(RecallReason)
+    );
+  });
+
+  it("reaches every status from a new batch", function () {
+    expect(Object.keys(PATHS)).to.have.members(STATUSES);
+  });
+
+  for (const [name, transition] of TRANSITIONS) {
+    describe(`${name} (${transition.contractFunction})`, function () {
+      const starts = transition.from.length ? transition.from : [null];
+      const roles = transition.roles.length ? transition.roles : [null];
+
+      for (const start of starts) {
+        for (const role of roles) {
+          it(`applies to ${describeStart(start)} when called by ${role ? article(role) : "anyone"}`, async function () {
+            const ctx = context(await loadFixture(batchIn(start)), role);
+            const before = start && (await ctx.agriChain.getBatchDetails(ctx.id)).status;
+            if (start) await handTo(ctx, ctx.id, ctx.actor);
+
+            const send = await prepare(ctx, name);
+            await expect(send()).to.not.be.reverted;
+
+            const batch = await ctx.agriChain.getBatchDetails(ctx.id);
+            expect(batch.status).to.equal(transition.to ? statusValue(transition.to) : before);
+            const history = await ctx.agriChain.getBatchHistory(ctx.id);
+            expect(history[history.length - 1].action).to.equal(transition.history);
+
+            const child = transition.children && CALLS[name].child(ctx);
+            if (child) {
+              expect((await ctx.agriChain.getBatchDetails(child)).status).to.equal(
+                transition.children === "inherit" ? before : statusValue(transition.children)
+              );
+            }
+          });
+        }
+      }
+
+      for (const status of STATUSES.filter((status) => !transition.from.includes(status))) {
+        it(`reverts for ${describeStart(status)}`, async function () {
+          const ctx = context(await loadFixture(batchIn(status)), transition.roles[0]);
+
+          const send = await prepare(ctx, name);
+          await expect(send()).to.be.reverted;
+        });
+      }
+
+      if (transition.roles.length) {
+        for (const role of ROLES.filter((role) => !transition.roles.includes(role))) {
+          it(`reverts when called by ${article(role)}`, async function () {
+            const ctx = context(await loadFixture(batchIn(starts[0])), role);
+
+            const send = await prepare(ctx, name);
+            await expect(send()).to.be.reverted;
+          });
+        }
+      }
+
+      if (transition.requiresStock) {
+        it("reverts once the batch is fully split", async function () {
+          const ctx = context(await loadFixture(batchIn(starts[0])), transition.roles[0]);
+          const holder = await ethers.getSigner(await ctx.batchToken.ownerOf(ctx.id));
+          await ctx.agriChain.connect(holder).splitBatch(ctx.id, [`${BATCH_ID}-ALL`], [100]);
+
+          const send = await prepare(ctx, name);
+          await expect(send()).to.be.revertedWith("Batch already consumed");
+        });
+      }
+    });
+  }
+});
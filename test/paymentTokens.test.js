@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowState, deployAgriChain, createBatch, certifyBatch } = require("./fixtures");
+
+describe("AgriChain ERC-20 payments", function () {
+  // mUSD has 6 decimals like most dollar stablecoins
+  const PRICE = ethers.utils.parseUnits("250", 6);
+
+  async function tokenFixture() {
+    const fixture = await deployAgriChain();
+    const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy();
+    await stablecoin.deployed();
+    await stablecoin.mint(fixture.retailer.address, PRICE.mul(10));
+    return { ...fixture, stablecoin };
+  }
+
+  // A certified batch priced in mUSD, with the retailer's allowance in place
+  async function pricedFixture() {
+    const fixture = await tokenFixture();
+    const { agriChain, owner, farmer, certifier, retailer, stablecoin } = fixture;
+    await agriChain.connect(owner).setPaymentToken(stablecoin.address, true);
+    const id = await createBatch(agriChain, farmer, "TOKEN-1", { price: PRICE, paymentToken: stablecoin.address });
+    await certifyBatch(agriChain, certifier, id);
+    await stablecoin.connect(retailer).approve(agriChain.address, PRICE);
+    return { ...fixture, id };
+  }
+
+  describe("setPaymentToken", function () {
+    it("allow-lists and removes tokens", async function () {
+      const { agriChain, owner, stablecoin } = await loadFixture(tokenFixture);
+
+      await expect(agriChain.connect(owner).setPaymentToken(stablecoin.address, true))
+        .to.emit(agriChain, "PaymentTokenUpdated")
+        .withArgs(stablecoin.address, true);
+      expect(await agriChain.paymentTokens(stablecoin.address)).to.equal(true);
+      expect(await agriChain.getPaymentTokens()).to.deep.equal([stablecoin.address]);
+
+      await agriChain.connect(owner).setPaymentToken(stablecoin.address, false);
+      expect(await agriChain.getPaymentTokens()).to.deep.equal([]);
+
+      // Allowing it again must not list it twice
+      await agriChain.connect(owner).setPaymentToken(stablecoin.address, true);
+      expect(await agriChain.getPaymentTokens()).to.deep.equal([stablecoin.address]);
+    });
+
+    it("reverts for the zero address", async function () {
+      const { agriChain, owner } = await loadFixture(tokenFixture);
+
+      await expect(
+        agriChain.connect(owner).setPaymentToken(ethers.constants.AddressZero, true)
+      ).to.be.revertedWith("Invalid token");
+    });
+
+    it("reverts for anyone but the owner", async function () {
+      const { agriChain, farmer, stablecoin } = await loadFixture(tokenFixture);
+
+      await expect(agriChain.connect(farmer).setPaymentToken(stablecoin.address, true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+
+  describe("createBatch", function () {
+    it("records the payment token", async function () {
+      const { agriChain, stablecoin, id } = await loadFixture(pricedFixture);
+
+      expect((await agriChain.getBatchDetails(id)).paymentToken).to.equal(stablecoin.address);
+    });
+
+    it("reverts for a token that is not allow-listed", async function () {
+      const { agriChain, farmer, stablecoin } = await loadFixture(tokenFixture);
+
+      await expect(
+        createBatch(agriChain, farmer, "TOKEN-2", { paymentToken: stablecoin.address })
+      ).to.be.revertedWith("Payment token not allowed");
+    });
+  });
+
+  describe("purchaseBatch", function () {
+    it("pulls the price in tokens into escrow", async function () {
+      const { agriChain, farmer, retailer, stablecoin, id } = await loadFixture(pricedFixture);
+
+      await expect(agriChain.connect(retailer).purchaseBatch(id)).to.changeTokenBalances(
+        stablecoin,
+        [retailer, farmer, agriChain],
+        [PRICE.mul(-1), 0, PRICE]
+      );
+      const escrow = await agriChain.escrows(id);
+      expect(escrow.amount).to.equal(PRICE);
+      expect(escrow.state).to.equal(EscrowState.Held);
+    });
+
+    it("reverts when native currency is sent", async function () {
+      const { agriChain, retailer, id } = await loadFixture(pricedFixture);
+
+      await expect(agriChain.connect(retailer).purchaseBatch(id, { value: 1 })).to.be.revertedWith(
+        "Batch is priced in tokens"
+      );
+    });
+
+    it("reverts without a sufficient allowance", async function () {
+      const { agriChain, retailer, stablecoin, id } = await loadFixture(pricedFixture);
+      await stablecoin.connect(retailer).approve(agriChain.address, PRICE.sub(1));
+
+      await expect(agriChain.connect(retailer).purchaseBatch(id)).to.be.revertedWith(
+        "ERC20: insufficient allowance"
+      );
+    });
+  });
+
+  describe("escrow settlement", function () {
+    it("pays the farmer in tokens on delivery", async function () {
+      const { agriChain, farmer, retailer, stablecoin, id } = await loadFixture(pricedFixture);
+      await agriChain.connect(retailer).purchaseBatch(id);
+
+      await expect(agriChain.connect(retailer).confirmDelivery(id)).to.changeTokenBalances(
+        stablecoin,
+        [farmer, agriChain],
+        [PRICE, PRICE.mul(-1)]
+      );
+    });
+
+    it("refunds the retailer in tokens", async function () {
+      const { agriChain, owner, retailer, stablecoin, id } = await loadFixture(pricedFixture);
+      await agriChain.connect(retailer).purchaseBatch(id);
+      await agriChain.connect(retailer).openDispute(id);
+
+      await expect(agriChain.connect(owner).resolveDispute(id, true)).to.changeTokenBalances(
+        stablecoin,
+        [retailer, agriChain],
+        [PRICE, PRICE.mul(-1)]
+      );
+    });
+
+    it("settles with the token the batch was priced in even after it is removed from the list", async function () {
+      const { agriChain, owner, farmer, retailer, stablecoin, id } = await loadFixture(pricedFixture);
+      await agriChain.connect(retailer).purchaseBatch(id);
+      await agriChain.connect(owner).setPaymentToken(stablecoin.address, false);
+
+      await expect(agriChain.connect(retailer).confirmDelivery(id)).to.changeTokenBalance(
+        stablecoin,
+        farmer,
+        PRICE
+      );
+    });
+  });
+});
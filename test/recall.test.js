@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  Status,
+  RecallReason,
+  deployAgriChain,
+  createBatch,
+  certifyBatch,
+  batchKey,
+} = require("./fixtures");
+
+describe("AgriChain recall and expiry", function () {
+  async function batchFixture() {
+    const fixture = await deployAgriChain();
+    const id = await createBatch(fixture.agriChain, fixture.farmer, "RECALL-1");
+    return { ...fixture, id };
+  }
+
+  async function certifiedFixture() {
+    const fixture = await batchFixture();
+    await certifyBatch(fixture.agriChain, fixture.certifier, fixture.id);
+    return fixture;
+  }
+
+  // RECALL-1 split into two lots that were merged back into one, so the merged lot is reached twice
+  async function lineageFixture() {
+    const fixture = await batchFixture();
+    const { agriChain, farmer, id } = fixture;
+    await agriChain.connect(farmer).splitBatch(id, ["RECALL-1-A", "RECALL-1-B"], [40, 60]);
+    await agriChain
+      .connect(farmer)
+      .mergeBatches([batchKey("RECALL-1-A"), batchKey("RECALL-1-B")], "RECALL-1-M", 1);
+    return fixture;
+  }
+
+  describe("recallBatch", function () {
+    it("recalls the batch and records why and by whom", async function () {
+      const { agriChain, farmer, certifier, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(certifier).recallBatch(id, RecallReason.Allergen))
+        .to.emit(agriChain, "BatchRecalled")
+        .withArgs(id, id, certifier.address, RecallReason.Allergen);
+
+      expect((await agriChain.getBatchDetails(id)).status).to.equal(Status.Recalled);
+      const recall = await agriChain.recalls(id);
+      expect(recall.reason).to.equal(RecallReason.Allergen);
+      expect(recall.sourceBatchId).to.equal(id);
+      expect(recall.recalledBy).to.equal(certifier.address);
+      expect(recall.recalledAt).to.equal(await time.latest());
+      const history = await agriChain.getBatchHistory(id);
+      expect(history[1].action).to.equal("RECALLED");
+      expect(history[1].from).to.equal(certifier.address);
+      expect(history[1].to).to.equal(farmer.address);
+    });
+
+    it("lets the owner recall", async function () {
+      const { agriChain, owner, id } = await loadFixture(batchFixture);
+
+      await agriChain.connect(owner).recallBatch(id, RecallReason.Other);
+
+      expect((await agriChain.recalls(id)).recalledBy).to.equal(owner.address);
+    });
+
+    it("recalls an expired batch", async function () {
+      const { agriChain, certifier, outsider, id } = await loadFixture(certifiedFixture);
+      await time.increaseTo((await agriChain.getBatchDetails(id)).expiry);
+      await agriChain.connect(outsider).expireBatch(id);
+
+      await agriChain.connect(certifier).recallBatch(id, RecallReason.Spoilage);
+
+      expect((await agriChain.getBatchDetails(id)).status).to.equal(Status.Recalled);
+    });
+
+    it("recalls every lot derived from the batch once", async function () {
+      const { agriChain, certifier, id } = await loadFixture(lineageFixture);
+      const merged = batchKey("RECALL-1-M");
+
+      const receipt = await (await agriChain.connect(certifier).recallBatch(id, RecallReason.Contamination)).wait();
+
+      const recalled = receipt.events.filter((event) => event.event === "BatchRecalled").map((event) => event.args);
+      expect(recalled.map((args) => args.batchId)).to.deep.equal([
+        id,
+        batchKey("RECALL-1-A"),
+        merged,
+        batchKey("RECALL-1-B"),
+      ]);
+      expect(recalled.every((args) => args.sourceBatchId.eq(id))).to.equal(true);
+      expect((await agriChain.getBatchDetails(merged)).status).to.equal(Status.Recalled);
+      expect((await agriChain.recalls(merged)).sourceBatchId).to.equal(id);
+      const actions = (await agriChain.getBatchHistory(merged)).map((entry) => entry.action);
+      expect(actions.filter((action) => action === "RECALLED")).to.have.length(1);
+    });
+
+    it("reverts for anyone but certifiers and the owner", async function () {
+      const { agriChain, farmer, outsider, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).recallBatch(id, RecallReason.Other)).to.be.revertedWith(
+        "Not authorized to recall"
+      );
+      await expect(agriChain.connect(outsider).recallBatch(id, RecallReason.Other)).to.be.revertedWith(
+        "Not authorized to recall"
+      );
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, certifier } = await loadFixture(batchFixture);
+
+      await expect(
+        agriChain.connect(certifier).recallBatch(batchKey("MISSING"), RecallReason.Other)
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts for a rejected or already recalled batch", async function () {
+      const { agriChain, farmer, certifier, id } = await loadFixture(batchFixture);
+      const rejected = await createBatch(agriChain, farmer, "RECALL-2");
+      await agriChain.connect(certifier).certifyBatch(rejected, false, "Blight", 0, "organic");
+      await agriChain.connect(certifier).recallBatch(id, RecallReason.Other);
+
+      await expect(agriChain.connect(certifier).recallBatch(rejected, RecallReason.Other)).to.be.revertedWith(
+        "Batch cannot be recalled"
+      );
+      await expect(agriChain.connect(certifier).recallBatch(id, RecallReason.Other)).to.be.revertedWith(
+        "Batch cannot be recalled"
+      );
+    });
+  });
+
+  describe("expireBatch", function () {
+    it("lets anyone expire a certified batch once its shelf life is over", async function () {
+      const { agriChain, farmer, outsider, id } = await loadFixture(certifiedFixture);
+      const { expiry } = await agriChain.getBatchDetails(id);
+      await time.increaseTo(expiry);
+
+      await expect(agriChain.connect(outsider).expireBatch(id))
+        .to.emit(agriChain, "BatchExpired")
+        .withArgs(id, expiry);
+
+      expect((await agriChain.getBatchDetails(id)).status).to.equal(Status.Expired);
+      const history = await agriChain.getBatchHistory(id);
+      expect(history[2].action).to.equal("EXPIRED");
+      expect(history[2].from).to.equal(outsider.address);
+      expect(history[2].to).to.equal(farmer.address);
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, outsider } = await loadFixture(certifiedFixture);
+
+      await expect(agriChain.connect(outsider).expireBatch(batchKey("MISSING"))).to.be.revertedWith(
+        "Batch does not exist"
+      );
+    });
+
+    it("reverts for a batch that is not certified", async function () {
+      const { agriChain, outsider, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(outsider).expireBatch(id)).to.be.revertedWith("Batch not certified");
+    });
+
+    it("reverts before the expiry", async function () {
+      const { agriChain, outsider, id } = await loadFixture(certifiedFixture);
+      await time.increaseTo((await agriChain.getBatchDetails(id)).expiry.sub(2));
+
+      await expect(agriChain.connect(outsider).expireBatch(id)).to.be.revertedWith("Batch not expired yet");
+    });
+  });
+});
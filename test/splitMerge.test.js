@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Status, PRICE, deployAgriChain, createBatch, certifyBatch, batchKey } = require("./fixtures");
+
+describe("AgriChain split and merge", function () {
+  async function batchFixture() {
+    const fixture = await deployAgriChain();
+    const id = await createBatch(fixture.agriChain, fixture.farmer, "LOT-1");
+    return { ...fixture, id };
+  }
+
+  // Two certified lots held by the same aggregator, ready to be merged
+  async function mergeFixture() {
+    const fixture = await deployAgriChain();
+    const { agriChain, farmer, certifier, distributor } = fixture;
+    const first = await createBatch(agriChain, farmer, "LOT-A", { quantity: 40 });
+    const second = await createBatch(agriChain, farmer, "LOT-B", { quantity: 60 });
+    await certifyBatch(agriChain, certifier, first);
+    await agriChain.connect(farmer).transferCustody(first, distributor.address);
+    await agriChain.connect(farmer).transferCustody(second, distributor.address);
+    return { ...fixture, first, second };
+  }
+
+  describe("createBatch", function () {
+    it("records the quantity and unit", async function () {
+      const { agriChain, id } = await loadFixture(batchFixture);
+
+      const batch = await agriChain.getBatchDetails(id);
+      expect(batch.quantity).to.equal(100);
+      expect(batch.unit).to.equal("kg");
+      expect(batch.status).to.equal(Status.Created);
+    });
+
+    it("reverts for a zero quantity", async function () {
+      const { agriChain, farmer } = await loadFixture(deployAgriChain);
+
+      await expect(createBatch(agriChain, farmer, "EMPTY", { quantity: 0 })).to.be.revertedWith(
+        "Quantity must be positive"
+      );
+    });
+
+    it("reverts for a duplicate batch ID", async function () {
+      const { agriChain, farmer } = await loadFixture(batchFixture);
+
+      await expect(createBatch(agriChain, farmer, "LOT-1")).to.be.revertedWith("Batch ID already exists");
+    });
+  });
+
+  describe("splitBatch", function () {
+    it("mints children with their share of quantity and price", async function () {
+      const { agriChain, batchToken, farmer, id } = await loadFixture(batchFixture);
+      const childA = batchKey("LOT-1-A");
+      const childB = batchKey("LOT-1-B");
+
+      await expect(agriChain.connect(farmer).splitBatch(id, ["LOT-1-A", "LOT-1-B"], [25, 50]))
+        .to.emit(agriChain, "BatchSplit")
+        .withArgs(id, childA, farmer.address, 25)
+        .and.to.emit(agriChain, "BatchSplit")
+        .withArgs(id, childB, farmer.address, 50);
+
+      const parent = await agriChain.getBatchDetails(id);
+      const a = await agriChain.getBatchDetails(childA);
+      const b = await agriChain.getBatchDetails(childB);
+      expect(parent.quantity).to.equal(25);
+      expect(a.quantity).to.equal(25);
+      expect(b.quantity).to.equal(50);
+      expect(a.price.add(b.price).add(parent.price)).to.equal(PRICE);
+      expect(a.price).to.equal(PRICE.div(4));
+      expect(a.farmer).to.equal(farmer.address);
+      expect(await batchToken.ownerOf(childA)).to.equal(farmer.address);
+      expect(await agriChain.getBatchChildren(id)).to.deep.equal([childA, childB]);
+      expect(await agriChain.getBatchParents(childB)).to.deep.equal([id]);
+      expect((await agriChain.getBatchHistory(id)).map((entry) => entry.action)).to.deep.equal([
+        "CREATED",
+        "SPLIT",
+      ]);
+    });
+
+    it("keeps the parent's certification on the children", async function () {
+      const { agriChain, farmer, certifier, id } = await loadFixture(batchFixture);
+      await certifyBatch(agriChain, certifier, id);
+
+      await agriChain.connect(farmer).splitBatch(id, ["LOT-1-A"], [10]);
+
+      const child = await agriChain.getBatchDetails(batchKey("LOT-1-A"));
+      expect(child.status).to.equal(Status.Certified);
+      expect(child.certifier).to.equal(certifier.address);
+    });
+
+    it("lists the children under the farmer, also when an intermediary splits", async function () {
+      const { agriChain, farmer, distributor, id } = await loadFixture(batchFixture);
+      await agriChain.connect(farmer).transferCustody(id, distributor.address);
+
+      await agriChain.connect(distributor).splitBatch(id, ["LOT-1-A"], [10]);
+
+      expect(await agriChain.getFarmerBatches(farmer.address)).to.deep.equal([id, batchKey("LOT-1-A")]);
+    });
+
+    it("reverts for an unknown batch", async function () {
+      const { agriChain, farmer } = await loadFixture(batchFixture);
+
+      await expect(
+        agriChain.connect(farmer).splitBatch(batchKey("MISSING"), ["X"], [1])
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts for a rejected batch", async function () {
+      const { agriChain, farmer, certifier, id } = await loadFixture(batchFixture);
+      await agriChain.connect(certifier).certifyBatch(id, false, "Blight", 0, "organic");
+
+      await expect(agriChain.connect(farmer).splitBatch(id, ["LOT-1-A"], [10])).to.be.revertedWith(
+        "Batch not in correct state"
+      );
+    });
+
+    it("reverts when the caller does not hold the batch", async function () {
+      const { agriChain, distributor, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(distributor).splitBatch(id, ["LOT-1-A"], [10])).to.be.revertedWith(
+        "Caller is not the custodian"
+      );
+    });
+
+    it("reverts for empty or mismatched child lists", async function () {
+      const { agriChain, farmer, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).splitBatch(id, [], [])).to.be.revertedWith("Invalid split");
+      await expect(agriChain.connect(farmer).splitBatch(id, ["LOT-1-A"], [10, 20])).to.be.revertedWith(
+        "Invalid split"
+      );
+    });
+
+    it("reverts for zero or excess quantities", async function () {
+      const { agriChain, farmer, id } = await loadFixture(batchFixture);
+
+      await expect(agriChain.connect(farmer).splitBatch(id, ["LOT-1-A"], [0])).to.be.revertedWith(
+        "Invalid quantity"
+      );
+      await expect(agriChain.connect(farmer).splitBatch(id, ["LOT-1-A"], [101])).to.be.revertedWith(
+        "Invalid quantity"
+      );
+      await expect(
+        agriChain.connect(farmer).splitBatch(id, ["LOT-1-A", "LOT-1-B"], [60, 60])
+      ).to.be.revertedWith("Invalid quantity");
+    });
+
+    it("reverts for a child ID that is already taken", async function () {
+      const { agriChain, farmer, id } = await loadFixture(batchFixture);
+      await createBatch(agriChain, farmer, "TAKEN");
+
+      await expect(agriChain.connect(farmer).splitBatch(id, ["TAKEN"], [10])).to.be.revertedWith(
+        "Batch ID already exists"
+      );
+    });
+  });
+
+  describe("mergeBatches", function () {
+    it("combines the parents into a new uncertified lot held by the caller", async function () {
+      const { agriChain, batchToken, distributor, first, second } = await loadFixture(mergeFixture);
+      const merged = batchKey("MERGED-1");
+      const price = ethers.utils.parseEther("3");
+
+      await expect(agriChain.connect(distributor).mergeBatches([first, second], "MERGED-1", price))
+        .to.emit(agriChain, "BatchMerged")
+        .withArgs(merged, distributor.address, [first, second]);
+
+      const child = await agriChain.getBatchDetails(merged);
+      expect(child.quantity).to.equal(100);
+      expect(child.price).to.equal(price);
+      expect(child.farmer).to.equal(distributor.address);
+      expect(child.status).to.equal(Status.Created);
+      expect(child.certifier).to.equal(ethers.constants.AddressZero);
+      expect(await batchToken.ownerOf(merged)).to.equal(distributor.address);
+      expect((await agriChain.getBatchDetails(first)).quantity).to.equal(0);
+      expect((await agriChain.getBatchDetails(second)).quantity).to.equal(0);
+      expect(await agriChain.getBatchParents(merged)).to.deep.equal([first, second]);
+      expect(await agriChain.getBatchChildren(first)).to.deep.equal([merged]);
+      expect(await agriChain.getFarmerBatches(distributor.address)).to.deep.equal([merged]);
+    });
+
+    it("reverts with fewer than two parents", async function () {
+      const { agriChain, distributor, first } = await loadFixture(mergeFixture);
+
+      await expect(agriChain.connect(distributor).mergeBatches([first], "MERGED-1", PRICE)).to.be.revertedWith(
+        "Need at least two batches"
+      );
+    });
+
+    it("reverts for a merged ID that is already taken", async function () {
+      const { agriChain, distributor, first, second } = await loadFixture(mergeFixture);
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, second], "LOT-A", PRICE)
+      ).to.be.revertedWith("Batch ID already exists");
+    });
+
+    it("reverts for an unknown parent", async function () {
+      const { agriChain, distributor, first } = await loadFixture(mergeFixture);
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, batchKey("MISSING")], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Batch does not exist");
+      await expect(
+        agriChain.connect(distributor).mergeBatches([batchKey("MISSING"), first], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Batch does not exist");
+    });
+
+    it("reverts for a rejected parent", async function () {
+      const { agriChain, farmer, certifier, distributor, first } = await loadFixture(mergeFixture);
+      const rejected = await createBatch(agriChain, farmer, "LOT-R");
+      await agriChain.connect(certifier).certifyBatch(rejected, false, "Blight", 0, "organic");
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, rejected], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Batch not in correct state");
+    });
+
+    it("reverts for a parent that was already merged", async function () {
+      const { agriChain, distributor, first, second } = await loadFixture(mergeFixture);
+      await agriChain.connect(distributor).mergeBatches([first, second], "MERGED-1", PRICE);
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, second], "MERGED-2", PRICE)
+      ).to.be.revertedWith("Batch already consumed");
+    });
+
+    it("reverts when the caller does not hold every parent", async function () {
+      const { agriChain, farmer, distributor, first } = await loadFixture(mergeFixture);
+      const own = await createBatch(agriChain, farmer, "LOT-C");
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, own], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Caller is not the custodian");
+    });
+
+    it("reverts when the units differ", async function () {
+      const { agriChain, farmer, distributor, first } = await loadFixture(mergeFixture);
+      const crates = await createBatch(agriChain, farmer, "LOT-C", { unit: "crate" });
+      await agriChain.connect(farmer).transferCustody(crates, distributor.address);
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, crates], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Units do not match");
+    });
+
+    it("reverts when the payment tokens differ", async function () {
+      const { agriChain, owner, farmer, distributor, first } = await loadFixture(mergeFixture);
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const stablecoin = await MockStablecoin.deploy();
+      await agriChain.connect(owner).setPaymentToken(stablecoin.address, true);
+      const priced = await createBatch(agriChain, farmer, "LOT-C", { paymentToken: stablecoin.address });
+      await agriChain.connect(farmer).transferCustody(priced, distributor.address);
+
+      await expect(
+        agriChain.connect(distributor).mergeBatches([first, priced], "MERGED-1", PRICE)
+      ).to.be.revertedWith("Payment tokens do not match");
+    });
+  });
+});